@@ -0,0 +1,346 @@
+/**
+ * IPA dictionary data pipeline
+ *
+ * Merges pronunciation sources by a configurable precedence and emits the
+ * core.json + chunks/ + chunk-index.json layout consumed by mass-ipa-adapter.js.
+ * Every source is canonicalised to modern broad IPA (see canonicalizeIPA())
+ * before merging, so the output uses one notation and the audit only lists
+ * real disagreements, not notation differences.
+ * The emitted chunk index is validated (sorted, non-overlapping, every word
+ * reachable) and the build fails if it is not.
+ *
+ * Sources:
+ *   mass-ipa  data/mass-ipa (ECDICT, British-leaning, frequency-ordered core)
+ *   cmu       cmu-pronouncing-dictionary, ARPAbet converted to General American IPA
+ *
+ * Usage:
+ *   node scripts/build-ipa-data.js [options]
+ *
+ * Options:
+ *   --sources <list>     Comma-separated sources, highest precedence first (default: mass-ipa,cmu)
+ *   --out <dir>          Output directory (default: build/ipa-data)
+ *   --chunk-size <n>     Words per chunk (default: 50000)
+ *   --audit <file>       Write a TSV of words whose sources disagree
+ *
+ * Examples:
+ *   node scripts/build-ipa-data.js --sources cmu --out data/us-ipa
+ *   node scripts/build-ipa-data.js --sources mass-ipa --out data/mass-ipa
+ *   node scripts/build-ipa-data.js --sources cmu,mass-ipa --audit build/conflicts.tsv
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { arpabetToIPA } from '../src/utils/arpabet.js';
+import { CHUNK_INDEX_VERSION, normalizeChunkIndex } from '../src/utils/chunk-index.js';
+import { canonicalizeIPA } from '../src/utils/ipa-notation.js';
+import { validateDataset } from './validate-ipa-data.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const MASS_IPA_DIR = join(ROOT, 'data/mass-ipa');
+
+const DEFAULT_OPTIONS = {
+  sources: ['mass-ipa', 'cmu'],
+  out: 'build/ipa-data',
+  chunkSize: 50000,
+  audit: null
+};
+
+/**
+ * Source loaders: each returns a Map of word -> IPA
+ */
+const SOURCES = {
+  'mass-ipa': loadMassIPA,
+  cmu: loadCMU
+};
+
+/**
+ * canonicalizeIPA() options per source (only mass-ipa uses the legacy ECDICT conventions)
+ */
+const SOURCE_NOTATION = {
+  'mass-ipa': { legacy: true },
+  cmu: {}
+};
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    switch (arg) {
+      case '--sources':
+        options.sources = value.split(',').map(s => s.trim()).filter(Boolean);
+        i++;
+        break;
+      case '--out':
+        options.out = value;
+        i++;
+        break;
+      case '--chunk-size':
+        options.chunkSize = parseInt(value, 10);
+        i++;
+        break;
+      case '--audit':
+        options.audit = value;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  for (const source of options.sources) {
+    if (!SOURCES[source]) {
+      throw new Error(`Unknown source "${source}" (available: ${Object.keys(SOURCES).join(', ')})`);
+    }
+  }
+  if (!(options.chunkSize > 0)) {
+    throw new Error('--chunk-size must be a positive number');
+  }
+
+  return options;
+}
+
+/**
+ * Load the bundled mass-ipa data (core + all chunks)
+ * @returns {Map<string, string>}
+ */
+function loadMassIPA() {
+  const entries = new Map();
+  const core = JSON.parse(readFileSync(join(MASS_IPA_DIR, 'core.json'), 'utf8'));
+  for (const [word, ipa] of Object.entries(core)) {
+    entries.set(word, ipa);
+  }
+
+  const index = JSON.parse(readFileSync(join(MASS_IPA_DIR, 'chunk-index.json'), 'utf8'));
+  for (const info of normalizeChunkIndex(index)) {
+    const chunk = JSON.parse(readFileSync(join(MASS_IPA_DIR, info.file), 'utf8'));
+    for (const [word, ipa] of Object.entries(chunk)) {
+      if (!entries.has(word)) {
+        entries.set(word, ipa);
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Load CMUdict and convert ARPAbet to IPA
+ * Only primary pronunciations are used (variants are stored as "word(2)")
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadCMU() {
+  const { dictionary } = await import('cmu-pronouncing-dictionary');
+  const entries = new Map();
+  let skipped = 0;
+
+  for (const [word, arpabet] of Object.entries(dictionary)) {
+    if (/\(\d+\)$/.test(word)) continue;
+
+    try {
+      // Some entries carry a trailing "# comment"
+      entries.set(word, arpabetToIPA(arpabet.split('#')[0]));
+    } catch (error) {
+      skipped++;
+      console.warn(`  ⚠️  Skipped "${word}": ${error.message}`);
+    }
+  }
+
+  if (skipped > 0) {
+    console.warn(`  ⚠️  ${skipped} CMU entries skipped`);
+  }
+  return entries;
+}
+
+/**
+ * Canonicalise every transcription of a source in place
+ * @param {string} name - Source name
+ * @param {Map<string, string>} entries - word -> IPA from the source loader
+ * @returns {Map<string, string>} The same map
+ */
+function canonicalizeSource(name, entries) {
+  for (const [word, ipa] of entries) {
+    entries.set(word, canonicalizeIPA(ipa, SOURCE_NOTATION[name]));
+  }
+  return entries;
+}
+
+/**
+ * Reduce a canonical transcription to a key for comparing sources
+ * Ignores what only differs in notation: the position of stress marks within
+ * a syllable onset (/ˈstr/ vs /sˈtr/, only their order is kept), length marks,
+ * syllable dots, e/ɛ for the DRESS vowel, the rhotic spellings ɹ/ɚ/ɝ/ʳ and
+ * variants after the first
+ * @param {string} ipa - Canonical transcription
+ * @returns {string}
+ */
+function comparisonKey(ipa) {
+  const first = ipa.replace(/^\/|\/$/g, '').split(/[,;]\s*/)[0];
+  const text = first
+    .replace(/ɹ/g, 'r')
+    .replace(/ɚ/g, 'ər')
+    .replace(/ɝ/g, 'ɜr')
+    .replace(/ʳ/g, 'r')
+    .replace(/e(?![ɪə])/g, 'ɛ')
+    .replace(/[ː.]/g, '');
+  return `${text.replace(/[ˈˌ]/g, '')}|${text.replace(/[^ˈˌ]/g, '')}`;
+}
+
+/**
+ * Merge sources: the first source that has a word wins
+ * Sources must already be canonicalised (canonicalizeSource())
+ * @param {Array<{name: string, entries: Map<string, string>}>} sources - In precedence order
+ * @returns {{merged: Map<string, {ipa: string, source: string}>, conflicts: Array}}
+ */
+function mergeSources(sources) {
+  const merged = new Map();
+  const conflicts = [];
+
+  for (const { name, entries } of sources) {
+    for (const [word, ipa] of entries) {
+      const existing = merged.get(word);
+      if (!existing) {
+        merged.set(word, { ipa, source: name });
+      } else if (comparisonKey(existing.ipa) !== comparisonKey(ipa)) {
+        conflicts.push({ word, chosen: existing, rejected: { ipa, source: name } });
+      }
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Emit core.json, chunks/ and chunk-index.json
+ * Core words follow the frequency order of the mass-ipa core, the rest are
+ * sorted and split into consecutive, non-overlapping chunks
+ * @param {Map<string, {ipa: string, source: string}>} merged - Merged entries
+ * @param {Object} options - Pipeline options
+ * @returns {Object} Metadata
+ */
+function emitDataset(merged, options) {
+  const outDir = resolve(ROOT, options.out);
+  const frequencyOrder = Object.keys(JSON.parse(readFileSync(join(MASS_IPA_DIR, 'core.json'), 'utf8')));
+
+  const core = {};
+  for (const word of frequencyOrder) {
+    if (merged.has(word)) {
+      core[word] = merged.get(word).ipa;
+    }
+  }
+
+  const rest = [...merged.keys()].filter(word => !(word in core)).sort();
+
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(join(outDir, 'chunks'), { recursive: true });
+
+  const chunks = [];
+  for (let i = 0; i < rest.length; i += options.chunkSize) {
+    const words = rest.slice(i, i + options.chunkSize);
+    const chunkId = `chunk-${String(i / options.chunkSize + 1).padStart(2, '0')}`;
+    const chunk = {};
+    for (const word of words) {
+      chunk[word] = merged.get(word).ipa;
+    }
+
+    writeFileSync(join(outDir, 'chunks', `${chunkId}.json`), JSON.stringify(chunk));
+    chunks.push({
+      id: chunkId,
+      start: words[0],
+      end: words[words.length - 1],
+      file: `chunks/${chunkId}.json`,
+      count: words.length
+    });
+  }
+
+  const sourceCounts = {};
+  for (const { source } of merged.values()) {
+    sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+  }
+
+  const metadata = {
+    total_entries: merged.size,
+    core_size: Object.keys(core).length,
+    chunk_count: chunks.length,
+    chunk_size: options.chunkSize,
+    source: options.sources.join(' > '),
+    source_counts: sourceCounts,
+    version: '1.0.0'
+  };
+
+  writeFileSync(join(outDir, 'core.json'), JSON.stringify(core));
+  writeFileSync(join(outDir, 'chunk-index.json'), JSON.stringify({ version: CHUNK_INDEX_VERSION, chunks }, null, 2));
+  writeFileSync(join(outDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+  return metadata;
+}
+
+/**
+ * Write a TSV of words whose sources disagree
+ * @param {Array} conflicts - Conflicts from mergeSources()
+ * @param {string} file - Output file
+ */
+function writeAudit(conflicts, file) {
+  const path = resolve(ROOT, file);
+  mkdirSync(dirname(path), { recursive: true });
+
+  const lines = ['word\tchosen_source\tchosen_ipa\trejected_source\trejected_ipa'];
+  for (const { word, chosen, rejected } of conflicts) {
+    lines.push([word, chosen.source, chosen.ipa, rejected.source, rejected.ipa].join('\t'));
+  }
+  writeFileSync(path, lines.join('\n') + '\n');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!existsSync(join(MASS_IPA_DIR, 'core.json'))) {
+    throw new Error('data/mass-ipa/core.json not found (needed for the frequency order)');
+  }
+
+  console.log(`📦 Building IPA data from: ${options.sources.join(' > ')}`);
+
+  const sources = [];
+  for (const name of options.sources) {
+    const entries = canonicalizeSource(name, await SOURCES[name]());
+    console.log(`  ✅ ${name}: ${entries.size} words`);
+    sources.push({ name, entries });
+  }
+
+  const { merged, conflicts } = mergeSources(sources);
+  const metadata = emitDataset(merged, options);
+
+  const errors = validateDataset(resolve(ROOT, options.out));
+  if (errors.length > 0) {
+    throw new Error(`Invalid chunk index:\n  - ${errors.slice(0, 20).join('\n  - ')}`);
+  }
+
+  console.log(`✅ Core: ${metadata.core_size} words`);
+  console.log(`✅ Chunks: ${metadata.chunk_count} (${metadata.total_entries - metadata.core_size} words)`);
+  console.log(`📊 Entries per source: ${JSON.stringify(metadata.source_counts)}`);
+  console.log('✅ Chunk index validated');
+
+  if (options.audit) {
+    writeAudit(conflicts, options.audit);
+    console.log(`📝 ${conflicts.length} conflicts written to ${options.audit}`);
+  } else if (conflicts.length > 0) {
+    console.log(`ℹ️  ${conflicts.length} words differ between sources (use --audit to list them)`);
+  }
+
+  console.log(`📁 Saved to ${resolve(ROOT, options.out)}`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
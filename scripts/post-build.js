@@ -1,9 +1,9 @@
 /**
- * Post-build script to copy CSS files and mass-ipa data to dist
+ * Post-build script to copy CSS files, mass-ipa and US IPA data to dist
  * Vite/crxjs doesn't automatically copy CSS files referenced in manifest
  */
 
-import { cpSync, mkdirSync, existsSync } from 'fs';
+import { cpSync, mkdirSync, existsSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -11,51 +11,35 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 console.log('📋 Post-build tasks...');
 
-// 1. Copy CSS files
+// 1. Copy CSS files (the whole styles directory, including stylesheets loaded at runtime
+//    such as the overlay's Shadow DOM stylesheet, so new files can't be missed)
 console.log('\n📋 Copying CSS files to dist...');
+const stylesSrc = join(__dirname, '../src/content/styles');
 const stylesDir = join(__dirname, '../dist/src/content/styles');
 mkdirSync(stylesDir, { recursive: true });
-
-const cssFiles = ['phonetics.css', 'popup.css', 'selection.css'];
-cssFiles.forEach(file => {
-  const src = join(__dirname, `../src/content/styles/${file}`);
-  const dest = join(stylesDir, file);
-  cpSync(src, dest);
+cpSync(stylesSrc, stylesDir, { recursive: true });
+readdirSync(stylesSrc).forEach(file => {
   console.log(`  ✅ Copied ${file}`);
 });
 
-// 2. Copy mass-ipa data files
+// 2. Copy mass-ipa data files (chunk index rebuilt by scripts/build-ipa-data.js)
 console.log('\n📚 Copying mass-ipa data files...');
-const massIpaDataDir = join(__dirname, '../dist/mass-ipa-data');
-mkdirSync(massIpaDataDir, { recursive: true });
-
-// Copy core.json
-const coreJsonSrc = join(__dirname, '../node_modules/mass-ipa/data/core.json');
-if (existsSync(coreJsonSrc)) {
-  cpSync(coreJsonSrc, join(massIpaDataDir, 'core.json'));
-  console.log('  ✅ Copied core.json');
-} else {
-  console.warn('  ⚠️  core.json not found');
-}
-
-// Copy chunk-index.json
-const chunkIndexSrc = join(__dirname, '../node_modules/mass-ipa/data/chunk-index.json');
-if (existsSync(chunkIndexSrc)) {
-  cpSync(chunkIndexSrc, join(massIpaDataDir, 'chunk-index.json'));
-  console.log('  ✅ Copied chunk-index.json');
+const massIpaSrc = join(__dirname, '../data/mass-ipa');
+if (existsSync(massIpaSrc)) {
+  cpSync(massIpaSrc, join(__dirname, '../dist/mass-ipa-data'), { recursive: true });
+  console.log('  ✅ Copied mass-ipa data');
 } else {
-  console.warn('  ⚠️  chunk-index.json not found');
+  console.warn('  ⚠️  data/mass-ipa not found');
 }
 
-// Copy chunks directory
-const chunksSrc = join(__dirname, '../node_modules/mass-ipa/data/chunks');
-const chunksDest = join(massIpaDataDir, 'chunks');
-if (existsSync(chunksSrc)) {
-  mkdirSync(chunksDest, { recursive: true });
-  cpSync(chunksSrc, chunksDest, { recursive: true });
-  console.log('  ✅ Copied chunks directory');
+// 3. Copy US (General American) IPA data generated by `npm run build:us-ipa`
+console.log('\n🇺🇸 Copying US IPA data files...');
+const usIpaSrc = join(__dirname, '../data/us-ipa');
+if (existsSync(usIpaSrc)) {
+  cpSync(usIpaSrc, join(__dirname, '../dist/us-ipa-data'), { recursive: true });
+  console.log('  ✅ Copied us-ipa data');
 } else {
-  console.warn('  ⚠️  chunks directory not found');
+  console.warn('  ⚠️  data/us-ipa not found, run `npm run build:us-ipa` first');
 }
 
 console.log('\n✅ All post-build tasks completed!');
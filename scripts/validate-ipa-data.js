@@ -0,0 +1,84 @@
+/**
+ * IPA dictionary data validator
+ *
+ * Checks a core.json + chunks/ + chunk-index.json dataset:
+ *   - chunk ranges are sorted and do not overlap
+ *   - every chunk file exists and its word count matches the index
+ *   - every chunked word is reachable through the binary search used at runtime
+ *
+ * Exits with code 1 when any check fails.
+ *
+ * Usage:
+ *   node scripts/validate-ipa-data.js <dir> [<dir> ...]
+ *
+ * Example:
+ *   node scripts/validate-ipa-data.js data/mass-ipa data/us-ipa
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { CHUNK_INDEX_VERSION, normalizeChunkIndex, validateChunkIndex } from '../src/utils/chunk-index.js';
+
+/**
+ * Validate a dataset directory
+ * @param {string} dir - Dataset directory
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateDataset(dir) {
+  const indexPath = join(dir, 'chunk-index.json');
+  if (!existsSync(indexPath)) {
+    return [`${indexPath} not found`];
+  }
+
+  const index = JSON.parse(readFileSync(indexPath, 'utf8'));
+  const errors = [];
+  if (index.version !== CHUNK_INDEX_VERSION || !Array.isArray(index.chunks)) {
+    errors.push(`chunk-index.json is not in the version ${CHUNK_INDEX_VERSION} format (rebuild with scripts/build-ipa-data.js)`);
+  }
+
+  const chunks = normalizeChunkIndex(index);
+  const chunkData = {};
+  for (const chunk of chunks) {
+    const file = join(dir, chunk.file);
+    if (existsSync(file)) {
+      chunkData[chunk.id] = JSON.parse(readFileSync(file, 'utf8'));
+    }
+  }
+
+  return errors.concat(validateChunkIndex(chunks, chunkData));
+}
+
+function main() {
+  const dirs = process.argv.slice(2);
+  if (dirs.length === 0) {
+    console.error('Usage: node scripts/validate-ipa-data.js <dir> [<dir> ...]');
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const dir of dirs) {
+    const errors = validateDataset(resolve(dir));
+    if (errors.length === 0) {
+      console.log(`✅ ${dir}: chunk index is valid`);
+      continue;
+    }
+
+    failed = true;
+    console.error(`❌ ${dir}: ${errors.length} problem(s)`);
+    for (const error of errors.slice(0, 20)) {
+      console.error(`  - ${error}`);
+    }
+    if (errors.length > 20) {
+      console.error(`  ... and ${errors.length - 20} more`);
+    }
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
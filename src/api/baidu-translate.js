@@ -7,6 +7,10 @@ import { md5 } from '../utils/md5.js';
 
 const BAIDU_API_URL = 'https://fanyi-api.baidu.com/api/trans/vip/translate';
 
+// Maximum UTF-8 size of one query (Baidu accepts up to 6000 bytes; the query
+// is sent in the URL, where URL encoding makes it larger)
+const MAX_QUERY_BYTES = 2000;
+
 /**
  * Call Baidu Translation API
  * @param {string} query - Text to translate
@@ -60,6 +64,93 @@ export async function translateWithBaidu(query, appid, key, from = 'en', to = 'z
   }
 }
 
+/**
+ * Translate several texts, one translation per text
+ * Texts are sent one per line in as few requests as the query size allows;
+ * a text over the limit is split at sentence ends and its translations joined
+ * @param {string[]} texts - Texts without line breaks
+ * @param {string} appid - Baidu APP ID
+ * @param {string} key - Baidu Secret Key
+ * @returns {Promise<string[]>} Translations in the order of the texts
+ */
+export async function translateLinesWithBaidu(texts, appid, key) {
+  const pieces = texts.map(splitQuery);
+  const translations = [];
+
+  let batch = [];
+  let bytes = 0;
+  const send = async () => {
+    const data = await translateWithBaidu(batch.join('\n'), appid, key);
+    const results = (data.trans_result || []).map(item => item.dst);
+    translations.push(...batch.map((_, i) => results[i] || ''));
+    batch = [];
+    bytes = 0;
+  };
+
+  for (const piece of pieces.flat()) {
+    const size = byteLength(piece) + 1;
+    if (batch.length > 0 && bytes + size > MAX_QUERY_BYTES) {
+      await send();
+    }
+    batch.push(piece);
+    bytes += size;
+  }
+  if (batch.length > 0) {
+    await send();
+  }
+
+  let index = 0;
+  return pieces.map(group => translations.slice(index, index += group.length).join(''));
+}
+
+/**
+ * Split a text into pieces under the query size limit, at sentence ends where possible
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+function splitQuery(text) {
+  if (byteLength(text) <= MAX_QUERY_BYTES) return [text];
+
+  const pieces = [];
+  let current = '';
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (byteLength(candidate) <= MAX_QUERY_BYTES) {
+      current = candidate;
+      continue;
+    }
+    if (current) pieces.push(current);
+    current = '';
+
+    // A single sentence over the limit is cut by characters
+    let rest = sentence;
+    while (byteLength(rest) > MAX_QUERY_BYTES) {
+      let end = 0;
+      let size = 0;
+      for (const char of rest) {
+        size += byteLength(char);
+        if (size > MAX_QUERY_BYTES) break;
+        end += char.length;
+      }
+      pieces.push(rest.slice(0, end));
+      rest = rest.slice(end);
+    }
+    current = rest;
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+/**
+ * UTF-8 size of a string
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
 /**
  * Parse Baidu translation response to dictionary format
  * @param {object} data - Baidu API response
@@ -4,6 +4,9 @@
  * Provides English definitions, phonetics, and audio
  */
 
+import { getLemmaCandidates } from '../utils/word-inflection.js';
+import { requestPhonetics } from '../utils/ipa-client.js';
+
 // Free Dictionary API endpoint
 const FREE_DICT_API = 'https://api.dictionaryapi.dev/api/v2/entries/en';
 
@@ -13,14 +16,14 @@ const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Lookup word using selected dictionary API
- * @param {string} word - Word to lookup
+ * @param {string} word - Word or phrase to lookup ("give up")
  * @param {string} apiType - API type ('freedict' or 'baidu')
  * @returns {Promise<object|null>} Dictionary data
  */
 export async function lookupWord(word, apiType = null) {
   const normalizedWord = word.toLowerCase().trim();
   
-  if (!normalizedWord || !/^[a-zA-Z'-]+$/.test(normalizedWord)) {
+  if (!normalizedWord || !/^[a-zA-Z'-]+( [a-zA-Z'-]+)*$/.test(normalizedWord)) {
     return null;
   }
   
@@ -71,6 +74,88 @@ export async function lookupWord(word, apiType = null) {
   }
 }
 
+/**
+ * Lookup a word together with its lemma ("algorithms" -> "algorithm")
+ * Both forms are looked up, so that the popup can show the base word's senses
+ * when the inflected form has no entry of its own
+ * @param {string} word - Word to lookup
+ * @param {string} apiType - API type ('freedict' or 'baidu')
+ * @returns {Promise<{data: object|null, lemma: {word: string, relation: string, data: object}|null}>}
+ *   relation: 'past' | 'past-participle' | 'present-participle' | 'plural' | 'third-person' | 'comparative' | 'superlative'
+ */
+export async function lookupWordWithLemma(word, apiType = null) {
+  const normalizedWord = word.toLowerCase().trim();
+  const [data, lemma] = await Promise.all([
+    lookupWord(normalizedWord, apiType),
+    findLemma(normalizedWord, apiType)
+  ]);
+  return { data, lemma };
+}
+
+/**
+ * Find the first lemma candidate that is a dictionary word with a matching part of speech
+ * @param {string} word - Normalized word
+ * @param {string} apiType - API type
+ * @returns {Promise<{word: string, relation: string, data: object}|null>}
+ */
+async function findLemma(word, apiType) {
+  const candidates = getLemmaCandidates(word);
+  if (candidates.length === 0) return null;
+  
+  // Guessed lemmas must be in the local dictionary ("maintaine" is not)
+  let known = {};
+  try {
+    known = await requestPhonetics(candidates.filter(c => !c.irregular).map(c => c.lemma));
+  } catch (error) {
+    console.warn('[Dictionary API] Lemma check failed:', error);
+  }
+  
+  for (const candidate of candidates) {
+    // "put" is listed as its own past tense; its entry is already the word itself
+    if (candidate.lemma === word) continue;
+    
+    const result = known[candidate.lemma];
+    if (!candidate.irregular && (!result?.ipa?.uk || result.estimated)) continue;
+    
+    const data = await lookupWord(candidate.lemma, apiType);
+    if (!data) continue;
+    
+    const relation = candidate.irregular ? candidate.relation : matchRelation(candidate.relation, data);
+    if (relation) {
+      return { word: candidate.lemma, relation, data };
+    }
+  }
+  return null;
+}
+
+// Parts of speech a lemma needs for each inflection
+const RELATION_PARTS_OF_SPEECH = {
+  past: ['verb'],
+  'past-participle': ['verb'],
+  'present-participle': ['verb'],
+  comparative: ['adjective', 'adverb'],
+  superlative: ['adjective', 'adverb']
+};
+
+/**
+ * Check that a lemma's parts of speech allow the inflection
+ * -s forms are plurals of nouns or third-person forms of verbs ("news" is neither of "new")
+ * @param {string} relation - Relation guessed from the suffix
+ * @param {object} data - Dictionary data of the lemma
+ * @returns {string|null} Relation, or null if the lemma cannot take the suffix
+ */
+function matchRelation(relation, data) {
+  const partsOfSpeech = new Set((data.meanings || []).map(m => m.partOfSpeech).filter(Boolean));
+  // Translations carry no part of speech
+  if (partsOfSpeech.size === 0) return relation;
+  
+  if (relation === 'plural') {
+    if (partsOfSpeech.has('noun')) return 'plural';
+    return partsOfSpeech.has('verb') ? 'third-person' : null;
+  }
+  return RELATION_PARTS_OF_SPEECH[relation].some(part => partsOfSpeech.has(part)) ? relation : null;
+}
+
 /**
  * Parse Free Dictionary API response
  * @param {Array} data - API response (array of entries)
@@ -130,7 +130,7 @@ export async function generateContentStream(apiKey, prompt, options = {}, onChun
 export async function analyzeWordInContext(apiKey, word, paragraph, onStreamChunk = null) {
   let responseText = '';
   try {
-    const prompt = `你是一位专业的英语教师。请分析单词 "${word}" 在以下段落中的用法：
+    const prompt = `你是一位专业的英语教师。请分析${word.includes(' ') ? '短语' : '单词'} "${word}" 在以下段落中的用法：
 
 段落：
 "${paragraph}"
@@ -183,6 +183,105 @@ export async function analyzeWordInContext(apiKey, word, paragraph, onStreamChun
   }
 }
 
+/**
+ * Translate a sentence or paragraph into Chinese
+ * @param {string} apiKey API Key
+ * @param {string} text Text to translate
+ * @param {function} onStreamChunk Optional callback for streaming chunks
+ * @returns {Promise<string>} Translation
+ */
+export async function translateText(apiKey, text, onStreamChunk = null) {
+  const prompt = `请将以下英文翻译成自然流畅的中文，只返回译文，不要添加任何解释：
+
+${text}`;
+
+  const translation = await generateContentStream(apiKey, prompt, {
+    model: 'gemini-flash-latest',
+    temperature: 0.3,
+    maxTokens: 4096
+  }, onStreamChunk);
+
+  return translation.trim();
+}
+
+/**
+ * Translate several paragraphs into Chinese in one request
+ * @param {string} apiKey API Key
+ * @param {string[]} paragraphs Paragraphs to translate
+ * @returns {Promise<string[]>} Translations in the same order
+ */
+export async function translateParagraphs(apiKey, paragraphs) {
+  const prompt = `请将以下 JSON 数组中的每个英文段落翻译成自然流畅的中文。
+返回一个同样长度的 JSON 字符串数组，顺序与原文一一对应，只返回 JSON，不要包含markdown格式标记：
+
+${JSON.stringify(paragraphs)}`;
+
+  const responseText = await generateContent(apiKey, prompt, {
+    model: 'gemini-flash-latest',
+    temperature: 0.3,
+    maxTokens: 8192
+  });
+
+  const cleaned = responseText.replace(/```json\n?|\n?```/g, '').trim();
+  const translations = JSON.parse(cleaned);
+  if (!Array.isArray(translations) || translations.length !== paragraphs.length) {
+    throw new Error('Translation count does not match paragraph count');
+  }
+  return translations.map(String);
+}
+
+/**
+ * Grammar breakdown of a sentence or paragraph
+ * @param {string} apiKey API Key
+ * @param {string} text Sentence or paragraph
+ * @param {function} onStreamChunk Optional callback for streaming chunks
+ * @returns {Promise<object>} Analysis result
+ */
+export async function explainSentence(apiKey, text, onStreamChunk = null) {
+  let responseText = '';
+  try {
+    const prompt = `你是一位专业的英语教师。请分析以下英文句子（或段落）的语法结构：
+
+"${text}"
+
+请按以下JSON格式提供分析（用中文解释）：
+{
+  "translation": "整句的中文翻译",
+  "structure": {
+    "skeleton": "句子主干（主语 + 谓语 + 宾语/表语），引用原文",
+    "clauses": [
+      { "text": "从句或非谓语结构原文", "type": "类型（如：定语从句、状语从句、分词短语）", "role": "在句中的作用" }
+    ]
+  },
+  "tenses": [
+    { "verb": "谓语动词原文", "tense": "时态和语态", "explanation": "为什么用这个时态" }
+  ],
+  "keyPhrases": [
+    { "phrase": "重点短语或搭配", "meaning": "中文含义和用法" }
+  ],
+  "notes": "其他值得注意的语法点（倒装、省略、强调等），没有则为空字符串"
+}
+
+只返回有效的JSON，不要包含markdown格式标记。`;
+
+    responseText = await generateContentStream(apiKey, prompt, {
+      model: 'gemini-flash-latest',
+      temperature: 0.3,
+      maxTokens: 8192
+    }, onStreamChunk);
+
+    const cleaned = responseText.replace(/```json\n?|\n?```/g, '').trim();
+    return JSON.parse(cleaned);
+  } catch (e) {
+    // Return raw output so user can still see a truncated analysis
+    return {
+      explanation: responseText || "Analysis failed: " + e.message,
+      parseError: true,
+      rawOutput: responseText
+    };
+  }
+}
+
 /**
  * Validate API Key & Find Working Model
  * @param {string} apiKey API Key
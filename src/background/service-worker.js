@@ -3,8 +3,16 @@
  * 处理来自 Content Script 的消息，集成 Gemini API
  */
 
-import { analyzeWordInContext, textToSpeech, validateApiKey } from '../api/gemini.js';
+import { analyzeWordInContext, translateText, translateParagraphs, explainSentence, textToSpeech, validateApiKey } from '../api/gemini.js';
+import { translateWithBaidu, translateLinesWithBaidu } from '../api/baidu-translate.js';
 import { md5 } from '../utils/md5.js';
+import { saveWord, removeWord, getVocabulary, getVocabularyEntry, getDueWords, reviewWord, getVocabularyStats, mergeVocabulary } from '../utils/vocabulary.js';
+import { recordLookup, getLookupHistory, mergeLookupHistory } from '../utils/lookup-history.js';
+import { getKnownWords, addKnownWords, removeKnownWords, clearKnownWords } from '../utils/known-words.js';
+import { getPhoneticOverrides, savePhoneticOverride, removePhoneticOverrides, importPhoneticOverrides, clearPhoneticOverrides } from '../utils/phonetic-overrides.js';
+import { lookupPhonetics } from '../utils/ipa-store.js';
+import { clearIPACache } from '../utils/ipa-cache-db.js';
+import { getSiteRules, saveSiteRule, removeSiteRule, findSiteRule, isSiteEnabled } from '../utils/site-rules.js';
 
 // 监听来自 Content Script 的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -21,6 +29,10 @@ chrome.runtime.onConnect.addListener((port) => {
     port.onMessage.addListener((message) => {
       if (message.type === 'START_ANALYZE') {
         handleAIAnalyzeStream(port, message);
+      } else if (message.type === 'START_TRANSLATE') {
+        handleTranslateStream(port, message);
+      } else if (message.type === 'START_EXPLAIN') {
+        handleExplainStream(port, message);
       }
     });
   }
@@ -55,6 +67,75 @@ async function handleMessage(message, sender) {
     case 'SAVE_API_KEY':
       return handleSaveApiKey(message);
     
+    case 'SAVE_WORD':
+      return handleSaveWord(message);
+    
+    case 'REMOVE_WORD':
+      return handleRemoveWord(message);
+    
+    case 'GET_VOCABULARY':
+      return handleGetVocabulary(message);
+    
+    case 'GET_DUE_WORDS':
+      return handleGetDueWords();
+    
+    case 'REVIEW_WORD':
+      return handleReviewWord(message);
+    
+    case 'RECORD_LOOKUP':
+      return handleRecordLookup(message);
+    
+    case 'GET_LOOKUP_HISTORY':
+      return handleGetLookupHistory();
+    
+    case 'IMPORT_VOCABULARY':
+      return handleImportVocabulary(message);
+    
+    case 'GET_KNOWN_WORDS':
+      return handleGetKnownWords();
+    
+    case 'ADD_KNOWN_WORDS':
+      return handleAddKnownWords(message);
+    
+    case 'REMOVE_KNOWN_WORDS':
+      return handleRemoveKnownWords(message);
+    
+    case 'CLEAR_KNOWN_WORDS':
+      return handleClearKnownWords();
+    
+    case 'GET_PHONETIC_OVERRIDES':
+      return handleGetPhoneticOverrides();
+    
+    case 'SAVE_PHONETIC_OVERRIDE':
+      return handleSavePhoneticOverride(message);
+    
+    case 'REMOVE_PHONETIC_OVERRIDES':
+      return handleRemovePhoneticOverrides(message);
+    
+    case 'IMPORT_PHONETIC_OVERRIDES':
+      return handleImportPhoneticOverrides(message);
+    
+    case 'CLEAR_PHONETIC_OVERRIDES':
+      return handleClearPhoneticOverrides();
+    
+    case 'GET_PHONETICS':
+      return handleGetPhonetics(message, sender);
+    
+    case 'TRANSLATE_PARAGRAPHS':
+      return handleTranslateParagraphs(message, sender);
+    
+    case 'GET_SITE_RULES':
+      return handleGetSiteRules();
+    
+    case 'GET_SITE_RULE':
+      return handleGetSiteRule(message);
+    
+    case 'SAVE_SITE_RULE':
+      return handleSaveSiteRule(message);
+    
+    case 'REMOVE_SITE_RULE':
+      return handleRemoveSiteRule(message);
+    
     default:
       throw new Error(`Unknown message type: ${message.type}`);
   }
@@ -97,6 +178,96 @@ async function handleAIAnalyzeStream(port, { word, sentence }) {
   }
 }
 
+/**
+ * 处理整句翻译请求 (流式响应)
+ * 使用百度翻译时一次性返回，使用 Gemini 时流式返回
+ */
+async function handleTranslateStream(port, { text }) {
+  try {
+    const baidu = await getBaiduCredentials(port.sender?.tab?.url);
+    if (baidu) {
+      const data = await translateWithBaidu(text, baidu.appid, baidu.key);
+      const translation = (data.trans_result || []).map(item => item.dst).join('\n');
+      port.postMessage({ type: 'COMPLETE', data: { translation, source: 'baidu' } });
+      return;
+    }
+    
+    const apiKey = await getApiKey();
+    if (!apiKey) {
+      port.postMessage({ type: 'ERROR', error: 'API Key not configured. Please set it in extension options.' });
+      return;
+    }
+    
+    const translation = await translateText(apiKey, text, (chunk) => {
+      port.postMessage({ type: 'CHUNK', text: chunk });
+    });
+    
+    port.postMessage({ type: 'COMPLETE', data: { translation, source: 'gemini' } });
+  } catch (error) {
+    console.error('[Service Worker] Translate Error:', error);
+    port.postMessage({ type: 'ERROR', error: error.message });
+  }
+}
+
+/**
+ * 处理双语阅读的段落批量翻译请求
+ * 百度翻译按行返回结果，每个段落占一行（超出单次请求长度时分多次请求）；Gemini 按 JSON 数组返回
+ */
+async function handleTranslateParagraphs({ paragraphs }, sender) {
+  const baidu = await getBaiduCredentials(sender?.tab?.url);
+  if (baidu) {
+    const lines = paragraphs.map(text => text.replace(/\s+/g, ' ').trim());
+    const translations = await translateLinesWithBaidu(lines, baidu.appid, baidu.key);
+    return { success: true, translations, source: 'baidu' };
+  }
+  
+  const apiKey = await getApiKey();
+  if (!apiKey) {
+    throw new Error('API Key not configured. Please set it in extension options.');
+  }
+  
+  const translations = await translateParagraphs(apiKey, paragraphs);
+  return { success: true, translations, source: 'gemini' };
+}
+
+/**
+ * 词典设置为百度且已配置密钥时返回百度翻译密钥，整句和段落翻译使用百度，否则使用 Gemini
+ * 网站规则指定了词典时以网站规则为准（与查词一致）
+ * @param {string} url 发起请求的页面地址
+ * @returns {Promise<{appid: string, key: string}|null>}
+ */
+async function getBaiduCredentials(url) {
+  const { settings, baiduAppId, baiduSecret } = await chrome.storage.local.get(['settings', 'baiduAppId', 'baiduSecret']);
+  const hostname = url ? new URL(url).hostname : '';
+  const rule = hostname ? findSiteRule(await getSiteRules(), hostname) : null;
+  const api = rule?.dictionaryAPI || settings?.dictionaryAPI;
+  return api === 'baidu' && baiduAppId && baiduSecret
+    ? { appid: baiduAppId, key: baiduSecret }
+    : null;
+}
+
+/**
+ * 处理句子语法解析请求 (流式响应)
+ */
+async function handleExplainStream(port, { text }) {
+  try {
+    const apiKey = await getApiKey();
+    if (!apiKey) {
+      port.postMessage({ type: 'ERROR', error: 'API Key not configured. Please set it in extension options.' });
+      return;
+    }
+    
+    const result = await explainSentence(apiKey, text, (chunk) => {
+      port.postMessage({ type: 'CHUNK', text: chunk });
+    });
+    
+    port.postMessage({ type: 'COMPLETE', data: result });
+  } catch (error) {
+    console.error('[Service Worker] Explain Error:', error);
+    port.postMessage({ type: 'ERROR', error: error.message });
+  }
+}
+
 /**
  * 处理 TTS 请求
  */
@@ -268,6 +439,205 @@ async function handleSaveApiKey({ apiKey }) {
   }
 }
 
+/**
+ * 保存单词到生词本
+ */
+async function handleSaveWord({ entry }) {
+  const saved = await saveWord(entry);
+  return { success: true, entry: saved };
+}
+
+/**
+ * 从生词本移除单词
+ */
+async function handleRemoveWord({ word }) {
+  await removeWord(word);
+  return { success: true };
+}
+
+/**
+ * 获取生词本（指定 word 时只返回该词条）
+ */
+async function handleGetVocabulary({ word } = {}) {
+  if (word) {
+    return { success: true, entry: await getVocabularyEntry(word) };
+  }
+  const vocabulary = await getVocabulary();
+  const stats = await getVocabularyStats();
+  return { success: true, vocabulary, stats };
+}
+
+/**
+ * 获取待复习单词
+ */
+async function handleGetDueWords() {
+  const words = await getDueWords();
+  return { success: true, words };
+}
+
+/**
+ * 记录复习结果
+ */
+async function handleReviewWord({ word, quality }) {
+  const entry = await reviewWord(word, quality);
+  if (!entry) {
+    return { success: false, error: '生词本中没有该单词' };
+  }
+  return { success: true, entry };
+}
+
+/**
+ * 记录查词历史
+ */
+async function handleRecordLookup({ lookup }) {
+  const entry = await recordLookup(lookup);
+  return { success: true, entry };
+}
+
+/**
+ * 获取查词历史
+ */
+async function handleGetLookupHistory() {
+  const history = await getLookupHistory();
+  return { success: true, history };
+}
+
+/**
+ * 导入生词本和查词历史（来自 JSON 导出文件）
+ */
+async function handleImportVocabulary({ vocabulary = [], history = [] }) {
+  const vocabularyCount = await mergeVocabulary(vocabulary);
+  const historyCount = await mergeLookupHistory(history);
+  return { success: true, vocabularyCount, historyCount };
+}
+
+/**
+ * 获取已掌握单词
+ */
+async function handleGetKnownWords() {
+  const words = await getKnownWords();
+  return { success: true, words };
+}
+
+/**
+ * 添加已掌握单词（来自导入的单词表）
+ */
+async function handleAddKnownWords({ words }) {
+  const added = await addKnownWords(words);
+  const total = (await getKnownWords()).length;
+  return { success: true, added, total };
+}
+
+/**
+ * 移除已掌握单词
+ */
+async function handleRemoveKnownWords({ words }) {
+  await removeKnownWords(words);
+  return { success: true };
+}
+
+/**
+ * 清空已掌握单词
+ */
+async function handleClearKnownWords() {
+  await clearKnownWords();
+  return { success: true };
+}
+
+/**
+ * 获取全部网站规则
+ */
+async function handleGetSiteRules() {
+  const rules = await getSiteRules();
+  return { success: true, rules };
+}
+
+/**
+ * 获取适用于某个网站的规则，以及插件是否在该网站运行
+ */
+async function handleGetSiteRule({ hostname }) {
+  const [rules, { settings }] = await Promise.all([getSiteRules(), chrome.storage.local.get('settings')]);
+  const rule = findSiteRule(rules, hostname);
+  return { success: true, rule, enabled: isSiteEnabled(rule, settings?.siteMode) };
+}
+
+/**
+ * 添加或修改网站规则
+ */
+async function handleSaveSiteRule({ rule, previousDomain }) {
+  const saved = await saveSiteRule(rule, previousDomain);
+  return { success: true, rule: saved };
+}
+
+/**
+ * 删除网站规则
+ */
+async function handleRemoveSiteRule({ domain }) {
+  await removeSiteRule(domain);
+  return { success: true };
+}
+
+/**
+ * 获取自定义音标
+ */
+async function handleGetPhoneticOverrides() {
+  const overrides = await getPhoneticOverrides();
+  return { success: true, overrides };
+}
+
+/**
+ * 添加或修改自定义音标
+ */
+async function handleSavePhoneticOverride({ word, ipa, previousWord }) {
+  const entry = await savePhoneticOverride(word, ipa, previousWord);
+  return { success: true, entry };
+}
+
+/**
+ * 删除自定义音标
+ */
+async function handleRemovePhoneticOverrides({ words }) {
+  await removePhoneticOverrides(words);
+  return { success: true };
+}
+
+/**
+ * 导入自定义音标
+ */
+async function handleImportPhoneticOverrides({ entries }) {
+  const imported = await importPhoneticOverrides(entries);
+  const total = Object.keys(await getPhoneticOverrides()).length;
+  return { success: true, imported, total };
+}
+
+/**
+ * 清空自定义音标
+ */
+async function handleClearPhoneticOverrides() {
+  await clearPhoneticOverrides();
+  return { success: true };
+}
+
+/**
+ * 批量获取单词音标和词频排名（所有标签页共享后台词典与 IndexedDB 缓存）
+ * 本地没有的单词在线查到后，通知请求的标签页刷新这些单词
+ */
+async function handleGetPhonetics({ words, accents }, sender) {
+  if (!Array.isArray(words)) {
+    throw new Error('Invalid words');
+  }
+  
+  const tabId = sender?.tab?.id;
+  const results = await lookupPhonetics(words, Array.isArray(accents) && accents.length ? accents : ['uk'], {
+    onlineResolved: tabId === undefined ? null : (found) => {
+      chrome.tabs.sendMessage(tabId, { type: 'PHONETICS_UPDATED', words: found }).catch(error => {
+        console.warn('[Service Worker] Failed to notify tab:', error.message);
+      });
+    }
+  });
+  return { success: true, results };
+}
+
 /**
  * 获取 API Key
  */
@@ -286,7 +656,17 @@ function getDefaultSettings() {
     enableTTS: true,
     theme: 'auto',
     fontSize: 'medium',
-    ttsSpeed: 1.0
+    ttsSpeed: 1.0,
+    knownWordsTier: 0,
+    knownWordsDisplay: 'hide',
+    annotationMode: 'all',
+    difficultyThreshold: 5000,
+    accent: 'uk',
+    phoneticRendering: 'plain',
+    ipaNotation: 'ipa',
+    bilingualReading: false,
+    articleMode: false,
+    siteMode: 'blocklist'
   };
 }
 
@@ -305,4 +685,7 @@ function arrayBufferToBase64(buffer) {
 // 安装时初始化
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[English Learning Helper] Extension installed');
+  
+  // 安装或更新后词典数据可能变化，清空持久化的音标缓存
+  clearIPACache();
 });
@@ -7,10 +7,15 @@ console.log('[English Learning Helper] Content script loaded!');
 
 // 模块状态
 let isInitialized = false;
+let isInitializing = false;
 let settings = null;
 let phoneticsModule = null;
 let dictionaryModule = null;
 let selectionModule = null;
+let bilingualModule = null;
+let readerModule = null;
+let articleExtractor = null;
+let domUtils = null;
 
 /**
  * 初始化插件
@@ -18,10 +23,11 @@ let selectionModule = null;
 async function init() {
   console.log('[English Learning Helper] init() called, isInitialized:', isInitialized);
   
-  if (isInitialized) {
+  if (isInitialized || isInitializing) {
     console.log('[English Learning Helper] Already initialized, skipping');
     return;
   }
+  isInitializing = true;
   
   try {
     console.log('[English Learning Helper] Getting settings...');
@@ -29,27 +35,59 @@ async function init() {
     settings = await getSettings();
     console.log('[English Learning Helper] Settings loaded:', settings);
     
+    // 网站规则：在该网站关闭时不加载任何模块
+    const site = await getSiteRule();
+    if (!site.enabled) {
+      console.log('[English Learning Helper] Disabled on this site by site rules');
+      return;
+    }
+    
     console.log('[English Learning Helper] Loading modules dynamically...');
     
     // 动态导入模块（解决 Chrome 扩展中 ES 模块加载问题）
     phoneticsModule = await import(chrome.runtime.getURL('src/content/modules/phonetics.js'));
     dictionaryModule = await import(chrome.runtime.getURL('src/content/modules/dictionary.js'));
     selectionModule = await import(chrome.runtime.getURL('src/content/modules/selection.js'));
+    bilingualModule = await import(chrome.runtime.getURL('src/content/modules/bilingual.js'));
+    readerModule = await import(chrome.runtime.getURL('src/content/modules/reader.js'));
+    articleExtractor = await import(chrome.runtime.getURL('src/utils/article-extractor.js'));
+    domUtils = await import(chrome.runtime.getURL('src/utils/dom.js'));
     
     console.log('[English Learning Helper] Modules imported successfully!');
     
     console.log('[English Learning Helper] Initializing modules...');
     
-    // 初始化音标模块（始终初始化，但根据设置决定是否显示）
-    console.log('[English Learning Helper] Initializing phonetics module...');
-    phoneticsModule.initPhonetics();
+    // 口音和已掌握单词需在处理页面前设置好
+    phoneticsModule.setAccent(settings.accent);
+    phoneticsModule.setPhoneticRendering(settings.phoneticRendering);
+    phoneticsModule.setNotationStyle(settings.ipaNotation);
+    phoneticsModule.setKnownWords({
+      words: await getKnownWords(),
+      tier: settings.knownWordsTier,
+      display: settings.knownWordsDisplay
+    });
+    phoneticsModule.setAnnotationMode({
+      mode: settings.annotationMode,
+      threshold: settings.difficultyThreshold,
+      lookupHistory: await getLookupHistory()
+    });
     
-    // 根据设置决定是否隐藏音标
-    if (!settings.enablePhonetics) {
-      console.log('[English Learning Helper] Phonetics disabled, hiding with CSS');
-      document.body.classList.add('elh-hide-phonetics');
+    // 网站规则限定/排除的标注区域、标注方式和词典
+    applySiteRule(site.rule);
+    
+    // 正文模式：音标、双语阅读和朗读只作用于正文
+    if (settings.articleMode) {
+      articleExtractor.setContentScope(articleExtractor.findArticleRoot());
+    }
+    
+    // 初始化音标模块（关闭时不改动页面，开启后再标注）
+    if (settings.enablePhonetics) {
+      console.log('[English Learning Helper] Initializing phonetics module...');
+      phoneticsModule.initPhonetics();
+      console.log('[English Learning Helper] Phonetics module initialized');
+    } else {
+      console.log('[English Learning Helper] Phonetics disabled in settings');
     }
-    console.log('[English Learning Helper] Phonetics module initialized');
     
     // 初始化词典模块
     if (settings.enableDictionary) {
@@ -69,13 +107,65 @@ async function init() {
       console.log('[English Learning Helper] TTS module disabled in settings');
     }
     
+    // 双语阅读（在段落下方插入译文）
+    if (settings.bilingualReading) {
+      bilingualModule.setBilingualMode(true);
+    }
+    
     isInitialized = true;
     console.log('[English Learning Helper] ✅ All modules initialized successfully!');
     
   } catch (error) {
     console.error('[English Learning Helper] ❌ Initialization failed:', error);
     console.error('[English Learning Helper] Error stack:', error.stack);
+  } finally {
+    isInitializing = false;
+  }
+}
+
+/**
+ * 在当前网站停用插件：还原标注、关闭双语阅读和阅读视图，移除弹窗和工具栏
+ * 之后网站规则重新开启时调用 init() 重新加载
+ */
+function teardown() {
+  readerModule.closeReader();
+  bilingualModule.setBilingualMode(false);
+  phoneticsModule.clearPhonetics();
+  dictionaryModule.destroyDictionary();
+  selectionModule.destroySelection();
+  articleExtractor.setContentScope(null);
+  domUtils.setAnnotationSelectors({ include: [], exclude: [] });
+  
+  phoneticsModule = null;
+  dictionaryModule = null;
+  selectionModule = null;
+  bilingualModule = null;
+  readerModule = null;
+  articleExtractor = null;
+  domUtils = null;
+  isInitialized = false;
+  
+  console.log('[English Learning Helper] Disabled on this site by site rules');
+}
+
+/**
+ * 网站规则或名单模式变化：在当前网站开启/关闭插件，或更新标注区域、标注方式和词典
+ */
+async function handleSiteRuleChange() {
+  const site = await getSiteRule();
+  
+  if (!isInitialized) {
+    if (site.enabled) init();
+    return;
+  }
+  
+  if (!site.enabled) {
+    teardown();
+    return;
   }
+  
+  applySiteRule(site.rule);
+  phoneticsModule.applyContentScope();
 }
 
 /**
@@ -91,6 +181,55 @@ async function getSettings() {
   }
 }
 
+/**
+ * 获取当前网站的规则
+ */
+async function getSiteRule() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', hostname: location.hostname });
+    return { rule: response.rule || null, enabled: response.enabled !== false };
+  } catch (error) {
+    console.error('[English Learning Helper] Failed to get site rule:', error);
+    return { rule: null, enabled: true };
+  }
+}
+
+/**
+ * 应用网站规则中的标注区域、标注方式和词典
+ * @param {object|null} rule 网站规则
+ */
+function applySiteRule(rule) {
+  domUtils.setAnnotationSelectors({ include: rule?.include || [], exclude: rule?.exclude || [] });
+  phoneticsModule.setRenderMode(rule?.renderMode);
+  dictionaryModule.setDictionaryAPI(rule?.dictionaryAPI || null);
+}
+
+/**
+ * 获取已掌握单词
+ */
+async function getKnownWords() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_KNOWN_WORDS' });
+    return response.words || [];
+  } catch (error) {
+    console.error('[English Learning Helper] Failed to get known words:', error);
+    return [];
+  }
+}
+
+/**
+ * 获取查词历史（难度模式下查过的单词始终标注）
+ */
+async function getLookupHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_LOOKUP_HISTORY' });
+    return response.history || {};
+  } catch (error) {
+    console.error('[English Learning Helper] Failed to get lookup history:', error);
+    return {};
+  }
+}
+
 /**
  * 默认设置
  */
@@ -101,7 +240,17 @@ function getDefaultSettings() {
     enableTTS: true,
     theme: 'auto',
     fontSize: 'medium',
-    ttsSpeed: 1.0
+    ttsSpeed: 1.0,
+    knownWordsTier: 0,
+    knownWordsDisplay: 'hide',
+    annotationMode: 'all',
+    difficultyThreshold: 5000,
+    accent: 'uk',
+    phoneticRendering: 'plain',
+    ipaNotation: 'ipa',
+    bilingualReading: false,
+    articleMode: false,
+    siteMode: 'blocklist'
   };
 }
 
@@ -123,6 +272,34 @@ async function handlePhoneticsToggle(enabled) {
   }
 }
 
+/**
+ * 处理正文模式切换
+ * @param {boolean} enabled 是否只处理正文
+ * @param {boolean} bilingualReading 双语阅读是否开启
+ */
+function handleArticleModeToggle(enabled, bilingualReading) {
+  // 阅读视图打开期间内容范围是阅读视图，先关闭再切换
+  readerModule.closeReader();
+  
+  articleExtractor.setContentScope(enabled ? articleExtractor.findArticleRoot() : null);
+  phoneticsModule.applyContentScope();
+  
+  // 双语阅读按新范围重新识别段落
+  if (bilingualReading) {
+    bilingualModule.setBilingualMode(false);
+    bilingualModule.setBilingualMode(true);
+  }
+}
+
+// 打开阅读视图（由弹出页发送）；在线词典查到新音标后刷新这些单词（由后台发送）
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'OPEN_READER' && readerModule) {
+    readerModule.openReader();
+  } else if (message.type === 'PHONETICS_UPDATED' && phoneticsModule) {
+    phoneticsModule.refreshPhonetics(message.words || []);
+  }
+});
+
 // 监听设置变化
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && changes.settings) {
@@ -136,9 +313,78 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
       handlePhoneticsToggle(newSettings.enablePhonetics);
     }
     
+    // 词频档位或熟词显示方式变化
+    if (phoneticsModule && (oldSettings.knownWordsTier !== newSettings.knownWordsTier ||
+        oldSettings.knownWordsDisplay !== newSettings.knownWordsDisplay)) {
+      phoneticsModule.setKnownWords({
+        tier: newSettings.knownWordsTier || 0,
+        display: newSettings.knownWordsDisplay || 'hide'
+      });
+    }
+    
+    // 口音变化：重新标注音标
+    if (phoneticsModule && oldSettings.accent !== newSettings.accent) {
+      phoneticsModule.setAccent(newSettings.accent || 'uk');
+    }
+    
+    // 音标呈现方式变化
+    if (phoneticsModule && oldSettings.phoneticRendering !== newSettings.phoneticRendering) {
+      phoneticsModule.setPhoneticRendering(newSettings.phoneticRendering || 'plain');
+    }
+    
+    // 音标体系变化
+    if (phoneticsModule && oldSettings.ipaNotation !== newSettings.ipaNotation) {
+      phoneticsModule.setNotationStyle(newSettings.ipaNotation || 'ipa');
+    }
+    
+    // 标注模式或难度阈值变化
+    if (phoneticsModule && (oldSettings.annotationMode !== newSettings.annotationMode ||
+        oldSettings.difficultyThreshold !== newSettings.difficultyThreshold)) {
+      phoneticsModule.setAnnotationMode({
+        mode: newSettings.annotationMode || 'all',
+        threshold: newSettings.difficultyThreshold
+      });
+    }
+    
+    // 双语阅读开关
+    if (bilingualModule && Boolean(oldSettings.bilingualReading) !== Boolean(newSettings.bilingualReading)) {
+      bilingualModule.setBilingualMode(Boolean(newSettings.bilingualReading));
+    }
+    
+    // 正文模式开关：重新确定内容范围
+    if (phoneticsModule && Boolean(oldSettings.articleMode) !== Boolean(newSettings.articleMode)) {
+      handleArticleModeToggle(Boolean(newSettings.articleMode), Boolean(newSettings.bilingualReading));
+    }
+    
     // 更新当前设置引用
     settings = newSettings;
   }
+  
+  // 导入或清空已掌握单词
+  if (namespace === 'local' && changes.known_words && phoneticsModule) {
+    phoneticsModule.setKnownWords({ words: changes.known_words.newValue || [] });
+  }
+  
+  // 自定义音标变化：重新获取增删改过的单词
+  if (namespace === 'local' && changes.phonetic_overrides && phoneticsModule) {
+    const oldOverrides = changes.phonetic_overrides.oldValue || {};
+    const newOverrides = changes.phonetic_overrides.newValue || {};
+    const changedWords = [...new Set([...Object.keys(oldOverrides), ...Object.keys(newOverrides)])]
+      .filter(word => oldOverrides[word]?.ipa !== newOverrides[word]?.ipa);
+    phoneticsModule.refreshPhonetics(changedWords);
+  }
+  
+  // 当前网站的规则或名单模式变化：开启/关闭插件，或更新标注区域、标注方式和词典
+  const siteModeChanged = changes.settings &&
+    changes.settings.oldValue?.siteMode !== changes.settings.newValue?.siteMode;
+  if (namespace === 'local' && (changes.site_rules || siteModeChanged)) {
+    handleSiteRuleChange();
+  }
+  
+  // 查词后更新难度判断
+  if (namespace === 'local' && changes.lookup_history && phoneticsModule) {
+    phoneticsModule.setAnnotationMode({ lookupHistory: changes.lookup_history.newValue || {} });
+  }
 });
 
 // 等待 DOM 准备就绪后初始化
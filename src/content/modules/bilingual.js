@@ -0,0 +1,269 @@
+/**
+ * 双语阅读模块
+ * 识别页面中的英文段落，进入视口时批量翻译，并把译文插在段落下方
+ */
+
+import { createElement, shouldSkipNode, PARAGRAPH_TAGS, PLUGIN_PREFIX } from '../../utils/dom.js';
+import { getContentScope } from '../../utils/article-extractor.js';
+
+// 提前翻译即将进入视口的段落
+const VIEWPORT_MARGIN = '300px';
+
+// 段落长度范围（太短的多为按钮、标签等界面文字）
+const MIN_PARAGRAPH_LENGTH = 20;
+const MAX_PARAGRAPH_LENGTH = 5000;
+
+// 每次请求最多翻译的段落数和字符数
+const BATCH_MAX_PARAGRAPHS = 8;
+const BATCH_MAX_CHARS = 4000;
+
+// 等待更多段落进入视口后再一起翻译
+const BATCH_DELAY = 300;
+
+// 页面内容变化后重新识别段落的延迟
+const SCAN_DELAY = 1000;
+
+// 译文放在元素内部的段落（放在后面会破坏列表和表格结构）
+const INLINE_TRANSLATION_TAGS = new Set(['LI', 'TD', 'DD']);
+
+// 段落选择器
+const PARAGRAPH_SELECTOR = [...PARAGRAPH_TAGS].map(tag => tag.toLowerCase()).join(', ');
+
+// 模块状态
+let enabled = false;
+let viewportObserver = null;
+let mutationObserver = null;
+let scanTimer = null;
+let batchTimer = null;
+let isTranslating = false;
+
+// 等待翻译的段落
+let pendingParagraphs = [];
+
+// 已识别的段落 -> 译文元素（尚未进入视口时为 null）
+const paragraphs = new Map();
+
+/**
+ * 开启或关闭双语阅读
+ * @param {boolean} enable 是否开启
+ */
+export function setBilingualMode(enable) {
+  if (enable) {
+    enableBilingual();
+  } else {
+    disableBilingual();
+  }
+}
+
+/**
+ * 开启双语阅读：识别段落并在进入视口时翻译
+ */
+function enableBilingual() {
+  if (enabled) return;
+  enabled = true;
+  
+  viewportObserver = new IntersectionObserver(handleIntersection, {
+    root: null,
+    rootMargin: `${VIEWPORT_MARGIN} 0px ${VIEWPORT_MARGIN} 0px`,
+    threshold: 0
+  });
+  
+  // 动态加载的内容（无限滚动、单页应用）
+  mutationObserver = new MutationObserver(() => {
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(scanParagraphs, SCAN_DELAY);
+  });
+  mutationObserver.observe(document.body, { childList: true, subtree: true });
+  
+  document.addEventListener('click', handleToggleClick);
+  
+  scanParagraphs();
+  console.log('[Bilingual] Enabled');
+}
+
+/**
+ * 关闭双语阅读：停止翻译并移除页面上的译文
+ */
+function disableBilingual() {
+  if (!enabled) return;
+  enabled = false;
+  
+  viewportObserver.disconnect();
+  mutationObserver.disconnect();
+  viewportObserver = null;
+  mutationObserver = null;
+  clearTimeout(scanTimer);
+  clearTimeout(batchTimer);
+  document.removeEventListener('click', handleToggleClick);
+  
+  paragraphs.forEach(block => block?.remove());
+  paragraphs.clear();
+  pendingParagraphs = [];
+  console.log('[Bilingual] Disabled');
+}
+
+/**
+ * 识别页面中尚未处理的英文段落，交给视口观察器（开启正文模式时只识别正文）
+ */
+function scanParagraphs() {
+  if (!enabled) return;
+  
+  getContentScope().querySelectorAll(PARAGRAPH_SELECTOR).forEach(element => {
+    if (paragraphs.has(element) || shouldSkipNode(element)) return;
+    
+    // 只翻译最内层的段落，避免外层容器和内部段落重复翻译
+    if (element.querySelector(PARAGRAPH_SELECTOR)) return;
+    
+    if (!isEnglishParagraph(getParagraphText(element))) return;
+    
+    paragraphs.set(element, null);
+    viewportObserver.observe(element);
+  });
+}
+
+/**
+ * 获取段落文字（不含插件插入的音标和译文）
+ * @param {HTMLElement} element 段落元素
+ * @returns {string}
+ */
+function getParagraphText(element) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll(`.${PLUGIN_PREFIX}phonetic, .${PLUGIN_PREFIX}bilingual`).forEach(node => node.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 判断是否为需要翻译的英文段落
+ * @param {string} text 段落文字
+ * @returns {boolean}
+ */
+function isEnglishParagraph(text) {
+  if (text.length < MIN_PARAGRAPH_LENGTH || text.length > MAX_PARAGRAPH_LENGTH) return false;
+  
+  // 至少三个单词，且以英文字母为主
+  const letters = text.match(/[a-zA-Z]/g) || [];
+  return text.split(' ').length >= 3 && letters.length / text.length > 0.5;
+}
+
+/**
+ * 段落进入视口：插入占位译文并加入翻译队列
+ */
+function handleIntersection(entries) {
+  entries.forEach(entry => {
+    if (!entry.isIntersecting) return;
+    
+    const element = entry.target;
+    viewportObserver.unobserve(element);
+    if (!paragraphs.has(element) || paragraphs.get(element)) return;
+    
+    const block = createTranslationBlock();
+    if (INLINE_TRANSLATION_TAGS.has(element.tagName)) {
+      element.appendChild(block);
+    } else {
+      element.after(block);
+    }
+    paragraphs.set(element, block);
+    pendingParagraphs.push(element);
+  });
+  
+  clearTimeout(batchTimer);
+  batchTimer = setTimeout(translatePending, BATCH_DELAY);
+}
+
+/**
+ * 创建译文元素
+ * @returns {HTMLElement}
+ */
+function createTranslationBlock() {
+  const block = createElement('div', 'bilingual', { lang: 'zh-CN' });
+  block.append(
+    createElement('button', 'bilingual-toggle', { textContent: '译', title: '隐藏译文' }),
+    createElement('div', 'bilingual-text', { textContent: '翻译中...' })
+  );
+  block.classList.add(`${PLUGIN_PREFIX}bilingual-loading`);
+  return block;
+}
+
+/**
+ * 点击「译」按钮显示或隐藏该段译文
+ * @param {MouseEvent} e 事件
+ */
+function handleToggleClick(e) {
+  const toggle = e.target.closest(`.${PLUGIN_PREFIX}bilingual-toggle`);
+  if (!toggle) return;
+  
+  e.preventDefault();
+  const block = toggle.closest(`.${PLUGIN_PREFIX}bilingual`);
+  const collapsed = block.classList.toggle(`${PLUGIN_PREFIX}bilingual-collapsed`);
+  toggle.title = collapsed ? '显示译文' : '隐藏译文';
+}
+
+/**
+ * 按批翻译队列中的段落，一次只发一个请求
+ */
+async function translatePending() {
+  if (isTranslating || !enabled) return;
+  
+  // 取出一批段落（数量和字数都有上限）
+  const batch = [];
+  let chars = 0;
+  while (pendingParagraphs.length > 0 && batch.length < BATCH_MAX_PARAGRAPHS) {
+    const element = pendingParagraphs[0];
+    const text = getParagraphText(element);
+    if (batch.length > 0 && chars + text.length > BATCH_MAX_CHARS) break;
+    pendingParagraphs.shift();
+    batch.push({ element, text });
+    chars += text.length;
+  }
+  if (batch.length === 0) return;
+  
+  isTranslating = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'TRANSLATE_PARAGRAPHS',
+      paragraphs: batch.map(item => item.text)
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Translation failed');
+    }
+    
+    batch.forEach(({ element }, i) => {
+      showTranslation(element, response.translations[i] || '', response.source);
+    });
+  } catch (error) {
+    console.error('[Bilingual] Translation failed:', error);
+    batch.forEach(({ element }) => showTranslation(element, null, null, error.message));
+  } finally {
+    isTranslating = false;
+  }
+  
+  if (pendingParagraphs.length > 0) {
+    translatePending();
+  }
+}
+
+/**
+ * 显示段落译文
+ * @param {HTMLElement} element 段落元素
+ * @param {string|null} translation 译文，失败时为 null
+ * @param {string|null} source 翻译来源 ('baidu' | 'gemini')
+ * @param {string} error 失败原因
+ */
+function showTranslation(element, translation, source, error = '') {
+  // 翻译期间关闭了双语阅读
+  const block = paragraphs.get(element);
+  if (!block) return;
+  
+  const text = block.querySelector(`.${PLUGIN_PREFIX}bilingual-text`);
+  block.classList.remove(`${PLUGIN_PREFIX}bilingual-loading`);
+  block.classList.toggle(`${PLUGIN_PREFIX}bilingual-error`, translation === null);
+  
+  if (translation === null) {
+    text.textContent = '翻译失败';
+    text.title = error;
+    return;
+  }
+  
+  text.textContent = translation;
+  text.title = source === 'baidu' ? '百度翻译' : 'Gemini';
+}
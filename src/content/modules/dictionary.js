@@ -3,42 +3,102 @@
  * 处理单词点击事件，显示词典弹窗
  */
 
-import { lookupWord } from '../../api/dictionary.js';
-import { createElement, getAbsolutePosition, PLUGIN_PREFIX } from '../../utils/dom.js';
+import { lookupWord, lookupWordWithLemma } from '../../api/dictionary.js';
+import { createElement, getAbsolutePosition, isParagraphElement, shouldSkipNode, PLUGIN_PREFIX } from '../../utils/dom.js';
 import { playAudio, speakWithWebSpeech } from '../../utils/audio.js';
+import { requestWordIPA, requestWordPhonetic } from '../../utils/ipa-client.js';
+import { convertNotation, convertPhraseNotation } from '../../utils/ipa-notation.js';
+import { getIrregularLemmas } from '../../utils/word-inflection.js';
+import { findPhrasesAt } from '../../utils/phrase-detector.js';
+import { tokenizeWords } from '../../utils/word-tokenizer.js';
+import { ACCENT_LABELS, getDisplayAccents, getPrimaryAccent, getSpeechLang } from '../../utils/accent.js';
 
 // 弹窗元素
 let popupElement = null;
 let currentWord = null;
 
+// 当前弹窗的词典数据（用于保存生词）
+let currentWordData = null;
+
+// 网站规则指定的词典（null 表示使用全局设置）
+let siteDictionaryAPI = null;
+
+// 注册在 document 上的监听（destroyDictionary() 时一并移除）
+let documentListeners = null;
+
+// 词形关系的显示文字
+const RELATION_LABELS = {
+  past: 'past tense',
+  'past-participle': 'past participle',
+  'present-participle': 'present participle',
+  plural: 'plural',
+  'third-person': 'third person singular',
+  comparative: 'comparative',
+  superlative: 'superlative'
+};
+
+// 识别短语时向前后各查看的单词数
+const PHRASE_CONTEXT_WORDS = 5;
+
+// 单词之间出现这些标点时不再组成短语
+const PHRASE_BOUNDARY_PATTERN = /[.,;:!?()"“”…—–]/;
+
+/**
+ * 设置当前网站使用的词典
+ * @param {string|null} api 'freedict' | 'baidu'，null 表示使用全局设置
+ */
+export function setDictionaryAPI(api) {
+  siteDictionaryAPI = api || null;
+}
+
 /**
  * 初始化词典模块
  */
 export function initDictionary() {
+  documentListeners = new AbortController();
+  const { signal } = documentListeners;
+  
   // 创建弹窗元素
   createPopupElement();
   
   // 监听单词点击（Alt + 单击查词）
-  document.addEventListener('click', handleWordClick);
+  document.addEventListener('click', handleWordClick, { signal });
   
-  // 点击其他区域关闭弹窗
+  // 点击其他区域关闭弹窗（按事件路径判断，弹窗内被重新渲染移除的按钮也算在弹窗内）
+  // Alt + 单击由 handleWordClick 处理（未标注的文字也可查词）
   document.addEventListener('click', (e) => {
-    if (popupElement && !popupElement.contains(e.target) && 
+    if (popupElement && !e.altKey && !e.composedPath().includes(popupElement) && 
         !e.target.closest(`.${PLUGIN_PREFIX}word`)) {
       hidePopup();
     }
-  });
+  }, { signal });
   
   // ESC 键关闭弹窗
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
       hidePopup();
     }
-  });
+  }, { signal });
 
   // 移动端/触摸适配：监听文本选择
   // 当用户选中文本时，显示一个小的悬浮按钮"🔍"
-  document.addEventListener('selectionchange', handleSelectionChange);
+  document.addEventListener('selectionchange', handleSelectionChange, { signal });
+}
+
+/**
+ * 停用词典模块：移除弹窗、查词按钮和页面监听（网站规则关闭插件时调用）
+ * 之后调用 initDictionary() 可重新启用
+ */
+export function destroyDictionary() {
+  documentListeners?.abort();
+  documentListeners = null;
+  clearTimeout(selectionTimeout);
+  
+  hidePopup();
+  popupElement?.remove();
+  popupElement = null;
+  touchButton?.remove();
+  touchButton = null;
 }
 
 // 触摸查词按钮元素
@@ -156,10 +216,16 @@ function createPopupElement() {
       <button class="${PLUGIN_PREFIX}popup-close" title="关闭">×</button>
     </div>
     <div class="${PLUGIN_PREFIX}popup-content">
+      <div class="${PLUGIN_PREFIX}popup-phrase"></div>
+      <div class="${PLUGIN_PREFIX}popup-lemma"></div>
       <div class="${PLUGIN_PREFIX}popup-loading">加载中...</div>
       <div class="${PLUGIN_PREFIX}popup-meanings"></div>
     </div>
     <div class="${PLUGIN_PREFIX}popup-footer">
+      <button class="${PLUGIN_PREFIX}popup-save-btn" title="保存到生词本">
+        <span class="${PLUGIN_PREFIX}save-icon">☆</span>
+        <span class="${PLUGIN_PREFIX}save-text">生词本</span>
+      </button>
       <button class="${PLUGIN_PREFIX}popup-ai-btn">
         <span class="${PLUGIN_PREFIX}ai-icon">✨</span>
         AI 语境分析
@@ -177,6 +243,39 @@ function createPopupElement() {
   popupElement.querySelector(`.${PLUGIN_PREFIX}popup-close`).addEventListener('click', hidePopup);
   popupElement.querySelector(`.${PLUGIN_PREFIX}popup-audio`).addEventListener('click', handleAudioClick);
   popupElement.querySelector(`.${PLUGIN_PREFIX}popup-ai-btn`).addEventListener('click', handleAIAnalysis);
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-save-btn`).addEventListener('click', handleSaveWord);
+  
+  // 同时显示英美音时，点击对应音标朗读该口音
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phonetic`).addEventListener('click', (e) => {
+    const accentLabel = e.target.closest(`.${PLUGIN_PREFIX}popup-accent`);
+    if (!accentLabel) return;
+    playWordAudio(accentLabel.dataset.accent);
+  });
+  
+  // 点击原形查看原形词条
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-lemma`).addEventListener('click', (e) => {
+    const link = e.target.closest(`.${PLUGIN_PREFIX}popup-lemma-link`);
+    if (!link) return;
+    showLemma(link.dataset.lemma);
+  });
+  
+  // 点击短语/原单词切换查询对象
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phrase`).addEventListener('click', (e) => {
+    const link = e.target.closest(`.${PLUGIN_PREFIX}popup-phrase-link`);
+    if (!link) return;
+    if (link.dataset.phrase) {
+      showPhrase(link.dataset.phrase);
+    } else {
+      showLemma(currentWord.clickedWord);
+    }
+  });
+  
+  // 点击释义选择要保存到生词本的义项
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`).addEventListener('click', (e) => {
+    const definition = e.target.closest(`.${PLUGIN_PREFIX}definition`);
+    if (!definition) return;
+    selectDefinition(definition);
+  });
   
   // 拖拽功能
   const header = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-header`);
@@ -205,11 +304,11 @@ function createPopupElement() {
     
     popupElement.style.left = `${newLeft}px`;
     popupElement.style.top = `${newTop}px`;
-  });
+  }, { signal: documentListeners.signal });
   
   document.addEventListener('mouseup', () => {
     isDragging = false;
-  });
+  }, { signal: documentListeners.signal });
 }
 
 /**
@@ -217,31 +316,98 @@ function createPopupElement() {
  * @param {Event} e 事件
  */
 async function handleWordClick(e) {
-  const wordElement = e.target.closest(`.${PLUGIN_PREFIX}word`);
-  if (!wordElement) return;
-  
   // 只有按住 Alt 键时才触发查词，否则保持原有行为（如链接跳转）
-  if (!e.altKey) {
+  if (!e.altKey || e.composedPath().includes(popupElement)) {
+    return;
+  }
+  
+  // 已标注的单词直接读取，未标注的文字（音标关闭或区域被排除）按点击位置识别单词
+  const wordElement = e.target.closest(`.${PLUGIN_PREFIX}word`);
+  const target = wordElement ? getAnnotatedWord(wordElement) : getWordAtPoint(e.clientX, e.clientY);
+  if (!target) {
+    hidePopup();
     return;
   }
   
   e.preventDefault();
   e.stopPropagation();
   
+  currentWord = {
+    word: target.word,
+    element: target.element,
+    sentence: getParagraphContext(target.element),  // 使用段落上下文
+    clickedWord: target.word,
+    phrases: findPhrasesAt(target.words, target.index)  // 所点单词所在的短语动词/习语，作为备选查询
+  };
+  
+  showPopup(target.rect, target.word);
+  loadWordData(target.word);
+}
+
+/**
+ * 获取已标注单词的查询信息
+ * @param {HTMLElement} wordElement 单词元素
+ * @returns {{word: string, element: HTMLElement, rect: DOMRect, words: string[], index: number}|null}
+ */
+function getAnnotatedWord(wordElement) {
   const word = wordElement.dataset.word;
-  if (!word) return;
+  if (!word) return null;
+  
+  const { words, index } = collectNeighbourWords(wordElement);
+  return { word, element: wordElement, rect: wordElement.getBoundingClientRect(), words, index };
+}
+
+/**
+ * 识别点击位置下未标注文字中的单词
+ * @param {number} x 视口坐标
+ * @param {number} y 视口坐标
+ * @returns {{word: string, element: HTMLElement, rect: DOMRect, words: string[], index: number}|null}
+ */
+function getWordAtPoint(x, y) {
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    node = position?.offsetNode;
+    offset = position?.offset ?? 0;
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    node = range?.startContainer;
+    offset = range?.startOffset ?? 0;
+  }
+  if (!node || node.nodeType !== Node.TEXT_NODE || shouldSkipNode(node)) return null;
   
-  // 获取单词位置
-  const rect = wordElement.getBoundingClientRect();
+  const text = node.textContent;
+  const tokens = tokenizeWords(text);
+  const position = tokens.findIndex(token => offset >= token.index && offset <= token.index + token.text.length);
+  if (position === -1) return null;
   
-  currentWord = {
-    word,
-    element: wordElement,
-    sentence: getParagraphContext(wordElement)  // 使用段落上下文
-  };
+  // 光标位置可能落在点击点最近的单词边缘，确认点击点在单词范围内
+  const token = tokens[position];
+  const range = document.createRange();
+  range.setStart(node, token.index);
+  range.setEnd(node, token.index + token.text.length);
+  const rect = range.getBoundingClientRect();
+  if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) return null;
   
-  showPopup(rect, word);
-  loadWordData(word);
+  // 同一文本节点中前后相连的单词（遇到标点即停止），用于识别短语
+  const isJoined = (left, right) => !PHRASE_BOUNDARY_PATTERN.test(text.slice(left.index + left.text.length, right.index));
+  let start = position;
+  while (start > 0 && position - start < PHRASE_CONTEXT_WORDS && isJoined(tokens[start - 1], tokens[start])) {
+    start--;
+  }
+  let end = position;
+  while (end < tokens.length - 1 && end - position < PHRASE_CONTEXT_WORDS && isJoined(tokens[end], tokens[end + 1])) {
+    end++;
+  }
+  
+  return {
+    word: token.key,
+    element: node.parentElement,
+    rect,
+    words: tokens.slice(start, end + 1).map(item => item.key),
+    index: position - start
+  };
 }
 
 /**
@@ -252,12 +418,7 @@ async function handleWordClick(e) {
 function showPopup(rect, word) {
   if (!popupElement) return;
   
-  // 设置初始内容
-  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-word`).textContent = word;
-  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phonetic`).textContent = '';
-  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`).innerHTML = '';
-  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'block';
-  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-ai-result`).style.display = 'none';
+  resetPopupContent(word);
   
   // 显示弹窗
   popupElement.classList.add(`${PLUGIN_PREFIX}popup-visible`);
@@ -281,6 +442,183 @@ function showPopup(rect, word) {
   popupElement.style.left = `${left}px`;
 }
 
+/**
+ * 重置弹窗内容为指定单词
+ * @param {string} word 单词
+ */
+function resetPopupContent(word) {
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-word`).textContent = word;
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phonetic`).textContent = '';
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`).innerHTML = '';
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'block';
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-ai-result`).style.display = 'none';
+  renderPhraseOptions(word);
+  renderLemmaRelations(word);
+  currentWordData = null;
+  updateSaveButton(false);
+  refreshSavedState(word);
+}
+
+/**
+ * 显示词形与原形的关系，如 went 显示 "past tense of go"
+ * 不规则词形立即显示，规则变化在查到原形后显示（algorithms → plural of algorithm）
+ * @param {string} word 单词
+ * @param {object|null} lemma 查到的原形 {word, relation}
+ */
+function renderLemmaRelations(word, lemma = null) {
+  const container = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-lemma`);
+  container.innerHTML = '';
+  
+  const entries = getIrregularLemmas(word.toLowerCase());
+  if (entries.length === 0 && lemma) {
+    entries.push({ lemma: lemma.word, relation: lemma.relation });
+  }
+  
+  // 同一原形的多种关系合并显示："past tense and past participle of bring"
+  const relations = new Map();
+  for (const { lemma: base, relation } of entries) {
+    relations.set(base, [...(relations.get(base) || []), RELATION_LABELS[relation]]);
+  }
+  
+  relations.forEach((labels, base) => {
+    const line = createElement('div', 'popup-lemma-item', { textContent: `${labels.join(' and ')} of ` });
+    const link = createElement('button', 'popup-lemma-link', {
+      textContent: base,
+      'data-lemma': base,
+      title: `查看 ${base}`
+    });
+    line.appendChild(link);
+    container.appendChild(line);
+  });
+  
+  container.style.display = relations.size > 0 ? '' : 'none';
+}
+
+/**
+ * 在弹窗中切换到原形词条
+ * @param {string} lemma 原形
+ */
+function showLemma(lemma) {
+  if (!popupElement || !currentWord) return;
+  
+  currentWord = { ...currentWord, word: lemma, ai: null };
+  resetPopupContent(lemma);
+  loadWordData(lemma);
+}
+
+/**
+ * 收集所点单词前后同一句中的单词（遇到标点即停止），用于识别短语
+ * @param {HTMLElement} wordElement 单词元素
+ * @returns {{words: string[], index: number}} 单词及所点单词的位置
+ */
+function collectNeighbourWords(wordElement) {
+  const block = wordElement.closest('p, li, td, dd, blockquote, h1, h2, h3, h4, h5, h6') || wordElement.parentElement;
+  const spans = [...block.querySelectorAll(`.${PLUGIN_PREFIX}word`)];
+  const position = spans.indexOf(wordElement);
+  
+  // 两个单词之间的文字（不含单词内的音标）
+  const range = document.createRange();
+  const isJoined = (left, right) => {
+    range.setStartAfter(left);
+    range.setEndBefore(right);
+    return !PHRASE_BOUNDARY_PATTERN.test(range.toString());
+  };
+  
+  let start = position;
+  while (start > 0 && position - start < PHRASE_CONTEXT_WORDS && isJoined(spans[start - 1], spans[start])) {
+    start--;
+  }
+  let end = position;
+  while (end < spans.length - 1 && end - position < PHRASE_CONTEXT_WORDS && isJoined(spans[end], spans[end + 1])) {
+    end++;
+  }
+  
+  return {
+    words: spans.slice(start, end + 1).map(span => span.dataset.word),
+    index: position - start
+  };
+}
+
+/**
+ * 显示可切换的查询对象：查看单词时列出识别到的短语，查看短语时可返回所点单词
+ * @param {string} word 当前显示的单词或短语
+ */
+function renderPhraseOptions(word) {
+  const container = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phrase`);
+  container.innerHTML = '';
+  
+  const phrases = currentWord?.phrases || [];
+  if (phrases.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  const isPhrase = phrases.some(match => match.phrase === word);
+  container.appendChild(createElement('span', 'popup-phrase-label', { textContent: isPhrase ? '单词：' : '短语：' }));
+  
+  const options = isPhrase ? [{ text: currentWord.clickedWord }] : phrases;
+  for (const option of options) {
+    const link = createElement('button', 'popup-phrase-link', {
+      textContent: option.phrase || option.text,
+      title: option.phrase ? `查看短语 "${option.text}"` : `查看 ${option.text}`
+    });
+    if (option.phrase) link.dataset.phrase = option.phrase;
+    container.appendChild(link);
+  }
+  
+  container.style.display = '';
+}
+
+/**
+ * 在弹窗中切换到短语词条
+ * @param {string} phrase 短语原形，如 "give up"
+ */
+function showPhrase(phrase) {
+  const match = currentWord?.phrases.find(candidate => candidate.phrase === phrase);
+  if (!popupElement || !match) return;
+  
+  currentWord = { ...currentWord, word: phrase, ai: null };
+  resetPopupContent(phrase);
+  loadPhraseData(match);
+}
+
+/**
+ * 加载短语数据
+ * 先显示内置释义，词典 API 收录该短语时附上词典释义
+ * @param {object} match findPhrasesAt() 返回的短语
+ */
+async function loadPhraseData(match) {
+  const { phrase } = match;
+  
+  // 词典查询失败时仍显示内置释义
+  let data = null;
+  let failed = false;
+  try {
+    data = await lookupWord(phrase, siteDictionaryAPI);
+  } catch (error) {
+    console.error('[Dictionary] Error loading phrase data:', error);
+    failed = true;
+  }
+  
+  // 弹窗已切换到其他单词
+  if (currentWord?.word !== phrase) return;
+  
+  const bundled = { partOfSpeech: match.type, definitions: [{ definition: match.definition, example: '' }] };
+  const meanings = [bundled, ...(data?.meanings || [])];
+  const entry = data || { word: phrase, phonetic: '', phoneticUK: '', phoneticUS: '', audioUK: '', audioUS: '' };
+  currentWordData = { ...entry, word: phrase, meanings };
+  
+  renderPopupPhonetics(phrase, currentWordData);
+  renderMeanings(meanings);
+  popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'none';
+  if (failed) {
+    popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`).insertAdjacentHTML('beforeend',
+      `<p class="${PLUGIN_PREFIX}error">词典加载失败，仅显示内置释义</p>`);
+  }
+  
+  recordLookup(phrase, currentWordData);
+}
+
 /**
  * 隐藏弹窗
  */
@@ -288,34 +626,44 @@ function hidePopup() {
   if (popupElement) {
     popupElement.classList.remove(`${PLUGIN_PREFIX}popup-visible`);
     currentWord = null;
+    currentWordData = null;
   }
 }
 
 /**
  * 加载单词数据
+ * 同时查询词形还原后的原形，变形词没有词条时显示原形的释义
  * @param {string} word 单词
  */
 async function loadWordData(word) {
   try {
-    const data = await lookupWord(word);
+    const { data, lemma } = await lookupWordWithLemma(word, siteDictionaryAPI);
     
-    if (!data) {
+    // 弹窗已切换到其他单词
+    if (currentWord?.word !== word) return;
+    
+    if (!data && !lemma) {
       popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'none';
       popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`).innerHTML = 
         `<p class="${PLUGIN_PREFIX}no-result">未找到该单词的释义</p>`;
       return;
     }
     
-    // 更新音标
-    popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phonetic`).textContent = data.phonetic || '';
+    // 原形释义附在变形词释义之后（词典直接返回原形词条时不重复）
+    const lemmaMeanings = lemma && lemma.data.word !== data?.word ? lemma.data.meanings : [];
+    const entry = data || { ...lemma.data, word, phonetic: '', phoneticUK: '', phoneticUS: '', audioUK: '', audioUS: '' };
+    currentWordData = { ...entry, meanings: [...(data?.meanings || []), ...lemmaMeanings] };
     
-    // 存储音频 URL
-    popupElement.dataset.audioUrl = data.audioUrl || '';
+    // 更新音标
+    renderPopupPhonetics(word, entry);
     
-    // 渲染词义
-    renderMeanings(data.meanings);
+    // 渲染词形关系和词义
+    renderLemmaRelations(word, lemma);
+    renderMeanings(data?.meanings || [], lemmaMeanings.length > 0 ? { word: lemma.word, meanings: lemmaMeanings } : null);
     
     popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'none';
+    
+    recordLookup(word, currentWordData);
   } catch (error) {
     console.error('[Dictionary] Error loading word data:', error);
     popupElement.querySelector(`.${PLUGIN_PREFIX}popup-loading`).style.display = 'none';
@@ -327,10 +675,30 @@ async function loadWordData(word) {
 /**
  * 渲染词义
  * @param {Array} meanings 词义数组
+ * @param {object|null} lemma 原形的释义 {word, meanings}，显示在原形标题下
  */
-function renderMeanings(meanings) {
+function renderMeanings(meanings, lemma = null) {
   const container = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-meanings`);
   
+  let html = renderMeaningGroups(meanings);
+  if (lemma) {
+    html += `<div class="${PLUGIN_PREFIX}lemma-heading">${lemma.word}</div>`;
+    html += renderMeaningGroups(lemma.meanings);
+  }
+  
+  container.innerHTML = html;
+  
+  // 默认选中第一条释义
+  const first = container.querySelector(`.${PLUGIN_PREFIX}definition`);
+  if (first) selectDefinition(first);
+}
+
+/**
+ * 生成词义分组的 HTML
+ * @param {Array} meanings 词义数组
+ * @returns {string}
+ */
+function renderMeaningGroups(meanings) {
   let html = '';
   for (const meaning of meanings) {
     html += `
@@ -341,7 +709,7 @@ function renderMeanings(meanings) {
     
     for (const def of meaning.definitions) {
       html += `
-        <li class="${PLUGIN_PREFIX}definition">
+        <li class="${PLUGIN_PREFIX}definition" title="点击选择保存到生词本的释义">
           <div class="${PLUGIN_PREFIX}def-text">${def.definition}</div>
           ${def.example ? `<div class="${PLUGIN_PREFIX}def-example">"${def.example}"</div>` : ''}
         </li>
@@ -350,30 +718,240 @@ function renderMeanings(meanings) {
     
     html += '</ul></div>';
   }
+  return html;
+}
+
+/**
+ * 选中一条释义
+ * @param {HTMLElement} definitionElement 释义元素
+ */
+function selectDefinition(definitionElement) {
+  popupElement.querySelectorAll(`.${PLUGIN_PREFIX}definition-selected`).forEach(el => {
+    el.classList.remove(`${PLUGIN_PREFIX}definition-selected`);
+  });
+  definitionElement.classList.add(`${PLUGIN_PREFIX}definition-selected`);
+}
+
+/**
+ * 获取当前选中的释义
+ * @returns {{definition: string, partOfSpeech: string}}
+ */
+function getSelectedDefinition() {
+  const selected = popupElement.querySelector(`.${PLUGIN_PREFIX}definition-selected`);
+  if (!selected) {
+    return { definition: '', partOfSpeech: '' };
+  }
+  const group = selected.closest(`.${PLUGIN_PREFIX}meaning-group`);
+  return {
+    definition: selected.querySelector(`.${PLUGIN_PREFIX}def-text`)?.textContent.trim() || '',
+    partOfSpeech: group?.querySelector(`.${PLUGIN_PREFIX}part-of-speech`)?.textContent.trim() || ''
+  };
+}
+
+/**
+ * 更新生词本按钮状态
+ * @param {boolean} saved 是否已保存
+ */
+function updateSaveButton(saved) {
+  const btn = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-save-btn`);
+  btn.classList.toggle(`${PLUGIN_PREFIX}popup-save-btn-saved`, saved);
+  btn.querySelector(`.${PLUGIN_PREFIX}save-icon`).textContent = saved ? '★' : '☆';
+  btn.querySelector(`.${PLUGIN_PREFIX}save-text`).textContent = saved ? '已收藏' : '生词本';
+  btn.title = saved ? '从生词本移除' : '保存到生词本';
+}
+
+/**
+ * 查询单词是否已在生词本中
+ * @param {string} word 单词
+ */
+async function refreshSavedState(word) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_VOCABULARY', word });
+    if (currentWord?.word === word) {
+      updateSaveButton(!!response?.entry);
+    }
+  } catch (error) {
+    console.error('[Dictionary] Failed to check vocabulary:', error);
+  }
+}
+
+/**
+ * 处理保存/移除生词
+ */
+async function handleSaveWord() {
+  if (!currentWord) return;
+  
+  const btn = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-save-btn`);
+  const word = currentWord.word;
+  btn.disabled = true;
+  
+  try {
+    if (btn.classList.contains(`${PLUGIN_PREFIX}popup-save-btn-saved`)) {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_WORD', word });
+      updateSaveButton(false);
+      return;
+    }
+    
+    const { definition, partOfSpeech } = getSelectedDefinition();
+    const ipa = await requestWordIPA(word, getPrimaryAccent()) || currentWordData?.phonetic || '';
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_WORD',
+      entry: {
+        word,
+        ipa,
+        definition,
+        partOfSpeech,
+        definitions: flattenDefinitions(currentWordData?.meanings),
+        ai: currentWord.ai || null,
+        context: currentWord.sentence || '',
+        url: location.href,
+        title: document.title
+      }
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'Save failed');
+    }
+    updateSaveButton(true);
+  } catch (error) {
+    console.error('[Dictionary] Failed to save word:', error);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * 将词义展开为扁平的释义列表
+ * @param {Array} meanings 词义数组
+ * @returns {Array<{partOfSpeech: string, definition: string, example: string|null}>}
+ */
+function flattenDefinitions(meanings) {
+  if (!Array.isArray(meanings)) return [];
+  return meanings.flatMap(meaning => (meaning.definitions || []).map(def => ({
+    partOfSpeech: meaning.partOfSpeech || '',
+    definition: def.definition || '',
+    example: def.example || null
+  })));
+}
+
+/**
+ * 记录查词历史（失败不影响查词）
+ * @param {string} word 单词
+ * @param {object} data 词典数据
+ */
+async function recordLookup(word, data) {
+  try {
+    const ipa = await requestWordIPA(word, getPrimaryAccent()) || data.phonetic || '';
+    await chrome.runtime.sendMessage({
+      type: 'RECORD_LOOKUP',
+      lookup: {
+        word,
+        ipa,
+        definition: data.meanings?.[0]?.definitions?.[0]?.definition || '',
+        context: currentWord?.word === word ? currentWord.sentence || '' : '',
+        url: location.href,
+        title: document.title
+      }
+    });
+  } catch (error) {
+    console.error('[Dictionary] Failed to record lookup:', error);
+  }
+}
+
+/**
+ * AI 分析完成后，若单词已在生词本中则同步保存分析结果
+ * @param {object} aiData AI 分析结果
+ */
+async function syncAIResultToVocabulary(aiData) {
+  if (!currentWord || aiData?.parseError) return;
   
-  container.innerHTML = html;
+  currentWord.ai = aiData;
+  const btn = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-save-btn`);
+  if (!btn.classList.contains(`${PLUGIN_PREFIX}popup-save-btn-saved`)) return;
+  
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'SAVE_WORD',
+      entry: { word: currentWord.word, ai: aiData }
+    });
+  } catch (error) {
+    console.error('[Dictionary] Failed to save AI analysis:', error);
+  }
+}
+
+/**
+ * 渲染弹窗头部音标（按口音设置显示英音、美音或两者）
+ * 优先使用本地词典，与页面标注保持一致，缺失时使用词典 API 返回的音标，
+ * 都没有时显示按拼写推测的读音
+ * 音标按当前音标体系显示
+ * @param {string} word 单词
+ * @param {object} data 词典数据
+ */
+async function renderPopupPhonetics(word, data) {
+  const container = popupElement.querySelector(`.${PLUGIN_PREFIX}popup-phonetic`);
+  const accents = getDisplayAccents();
+  const apiPhonetics = { uk: data.phoneticUK, us: data.phoneticUS };
+  
+  const local = await Promise.all(accents.map(accent => requestWordPhonetic(word, accent)));
+  const phonetics = accents.map((accent, i) =>
+    (!local[i].estimated && local[i].ipa) || apiPhonetics[accent] || data.phonetic || local[i].ipa || ''
+  );
+  const estimated = local.some(({ ipa, estimated }, i) => estimated && phonetics[i] === ipa);
+  
+  // 弹窗已切换到其他单词
+  if (currentWord?.word !== word) return;
+  
+  // 短语的音标由各单词音标以空格拼接，逐词转换音标体系
+  const convert = /\s/.test(word.trim()) ? convertPhraseNotation : convertNotation;
+  
+  container.classList.toggle(`${PLUGIN_PREFIX}popup-phonetic-estimated`, estimated);
+  container.title = estimated ? '词典中没有该词，按拼写推测的读音' : '';
+  
+  if (accents.length === 1) {
+    container.textContent = convert(phonetics[0]);
+    return;
+  }
+  
+  container.innerHTML = '';
+  accents.forEach((accent, i) => {
+    const item = createElement('span', 'popup-accent', { 'data-accent': accent, title: `朗读${ACCENT_LABELS[accent]}音` });
+    const label = createElement('span', 'popup-accent-label', { textContent: ACCENT_LABELS[accent] });
+    item.append(label, convert(phonetics[i]));
+    container.appendChild(item);
+  });
 }
 
 /**
  * 处理音频播放点击
  */
 async function handleAudioClick() {
+  await playWordAudio(getPrimaryAccent());
+}
+
+/**
+ * 朗读当前单词
+ * @param {'uk'|'us'} accent 口音
+ */
+async function playWordAudio(accent) {
   if (!currentWord) return;
   
-  const audioUrl = popupElement.dataset.audioUrl;
+  // 词典 API 提供的真人发音（按口音区分）
+  const audioUrl = accent === 'us' ? currentWordData?.audioUS : currentWordData?.audioUK;
+  const speechOptions = { lang: getSpeechLang(accent) };
   
   try {
     if (audioUrl) {
       await playAudio(audioUrl);
     } else {
       // 使用 Web Speech API 作为备用
-      await speakWithWebSpeech(currentWord.word);
+      await speakWithWebSpeech(currentWord.word, speechOptions);
     }
   } catch (error) {
     console.error('[Dictionary] Audio playback failed:', error);
     // 尝试备用方案
     try {
-      await speakWithWebSpeech(currentWord.word);
+      await speakWithWebSpeech(currentWord.word, speechOptions);
     } catch (e) {
       console.error('[Dictionary] Web Speech also failed:', e);
     }
@@ -430,6 +1008,7 @@ async function handleAIAnalysis() {
         // 移除流式容器，显示结构化结果
         aiContent.innerHTML = ''; 
         renderAIResult(msg.data);
+        syncAIResultToVocabulary(msg.data);
       } else if (msg.type === 'ERROR') {
         port.disconnect();
         aiLoading.style.display = 'none';
@@ -560,12 +1139,8 @@ function getParagraphContext(wordElement) {
   
   // 首先查找最近的段落元素
   while (parent && parent !== document.body) {
-    const tagName = parent.tagName.toLowerCase();
-    
     // 段落级别元素
-    if (tagName === 'p' || tagName === 'div' || tagName === 'section' || 
-        tagName === 'article' || tagName === 'li' || tagName === 'blockquote' ||
-        tagName === 'td' || tagName === 'dd') {
+    if (isParagraphElement(parent)) {
       const text = parent.textContent.trim();
       // 如果段落文本长度合理（10-500字符），使用它
       if (text.length >= 10 && text.length <= 500) {
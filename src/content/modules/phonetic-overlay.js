@@ -0,0 +1,288 @@
+/**
+ * 音标浮层渲染
+ * 不改动页面 DOM：用 Range.getClientRects() 测量单词位置，把音标绘制在 Shadow DOM 浮层中
+ * 适用于 React/Vue 等自行管理 DOM 的页面和富文本编辑器（见网站规则中的「标注方式」）
+ * 本模块只负责位置和绘制，音标内容和加载由 phonetics.js 提供
+ */
+
+import { tokenizeWords } from '../../utils/word-tokenizer.js';
+import { isInContentScope } from '../../utils/article-extractor.js';
+
+// 浮层宿主元素 id（不使用 elh- 类名前缀，宿主本身没有文字）
+const HOST_ID = 'elh-overlay-host';
+
+// 音标字号相对单词字号的比例（与 phonetics.css 中的 .elh-phonetic 一致）
+const LABEL_FONT_SCALE = 0.7;
+
+// 浮层宿主和绘制层
+let host = null;
+let layer = null;
+
+// 音标来源 {getLabel(key), loadWords(keys)}
+let source = null;
+
+// 文本节点 -> {parent, text, tokens}（文字被页面修改时重新分词）
+const trackedNodes = new Map();
+
+// 父元素 -> 其中被跟踪的文本节点
+const nodesByParent = new Map();
+
+// 位于视口内的父元素（只测量和绘制这些元素中的单词）
+const visibleParents = new Set();
+let visibilityObserver = null;
+
+// 页面变化时重新绘制
+let mutationObserver = null;
+let resizeObserver = null;
+let renderFrame = null;
+
+// 已请求过音标的单词（避免同一单词重复请求）
+const requestedKeys = new Set();
+
+/**
+ * 开始浮层渲染
+ * @param {object} options {getLabel, loadWords}
+ * @param {function(string): ({html: string, estimated: boolean, dim: boolean}|null)} options.getLabel 单词音标，尚未加载时为 null
+ * @param {function(string[]): Promise} options.loadWords 加载单词音标
+ */
+export function startOverlay({ getLabel, loadWords }) {
+  source = { getLabel, loadWords };
+  if (host) return;
+  
+  host = document.createElement('div');
+  host.id = HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  
+  const style = document.createElement('link');
+  style.rel = 'stylesheet';
+  style.href = chrome.runtime.getURL('src/content/styles/phonetic-overlay.css');
+  layer = document.createElement('div');
+  layer.className = 'layer';
+  shadow.append(style, layer);
+  
+  // 挂在 <html> 下，不触发页面对 body 的监听
+  document.documentElement.appendChild(host);
+  
+  visibilityObserver = new IntersectionObserver(handleVisibility, { root: null, threshold: 0 });
+  
+  mutationObserver = new MutationObserver(scheduleRender);
+  mutationObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+  resizeObserver = new ResizeObserver(scheduleRender);
+  resizeObserver.observe(document.body);
+  
+  // 捕获阶段监听，页面内部的滚动容器滚动时也重新绘制
+  window.addEventListener('scroll', scheduleRender, true);
+  window.addEventListener('resize', scheduleRender);
+  
+  console.log('[Overlay] Overlay rendering started');
+}
+
+/**
+ * 停止浮层渲染，移除浮层并清空跟踪的节点
+ */
+export function stopOverlay() {
+  if (!host) return;
+  
+  window.removeEventListener('scroll', scheduleRender, true);
+  window.removeEventListener('resize', scheduleRender);
+  mutationObserver?.disconnect();
+  mutationObserver = null;
+  resizeObserver?.disconnect();
+  resizeObserver = null;
+  visibilityObserver?.disconnect();
+  visibilityObserver = null;
+  
+  if (renderFrame) {
+    cancelAnimationFrame(renderFrame);
+    renderFrame = null;
+  }
+  
+  host.remove();
+  host = null;
+  layer = null;
+  source = null;
+  trackedNodes.clear();
+  nodesByParent.clear();
+  visibleParents.clear();
+  requestedKeys.clear();
+  
+  console.log('[Overlay] Overlay rendering stopped');
+}
+
+/**
+ * 跟踪文本节点，其中的单词在进入视口时绘制音标
+ * 已跟踪的节点被页面移动到其他元素下时按新位置重新跟踪
+ * @param {Text} textNode 文本节点
+ */
+export function trackTextNode(textNode) {
+  const parent = textNode.parentElement;
+  if (!host || !parent) return;
+  
+  const entry = trackedNodes.get(textNode);
+  if (entry?.parent === parent) return;
+  if (entry) {
+    untrackTextNodes(node => node === textNode);
+  }
+  
+  trackedNodes.set(textNode, { parent, text: textNode.data, tokens: tokenizeWords(textNode.data) });
+  
+  if (!nodesByParent.has(parent)) {
+    nodesByParent.set(parent, new Set());
+    visibilityObserver.observe(parent);
+  }
+  nodesByParent.get(parent).add(textNode);
+  scheduleRender();
+}
+
+/**
+ * 停止跟踪文本节点
+ * @param {function(Text): boolean} filter 需要停止跟踪的节点
+ * @returns {Text[]} 停止跟踪的节点
+ */
+export function untrackTextNodes(filter) {
+  const removed = [...trackedNodes.keys()].filter(filter);
+  
+  for (const textNode of removed) {
+    const { parent } = trackedNodes.get(textNode);
+    trackedNodes.delete(textNode);
+    
+    const nodes = nodesByParent.get(parent);
+    nodes.delete(textNode);
+    if (nodes.size === 0) {
+      nodesByParent.delete(parent);
+      visibleParents.delete(parent);
+      visibilityObserver?.unobserve(parent);
+    }
+  }
+  
+  if (removed.length > 0) {
+    scheduleRender();
+  }
+  return removed;
+}
+
+/**
+ * 音标内容或显示设置变化后重新绘制（未缓存的单词会重新请求）
+ */
+export function refreshOverlay() {
+  requestedKeys.clear();
+  scheduleRender();
+}
+
+/**
+ * 处理父元素进出视口
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function handleVisibility(entries) {
+  for (const entry of entries) {
+    if (entry.isIntersecting) {
+      visibleParents.add(entry.target);
+    } else {
+      visibleParents.delete(entry.target);
+    }
+  }
+  scheduleRender();
+}
+
+/**
+ * 在下一帧重新绘制（同一帧内的多次触发合并为一次）
+ */
+function scheduleRender() {
+  if (!host || renderFrame) return;
+  
+  renderFrame = requestAnimationFrame(() => {
+    renderFrame = null;
+    render();
+  });
+}
+
+/**
+ * 绘制视口内所有单词的音标，并请求尚未加载的单词
+ */
+function render() {
+  if (!host) return;
+  
+  const labels = [];
+  const missing = new Set();
+  const detached = new Set();
+  const range = document.createRange();
+  
+  for (const parent of visibleParents) {
+    const nodes = nodesByParent.get(parent);
+    if (!nodes) continue;
+    
+    const fontSize = parseFloat(getComputedStyle(parent).fontSize) * LABEL_FONT_SCALE;
+    for (const textNode of nodes) {
+      if (!textNode.isConnected || textNode.parentElement !== parent) {
+        detached.add(textNode);
+        continue;
+      }
+      // 阅读视图打开时正文以外的内容被遮挡，不绘制
+      if (!isInContentScope(textNode)) continue;
+      
+      for (const token of getTokens(textNode)) {
+        const label = source.getLabel(token.key);
+        if (label === null) {
+          if (!requestedKeys.has(token.key)) missing.add(token.key);
+          continue;
+        }
+        if (!label.html) continue;
+        
+        range.setStart(textNode, token.index);
+        range.setEnd(textNode, token.index + token.text.length);
+        const rect = range.getClientRects()[0];
+        if (!rect || rect.width === 0) continue;
+        
+        labels.push(createLabel(label, rect, fontSize));
+      }
+    }
+  }
+  
+  layer.replaceChildren(...labels);
+  
+  // 页面删除或移动了文本节点（移动到内容范围内的节点由 phonetics.js 重新跟踪）
+  if (detached.size > 0) {
+    untrackTextNodes(node => detached.has(node));
+  }
+  
+  if (missing.size > 0) {
+    const keys = [...missing];
+    keys.forEach(key => requestedKeys.add(key));
+    source.loadWords(keys).then(scheduleRender).catch(error => {
+      console.error('[Overlay] Failed to load phonetics:', error);
+    });
+  }
+}
+
+/**
+ * 获取文本节点的单词（文字被页面修改过时重新分词）
+ * @param {Text} textNode 文本节点
+ * @returns {Array<{text: string, key: string, index: number}>}
+ */
+function getTokens(textNode) {
+  const entry = trackedNodes.get(textNode);
+  if (entry.text !== textNode.data) {
+    entry.text = textNode.data;
+    entry.tokens = tokenizeWords(textNode.data);
+  }
+  return entry.tokens;
+}
+
+/**
+ * 创建音标标签，位于单词下方居中（使用文档坐标，滚动时随页面移动）
+ * @param {{html: string, estimated: boolean, dim: boolean}} label 音标
+ * @param {DOMRect} rect 单词位置
+ * @param {number} fontSize 音标字号（px）
+ * @returns {HTMLElement}
+ */
+function createLabel({ html, estimated, dim }, rect, fontSize) {
+  const element = document.createElement('span');
+  element.className = 'elh-phonetic';
+  element.dataset.estimated = String(estimated);
+  element.dataset.dim = String(dim);
+  element.style.left = `${rect.left + rect.width / 2 + window.scrollX}px`;
+  element.style.top = `${rect.bottom + window.scrollY}px`;
+  element.style.fontSize = `${fontSize}px`;
+  element.innerHTML = html;
+  return element;
+}
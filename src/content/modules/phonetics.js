@@ -1,22 +1,35 @@
 /**
  * 音标模块
  * 检测英文单词并添加 IPA 音标标注
- * 使用 CMU 词典进行本地 IPA 转换
+ * 音标和词频排名由 Service Worker 统一查询并缓存（见 ipa-store.js），本模块按需批量请求
  */
 
-import { wordToIPASync, wordToIPA } from '../../utils/ipa-converter.js';
-import { createElement, walkTextNodes, shouldSkipNode, PLUGIN_PREFIX } from '../../utils/dom.js';
+import { requestPhonetics } from '../../utils/ipa-client.js';
+import { createElement, walkTextNodes, shouldSkipNode, isOutsideAnnotationArea, PLUGIN_PREFIX } from '../../utils/dom.js';
+import { ANNOTATION_MODES, DEFAULT_DIFFICULTY_THRESHOLD, isDifficultWord } from '../../utils/word-difficulty.js';
+import { ACCENTS, ACCENT_LABELS, getAccent, setAccent as setCurrentAccent, getDisplayAccents } from '../../utils/accent.js';
+import { syllabifyIPA, splitSpelling } from '../../utils/ipa-parser.js';
+import { convertNotation, convertSyllables, getNotationFormat, getNotationStyle, setNotationStyle as setCurrentNotationStyle } from '../../utils/ipa-notation.js';
+import { tokenizeWords } from '../../utils/word-tokenizer.js';
+import { getContentScope } from '../../utils/article-extractor.js';
+import { startOverlay, stopOverlay, trackTextNode, untrackTextNodes, refreshOverlay } from './phonetic-overlay.js';
 
-// 内存缓存
+// 内存缓存（word -> 各口音音标数组，切换口音时清空）
 const phoneticsCache = new Map();
 
-// 英文单词正则表达式（只匹配2个字母以上的单词）
-const WORD_REGEX = /\b[a-zA-Z]{2,}\b/g;
+// 词频排名（随音标一起从后台获取，用于词频档位和难度判断）
+const wordRanks = new Map();
+
+// 词典中没有、按拼写推测读音的单词
+const estimatedWords = new Set();
 
 // 已处理的节点 WeakSet
 let processedNodes = new WeakSet();
 
-// 处理队列
+// 包装元素 -> 标注前的原始文本节点（关闭音标或区域被排除时原样放回）
+const originalTextNodes = new Map();
+
+// 处理队列（进入视口等待加载音标的包装元素，每轮合并为一次批量请求）
 let processingQueue = [];
 let isProcessing = false;
 
@@ -30,7 +43,25 @@ const MUTATION_DEBOUNCE_MS = 150; // Wait 150ms before processing
 // IntersectionObserver for viewport-based lazy loading
 let viewportObserver = null;
 const VIEWPORT_MARGIN = '500px'; // Load 500px before content becomes visible
-const observedWrappers = new WeakSet(); // Track which wrappers are being observed
+let observedWrappers = new WeakSet(); // Track which wrappers are being observed
+
+// 已掌握单词（导入的单词表 + 词频档位）
+let knownWords = new Set();
+let knownWordsTier = 0;
+let knownWordsDisplay = 'hide';
+
+// 标注模式（全部 / 只标注难词）
+let annotationMode = ANNOTATION_MODES.ALL;
+let difficultyThreshold = DEFAULT_DIFFICULTY_THRESHOLD;
+let lookupCounts = new Map(); // word -> 查询次数
+
+// 音标呈现方式：'plain' 原样, 'syllables' 划分音节并突出重读音节, 'aligned' 音节对齐到单词拼写下方
+const RENDERING_MODES = ['plain', 'syllables', 'aligned'];
+let phoneticRendering = 'plain';
+
+// 标注方式：'inline' 在单词后插入音标元素, 'overlay' 不改动页面，把音标绘制在浮层中（见 phonetic-overlay.js）
+const RENDER_MODES = ['inline', 'overlay'];
+let renderMode = 'inline';
 
 /**
  * 初始化音标模块
@@ -38,17 +69,18 @@ const observedWrappers = new WeakSet(); // Track which wrappers are being observ
 export function initPhonetics() {
   console.log('[Phonetics] Initializing phonetics module...');
   
-  // 移除隐藏类，显示音标
-  document.body.classList.remove('elh-hide-phonetics');
-  
   // 如果已经有observer在运行，不需要重复初始化
   if (phoneticsObserver) {
-    console.log('[Phonetics] Observer already running, just showing phonetics');
+    console.log('[Phonetics] Observer already running');
     return phoneticsObserver;
   }
   
-  // Initialize IntersectionObserver for lazy loading
-  setupViewportObserver();
+  if (renderMode === 'overlay') {
+    startOverlay({ getLabel: getOverlayLabel, loadWords: fetchPhonetics });
+  } else {
+    // Initialize IntersectionObserver for lazy loading
+    setupViewportObserver();
+  }
   
   // 处理页面现有内容（使用懒加载）
   processPage();
@@ -60,7 +92,7 @@ export function initPhonetics() {
     subtree: true
   });
   
-  console.log('[Phonetics] Initialized with lazy loading and observing DOM changes');
+  console.log(`[Phonetics] Initialized in ${renderMode} mode and observing DOM changes`);
   return phoneticsObserver;
 }
 
@@ -90,21 +122,139 @@ function handleIntersection(entries) {
     if (entry.isIntersecting) {
       const wrapper = entry.target;
       
-      // Process phonetics for this wrapper
-      loadPhoneticsForWrapper(wrapper);
+      // Queue phonetics loading for this wrapper
+      processingQueue.push(wrapper);
       
       // Stop observing once processed
       viewportObserver.unobserve(wrapper);
       observedWrappers.delete(wrapper);
     }
   });
+  
+  processQueue();
 }
 
 /**
- * 处理整个页面
+ * 处理加载队列：请求进行中时新进入视口的元素累积到下一轮
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+  
+  try {
+    while (processingQueue.length > 0) {
+      const wrappers = processingQueue.splice(0).filter(wrapper => wrapper.isConnected);
+      await loadPhoneticsForWrappers(wrappers);
+    }
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * 处理整个页面（开启正文模式时只处理正文，见 article-extractor.js）
  */
 function processPage() {
-  walkTextNodes(document.body, processTextNode);
+  walkTextNodes(getContentScope(), processTextNode, getSkipOptions());
+}
+
+/**
+ * 获取跳过节点的选项（浮层模式不改动 DOM，可以标注富文本编辑器中的文字）
+ * @returns {{allowEditable: boolean}}
+ */
+function getSkipOptions() {
+  return { allowEditable: renderMode === 'overlay' };
+}
+
+/**
+ * 处理新增的节点，内容范围以外的节点不标注
+ * @param {Node} node 新增节点
+ * @param {Element} scope 内容范围
+ */
+function processAddedNode(node, scope) {
+  if (!scope.contains(node)) {
+    // 新增的节点包含了整个内容范围（如单页应用替换页面）
+    if (node.nodeType === Node.ELEMENT_NODE && node.contains(scope)) {
+      walkTextNodes(scope, processTextNode, getSkipOptions());
+    }
+    return;
+  }
+  
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    walkTextNodes(node, processTextNode, getSkipOptions());
+  } else if (node.nodeType === Node.TEXT_NODE) {
+    processTextNode(node);
+  }
+}
+
+/**
+ * 内容范围或网站规则的标注区域变化后更新标注：移除范围以外的标注，标注范围内尚未处理的文字
+ */
+export function applyContentScope() {
+  const scope = getContentScope();
+  restoreAnnotations(wrapper => !scope.contains(wrapper) || isOutsideAnnotationArea(wrapper));
+  untrackTextNodes(textNode => !scope.contains(textNode) || isOutsideAnnotationArea(textNode));
+  
+  // 音标已关闭时只还原，不重新标注
+  if (phoneticsObserver) {
+    processPage();
+  }
+  console.log(`[Phonetics] Content scope set to <${scope.tagName.toLowerCase()}>`);
+}
+
+/**
+ * 把包装元素还原为标注前的文本节点
+ * 放回的是原来的文本节点对象，页面脚本保存的节点引用、选区和查找结果不受影响
+ * @param {function(HTMLElement): boolean} filter 需要还原的包装元素
+ * @returns {number} 还原的数量
+ */
+function restoreAnnotations(filter) {
+  let count = 0;
+  
+  // 没有记录原始节点的包装元素（如页面脚本复制的元素）按文字重建
+  const wrappers = new Set([...originalTextNodes.keys(), ...document.querySelectorAll(`.${PLUGIN_PREFIX}text-wrapper`)]);
+  for (const wrapper of wrappers) {
+    if (!filter(wrapper)) continue;
+    
+    const textNode = originalTextNodes.get(wrapper) || document.createTextNode('');
+    originalTextNodes.delete(wrapper);
+    viewportObserver?.unobserve(wrapper);
+    observedWrappers.delete(wrapper);
+    processedNodes.delete(textNode);
+    if (!wrapper.parentNode) continue;
+    
+    // 页面脚本修改过包装元素内的文字时以当前文字为准
+    const text = getWrapperText(wrapper);
+    if (textNode.data !== text) {
+      textNode.data = text;
+    }
+    wrapper.replaceWith(textNode);
+    count++;
+  }
+  
+  return count;
+}
+
+/**
+ * 获取包装元素的原文（不含音标）
+ * @param {HTMLElement} wrapper 包装元素
+ * @returns {string}
+ */
+function getWrapperText(wrapper) {
+  const clone = wrapper.cloneNode(true);
+  clone.querySelectorAll(`.${PLUGIN_PREFIX}phonetic`).forEach(element => element.remove());
+  return clone.textContent;
+}
+
+/**
+ * 移除已被页面删除的包装元素的记录
+ */
+function pruneDetachedWrappers() {
+  for (const wrapper of originalTextNodes.keys()) {
+    if (!wrapper.isConnected) {
+      originalTextNodes.delete(wrapper);
+    }
+  }
 }
 
 /**
@@ -120,9 +270,13 @@ function handleMutations(mutations) {
   mutationTimer = setTimeout(() => {
     // Collect unique nodes to process
     const nodesToProcess = new Set();
+    let hasRemovedNodes = false;
     
     for (const mutation of mutations) {
       if (mutation.type === 'childList') {
+        if (mutation.removedNodes.length > 0) {
+          hasRemovedNodes = true;
+        }
         for (const node of mutation.addedNodes) {
           // Only process if not already in set
           if (!nodesToProcess.has(node)) {
@@ -132,13 +286,15 @@ function handleMutations(mutations) {
       }
     }
     
+    // 页面删除了已标注的内容（如单页应用切换页面），不再保留原始节点
+    if (hasRemovedNodes) {
+      pruneDetachedWrappers();
+    }
+    
     // Process collected nodes
+    const scope = getContentScope();
     for (const node of nodesToProcess) {
-      if (node.nodeType === Node.ELEMENT_NODE) {
-        walkTextNodes(node, processTextNode);
-      } else if (node.nodeType === Node.TEXT_NODE) {
-        processTextNode(node);
-      }
+      processAddedNode(node, scope);
     }
   }, MUTATION_DEBOUNCE_MS);
 }
@@ -149,12 +305,19 @@ function handleMutations(mutations) {
  */
 function processTextNode(textNode) {
   if (processedNodes.has(textNode)) return;
-  if (shouldSkipNode(textNode)) return;
+  if (shouldSkipNode(textNode, getSkipOptions())) return;
   
   const text = textNode.textContent;
-  const words = text.match(WORD_REGEX);
+  // 缩写、所有格、连字符复合词和首字母缩略词作为整体标注（见 word-tokenizer.js）
+  const tokens = tokenizeWords(text);
   
-  if (!words || words.length === 0) return;
+  if (tokens.length === 0) return;
+  
+  // 浮层模式不改动页面，只记录文本节点
+  if (renderMode === 'overlay') {
+    trackTextNode(textNode);
+    return;
+  }
   
   processedNodes.add(textNode);
   
@@ -165,22 +328,15 @@ function processTextNode(textNode) {
   let lastIndex = 0;
   let html = '';
   
-  // 重新匹配以获取位置
-  WORD_REGEX.lastIndex = 0;
-  let match;
-  
-  while ((match = WORD_REGEX.exec(text)) !== null) {
-    const word = match[0];
-    const index = match.index;
-    
+  for (const token of tokens) {
     // 添加单词前的文本
-    if (index > lastIndex) {
-      html += escapeHtml(text.substring(lastIndex, index));
+    if (token.index > lastIndex) {
+      html += escapeHtml(text.substring(lastIndex, token.index));
     }
     
     // 创建带音标的单词
-    html += createWordHtml(word);
-    lastIndex = index + word.length;
+    html += createWordHtml(token.text, token.key);
+    lastIndex = token.index + token.text.length;
   }
   
   // 添加剩余文本
@@ -190,9 +346,10 @@ function processTextNode(textNode) {
   
   wrapper.innerHTML = html;
   
-  // 替换原文本节点
+  // 替换原文本节点（保留原节点以便还原）
   if (textNode.parentNode) {
     textNode.parentNode.replaceChild(wrapper, textNode);
+    originalTextNodes.set(wrapper, textNode);
     
     // Use IntersectionObserver for lazy loading
     // Only load phonetics when wrapper enters viewport
@@ -205,79 +362,451 @@ function processTextNode(textNode) {
 
 /**
  * 创建带音标的单词 HTML
- * @param {string} word 单词
+ * @param {string} word 单词原文
+ * @param {string} key 查询用的单词（小写；首字母缩略词保留大写，如 "AI"）
  * @returns {string} HTML
  */
-function createWordHtml(word) {
-  const lowerWord = word.toLowerCase();
-  // Try sync lookup first (fast path for common words)
-  const phonetic = wordToIPASync(lowerWord) || '';
+function createWordHtml(word, key) {
+  // 本页已查询过的单词直接使用缓存，其余进入视口时向后台请求
+  const phonetics = getCachedPhonetics(key);
+  const loaded = phonetics.some(Boolean);
+  const needsAsync = !phoneticsCache.has(key);
   
-  // If not found, mark for async loading
-  const needsAsync = !phonetic;
+  const aligned = getAlignedSyllables(word, phonetics);
   
-  return `<span class="${PLUGIN_PREFIX}word" data-word="${escapeHtml(lowerWord)}">` +
-    `<span class="${PLUGIN_PREFIX}word-text">${escapeHtml(word)}</span>` +
-    `<span class="${PLUGIN_PREFIX}phonetic" data-loaded="${phonetic ? 'true' : 'false'}" data-needs-async="${needsAsync}">${escapeHtml(phonetic)}</span>` +
+  const className = [`${PLUGIN_PREFIX}word`, ...getWordStateClasses(key)];
+  if (aligned) className.push(`${PLUGIN_PREFIX}aligned`);
+  
+  return `<span class="${className.join(' ')}" data-word="${escapeHtml(key)}">` +
+    `<span class="${PLUGIN_PREFIX}word-text">${formatWordTextHtml(word, aligned)}</span>` +
+    `<span class="${PLUGIN_PREFIX}phonetic" data-loaded="${loaded}" data-estimated="${estimatedWords.has(key)}" data-needs-async="${needsAsync}">${aligned ? '' : formatPhoneticsHtml(phonetics)}</span>` +
     `</span>`;
 }
 
 /**
- * 为包装元素加载音标（异步加载变形词音标）
- * @param {HTMLElement} wrapper 包装元素
+ * 获取本页缓存中当前口音设置下需要显示的音标
+ * @param {string} word 小写单词
+ * @returns {Array<string|null>} 与 getDisplayAccents() 顺序一致
  */
-async function loadPhoneticsForWrapper(wrapper) {
+function getCachedPhonetics(word) {
+  return phoneticsCache.get(word) || getDisplayAccents().map(() => null);
+}
+
+/**
+ * 生成音标内容 HTML（同时显示英美音时分两行，相同时只显示一次）
+ * @param {Array<string|null>} phonetics 各口音音标
+ * @returns {string} HTML
+ */
+function formatPhoneticsHtml(phonetics) {
+  const accents = getDisplayAccents();
+  if (accents.length === 1 || phonetics[0] === phonetics[1] || !phonetics.every(Boolean)) {
+    return formatIPAHtml(phonetics.find(Boolean) || '');
+  }
+  
+  return accents.map((accent, i) =>
+    `<span class="${PLUGIN_PREFIX}phonetic-line" data-accent="${accent}" title="${ACCENT_LABELS[accent]}">${formatIPAHtml(phonetics[i])}</span>`
+  ).join('');
+}
+
+/**
+ * 生成单条音标 HTML（按当前音标体系转换；音节模式下按音节拆分并标记重读）
+ * @param {string} ipa 音标（规范化的现代 IPA）
+ * @returns {string} HTML
+ */
+function formatIPAHtml(ipa) {
+  if (phoneticRendering === 'plain' || !ipa) {
+    return escapeHtml(convertNotation(ipa));
+  }
+  
+  const syllables = convertSyllables(syllabifyIPA(ipa));
+  if (syllables.length === 0) {
+    return escapeHtml(convertNotation(ipa));
+  }
+  
+  // 音节之间的分隔点由 CSS 添加
+  const { open, close } = getNotationFormat();
+  return escapeHtml(open) + syllables.map(syllable =>
+    `<span class="${PLUGIN_PREFIX}syllable${getStressClass(syllable)}">${escapeHtml(syllable.text)}</span>`
+  ).join('') + escapeHtml(close);
+}
+
+/**
+ * 获取音节的重读类名
+ * @param {object} syllable 音节（见 ipa-parser.js）
+ * @returns {string}
+ */
+function getStressClass(syllable) {
+  if (syllable.stress === 1) return ` ${PLUGIN_PREFIX}stress-primary`;
+  if (syllable.stress === 2) return ` ${PLUGIN_PREFIX}stress-secondary`;
+  return '';
+}
+
+/**
+ * 对齐模式下将音标音节与单词拼写一一对应
+ * 同时显示两种不同口音，或拼写无法按音节数拆分时返回 null（退回音节模式）
+ * @param {string} word 单词原文
+ * @param {Array<string|null>} phonetics 各口音音标
+ * @returns {Array<{spelling: string, syllable: object}>|null}
+ */
+function getAlignedSyllables(word, phonetics) {
+  if (phoneticRendering !== 'aligned') return null;
+  
+  const ipa = phonetics.find(Boolean);
+  if (!ipa || (phonetics.length > 1 && phonetics[0] !== phonetics[1])) return null;
+  
+  const syllables = convertSyllables(syllabifyIPA(ipa));
+  const spelling = splitSpelling(word, syllables.length);
+  return spelling ? spelling.map((part, i) => ({ spelling: part, syllable: syllables[i] })) : null;
+}
+
+/**
+ * 生成单词文本 HTML（对齐模式下每个音节的音标显示在对应拼写下方）
+ * 音节音标通过 data-ipa 属性和 CSS 显示，单词文本内容保持不变
+ * @param {string} word 单词原文
+ * @param {Array|null} aligned getAlignedSyllables() 的结果
+ * @returns {string} HTML
+ */
+function formatWordTextHtml(word, aligned) {
+  if (!aligned) {
+    return escapeHtml(word);
+  }
+  
+  return aligned.map(({ spelling, syllable }) =>
+    `<span class="${PLUGIN_PREFIX}aligned-syllable${getStressClass(syllable)}" data-ipa="${escapeHtml(syllable.text)}">${escapeHtml(spelling)}</span>`
+  ).join('');
+}
+
+/**
+ * 更新音标元素内容
+ * @param {HTMLElement} element 音标元素
+ * @param {Array<string|null>} phonetics 各口音音标
+ */
+function applyPhonetics(element, phonetics) {
+  const wordSpan = element.closest(`.${PLUGIN_PREFIX}word`);
+  const wordText = wordSpan?.querySelector(`.${PLUGIN_PREFIX}word-text`);
+  const aligned = wordText ? getAlignedSyllables(wordText.textContent, phonetics) : null;
+  
+  if (wordText && (aligned || wordSpan.classList.contains(`${PLUGIN_PREFIX}aligned`))) {
+    wordText.innerHTML = formatWordTextHtml(wordText.textContent, aligned);
+    wordSpan.classList.toggle(`${PLUGIN_PREFIX}aligned`, Boolean(aligned));
+  }
+  
+  element.innerHTML = aligned ? '' : formatPhoneticsHtml(phonetics);
+  element.dataset.loaded = String(phonetics.some(Boolean));
+  element.dataset.estimated = String(estimatedWords.has(wordSpan?.dataset.word));
+  element.removeAttribute('data-needs-async');
+}
+
+/**
+ * 为包装元素加载音标（一次消息批量请求所有包装元素内未缓存的单词）
+ * @param {HTMLElement[]} wrappers 包装元素
+ */
+async function loadPhoneticsForWrappers(wrappers) {
   // Find all phonetic spans that need async loading
-  const phoneticSpans = wrapper.querySelectorAll(`[data-needs-async="true"]`);
+  // 被隐藏的音标（已掌握 / 难度模式下的简单词）无需加载
+  const selector = getPendingPhoneticSelector();
+  const phoneticSpans = wrappers.flatMap(wrapper => Array.from(wrapper.querySelectorAll(selector)));
   
   if (phoneticSpans.length === 0) return;
   
-  // Process in batches to avoid overwhelming the system
-  const batchSize = 10;
-  for (let i = 0; i < phoneticSpans.length; i += batchSize) {
-    const batch = Array.from(phoneticSpans).slice(i, i + batchSize);
+  const words = [...new Set(phoneticSpans.map(element => element.closest(`.${PLUGIN_PREFIX}word`)?.dataset.word).filter(Boolean))];
+  if (!await fetchPhonetics(words)) return;
+  
+  // 词频排名已获取，重新标记熟词和难度
+  wrappers.forEach(markWordStates);
+  
+  phoneticSpans.forEach(element => {
+    const word = element.closest(`.${PLUGIN_PREFIX}word`)?.dataset.word;
+    if (element.isConnected && phoneticsCache.has(word)) {
+      applyPhonetics(element, phoneticsCache.get(word));
+    }
+  });
+}
+
+/**
+ * 向后台请求尚未缓存的单词的音标和词频排名
+ * @param {string[]} words 单词
+ * @returns {Promise<boolean>} 是否成功（查询期间切换了口音也视为失败）
+ */
+async function fetchPhonetics(words) {
+  const uncached = words.filter(word => !phoneticsCache.has(word));
+  if (uncached.length === 0) return true;
+  
+  const accentAtRequest = getAccent();
+  const accents = getDisplayAccents();
+  
+  try {
+    const results = await requestPhonetics(uncached, accents);
     
-    await Promise.all(batch.map(async (element) => {
-      const wordSpan = element.closest(`.${PLUGIN_PREFIX}word`);
-      if (!wordSpan) return;
-      
-      const word = wordSpan.dataset.word;
-      if (!word) return;
-      
-      try {
-        // Check cache first
-        if (phoneticsCache.has(word)) {
-          const cached = phoneticsCache.get(word);
-          if (element.isConnected && cached) {
-            element.textContent = cached;
-            element.dataset.loaded = 'true';
-            element.removeAttribute('data-needs-async');
-          }
-          return;
-        }
-        
-        // Use async wordToIPA for inflection handling
-        const phonetic = await wordToIPA(word);
-        
-        if (phonetic) {
-          phoneticsCache.set(word, phonetic);
-          
-          if (element.isConnected) {
-            element.textContent = phonetic;
-            element.dataset.loaded = 'true';
-            element.removeAttribute('data-needs-async');
-          }
-        }
-      } catch (error) {
-        console.error(`[Phonetics] Error loading phonetic for "${word}":`, error);
-      }
-    }));
+    // 查询期间切换了口音，结果作废
+    if (accentAtRequest !== getAccent()) return false;
     
-    // Small delay between batches
-    if (i + batchSize < phoneticSpans.length) {
-      await new Promise(resolve => setTimeout(resolve, 50));
+    for (const [word, { rank, ipa, estimated }] of Object.entries(results)) {
+      wordRanks.set(word, rank);
+      phoneticsCache.set(word, accents.map(accent => ipa[accent]));
+      if (estimated) {
+        estimatedWords.add(word);
+      } else {
+        estimatedWords.delete(word);
+      }
     }
+    return true;
+  } catch (error) {
+    console.error('[Phonetics] Error loading phonetics:', error);
+    return false;
+  }
+}
+
+/**
+ * 浮层模式下单词显示的音标（对齐模式在浮层中按音节模式显示）
+ * @param {string} word 查询用的单词
+ * @returns {{html: string, estimated: boolean, dim: boolean}|null} 尚未加载时为 null，不显示音标时 html 为空
+ */
+function getOverlayLabel(word) {
+  if (!phoneticsCache.has(word)) return null;
+  
+  const known = isKnownWord(word);
+  const hidden = isEasyWord(word, known) || (known && knownWordsDisplay === 'hide');
+  return {
+    html: hidden ? '' : formatPhoneticsHtml(phoneticsCache.get(word)),
+    estimated: estimatedWords.has(word),
+    dim: known && knownWordsDisplay === 'dim'
+  };
+}
+
+/**
+ * 获取单词的词频排名（尚未从后台获取时为 null）
+ * @param {string} word 小写单词
+ * @returns {number|null}
+ */
+function getWordRank(word) {
+  return wordRanks.get(word) ?? null;
+}
+
+/**
+ * 判断单词是否已掌握
+ * @param {string} word 小写单词
+ * @returns {boolean}
+ */
+function isKnownWord(word) {
+  if (knownWords.has(word)) return true;
+  if (!knownWordsTier) return false;
+  
+  const rank = getWordRank(word);
+  return rank !== null && rank <= knownWordsTier;
+}
+
+/**
+ * 判断单词在难度模式下是否属于简单词（不标注）
+ * @param {string} word 小写单词
+ * @param {boolean} known 是否已掌握
+ * @returns {boolean}
+ */
+function isEasyWord(word, known) {
+  if (annotationMode !== ANNOTATION_MODES.DIFFICULTY) return false;
+  
+  return !isDifficultWord(getWordRank(word), difficultyThreshold, {
+    known,
+    lookupCount: lookupCounts.get(word) || 0
+  });
+}
+
+/**
+ * 获取单词容器的状态类名
+ * @param {string} word 小写单词
+ * @returns {string[]}
+ */
+function getWordStateClasses(word) {
+  const known = isKnownWord(word);
+  const classes = [];
+  if (known) classes.push(`${PLUGIN_PREFIX}known`);
+  if (isEasyWord(word, known)) classes.push(`${PLUGIN_PREFIX}easy`);
+  return classes;
+}
+
+/**
+ * 更新单词容器的已掌握和难度标记
+ * @param {HTMLElement} root 根元素
+ */
+function markWordStates(root) {
+  root.querySelectorAll(`.${PLUGIN_PREFIX}word`).forEach(wordSpan => {
+    const classes = getWordStateClasses(wordSpan.dataset.word);
+    wordSpan.classList.toggle(`${PLUGIN_PREFIX}known`, classes.includes(`${PLUGIN_PREFIX}known`));
+    wordSpan.classList.toggle(`${PLUGIN_PREFIX}easy`, classes.includes(`${PLUGIN_PREFIX}easy`));
+  });
+}
+
+/**
+ * 获取需要异步加载且会显示的音标选择器
+ * @returns {string}
+ */
+function getPendingPhoneticSelector() {
+  const hidden = [`.${PLUGIN_PREFIX}easy`];
+  if (knownWordsDisplay === 'hide') {
+    hidden.push(`.${PLUGIN_PREFIX}known`);
   }
+  return `.${PLUGIN_PREFIX}word:not(${hidden.join(', ')}) [data-needs-async="true"]`;
+}
+
+/**
+ * 重新标记页面上已有的单词，并补充加载之前因隐藏而跳过的音标
+ */
+function refreshWordStates() {
+  markWordStates(document.body);
+  
+  const selector = getPendingPhoneticSelector();
+  document.querySelectorAll(`.${PLUGIN_PREFIX}text-wrapper`).forEach(wrapper => {
+    if (!observedWrappers.has(wrapper) && wrapper.querySelector(selector)) {
+      processingQueue.push(wrapper);
+    }
+  });
+  processQueue();
+  refreshOverlay();
+}
+
+/**
+ * 设置已掌握单词，并更新页面上已有的标注
+ * @param {object} options {words, tier, display}
+ */
+export function setKnownWords({ words, tier, display } = {}) {
+  if (words) {
+    knownWords = new Set(words);
+  }
+  if (tier !== undefined) {
+    knownWordsTier = Number(tier) || 0;
+  }
+  if (display) {
+    knownWordsDisplay = display;
+  }
+  
+  document.body.classList.toggle('elh-known-hide', knownWordsDisplay === 'hide');
+  document.body.classList.toggle('elh-known-dim', knownWordsDisplay === 'dim');
+  refreshWordStates();
+  
+  console.log(`[Phonetics] Known words updated: ${knownWords.size} words, tier ${knownWordsTier}, display ${knownWordsDisplay}`);
+}
+
+/**
+ * 设置音标呈现方式，并重新渲染页面上已加载的音标
+ * @param {string} mode 'plain' | 'syllables' | 'aligned'
+ */
+export function setPhoneticRendering(mode) {
+  phoneticRendering = RENDERING_MODES.includes(mode) ? mode : 'plain';
+  rerenderLoadedPhonetics();
+  
+  console.log(`[Phonetics] Phonetic rendering: ${phoneticRendering}`);
+}
+
+/**
+ * 设置音标体系（现代 IPA / DJ / KK / 拼读 / 拼音 / 汉字谐音），并重新渲染页面上已加载的音标
+ * @param {string} style 'ipa' | 'dj' | 'kk' | 'respelling' | 'pinyin' | 'hanzi'
+ */
+export function setNotationStyle(style) {
+  setCurrentNotationStyle(style);
+  rerenderLoadedPhonetics();
+  
+  console.log(`[Phonetics] Notation style: ${getNotationStyle()}`);
+}
+
+/**
+ * 用缓存的音标重新渲染页面上已加载的标注
+ */
+function rerenderLoadedPhonetics() {
+  document.querySelectorAll(`.${PLUGIN_PREFIX}word`).forEach(wordSpan => {
+    const element = wordSpan.querySelector(`.${PLUGIN_PREFIX}phonetic`);
+    if (element && phoneticsCache.has(wordSpan.dataset.word)) {
+      applyPhonetics(element, phoneticsCache.get(wordSpan.dataset.word));
+    }
+  });
+  refreshOverlay();
+}
+
+/**
+ * 设置标注方式（网站规则），音标已开启时按新方式重新标注
+ * @param {string} mode 'inline' | 'overlay'
+ */
+export function setRenderMode(mode) {
+  const next = RENDER_MODES.includes(mode) ? mode : 'inline';
+  if (next === renderMode) return;
+  
+  const active = Boolean(phoneticsObserver);
+  if (active) {
+    clearPhonetics();
+  }
+  renderMode = next;
+  if (active) {
+    initPhonetics();
+  }
+  
+  console.log(`[Phonetics] Render mode: ${renderMode}`);
+}
+
+/**
+ * 设置标注模式，并更新页面上已有的标注
+ * @param {object} options {mode, threshold, lookupHistory}
+ */
+export function setAnnotationMode({ mode, threshold, lookupHistory } = {}) {
+  if (mode) {
+    annotationMode = mode;
+  }
+  if (threshold !== undefined) {
+    difficultyThreshold = Number(threshold) || DEFAULT_DIFFICULTY_THRESHOLD;
+  }
+  if (lookupHistory) {
+    lookupCounts = new Map(Object.values(lookupHistory).map(entry => [entry.word, entry.count || 1]));
+  }
+  
+  document.body.classList.toggle('elh-difficulty-mode', annotationMode === ANNOTATION_MODES.DIFFICULTY);
+  refreshWordStates();
+  
+  console.log(`[Phonetics] Annotation mode: ${annotationMode}, threshold ${difficultyThreshold}, ${lookupCounts.size} looked-up words`);
+}
+
+/**
+ * 切换音标口音，并重新标注页面上已有的单词
+ * 已有音标保留到新口音的结果返回后再替换
+ * @param {string} accent 'uk' | 'us' | 'both'
+ */
+export function setAccent(accent) {
+  setCurrentAccent(accent);
+  const current = getAccent();
+  
+  phoneticsCache.clear();
+  document.body.classList.toggle('elh-accent-both', current === ACCENTS.BOTH);
+  
+  document.querySelectorAll(`.${PLUGIN_PREFIX}word .${PLUGIN_PREFIX}phonetic`).forEach(element => {
+    element.dataset.needsAsync = 'true';
+  });
+  
+  refreshWordStates();
+  
+  console.log(`[Phonetics] Accent set to ${current}`);
+}
+
+/**
+ * 重新获取指定单词的音标（自定义音标修改后调用）
+ * 已有音标保留到新结果返回后再替换
+ * @param {string[]} words 小写单词
+ */
+export function refreshPhonetics(words) {
+  const changed = new Set(words);
+  if (changed.size === 0) return;
+  
+  // 首字母缩略词（如 "AI"）也使用小写的自定义音标
+  [...phoneticsCache.keys()]
+    .filter(word => changed.has(word.toLowerCase()))
+    .forEach(word => phoneticsCache.delete(word));
+  
+  document.querySelectorAll(`.${PLUGIN_PREFIX}word`).forEach(wordSpan => {
+    const element = wordSpan.querySelector(`.${PLUGIN_PREFIX}phonetic`);
+    if (element && changed.has(wordSpan.dataset.word.toLowerCase())) {
+      element.dataset.needsAsync = 'true';
+    }
+  });
+  
+  refreshWordStates();
+  
+  console.log(`[Phonetics] Refreshing ${changed.size} words`);
 }
 
 /**
@@ -292,16 +821,25 @@ function escapeHtml(text) {
 }
 
 /**
- * 隐藏音标显示（不删除DOM）
+ * 关闭音标：停止监听页面变化，并把所有标注还原为原始文本节点
+ * 之后调用 initPhonetics() 可重新标注
  */
 export function clearPhonetics() {
-  console.log('[Phonetics] Hiding phonetics with CSS...');
+  console.log('[Phonetics] Removing phonetics...');
   
-  // 添加CSS类来隐藏所有音标
-  document.body.classList.add('elh-hide-phonetics');
+  // 先停止监听，避免还原时触发重新标注
+  phoneticsObserver?.disconnect();
+  phoneticsObserver = null;
+  viewportObserver?.disconnect();
+  viewportObserver = null;
+  clearTimeout(mutationTimer);
+  mutationTimer = null;
+  processingQueue = [];
+  observedWrappers = new WeakSet();
+  stopOverlay();
   
-  // 保持observer运行，以便新内容也会被处理（只是不可见）
-  console.log('[Phonetics] Phonetics hidden but observer still running');
+  const count = restoreAnnotations(() => true);
+  console.log(`[Phonetics] Restored ${count} text nodes`);
 }
 
 export { phoneticsCache };
@@ -0,0 +1,247 @@
+/**
+ * 阅读视图模块
+ * 提取正文后在全屏覆盖层中以干净的排版显示，可调整字号、行距、字体、版心宽度和音标显示
+ * 阅读视图打开期间作为内容范围，音标标注、双语阅读和选择工具栏只作用于阅读视图
+ */
+
+import { createElement, PLUGIN_PREFIX } from '../../utils/dom.js';
+import { findArticleRoot, getContentScope, setContentScope } from '../../utils/article-extractor.js';
+import { get, set, STORAGE_KEYS } from '../../utils/storage.js';
+
+// 默认排版
+const DEFAULT_READER_PREFS = {
+  fontSize: 20,
+  lineHeight: 1.8,
+  fontFamily: 'serif',
+  width: 720,
+  showPhonetics: true
+};
+
+// 排版调整范围和步长
+const FONT_SIZE_RANGE = { min: 14, max: 32, step: 2 };
+const LINE_HEIGHT_RANGE = { min: 1.4, max: 2.6, step: 0.2 };
+const WIDTH_RANGE = { min: 560, max: 1040, step: 80 };
+
+// 可选字体
+const FONT_FAMILIES = {
+  serif: 'Georgia, "Times New Roman", "Songti SC", serif',
+  sans: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "PingFang SC", sans-serif'
+};
+
+// 保留结构的标签，其余元素只保留内容
+const KEPT_TAGS = new Set([
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'DL', 'DT', 'DD',
+  'BLOCKQUOTE', 'PRE', 'CODE', 'EM', 'STRONG', 'B', 'I', 'SUP', 'SUB', 'A', 'IMG',
+  'FIGURE', 'FIGCAPTION', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TD', 'TH', 'BR', 'HR'
+]);
+
+// 作为块级容器保留的标签（避免相邻块的文字连在一起）
+const BLOCK_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER']);
+
+// 丢弃的标签
+const DROPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA',
+  'NAV', 'ASIDE', 'FOOTER', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO', 'DIALOG'
+]);
+
+// 覆盖层元素
+let overlayElement = null;
+
+// 打开阅读视图前的内容范围
+let previousScope = null;
+
+// 当前排版
+let prefs = { ...DEFAULT_READER_PREFS };
+
+/**
+ * 打开阅读视图
+ */
+export async function openReader() {
+  if (overlayElement) return;
+  
+  prefs = { ...DEFAULT_READER_PREFS, ...await get(STORAGE_KEYS.READER_PREFS, {}) };
+  
+  // 找不到正文时使用当前内容范围
+  const source = findArticleRoot() || getContentScope();
+  
+  overlayElement = createOverlay(source);
+  applyPrefs();
+  
+  // 先设置内容范围再插入，音标模块监听到新节点后只标注阅读视图
+  previousScope = getContentScope();
+  setContentScope(overlayElement.querySelector('#elh-reader-article'));
+  document.body.appendChild(overlayElement);
+  document.body.classList.add(`${PLUGIN_PREFIX}reader-open`);
+  document.addEventListener('keydown', handleKeydown);
+  
+  console.log('[Reader] Opened');
+}
+
+/**
+ * 阅读视图是否打开
+ * @returns {boolean}
+ */
+export function isReaderOpen() {
+  return Boolean(overlayElement);
+}
+
+/**
+ * 关闭阅读视图
+ */
+export function closeReader() {
+  if (!overlayElement) return;
+  
+  overlayElement.remove();
+  overlayElement = null;
+  setContentScope(previousScope === document.body ? null : previousScope);
+  previousScope = null;
+  document.body.classList.remove(`${PLUGIN_PREFIX}reader-open`);
+  document.removeEventListener('keydown', handleKeydown);
+  
+  console.log('[Reader] Closed');
+}
+
+/**
+ * ESC 关闭阅读视图
+ * @param {KeyboardEvent} e 事件
+ */
+function handleKeydown(e) {
+  if (e.key === 'Escape') closeReader();
+}
+
+/**
+ * 创建覆盖层
+ * 覆盖层和正文容器使用 id 而非插件类名，否则音标模块会把其中的文字当作插件元素跳过
+ * @param {Element} source 正文元素
+ * @returns {HTMLElement}
+ */
+function createOverlay(source) {
+  const overlay = document.createElement('div');
+  overlay.id = 'elh-reader';
+  
+  const toolbar = createElement('div', 'reader-toolbar');
+  const addButton = (label, title, onClick) => {
+    const button = createElement('button', 'reader-btn', { textContent: label, title });
+    button.addEventListener('click', onClick);
+    toolbar.appendChild(button);
+    return button;
+  };
+  
+  addButton('A−', '减小字号', () => adjustPref('fontSize', -1, FONT_SIZE_RANGE));
+  addButton('A+', '增大字号', () => adjustPref('fontSize', 1, FONT_SIZE_RANGE));
+  addButton('行距−', '减小行距', () => adjustPref('lineHeight', -1, LINE_HEIGHT_RANGE));
+  addButton('行距+', '增大行距', () => adjustPref('lineHeight', 1, LINE_HEIGHT_RANGE));
+  addButton('窄', '减小版心宽度', () => adjustPref('width', -1, WIDTH_RANGE));
+  addButton('宽', '增大版心宽度', () => adjustPref('width', 1, WIDTH_RANGE));
+  addButton('衬线/无衬线', '切换字体', () => updatePrefs({ fontFamily: prefs.fontFamily === 'serif' ? 'sans' : 'serif' }));
+  addButton('音标', '显示/隐藏音标', () => updatePrefs({ showPhonetics: !prefs.showPhonetics }))
+    .classList.add(`${PLUGIN_PREFIX}reader-ipa-btn`);
+  addButton('×', '关闭阅读视图 (Esc)', closeReader).classList.add(`${PLUGIN_PREFIX}reader-close`);
+  
+  const scroller = document.createElement('div');
+  scroller.id = 'elh-reader-scroll';
+  
+  const article = document.createElement('article');
+  article.id = 'elh-reader-article';
+  
+  // 正文没有标题时使用页面标题
+  if (!source.querySelector('h1') && document.title) {
+    const title = document.createElement('h1');
+    title.textContent = document.title;
+    article.appendChild(title);
+  }
+  article.appendChild(cloneCleanContent(source));
+  
+  scroller.appendChild(article);
+  overlay.append(toolbar, scroller);
+  return overlay;
+}
+
+/**
+ * 复制正文内容，去掉页面样式、脚本、交互元素和插件生成的标注
+ * @param {Node} node 节点
+ * @returns {Node|null}
+ */
+function cloneCleanContent(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return document.createTextNode(node.textContent);
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+  
+  const className = typeof node.className === 'string' ? node.className : '';
+  
+  // 已标注的文字还原为原文，其余插件元素（译文、弹窗等）丢弃
+  if (className.includes(PLUGIN_PREFIX)) {
+    if (!node.classList.contains(`${PLUGIN_PREFIX}text-wrapper`)) return null;
+    const clone = node.cloneNode(true);
+    clone.querySelectorAll(`.${PLUGIN_PREFIX}phonetic`).forEach(element => element.remove());
+    return document.createTextNode(clone.textContent);
+  }
+  
+  if (DROPPED_TAGS.has(node.tagName) || node.hidden || node.getAttribute('aria-hidden') === 'true') {
+    return null;
+  }
+  
+  let element;
+  if (KEPT_TAGS.has(node.tagName)) {
+    element = document.createElement(node.tagName);
+    if (node.tagName === 'A' && node.href) {
+      element.href = node.href;
+      element.target = '_blank';
+      element.rel = 'noopener noreferrer';
+    }
+    if (node.tagName === 'IMG') {
+      if (!node.currentSrc && !node.src) return null;
+      element.src = node.currentSrc || node.src;
+      element.alt = node.alt || '';
+      return element;
+    }
+  } else if (BLOCK_TAGS.has(node.tagName)) {
+    element = document.createElement('div');
+  } else {
+    element = document.createDocumentFragment();
+  }
+  
+  node.childNodes.forEach(child => {
+    const clone = cloneCleanContent(child);
+    if (clone) element.appendChild(clone);
+  });
+  return element;
+}
+
+/**
+ * 按步长调整一项排版设置
+ * @param {string} key 设置名
+ * @param {number} direction 1 增大，-1 减小
+ * @param {{min: number, max: number, step: number}} range 范围
+ */
+function adjustPref(key, direction, range) {
+  const value = Math.round((prefs[key] + direction * range.step) * 10) / 10;
+  updatePrefs({ [key]: Math.min(range.max, Math.max(range.min, value)) });
+}
+
+/**
+ * 更新排版设置并保存
+ * @param {object} updates 要更新的设置
+ */
+function updatePrefs(updates) {
+  prefs = { ...prefs, ...updates };
+  applyPrefs();
+  set(STORAGE_KEYS.READER_PREFS, prefs).catch(error => {
+    console.error('[Reader] Failed to save preferences:', error);
+  });
+}
+
+/**
+ * 把排版设置应用到覆盖层
+ */
+function applyPrefs() {
+  if (!overlayElement) return;
+  
+  const style = overlayElement.style;
+  style.setProperty('--elh-reader-font-size', `${prefs.fontSize}px`);
+  style.setProperty('--elh-reader-line-height', String(prefs.lineHeight));
+  style.setProperty('--elh-reader-width', `${prefs.width}px`);
+  style.setProperty('--elh-reader-font-family', FONT_FAMILIES[prefs.fontFamily] || FONT_FAMILIES.serif);
+  overlayElement.dataset.phonetics = prefs.showPhonetics ? 'shown' : 'hidden';
+}
@@ -1,32 +1,56 @@
 /**
  * 文本选择模块
- * 处理段落选择，显示朗读工具栏
+ * 处理段落选择，显示朗读、复制、翻译和语法解析工具栏
  */
 
 import { createElement, PLUGIN_PREFIX } from '../../utils/dom.js';
 import { requestTTS } from './tts.js';
+import { showSentencePanel } from './sentence-panel.js';
+import { isInContentScope } from '../../utils/article-extractor.js';
 
 // 工具栏元素
 let toolbarElement = null;
 let currentSelection = null;
 
+// 选区位置（翻译面板锚定在选区附近）
+let currentRect = null;
+
+// 注册在 document 上的监听（destroySelection() 时一并移除）
+let documentListeners = null;
+
 /**
  * 初始化选择模块
  */
 export function initSelection() {
+  documentListeners = new AbortController();
+  const { signal } = documentListeners;
+  
   // 创建工具栏
   createToolbar();
   
   // 监听选择变化
-  document.addEventListener('mouseup', handleMouseUp);
-  document.addEventListener('selectionchange', handleSelectionChange);
+  document.addEventListener('mouseup', handleMouseUp, { signal });
+  document.addEventListener('selectionchange', handleSelectionChange, { signal });
   
   // 点击其他区域隐藏工具栏
   document.addEventListener('mousedown', (e) => {
     if (toolbarElement && !toolbarElement.contains(e.target)) {
       hideToolbar();
     }
-  });
+  }, { signal });
+}
+
+/**
+ * 停用选择模块：移除工具栏和页面监听（网站规则关闭插件时调用）
+ * 之后调用 initSelection() 可重新启用
+ */
+export function destroySelection() {
+  documentListeners?.abort();
+  documentListeners = null;
+  
+  hideToolbar();
+  toolbarElement?.remove();
+  toolbarElement = null;
 }
 
 /**
@@ -43,6 +67,14 @@ function createToolbar() {
       <span class="${PLUGIN_PREFIX}btn-icon">📋</span>
       <span class="${PLUGIN_PREFIX}btn-text">复制</span>
     </button>
+    <button class="${PLUGIN_PREFIX}toolbar-btn ${PLUGIN_PREFIX}translate-btn" title="翻译选中的句子或段落">
+      <span class="${PLUGIN_PREFIX}btn-icon">🌐</span>
+      <span class="${PLUGIN_PREFIX}btn-text">翻译</span>
+    </button>
+    <button class="${PLUGIN_PREFIX}toolbar-btn ${PLUGIN_PREFIX}explain-btn" title="AI 解析句子结构、时态和重点短语">
+      <span class="${PLUGIN_PREFIX}btn-icon">🧩</span>
+      <span class="${PLUGIN_PREFIX}btn-text">解析</span>
+    </button>
   `;
   
   document.body.appendChild(toolbarElement);
@@ -50,6 +82,8 @@ function createToolbar() {
   // 绑定事件
   toolbarElement.querySelector(`.${PLUGIN_PREFIX}tts-btn`).addEventListener('click', handleTTSClick);
   toolbarElement.querySelector(`.${PLUGIN_PREFIX}copy-btn`).addEventListener('click', handleCopyClick);
+  toolbarElement.querySelector(`.${PLUGIN_PREFIX}translate-btn`).addEventListener('click', (e) => handleSentenceClick(e, 'translate'));
+  toolbarElement.querySelector(`.${PLUGIN_PREFIX}explain-btn`).addEventListener('click', (e) => handleSentenceClick(e, 'explain'));
 }
 
 /**
@@ -102,11 +136,17 @@ function checkSelection(e) {
     return;
   }
   
-  currentSelection = text;
-  
   // 获取选择区域位置
   const range = selection.getRangeAt(0);
+  
+  // 开启正文模式时只处理正文中的选择
+  if (!isInContentScope(range.commonAncestorContainer)) {
+    return;
+  }
+  
+  currentSelection = text;
   const rect = range.getBoundingClientRect();
+  currentRect = rect;
   
   showToolbar(rect);
 }
@@ -147,6 +187,7 @@ function hideToolbar() {
   if (toolbarElement) {
     toolbarElement.classList.remove(`${PLUGIN_PREFIX}toolbar-visible`);
     currentSelection = null;
+    currentRect = null;
   }
 }
 
@@ -205,4 +246,19 @@ async function handleCopyClick(e) {
   hideToolbar();
 }
 
+/**
+ * 处理翻译/解析按钮点击
+ * @param {MouseEvent} e 事件
+ * @param {'translate'|'explain'} mode 模式
+ */
+function handleSentenceClick(e, mode) {
+  e.preventDefault();
+  e.stopPropagation();
+  
+  if (!currentSelection) return;
+  
+  showSentencePanel(mode, currentSelection, currentRect);
+  hideToolbar();
+}
+
 export { hideToolbar };
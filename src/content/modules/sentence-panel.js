@@ -0,0 +1,232 @@
+/**
+ * 整句翻译/语法解析面板
+ * 由选择工具栏打开，锚定在选区附近，通过 AI_STREAM 长连接流式显示结果
+ */
+
+import { createElement, PLUGIN_PREFIX } from '../../utils/dom.js';
+
+// 面板元素
+let panelElement = null;
+
+// 当前请求的长连接（关闭面板或发起新请求时断开）
+let currentPort = null;
+
+// 两种模式的标题和消息类型
+const PANEL_MODES = {
+  translate: { title: '🌐 翻译', message: 'START_TRANSLATE' },
+  explain: { title: '🧩 语法解析', message: 'START_EXPLAIN' }
+};
+
+// 翻译来源的显示文字
+const SOURCE_LABELS = {
+  baidu: '百度翻译',
+  gemini: 'Gemini'
+};
+
+/**
+ * 创建面板元素
+ */
+function createPanelElement() {
+  panelElement = createElement('div', 'sentence-panel');
+  panelElement.innerHTML = `
+    <div class="${PLUGIN_PREFIX}sentence-panel-header">
+      <span class="${PLUGIN_PREFIX}sentence-panel-title"></span>
+      <span class="${PLUGIN_PREFIX}sentence-panel-source"></span>
+      <button class="${PLUGIN_PREFIX}sentence-panel-close" title="关闭">×</button>
+    </div>
+    <div class="${PLUGIN_PREFIX}sentence-panel-text"></div>
+    <div class="${PLUGIN_PREFIX}sentence-panel-body"></div>
+  `;
+  
+  document.body.appendChild(panelElement);
+  
+  panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-close`).addEventListener('click', hideSentencePanel);
+  
+  // 点击面板外部或按 ESC 关闭
+  document.addEventListener('mousedown', (e) => {
+    if (isPanelVisible() && !e.composedPath().includes(panelElement)) {
+      hideSentencePanel();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideSentencePanel();
+  });
+}
+
+/**
+ * 面板是否正在显示
+ * @returns {boolean}
+ */
+function isPanelVisible() {
+  return Boolean(panelElement?.classList.contains(`${PLUGIN_PREFIX}sentence-panel-visible`));
+}
+
+/**
+ * 显示翻译或语法解析面板
+ * @param {'translate'|'explain'} mode 模式
+ * @param {string} text 选中的句子或段落
+ * @param {DOMRect} rect 选区位置
+ */
+export function showSentencePanel(mode, text, rect) {
+  if (!panelElement) createPanelElement();
+  disconnectPort();
+  
+  panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-title`).textContent = PANEL_MODES[mode].title;
+  panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-source`).textContent = '';
+  panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-text`).textContent = text;
+  
+  const body = panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-body`);
+  body.innerHTML = `<div class="${PLUGIN_PREFIX}sentence-panel-loading">${mode === 'translate' ? '翻译中...' : 'AI 分析中...'}</div>`;
+  
+  panelElement.classList.add(`${PLUGIN_PREFIX}sentence-panel-visible`);
+  positionPanel(rect);
+  
+  streamResult(mode, text, body);
+}
+
+/**
+ * 隐藏面板并中止未完成的请求
+ */
+export function hideSentencePanel() {
+  if (!panelElement) return;
+  
+  disconnectPort();
+  panelElement.classList.remove(`${PLUGIN_PREFIX}sentence-panel-visible`);
+}
+
+/**
+ * 断开当前请求的长连接
+ */
+function disconnectPort() {
+  if (currentPort) {
+    currentPort.disconnect();
+    currentPort = null;
+  }
+}
+
+/**
+ * 将面板放在选区下方，空间不足时放在上方
+ * @param {DOMRect} rect 选区位置
+ */
+function positionPanel(rect) {
+  const panelRect = panelElement.getBoundingClientRect();
+  let top = rect.bottom + window.scrollY + 8;
+  let left = rect.left + window.scrollX;
+  
+  if (rect.bottom + panelRect.height + 8 > window.innerHeight && rect.top > panelRect.height + 8) {
+    top = rect.top + window.scrollY - panelRect.height - 8;
+  }
+  
+  // 确保不超出视口
+  if (left + panelRect.width > window.innerWidth + window.scrollX - 8) {
+    left = window.innerWidth + window.scrollX - panelRect.width - 8;
+  }
+  if (left < window.scrollX + 8) left = window.scrollX + 8;
+  
+  panelElement.style.top = `${top}px`;
+  panelElement.style.left = `${left}px`;
+}
+
+/**
+ * 通过长连接请求结果，边接收边显示
+ * @param {'translate'|'explain'} mode 模式
+ * @param {string} text 文本
+ * @param {HTMLElement} body 面板内容容器
+ */
+function streamResult(mode, text, body) {
+  // 流式输出容器：翻译直接显示译文，语法解析先显示原始输出
+  const streamContainer = createElement('div', mode === 'translate' ? 'sentence-translation' : 'sentence-stream-output');
+  
+  try {
+    const port = chrome.runtime.connect({ name: 'AI_STREAM' });
+    currentPort = port;
+    
+    port.postMessage({ type: PANEL_MODES[mode].message, text });
+    
+    port.onMessage.addListener((msg) => {
+      if (port !== currentPort) return;
+      
+      if (msg.type === 'CHUNK') {
+        if (!streamContainer.isConnected) {
+          body.innerHTML = '';
+          body.appendChild(streamContainer);
+        }
+        streamContainer.textContent += msg.text;
+        streamContainer.scrollTop = streamContainer.scrollHeight;
+      } else if (msg.type === 'COMPLETE') {
+        disconnectPort();
+        body.innerHTML = '';
+        if (mode === 'translate') {
+          renderTranslation(body, msg.data);
+        } else {
+          renderExplanation(body, msg.data);
+        }
+      } else if (msg.type === 'ERROR') {
+        disconnectPort();
+        // 保留已收到的部分结果
+        if (!streamContainer.isConnected) body.innerHTML = '';
+        body.appendChild(createElement('p', 'error', { textContent: streamContainer.isConnected ? `生成中断: ${msg.error}` : msg.error }));
+      }
+    });
+  } catch (error) {
+    console.error('[Sentence Panel] Request failed:', error);
+    body.innerHTML = '';
+    body.appendChild(createElement('p', 'error', { textContent: `请求失败: ${error.message}` }));
+  }
+}
+
+/**
+ * 渲染翻译结果
+ * @param {HTMLElement} body 面板内容容器
+ * @param {{translation: string, source: string}} data 翻译结果
+ */
+function renderTranslation(body, data) {
+  panelElement.querySelector(`.${PLUGIN_PREFIX}sentence-panel-source`).textContent = SOURCE_LABELS[data.source] || '';
+  body.appendChild(createElement('div', 'sentence-translation', { textContent: data.translation || '暂无数据' }));
+}
+
+/**
+ * 渲染语法解析结果
+ * @param {HTMLElement} body 面板内容容器
+ * @param {object} data 解析结果
+ */
+function renderExplanation(body, data) {
+  if (data.parseError) {
+    body.appendChild(createElement('div', 'ai-error', { textContent: `解析失败：${data.rawOutput || data.explanation}` }));
+    return;
+  }
+  
+  const addSection = (label, items) => {
+    const lines = items.filter(Boolean);
+    if (lines.length === 0) return;
+    
+    const section = createElement('div', 'sentence-section');
+    section.appendChild(createElement('div', 'sentence-label', { textContent: label }));
+    for (const line of lines) {
+      const item = createElement('div', 'sentence-value');
+      // [原文, 说明]：原文加粗显示
+      if (Array.isArray(line)) {
+        item.append(createElement('strong', '', { textContent: line[0] }), ` ${line[1]}`);
+      } else {
+        item.textContent = line;
+      }
+      section.appendChild(item);
+    }
+    body.appendChild(section);
+  };
+  
+  const clauses = data.structure?.clauses || [];
+  const tenses = data.tenses || [];
+  const keyPhrases = data.keyPhrases || [];
+  
+  addSection('📖 译文', [data.translation]);
+  addSection('🦴 句子主干', [data.structure?.skeleton]);
+  addSection('🧩 从句与结构', clauses.map(clause => [clause.text, `— ${[clause.type, clause.role].filter(Boolean).join('，')}`]));
+  addSection('⏱️ 时态', tenses.map(tense => [tense.verb, `— ${[tense.tense, tense.explanation].filter(Boolean).join('，')}`]));
+  addSection('🔑 重点短语', keyPhrases.map(phrase => [phrase.phrase, `— ${phrase.meaning || ''}`]));
+  addSection('💡 补充说明', [data.notes]);
+  
+  if (!body.hasChildNodes()) {
+    body.appendChild(createElement('div', 'sentence-value', { textContent: '暂无数据' }));
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { playAudio, speakWithWebSpeech, base64ToArrayBuffer } from '../../utils/audio.js';
+import { getSpeechLang } from '../../utils/accent.js';
 
 // 当前播放状态
 let isPlaying = false;
@@ -42,7 +43,8 @@ export async function requestTTS(text, options = {}) {
       // 使用 Web Speech API 作为备用
       console.log('[TTS] Falling back to Web Speech API');
       await speakWithWebSpeech(text, {
-        rate: options.speed || 1.0
+        rate: options.speed || 1.0,
+        lang: getSpeechLang()
       });
     } else if (response.error) {
       throw new Error(response.error);
@@ -54,7 +56,8 @@ export async function requestTTS(text, options = {}) {
     try {
       console.log('[TTS] Attempting Web Speech API fallback');
       await speakWithWebSpeech(text, {
-        rate: options.speed || 1.0
+        rate: options.speed || 1.0,
+        lang: getSpeechLang()
       });
     } catch (fallbackError) {
       console.error('[TTS] Web Speech fallback also failed:', fallbackError);
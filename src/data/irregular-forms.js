@@ -0,0 +1,218 @@
+/**
+ * 不规则词形表（离线）
+ * 不规则动词（原形 / 过去式 / 过去分词）、不规则复数和不规则比较级，
+ * 用于把词形还原为原形（went → go），并为每个词形提供英式音标。
+ * 每项写作「单词 /音标/」，有两种形式时以逗号分隔。
+ */
+
+// ===== Verbs: base, past tense, past participle =====
+export const IRREGULAR_VERBS = [
+  ['arise /əˈraɪz/', 'arose /əˈrəʊz/', 'arisen /əˈrɪzən/'],
+  ['awake /əˈweɪk/', 'awoke /əˈwəʊk/', 'awoken /əˈwəʊkən/'],
+  ['be /biː/', 'was /wɒz/, were /wɜː/', 'been /biːn/'],
+  ['bear /beə/', 'bore /bɔː/', 'borne /bɔːn/'],
+  ['beat /biːt/', 'beat /biːt/', 'beaten /ˈbiːtən/'],
+  ['become /bɪˈkʌm/', 'became /bɪˈkeɪm/', 'become /bɪˈkʌm/'],
+  ['begin /bɪˈɡɪn/', 'began /bɪˈɡæn/', 'begun /bɪˈɡʌn/'],
+  ['bend /bend/', 'bent /bent/', 'bent /bent/'],
+  ['bet /bet/', 'bet /bet/', 'bet /bet/'],
+  ['bind /baɪnd/', 'bound /baʊnd/', 'bound /baʊnd/'],
+  ['bite /baɪt/', 'bit /bɪt/', 'bitten /ˈbɪtən/'],
+  ['bleed /bliːd/', 'bled /bled/', 'bled /bled/'],
+  ['blow /bləʊ/', 'blew /bluː/', 'blown /bləʊn/'],
+  ['break /breɪk/', 'broke /brəʊk/', 'broken /ˈbrəʊkən/'],
+  ['breed /briːd/', 'bred /bred/', 'bred /bred/'],
+  ['bring /brɪŋ/', 'brought /brɔːt/', 'brought /brɔːt/'],
+  ['build /bɪld/', 'built /bɪlt/', 'built /bɪlt/'],
+  ['burn /bɜːn/', 'burnt /bɜːnt/, burned /bɜːnd/', 'burnt /bɜːnt/, burned /bɜːnd/'],
+  ['burst /bɜːst/', 'burst /bɜːst/', 'burst /bɜːst/'],
+  ['buy /baɪ/', 'bought /bɔːt/', 'bought /bɔːt/'],
+  ['catch /kætʃ/', 'caught /kɔːt/', 'caught /kɔːt/'],
+  ['choose /tʃuːz/', 'chose /tʃəʊz/', 'chosen /ˈtʃəʊzən/'],
+  ['cling /klɪŋ/', 'clung /klʌŋ/', 'clung /klʌŋ/'],
+  ['come /kʌm/', 'came /keɪm/', 'come /kʌm/'],
+  ['cost /kɒst/', 'cost /kɒst/', 'cost /kɒst/'],
+  ['creep /kriːp/', 'crept /krept/', 'crept /krept/'],
+  ['cut /kʌt/', 'cut /kʌt/', 'cut /kʌt/'],
+  ['deal /diːl/', 'dealt /delt/', 'dealt /delt/'],
+  ['dig /dɪɡ/', 'dug /dʌɡ/', 'dug /dʌɡ/'],
+  ['do /duː/', 'did /dɪd/', 'done /dʌn/'],
+  ['draw /drɔː/', 'drew /druː/', 'drawn /drɔːn/'],
+  ['dream /driːm/', 'dreamt /dremt/, dreamed /driːmd/', 'dreamt /dremt/, dreamed /driːmd/'],
+  ['drink /drɪŋk/', 'drank /dræŋk/', 'drunk /drʌŋk/'],
+  ['drive /draɪv/', 'drove /drəʊv/', 'driven /ˈdrɪvən/'],
+  ['eat /iːt/', 'ate /et/', 'eaten /ˈiːtən/'],
+  ['fall /fɔːl/', 'fell /fel/', 'fallen /ˈfɔːlən/'],
+  ['feed /fiːd/', 'fed /fed/', 'fed /fed/'],
+  ['feel /fiːl/', 'felt /felt/', 'felt /felt/'],
+  ['fight /faɪt/', 'fought /fɔːt/', 'fought /fɔːt/'],
+  ['find /faɪnd/', 'found /faʊnd/', 'found /faʊnd/'],
+  ['flee /fliː/', 'fled /fled/', 'fled /fled/'],
+  ['fling /flɪŋ/', 'flung /flʌŋ/', 'flung /flʌŋ/'],
+  ['fly /flaɪ/', 'flew /fluː/', 'flown /fləʊn/'],
+  ['forbid /fəˈbɪd/', 'forbade /fəˈbæd/', 'forbidden /fəˈbɪdən/'],
+  ['forget /fəˈɡet/', 'forgot /fəˈɡɒt/', 'forgotten /fəˈɡɒtən/'],
+  ['forgive /fəˈɡɪv/', 'forgave /fəˈɡeɪv/', 'forgiven /fəˈɡɪvən/'],
+  ['freeze /friːz/', 'froze /frəʊz/', 'frozen /ˈfrəʊzən/'],
+  ['get /ɡet/', 'got /ɡɒt/', 'got /ɡɒt/, gotten /ˈɡɒtən/'],
+  ['give /ɡɪv/', 'gave /ɡeɪv/', 'given /ˈɡɪvən/'],
+  ['go /ɡəʊ/', 'went /went/', 'gone /ɡɒn/'],
+  ['grind /ɡraɪnd/', 'ground /ɡraʊnd/', 'ground /ɡraʊnd/'],
+  ['grow /ɡrəʊ/', 'grew /ɡruː/', 'grown /ɡrəʊn/'],
+  ['hang /hæŋ/', 'hung /hʌŋ/', 'hung /hʌŋ/'],
+  ['have /hæv/', 'had /hæd/', 'had /hæd/'],
+  ['hear /hɪə/', 'heard /hɜːd/', 'heard /hɜːd/'],
+  ['hide /haɪd/', 'hid /hɪd/', 'hidden /ˈhɪdən/'],
+  ['hit /hɪt/', 'hit /hɪt/', 'hit /hɪt/'],
+  ['hold /həʊld/', 'held /held/', 'held /held/'],
+  ['hurt /hɜːt/', 'hurt /hɜːt/', 'hurt /hɜːt/'],
+  ['keep /kiːp/', 'kept /kept/', 'kept /kept/'],
+  ['kneel /niːl/', 'knelt /nelt/', 'knelt /nelt/'],
+  ['know /nəʊ/', 'knew /njuː/', 'known /nəʊn/'],
+  ['lay /leɪ/', 'laid /leɪd/', 'laid /leɪd/'],
+  ['lead /liːd/', 'led /led/', 'led /led/'],
+  ['lean /liːn/', 'leant /lent/, leaned /liːnd/', 'leant /lent/, leaned /liːnd/'],
+  ['leap /liːp/', 'leapt /lept/, leaped /liːpt/', 'leapt /lept/, leaped /liːpt/'],
+  ['learn /lɜːn/', 'learnt /lɜːnt/, learned /lɜːnd/', 'learnt /lɜːnt/, learned /lɜːnd/'],
+  ['leave /liːv/', 'left /left/', 'left /left/'],
+  ['lend /lend/', 'lent /lent/', 'lent /lent/'],
+  ['let /let/', 'let /let/', 'let /let/'],
+  ['lie /laɪ/', 'lay /leɪ/', 'lain /leɪn/'],
+  ['light /laɪt/', 'lit /lɪt/', 'lit /lɪt/'],
+  ['lose /luːz/', 'lost /lɒst/', 'lost /lɒst/'],
+  ['make /meɪk/', 'made /meɪd/', 'made /meɪd/'],
+  ['mean /miːn/', 'meant /ment/', 'meant /ment/'],
+  ['meet /miːt/', 'met /met/', 'met /met/'],
+  ['mislead /mɪsˈliːd/', 'misled /mɪsˈled/', 'misled /mɪsˈled/'],
+  ['overcome /ˌəʊvəˈkʌm/', 'overcame /ˌəʊvəˈkeɪm/', 'overcome /ˌəʊvəˈkʌm/'],
+  ['pay /peɪ/', 'paid /peɪd/', 'paid /peɪd/'],
+  ['put /pʊt/', 'put /pʊt/', 'put /pʊt/'],
+  ['quit /kwɪt/', 'quit /kwɪt/', 'quit /kwɪt/'],
+  ['read /riːd/', 'read /red/', 'read /red/'],
+  ['ride /raɪd/', 'rode /rəʊd/', 'ridden /ˈrɪdən/'],
+  ['ring /rɪŋ/', 'rang /ræŋ/', 'rung /rʌŋ/'],
+  ['rise /raɪz/', 'rose /rəʊz/', 'risen /ˈrɪzən/'],
+  ['run /rʌn/', 'ran /ræn/', 'run /rʌn/'],
+  ['say /seɪ/', 'said /sed/', 'said /sed/'],
+  ['see /siː/', 'saw /sɔː/', 'seen /siːn/'],
+  ['seek /siːk/', 'sought /sɔːt/', 'sought /sɔːt/'],
+  ['sell /sel/', 'sold /səʊld/', 'sold /səʊld/'],
+  ['send /send/', 'sent /sent/', 'sent /sent/'],
+  ['set /set/', 'set /set/', 'set /set/'],
+  ['shake /ʃeɪk/', 'shook /ʃʊk/', 'shaken /ˈʃeɪkən/'],
+  ['shine /ʃaɪn/', 'shone /ʃɒn/', 'shone /ʃɒn/'],
+  ['shoot /ʃuːt/', 'shot /ʃɒt/', 'shot /ʃɒt/'],
+  ['show /ʃəʊ/', 'showed /ʃəʊd/', 'shown /ʃəʊn/'],
+  ['shrink /ʃrɪŋk/', 'shrank /ʃræŋk/', 'shrunk /ʃrʌŋk/'],
+  ['shut /ʃʌt/', 'shut /ʃʌt/', 'shut /ʃʌt/'],
+  ['sing /sɪŋ/', 'sang /sæŋ/', 'sung /sʌŋ/'],
+  ['sink /sɪŋk/', 'sank /sæŋk/', 'sunk /sʌŋk/'],
+  ['sit /sɪt/', 'sat /sæt/', 'sat /sæt/'],
+  ['sleep /sliːp/', 'slept /slept/', 'slept /slept/'],
+  ['slide /slaɪd/', 'slid /slɪd/', 'slid /slɪd/'],
+  ['speak /spiːk/', 'spoke /spəʊk/', 'spoken /ˈspəʊkən/'],
+  ['spell /spel/', 'spelt /spelt/, spelled /speld/', 'spelt /spelt/, spelled /speld/'],
+  ['spend /spend/', 'spent /spent/', 'spent /spent/'],
+  ['spin /spɪn/', 'spun /spʌn/', 'spun /spʌn/'],
+  ['split /splɪt/', 'split /splɪt/', 'split /splɪt/'],
+  ['spread /spred/', 'spread /spred/', 'spread /spred/'],
+  ['spring /sprɪŋ/', 'sprang /spræŋ/', 'sprung /sprʌŋ/'],
+  ['stand /stænd/', 'stood /stʊd/', 'stood /stʊd/'],
+  ['steal /stiːl/', 'stole /stəʊl/', 'stolen /ˈstəʊlən/'],
+  ['stick /stɪk/', 'stuck /stʌk/', 'stuck /stʌk/'],
+  ['sting /stɪŋ/', 'stung /stʌŋ/', 'stung /stʌŋ/'],
+  ['strike /straɪk/', 'struck /strʌk/', 'struck /strʌk/'],
+  ['swear /sweə/', 'swore /swɔː/', 'sworn /swɔːn/'],
+  ['sweep /swiːp/', 'swept /swept/', 'swept /swept/'],
+  ['swim /swɪm/', 'swam /swæm/', 'swum /swʌm/'],
+  ['swing /swɪŋ/', 'swung /swʌŋ/', 'swung /swʌŋ/'],
+  ['take /teɪk/', 'took /tʊk/', 'taken /ˈteɪkən/'],
+  ['teach /tiːtʃ/', 'taught /tɔːt/', 'taught /tɔːt/'],
+  ['tell /tel/', 'told /təʊld/', 'told /təʊld/'],
+  ['think /θɪŋk/', 'thought /θɔːt/', 'thought /θɔːt/'],
+  ['throw /θrəʊ/', 'threw /θruː/', 'thrown /θrəʊn/'],
+  ['undergo /ˌʌndəˈɡəʊ/', 'underwent /ˌʌndəˈwent/', 'undergone /ˌʌndəˈɡɒn/'],
+  ['understand /ˌʌndəˈstænd/', 'understood /ˌʌndəˈstʊd/', 'understood /ˌʌndəˈstʊd/'],
+  ['undertake /ˌʌndəˈteɪk/', 'undertook /ˌʌndəˈtʊk/', 'undertaken /ˌʌndəˈteɪkən/'],
+  ['wake /weɪk/', 'woke /wəʊk/', 'woken /ˈwəʊkən/'],
+  ['wear /weə/', 'wore /wɔː/', 'worn /wɔːn/'],
+  ['weep /wiːp/', 'wept /wept/', 'wept /wept/'],
+  ['win /wɪn/', 'won /wʌn/', 'won /wʌn/'],
+  ['wind /waɪnd/', 'wound /waʊnd/', 'wound /waʊnd/'],
+  ['withdraw /wɪðˈdrɔː/', 'withdrew /wɪðˈdruː/', 'withdrawn /wɪðˈdrɔːn/'],
+  ['write /raɪt/', 'wrote /rəʊt/', 'written /ˈrɪtən/']
+];
+
+// ===== Nouns: singular, plural =====
+export const IRREGULAR_NOUNS = [
+  ['man /mæn/', 'men /men/'],
+  ['woman /ˈwʊmən/', 'women /ˈwɪmɪn/'],
+  ['child /tʃaɪld/', 'children /ˈtʃɪldrən/'],
+  ['person /ˈpɜːsən/', 'people /ˈpiːpəl/'],
+  ['tooth /tuːθ/', 'teeth /tiːθ/'],
+  ['foot /fʊt/', 'feet /fiːt/'],
+  ['goose /ɡuːs/', 'geese /ɡiːs/'],
+  ['mouse /maʊs/', 'mice /maɪs/'],
+  ['louse /laʊs/', 'lice /laɪs/'],
+  ['ox /ɒks/', 'oxen /ˈɒksən/'],
+  // f -> ves
+  ['calf /kɑːf/', 'calves /kɑːvz/'],
+  ['half /hɑːf/', 'halves /hɑːvz/'],
+  ['knife /naɪf/', 'knives /naɪvz/'],
+  ['leaf /liːf/', 'leaves /liːvz/'],
+  ['life /laɪf/', 'lives /laɪvz/'],
+  ['loaf /ləʊf/', 'loaves /ləʊvz/'],
+  ['self /self/', 'selves /selvz/'],
+  ['shelf /ʃelf/', 'shelves /ʃelvz/'],
+  ['thief /θiːf/', 'thieves /θiːvz/'],
+  ['wife /waɪf/', 'wives /waɪvz/'],
+  ['wolf /wʊlf/', 'wolves /wʊlvz/'],
+  // Greek and Latin plurals
+  ['analysis /əˈnæləsɪs/', 'analyses /əˈnæləsiːz/'],
+  ['axis /ˈæksɪs/', 'axes /ˈæksiːz/'],
+  ['basis /ˈbeɪsɪs/', 'bases /ˈbeɪsiːz/'],
+  ['crisis /ˈkraɪsɪs/', 'crises /ˈkraɪsiːz/'],
+  ['diagnosis /ˌdaɪəɡˈnəʊsɪs/', 'diagnoses /ˌdaɪəɡˈnəʊsiːz/'],
+  ['hypothesis /haɪˈpɒθəsɪs/', 'hypotheses /haɪˈpɒθəsiːz/'],
+  ['oasis /əʊˈeɪsɪs/', 'oases /əʊˈeɪsiːz/'],
+  ['parenthesis /pəˈrenθəsɪs/', 'parentheses /pəˈrenθəsiːz/'],
+  ['synthesis /ˈsɪnθəsɪs/', 'syntheses /ˈsɪnθəsiːz/'],
+  ['thesis /ˈθiːsɪs/', 'theses /ˈθiːsiːz/'],
+  ['criterion /kraɪˈtɪəriən/', 'criteria /kraɪˈtɪəriə/'],
+  ['phenomenon /fəˈnɒmɪnən/', 'phenomena /fəˈnɒmɪnə/'],
+  ['bacterium /bækˈtɪəriəm/', 'bacteria /bækˈtɪəriə/'],
+  ['curriculum /kəˈrɪkjələm/', 'curricula /kəˈrɪkjələ/'],
+  ['datum /ˈdeɪtəm/', 'data /ˈdeɪtə/'],
+  ['medium /ˈmiːdiəm/', 'media /ˈmiːdiə/'],
+  ['alumnus /əˈlʌmnəs/', 'alumni /əˈlʌmnaɪ/'],
+  ['cactus /ˈkæktəs/', 'cacti /ˈkæktaɪ/'],
+  ['focus /ˈfəʊkəs/', 'foci /ˈfəʊsaɪ/'],
+  ['fungus /ˈfʌŋɡəs/', 'fungi /ˈfʌŋɡaɪ/'],
+  ['nucleus /ˈnjuːkliəs/', 'nuclei /ˈnjuːkliaɪ/'],
+  ['radius /ˈreɪdiəs/', 'radii /ˈreɪdiaɪ/'],
+  ['stimulus /ˈstɪmjələs/', 'stimuli /ˈstɪmjəlaɪ/'],
+  ['syllabus /ˈsɪləbəs/', 'syllabi /ˈsɪləbaɪ/'],
+  ['formula /ˈfɔːmjələ/', 'formulae /ˈfɔːmjəliː/'],
+  ['larva /ˈlɑːvə/', 'larvae /ˈlɑːviː/'],
+  ['appendix /əˈpendɪks/', 'appendices /əˈpendɪsiːz/'],
+  ['index /ˈɪndeks/', 'indices /ˈɪndɪsiːz/'],
+  ['matrix /ˈmeɪtrɪks/', 'matrices /ˈmeɪtrɪsiːz/'],
+  ['vertex /ˈvɜːteks/', 'vertices /ˈvɜːtɪsiːz/']
+];
+
+// ===== Adjectives and adverbs: base, comparative, superlative =====
+export const IRREGULAR_COMPARISONS = [
+  ['good /ɡʊd/', 'better /ˈbetə/', 'best /best/'],
+  ['well /wel/', 'better /ˈbetə/', 'best /best/'],
+  ['bad /bæd/', 'worse /wɜːs/', 'worst /wɜːst/'],
+  ['ill /ɪl/', 'worse /wɜːs/', 'worst /wɜːst/'],
+  ['far /fɑː/', 'farther /ˈfɑːðə/, further /ˈfɜːðə/', 'farthest /ˈfɑːðɪst/, furthest /ˈfɜːðɪst/'],
+  ['little /ˈlɪtəl/', 'less /les/', 'least /liːst/'],
+  ['much /mʌtʃ/', 'more /mɔː/', 'most /məʊst/'],
+  ['many /ˈmeni/', 'more /mɔː/', 'most /məʊst/'],
+  ['old /əʊld/', 'elder /ˈeldə/', 'eldest /ˈeldɪst/']
+];
+
+// Forms pronounced differently in another sense ("lives" /lɪvz/ as a verb,
+// "bases" /ˈbeɪsɪz/ as the plural of "base", "wound" /wuːnd/ as a noun); the dictionary reading is kept
+export const HETERONYMS = new Set(['lives', 'bases', 'axes', 'learned', 'wound']);
@@ -0,0 +1,171 @@
+/**
+ * 常用短语动词和习语（离线）
+ * 用于 Alt + 单击时识别所点单词所在的多词短语，并附简短英文释义
+ * 短语动词只写原形（give up），动词的各种变形（gave up、giving up）都能匹配
+ */
+
+// ===== Phrasal verbs =====
+export const PHRASAL_VERBS = {
+  'back up': 'to support someone; to make a copy of data',
+  'break down': 'to stop working; to lose control of your emotions',
+  'break in': 'to enter a building by force',
+  'break out': 'to start suddenly (of war, fire, disease); to escape',
+  'break up': 'to end a relationship; to separate into pieces',
+  'bring about': 'to cause something to happen',
+  'bring up': 'to raise a child; to mention a subject',
+  'build up': 'to increase or develop gradually',
+  'call off': 'to cancel an event',
+  'calm down': 'to become less excited or upset',
+  'carry on': 'to continue doing something',
+  'carry out': 'to do or complete a task, plan or experiment',
+  'catch up': 'to reach the same level or place as someone else',
+  'check in': 'to register on arrival at a hotel or airport',
+  'check out': 'to leave a hotel after paying; to look at something',
+  'cheer up': 'to become or make someone happier',
+  'come across': 'to find or meet by chance; to seem',
+  'come back': 'to return',
+  'come up': 'to be mentioned or arise',
+  'come up with': 'to think of an idea or plan',
+  'cut back': 'to reduce an amount',
+  'cut down': 'to reduce; to make a tree fall',
+  'cut off': 'to disconnect; to stop the supply of something',
+  'deal with': 'to take action to solve a problem',
+  'drop by': 'to visit briefly without arranging it',
+  'drop off': 'to take someone or something to a place; to fall asleep',
+  'drop out': 'to leave a school, course or competition before finishing',
+  'end up': 'to reach a situation or place without planning to',
+  'figure out': 'to understand or solve something',
+  'fill in': 'to complete a form; to do someone else\'s job temporarily',
+  'fill out': 'to complete a form',
+  'find out': 'to discover a fact',
+  'get along': 'to have a friendly relationship',
+  'get away': 'to escape; to go on holiday',
+  'get back': 'to return; to recover something',
+  'get by': 'to manage to live or do something with difficulty',
+  'get over': 'to recover from an illness or disappointment',
+  'get rid of': 'to remove or throw away something unwanted',
+  'get up': 'to rise from bed',
+  'give away': 'to give something for free; to reveal a secret',
+  'give in': 'to finally agree after resisting',
+  'give up': 'to stop trying to do something; to quit',
+  'go ahead': 'to begin or continue doing something',
+  'go off': 'to explode or ring; to leave',
+  'go on': 'to continue; to happen',
+  'go out': 'to leave home for a social event; to stop burning',
+  'go over': 'to examine or check carefully',
+  'go through': 'to experience something difficult; to examine carefully',
+  'grow up': 'to develop from a child into an adult',
+  'hand in': 'to give work to a teacher or person in authority',
+  'hang on': 'to wait for a short time; to hold tightly',
+  'hang out': 'to spend time relaxing with friends',
+  'hang up': 'to end a phone call',
+  'hold on': 'to wait; to grip tightly',
+  'hold up': 'to delay; to rob with a weapon',
+  'keep up': 'to continue at the same level; to stay informed',
+  'kick off': 'to start an event or activity',
+  'lay off': 'to dismiss workers because there is no work',
+  'let down': 'to disappoint someone',
+  'log in': 'to enter a computer system with a user name and password',
+  'look after': 'to take care of someone or something',
+  'look down on': 'to think you are better than someone',
+  'look for': 'to try to find something',
+  'look forward to': 'to feel pleased and excited about something in the future',
+  'look into': 'to investigate',
+  'look out': 'to be careful',
+  'look up': 'to search for information in a reference source',
+  'look up to': 'to admire and respect someone',
+  'make out': 'to see or hear something with difficulty; to understand',
+  'make up': 'to invent a story; to become friends again after an argument',
+  'pass away': 'to die',
+  'pass out': 'to faint',
+  'pick up': 'to lift; to collect someone; to learn informally',
+  'point out': 'to draw attention to a fact',
+  'put off': 'to postpone; to discourage',
+  'put on': 'to dress in clothes; to gain weight',
+  'put out': 'to extinguish a fire',
+  'put up with': 'to tolerate something unpleasant',
+  'run into': 'to meet by chance; to experience a problem',
+  'run out': 'to use all of something so that none is left',
+  'run out of': 'to have no more of something left',
+  'set off': 'to start a journey; to cause to explode',
+  'set up': 'to establish an organization or system; to prepare equipment',
+  'settle down': 'to start living a quiet life in one place; to become calm',
+  'show off': 'to try to impress others with your abilities',
+  'show up': 'to arrive or appear',
+  'shut down': 'to close or stop operating',
+  'sign up': 'to register for something',
+  'sort out': 'to organize or solve something',
+  'stand for': 'to represent; to tolerate',
+  'stand out': 'to be easy to notice; to be better than others',
+  'take after': 'to resemble a parent or relative',
+  'take off': 'to leave the ground (of a plane); to remove clothes; to become successful',
+  'take on': 'to accept work or responsibility; to employ',
+  'take over': 'to take control of something',
+  'take up': 'to start a new hobby; to occupy time or space',
+  'think over': 'to consider carefully',
+  'throw away': 'to get rid of something as rubbish',
+  'try on': 'to put on clothes to see if they fit',
+  'turn down': 'to refuse an offer; to lower the volume',
+  'turn off': 'to stop a machine or light working',
+  'turn on': 'to start a machine or light working',
+  'turn out': 'to happen in a particular way; to be discovered to be',
+  'turn up': 'to arrive; to increase the volume',
+  'wake up': 'to stop sleeping',
+  'warm up': 'to prepare for exercise; to become warmer',
+  'work out': 'to exercise; to solve; to develop in a good way',
+  'write down': 'to record something on paper'
+};
+
+// ===== Idioms and fixed expressions =====
+export const IDIOMS = {
+  'a piece of cake': 'something very easy to do',
+  'after all': 'in spite of what was expected; it should be remembered that',
+  'all of a sudden': 'suddenly; unexpectedly',
+  'as a matter of fact': 'actually; in reality',
+  'as far as': 'to the extent that',
+  'as well as': 'in addition to',
+  'at all costs': 'whatever happens; regardless of the effort needed',
+  'at first sight': 'when first seen',
+  'at least': 'not less than; anyway',
+  'at the end of the day': 'when everything has been considered',
+  'on the same page': 'agreeing about or understanding something in the same way',
+  'beat around the bush': 'to avoid talking about what is important',
+  'better late than never': 'it is better to do something late than not at all',
+  'break the ice': 'to make people feel more relaxed, especially at first meeting',
+  'by and large': 'on the whole; generally',
+  'by the way': 'used to introduce a new topic in conversation',
+  'call it a day': 'to stop working on something',
+  'cut corners': 'to do something badly or cheaply to save time or money',
+  'every now and then': 'occasionally; sometimes',
+  'few and far between': 'rare; not happening often',
+  'for good': 'permanently; forever',
+  'for the time being': 'for now; temporarily',
+  'get out of hand': 'to become difficult to control',
+  'hit the nail on the head': 'to describe exactly what is causing a situation',
+  'in a nutshell': 'in a few words; briefly',
+  'in charge of': 'having control of or responsibility for',
+  'in terms of': 'with regard to; concerning',
+  'in the long run': 'over a long period of time; eventually',
+  'in the meantime': 'while something else is happening; meanwhile',
+  'keep an eye on': 'to watch or look after carefully',
+  'kill two birds with one stone': 'to achieve two things with a single action',
+  'let the cat out of the bag': 'to reveal a secret by mistake',
+  'miss the boat': 'to lose an opportunity by being too slow',
+  'more or less': 'approximately; almost',
+  'no longer': 'not any more',
+  'now and then': 'occasionally; sometimes',
+  'on behalf of': 'as the representative of',
+  'on the other hand': 'used to introduce a contrasting point',
+  'on the whole': 'generally; considering everything',
+  'once in a blue moon': 'very rarely',
+  'out of the blue': 'unexpectedly; without warning',
+  'rule of thumb': 'a practical and approximate way of doing something',
+  'so far': 'until now',
+  'sooner or later': 'at some time in the future; eventually',
+  'take into account': 'to consider something when making a decision',
+  'the last straw': 'the final problem that makes a situation unbearable',
+  'under the weather': 'feeling ill',
+  'up to date': 'modern; having the latest information',
+  'when it comes to': 'when the subject is',
+  'with regard to': 'concerning; about'
+};
@@ -2,9 +2,28 @@
  * Options 脚本
  */
 
+import { toExportRows, toAnkiTSV, toCSV, toExportJSON, parseExportJSON } from '../utils/vocabulary-export.js';
+import { FREQUENCY_TIERS, detectWordListFormat, parseWordList } from '../utils/known-words.js';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY_THRESHOLD } from '../utils/word-difficulty.js';
+import { parseOverridesFile, toOverridesJSON } from '../utils/phonetic-overrides.js';
+import { parseSelectorList } from '../utils/site-rules.js';
+import { isValidSelector } from '../utils/dom.js';
+
+// 自定义音标（单词 -> 条目）及正在编辑的单词
+let phoneticOverrides = {};
+let editingOverrideWord = '';
+
+// 网站规则（域名 -> 规则）及正在编辑的域名
+let siteRules = {};
+let editingSiteDomain = '';
+
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
   setupEventListeners();
+  await loadVocabularySummary();
+  await loadKnownWordsSummary();
+  await loadPhoneticOverrides();
+  await loadSiteRules();
 });
 
 /**
@@ -39,6 +58,36 @@ async function loadSettings() {
       radio.checked = radio.value === (settings.theme || 'auto');
     });
     
+    // 口音
+    const accentRadios = document.querySelectorAll('input[name="accent"]');
+    accentRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.accent || 'uk');
+    });
+    
+    // 音标呈现方式
+    const renderingRadios = document.querySelectorAll('input[name="phoneticRendering"]');
+    renderingRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.phoneticRendering || 'plain');
+    });
+    
+    // 音标体系
+    const notationRadios = document.querySelectorAll('input[name="ipaNotation"]');
+    notationRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.ipaNotation || 'ipa');
+    });
+    
+    // 标注模式
+    const annotationModeRadios = document.querySelectorAll('input[name="annotationMode"]');
+    annotationModeRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.annotationMode || 'all');
+    });
+    
+    const difficultyThreshold = document.getElementById('difficultyThreshold');
+    difficultyThreshold.innerHTML = DIFFICULTY_LEVELS
+      .map(level => `<option value="${level.value}">${level.label}</option>`)
+      .join('');
+    difficultyThreshold.value = String(settings.difficultyThreshold || DEFAULT_DIFFICULTY_THRESHOLD);
+    
     // 字号
     const fontSizeRadios = document.querySelectorAll('input[name="fontSize"]');
     fontSizeRadios.forEach(radio => {
@@ -56,6 +105,24 @@ async function loadSettings() {
       radio.checked = radio.value === (settings.ttsEngine || 'gemini');
     });
     
+    // 已掌握单词
+    const knownWordsTier = document.getElementById('knownWordsTier');
+    knownWordsTier.innerHTML = FREQUENCY_TIERS
+      .map(tier => `<option value="${tier.value}">${tier.label}</option>`)
+      .join('');
+    knownWordsTier.value = String(settings.knownWordsTier || 0);
+    
+    const knownDisplayRadios = document.querySelectorAll('input[name="knownWordsDisplay"]');
+    knownDisplayRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.knownWordsDisplay || 'hide');
+    });
+    
+    // 网站名单模式
+    const siteModeRadios = document.querySelectorAll('input[name="siteMode"]');
+    siteModeRadios.forEach(radio => {
+      radio.checked = radio.value === (settings.siteMode || 'blocklist');
+    });
+    
     // 词典API选择
     const dictionaryAPI = document.getElementById('dictionaryAPI');
     dictionaryAPI.value = settings.dictionaryAPI || 'freedict';
@@ -114,6 +181,45 @@ function setupEventListeners() {
     });
   });
   
+  // 口音
+  document.querySelectorAll('input[name="accent"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ accent: e.target.value });
+      }
+    });
+  });
+  
+  // 音标呈现方式
+  document.querySelectorAll('input[name="phoneticRendering"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ phoneticRendering: e.target.value });
+      }
+    });
+  });
+  
+  // 音标体系
+  document.querySelectorAll('input[name="ipaNotation"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ ipaNotation: e.target.value });
+      }
+    });
+  });
+  
+  // 标注模式
+  document.querySelectorAll('input[name="annotationMode"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ annotationMode: e.target.value });
+      }
+    });
+  });
+  document.getElementById('difficultyThreshold')?.addEventListener('change', (e) => {
+    saveSettings({ difficultyThreshold: parseInt(e.target.value, 10) });
+  });
+  
   // 字号
   document.querySelectorAll('input[name="fontSize"]').forEach(radio => {
     radio.addEventListener('change', (e) => {
@@ -139,6 +245,83 @@ function setupEventListeners() {
     });
   });
   
+  // 已掌握单词
+  document.getElementById('knownWordsTier')?.addEventListener('change', (e) => {
+    saveSettings({ knownWordsTier: parseInt(e.target.value, 10) || 0 });
+  });
+  document.querySelectorAll('input[name="knownWordsDisplay"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ knownWordsDisplay: e.target.value });
+      }
+    });
+  });
+  document.getElementById('addKnownWords')?.addEventListener('click', () => {
+    const input = document.getElementById('knownWordsInput');
+    importKnownWords(parseWordList(input.value, 'text')).then(added => {
+      if (added !== null) input.value = '';
+    });
+  });
+  document.getElementById('importKnownWords')?.addEventListener('click', () => {
+    document.getElementById('importKnownWordsFile').click();
+  });
+  document.getElementById('importKnownWordsFile')?.addEventListener('change', importKnownWordsFile);
+  document.getElementById('clearKnownWords')?.addEventListener('click', clearKnownWords);
+  
+  // 自定义音标
+  document.getElementById('saveOverride')?.addEventListener('click', savePhoneticOverride);
+  document.getElementById('overrideIPA')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') savePhoneticOverride();
+  });
+  document.getElementById('cancelOverrideEdit')?.addEventListener('click', () => editPhoneticOverride(''));
+  document.getElementById('overrideSearch')?.addEventListener('input', renderPhoneticOverrides);
+  document.getElementById('overrideList')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const word = button.closest('.override-item').dataset.word;
+    if (button.dataset.action === 'edit') {
+      editPhoneticOverride(word);
+    } else {
+      removePhoneticOverride(word);
+    }
+  });
+  document.getElementById('importOverrides')?.addEventListener('click', () => {
+    document.getElementById('importOverridesFile').click();
+  });
+  document.getElementById('importOverridesFile')?.addEventListener('change', importPhoneticOverrides);
+  document.getElementById('exportOverrides')?.addEventListener('click', exportPhoneticOverrides);
+  document.getElementById('clearOverrides')?.addEventListener('click', clearPhoneticOverrides);
+  
+  // 网站规则
+  document.querySelectorAll('input[name="siteMode"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveSettings({ siteMode: e.target.value });
+      }
+    });
+  });
+  document.getElementById('saveSiteRule')?.addEventListener('click', saveSiteRule);
+  document.getElementById('cancelSiteRuleEdit')?.addEventListener('click', () => editSiteRule(''));
+  document.getElementById('siteRuleList')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const domain = button.closest('.site-rule-item').dataset.domain;
+    if (button.dataset.action === 'edit') {
+      editSiteRule(domain);
+    } else {
+      removeSiteRule(domain);
+    }
+  });
+  
+  // 生词本导出/导入
+  document.getElementById('exportAnki')?.addEventListener('click', () => exportVocabulary('anki'));
+  document.getElementById('exportCSV')?.addEventListener('click', () => exportVocabulary('csv'));
+  document.getElementById('exportJSON')?.addEventListener('click', () => exportVocabulary('json'));
+  document.getElementById('importJSON')?.addEventListener('click', () => {
+    document.getElementById('importJSONFile').click();
+  });
+  document.getElementById('importJSONFile')?.addEventListener('change', importVocabulary);
+  
   // 百度密钥显示/隐藏
   document.getElementById('toggleBaiduSecret')?.addEventListener('click', () => {
     const input = document.getElementById('baiduSecret');
@@ -337,3 +520,503 @@ async function validateBaiduApi() {
     status.className = 'api-status error';
   }
 }
+
+/**
+ * 读取生词本和查词历史
+ * @returns {Promise<{vocabulary: object[], history: object[]}>}
+ */
+async function fetchVocabularyData() {
+  const [vocabularyResponse, historyResponse] = await Promise.all([
+    chrome.runtime.sendMessage({ type: 'GET_VOCABULARY' }),
+    chrome.runtime.sendMessage({ type: 'GET_LOOKUP_HISTORY' })
+  ]);
+  
+  return {
+    vocabulary: Object.values(vocabularyResponse.vocabulary || {}),
+    history: Object.values(historyResponse.history || {})
+  };
+}
+
+/**
+ * 显示生词本概况
+ */
+async function loadVocabularySummary() {
+  try {
+    const { vocabulary, history } = await fetchVocabularyData();
+    document.getElementById('vocabularySummary').textContent = 
+      `生词 ${vocabulary.length} 个 · 查词历史 ${history.length} 个`;
+  } catch (error) {
+    console.error('Failed to load vocabulary summary:', error);
+  }
+}
+
+/**
+ * 导出生词本
+ * @param {'anki'|'csv'|'json'} format 导出格式
+ */
+async function exportVocabulary(format) {
+  try {
+    const includeHistory = document.getElementById('exportIncludeHistory').checked;
+    const data = await fetchVocabularyData();
+    const history = includeHistory ? data.history : [];
+    
+    if (data.vocabulary.length === 0 && history.length === 0) {
+      showToast('没有可导出的单词', 'error');
+      return;
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    const rows = toExportRows(data.vocabulary, history);
+    
+    if (format === 'anki') {
+      downloadFile(`elh-anki-${date}.txt`, toAnkiTSV(rows), 'text/tab-separated-values');
+    } else if (format === 'csv') {
+      downloadFile(`elh-vocabulary-${date}.csv`, toCSV(rows), 'text/csv');
+    } else {
+      downloadFile(`elh-vocabulary-${date}.json`, toExportJSON(data.vocabulary, history), 'application/json');
+    }
+    
+    showToast(`已导出 ${rows.length} 个单词`);
+  } catch (error) {
+    console.error('Failed to export vocabulary:', error);
+    showToast('导出失败', 'error');
+  }
+}
+
+/**
+ * 从 JSON 文件导入生词本
+ * @param {Event} e change 事件
+ */
+async function importVocabulary(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const { vocabulary, history } = parseExportJSON(await file.text());
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_VOCABULARY',
+      vocabulary,
+      history
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || '导入失败');
+    }
+    
+    showToast(`已导入 ${response.vocabularyCount} 个生词、${response.historyCount} 条历史`);
+    await loadVocabularySummary();
+  } catch (error) {
+    console.error('Failed to import vocabulary:', error);
+    showToast(error.message || '导入失败', 'error');
+  }
+}
+
+/**
+ * 触发文件下载
+ * @param {string} filename 文件名
+ * @param {string} content 文件内容
+ * @param {string} mimeType MIME 类型
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 显示已掌握单词数量
+ */
+async function loadKnownWordsSummary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_KNOWN_WORDS' });
+    document.getElementById('knownWordsSummary').textContent = 
+      `已导入 ${(response.words || []).length} 个单词`;
+  } catch (error) {
+    console.error('Failed to load known words summary:', error);
+  }
+}
+
+/**
+ * 添加已掌握单词
+ * @param {string[]} words 单词列表
+ * @returns {Promise<number|null>} 新增数量，失败时为 null
+ */
+async function importKnownWords(words) {
+  if (words.length === 0) {
+    showToast('没有识别到英文单词', 'error');
+    return null;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'ADD_KNOWN_WORDS', words });
+    if (!response.success) {
+      throw new Error(response.error || '导入失败');
+    }
+    
+    showToast(`已添加 ${response.added} 个单词（共 ${response.total} 个）`);
+    await loadKnownWordsSummary();
+    return response.added;
+  } catch (error) {
+    console.error('Failed to import known words:', error);
+    showToast(error.message || '导入失败', 'error');
+    return null;
+  }
+}
+
+/**
+ * 从文件导入已掌握单词（纯文本、CSV、Anki 导出）
+ * @param {Event} e change 事件
+ */
+async function importKnownWordsFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  const text = await file.text();
+  await importKnownWords(parseWordList(text, detectWordListFormat(text, file.name)));
+}
+
+/**
+ * 清空已掌握单词
+ */
+async function clearKnownWords() {
+  if (!confirm('确定要清空已导入的已掌握单词吗？')) return;
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_KNOWN_WORDS' });
+    showToast('已清空');
+    await loadKnownWordsSummary();
+  } catch (error) {
+    console.error('Failed to clear known words:', error);
+    showToast('清空失败', 'error');
+  }
+}
+
+/**
+ * 加载自定义音标
+ */
+async function loadPhoneticOverrides() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PHONETIC_OVERRIDES' });
+    phoneticOverrides = response.overrides || {};
+    renderPhoneticOverrides();
+  } catch (error) {
+    console.error('Failed to load phonetic overrides:', error);
+  }
+}
+
+/**
+ * 渲染自定义音标列表（按搜索词过滤）
+ */
+function renderPhoneticOverrides() {
+  const query = document.getElementById('overrideSearch').value.trim().toLowerCase();
+  const entries = Object.values(phoneticOverrides)
+    .filter(entry => !query || entry.word.includes(query) || entry.ipa.includes(query))
+    .sort((a, b) => a.word.localeCompare(b.word));
+  
+  const total = Object.keys(phoneticOverrides).length;
+  document.getElementById('overridesSummary').textContent = query
+    ? `共 ${total} 个，匹配 ${entries.length} 个`
+    : `共 ${total} 个`;
+  
+  const list = document.getElementById('overrideList');
+  list.innerHTML = '';
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'override-item';
+    item.dataset.word = entry.word;
+    
+    const word = document.createElement('span');
+    word.className = 'override-word';
+    word.textContent = entry.word;
+    
+    const ipa = document.createElement('span');
+    ipa.className = 'override-ipa';
+    ipa.textContent = entry.ipa;
+    
+    const edit = document.createElement('button');
+    edit.className = 'btn btn-outline';
+    edit.dataset.action = 'edit';
+    edit.textContent = '编辑';
+    
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-outline';
+    remove.dataset.action = 'remove';
+    remove.textContent = '删除';
+    
+    item.append(word, ipa, edit, remove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * 进入或退出编辑状态
+ * @param {string} word 要编辑的单词，为空时退出编辑
+ */
+function editPhoneticOverride(word) {
+  const entry = phoneticOverrides[word];
+  editingOverrideWord = entry ? word : '';
+  
+  document.getElementById('overrideWord').value = entry ? entry.word : '';
+  document.getElementById('overrideIPA').value = entry ? entry.ipa : '';
+  document.getElementById('cancelOverrideEdit').hidden = !entry;
+  
+  if (entry) {
+    document.getElementById('overrideIPA').focus();
+  }
+}
+
+/**
+ * 保存输入框中的自定义音标
+ */
+async function savePhoneticOverride() {
+  const word = document.getElementById('overrideWord').value;
+  const ipa = document.getElementById('overrideIPA').value;
+  if (!word.trim() || !ipa.trim()) {
+    showToast('请输入单词和音标', 'error');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_PHONETIC_OVERRIDE',
+      word,
+      ipa,
+      previousWord: editingOverrideWord
+    });
+    if (!response.success) {
+      throw new Error(response.error || '保存失败');
+    }
+    
+    showToast(`已保存 ${response.entry.word} ${response.entry.ipa}`);
+    editPhoneticOverride('');
+    await loadPhoneticOverrides();
+  } catch (error) {
+    console.error('Failed to save phonetic override:', error);
+    showToast(error.message || '保存失败', 'error');
+  }
+}
+
+/**
+ * 删除自定义音标
+ * @param {string} word 单词
+ */
+async function removePhoneticOverride(word) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'REMOVE_PHONETIC_OVERRIDES', words: [word] });
+    if (editingOverrideWord === word) {
+      editPhoneticOverride('');
+    }
+    showToast(`已删除 ${word}`);
+    await loadPhoneticOverrides();
+  } catch (error) {
+    console.error('Failed to remove phonetic override:', error);
+    showToast('删除失败', 'error');
+  }
+}
+
+/**
+ * 从文件导入自定义音标（JSON、CSV、制表符分隔文本）
+ * @param {Event} e change 事件
+ */
+async function importPhoneticOverrides(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const entries = parseOverridesFile(await file.text());
+    if (entries.length === 0) {
+      throw new Error('没有识别到自定义音标');
+    }
+    
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_PHONETIC_OVERRIDES', entries });
+    if (!response.success) {
+      throw new Error(response.error || '导入失败');
+    }
+    
+    showToast(`已导入 ${response.imported} 个（共 ${response.total} 个）`);
+    await loadPhoneticOverrides();
+  } catch (error) {
+    console.error('Failed to import phonetic overrides:', error);
+    showToast(error.message || '导入失败', 'error');
+  }
+}
+
+/**
+ * 导出自定义音标为 JSON
+ */
+function exportPhoneticOverrides() {
+  if (Object.keys(phoneticOverrides).length === 0) {
+    showToast('还没有自定义音标', 'error');
+    return;
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`elh-phonetic-overrides-${date}.json`, toOverridesJSON(phoneticOverrides), 'application/json');
+  showToast('已导出');
+}
+
+/**
+ * 清空自定义音标
+ */
+async function clearPhoneticOverrides() {
+  if (!confirm('确定要清空所有自定义音标吗？')) return;
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_PHONETIC_OVERRIDES' });
+    editPhoneticOverride('');
+    showToast('已清空');
+    await loadPhoneticOverrides();
+  } catch (error) {
+    console.error('Failed to clear phonetic overrides:', error);
+    showToast('清空失败', 'error');
+  }
+}
+
+/**
+ * 加载网站规则
+ */
+async function loadSiteRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_RULES' });
+    siteRules = response.rules || {};
+    renderSiteRules();
+  } catch (error) {
+    console.error('Failed to load site rules:', error);
+  }
+}
+
+/**
+ * 渲染网站规则列表
+ */
+function renderSiteRules() {
+  const rules = Object.values(siteRules).sort((a, b) => a.domain.localeCompare(b.domain));
+  document.getElementById('siteRulesSummary').textContent = `共 ${rules.length} 个`;
+  
+  const dictionaryLabels = { freedict: 'Free Dictionary', baidu: '百度翻译' };
+  const list = document.getElementById('siteRuleList');
+  list.innerHTML = '';
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = rule.enabled ? 'site-rule-item' : 'site-rule-item site-rule-disabled';
+    item.dataset.domain = rule.domain;
+    
+    const domain = document.createElement('span');
+    domain.className = 'site-rule-domain';
+    domain.textContent = rule.domain;
+    
+    const detail = document.createElement('span');
+    detail.className = 'site-rule-detail';
+    detail.textContent = [
+      rule.enabled ? '启用' : '停用',
+      rule.include.length ? `只标注 ${rule.include.join(', ')}` : '',
+      rule.exclude.length ? `不标注 ${rule.exclude.join(', ')}` : '',
+      rule.dictionaryAPI ? `词典：${dictionaryLabels[rule.dictionaryAPI]}` : '',
+      rule.renderMode === 'overlay' ? '浮层标注' : ''
+    ].filter(Boolean).join(' · ');
+    
+    const edit = document.createElement('button');
+    edit.className = 'btn btn-outline';
+    edit.dataset.action = 'edit';
+    edit.textContent = '编辑';
+    
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-outline';
+    remove.dataset.action = 'remove';
+    remove.textContent = '删除';
+    
+    item.append(domain, detail, edit, remove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * 进入或退出编辑状态
+ * @param {string} domain 要编辑的域名，为空时退出编辑
+ */
+function editSiteRule(domain) {
+  const rule = siteRules[domain];
+  editingSiteDomain = rule ? domain : '';
+  
+  document.getElementById('siteRuleDomain').value = rule ? rule.domain : '';
+  document.getElementById('siteRuleEnabled').checked = rule ? rule.enabled : true;
+  document.getElementById('siteRuleDictionary').value = rule ? rule.dictionaryAPI : '';
+  document.getElementById('siteRuleRenderMode').value = rule?.renderMode || 'inline';
+  document.getElementById('siteRuleInclude').value = rule ? rule.include.join('\n') : '';
+  document.getElementById('siteRuleExclude').value = rule ? rule.exclude.join('\n') : '';
+  document.getElementById('cancelSiteRuleEdit').hidden = !rule;
+  
+  if (rule) {
+    document.getElementById('siteRuleDomain').focus();
+  }
+}
+
+/**
+ * 保存表单中的网站规则
+ */
+async function saveSiteRule() {
+  const domain = document.getElementById('siteRuleDomain').value;
+  if (!domain.trim()) {
+    showToast('请输入域名', 'error');
+    return;
+  }
+  
+  const include = parseSelectorList(document.getElementById('siteRuleInclude').value);
+  const exclude = parseSelectorList(document.getElementById('siteRuleExclude').value);
+  const invalid = [...include, ...exclude].find(selector => !isValidSelector(selector));
+  if (invalid) {
+    showToast(`无效的选择器：${invalid}`, 'error');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_SITE_RULE',
+      rule: {
+        domain,
+        enabled: document.getElementById('siteRuleEnabled').checked,
+        dictionaryAPI: document.getElementById('siteRuleDictionary').value,
+        renderMode: document.getElementById('siteRuleRenderMode').value,
+        include,
+        exclude
+      },
+      previousDomain: editingSiteDomain
+    });
+    if (!response.success) {
+      throw new Error(response.error || '保存失败');
+    }
+    
+    showToast(`已保存 ${response.rule.domain}`);
+    editSiteRule('');
+    await loadSiteRules();
+  } catch (error) {
+    console.error('Failed to save site rule:', error);
+    showToast(error.message || '保存失败', 'error');
+  }
+}
+
+/**
+ * 删除网站规则
+ * @param {string} domain 域名
+ */
+async function removeSiteRule(domain) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'REMOVE_SITE_RULE', domain });
+    if (editingSiteDomain === domain) {
+      editSiteRule('');
+    }
+    showToast(`已删除 ${domain}`);
+    await loadSiteRules();
+  } catch (error) {
+    console.error('Failed to remove site rule:', error);
+    showToast('删除失败', 'error');
+  }
+}
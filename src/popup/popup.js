@@ -2,6 +2,22 @@
  * Popup 脚本
  */
 
+import { REVIEW_GRADES } from '../utils/vocabulary.js';
+import { ANNOTATION_MODES, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY_THRESHOLD } from '../utils/word-difficulty.js';
+import { normalizeDomain, parseSelectorList } from '../utils/site-rules.js';
+import { isValidSelector } from '../utils/dom.js';
+
+// 复习队列
+let reviewQueue = [];
+let reviewIndex = 0;
+
+// 当前网站的域名和规则
+let siteDomain = '';
+let siteRule = null;
+
+// 最近一次规则保存（连续修改时依次保存）
+let siteRuleSaving = Promise.resolve();
+
 document.addEventListener('DOMContentLoaded', async () => {
   // 获取设置
   const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
@@ -22,24 +38,69 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('enablePhonetics').checked = settings.enablePhonetics !== false;
   document.getElementById('enableDictionary').checked = settings.enableDictionary !== false;
   document.getElementById('enableTTS').checked = settings.enableTTS !== false;
+  document.getElementById('bilingualReading').checked = settings.bilingualReading === true;
+  document.getElementById('articleMode').checked = settings.articleMode === true;
   
   // 监听开关变化
-  const toggles = ['enablePhonetics', 'enableDictionary', 'enableTTS'];
+  const toggles = ['enablePhonetics', 'enableDictionary', 'enableTTS', 'bilingualReading', 'articleMode'];
   toggles.forEach(id => {
     document.getElementById(id).addEventListener('change', async (e) => {
-      const updates = { [id]: e.target.checked };
+      Object.assign(settings, { [id]: e.target.checked });
       await chrome.runtime.sendMessage({
         type: 'SAVE_SETTINGS',
-        settings: { ...settings, ...updates }
+        settings
       });
     });
   });
   
+  // 标注范围：全部单词或只标注某个难度以上的单词
+  const annotationLevel = document.getElementById('annotationLevel');
+  annotationLevel.innerHTML = [
+    `<option value="${ANNOTATION_MODES.ALL}">全部单词</option>`,
+    ...DIFFICULTY_LEVELS.map(level => `<option value="${level.value}">${level.label}</option>`)
+  ].join('');
+  annotationLevel.value = settings.annotationMode === ANNOTATION_MODES.DIFFICULTY
+    ? String(settings.difficultyThreshold || DEFAULT_DIFFICULTY_THRESHOLD)
+    : ANNOTATION_MODES.ALL;
+  annotationLevel.addEventListener('change', async (e) => {
+    const updates = e.target.value === ANNOTATION_MODES.ALL
+      ? { annotationMode: ANNOTATION_MODES.ALL }
+      : { annotationMode: ANNOTATION_MODES.DIFFICULTY, difficultyThreshold: parseInt(e.target.value, 10) };
+    Object.assign(settings, updates);
+    await chrome.runtime.sendMessage({
+      type: 'SAVE_SETTINGS',
+      settings
+    });
+  });
+  
+  // 当前网站
+  await setupSiteSection();
+  
+  // 生词本
+  await refreshVocabularyStats();
+  document.getElementById('startReview').addEventListener('click', startReview);
+  document.getElementById('reviewBack').addEventListener('click', exitReview);
+  document.getElementById('reviewReveal').addEventListener('click', revealAnswer);
+  document.querySelectorAll('.grade-btn').forEach(btn => {
+    btn.addEventListener('click', () => gradeCurrentWord(REVIEW_GRADES[btn.dataset.grade]));
+  });
+  
   // 打开设置页面
   document.getElementById('openOptions').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
   });
   
+  // 在当前页面打开阅读视图
+  document.getElementById('openReader').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      chrome.tabs.sendMessage(tab.id, { type: 'OPEN_READER' }).catch(error => {
+        console.error('Failed to open reader:', error);
+      });
+      window.close();
+    }
+  });
+  
   // 刷新当前页面
   document.getElementById('refreshPage').addEventListener('click', async () => {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -55,3 +116,198 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.tabs.create({ url: 'https://github.com' }); // 替换为实际帮助页面
   });
 });
+
+/**
+ * 初始化「当前网站」区域（只在普通网页中显示）
+ */
+async function setupSiteSection() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const url = tab?.url ? new URL(tab.url) : null;
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return;
+  
+  siteDomain = normalizeDomain(url.hostname);
+  if (!siteDomain) return;
+  
+  const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', hostname: url.hostname });
+  siteRule = response.rule;
+  
+  document.getElementById('siteSection').hidden = false;
+  document.getElementById('siteDomain').textContent = siteRule?.domain || siteDomain;
+  document.getElementById('siteEnabled').checked = response.enabled;
+  document.getElementById('siteDictionary').value = siteRule?.dictionaryAPI || '';
+  document.getElementById('siteRenderMode').value = siteRule?.renderMode || 'inline';
+  document.getElementById('siteInclude').value = (siteRule?.include || []).join('\n');
+  document.getElementById('siteExclude').value = (siteRule?.exclude || []).join('\n');
+  updateExtensionStatus(response.enabled);
+  
+  document.getElementById('siteEnabled').addEventListener('change', async (e) => {
+    if (await saveSiteRule({ enabled: e.target.checked })) {
+      updateExtensionStatus(e.target.checked);
+      document.getElementById('siteHint').textContent = e.target.checked ? '已在当前页面启用' : '已在当前页面停用';
+    }
+  });
+  document.getElementById('siteDictionary').addEventListener('change', (e) => {
+    saveSiteRule({ dictionaryAPI: e.target.value });
+  });
+  document.getElementById('siteRenderMode').addEventListener('change', (e) => {
+    saveSiteRule({ renderMode: e.target.value });
+  });
+  document.getElementById('saveSiteSelectors').addEventListener('click', async () => {
+    const include = parseSelectorList(document.getElementById('siteInclude').value);
+    const exclude = parseSelectorList(document.getElementById('siteExclude').value);
+    const invalid = [...include, ...exclude].find(selector => !isValidSelector(selector));
+    if (invalid) {
+      document.getElementById('siteHint').textContent = `无效的选择器：${invalid}`;
+      return;
+    }
+    if (await saveSiteRule({ include, exclude })) {
+      document.getElementById('siteHint').textContent = '已保存';
+    }
+  });
+}
+
+/**
+ * 保存当前网站的规则（在已有规则上修改，没有规则时新建）
+ * 连续修改时依次保存，每次都在上一次保存后的规则上修改
+ * @param {object} updates 要修改的字段
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+function saveSiteRule(updates) {
+  siteRuleSaving = siteRuleSaving.then(() => sendSiteRule(updates));
+  return siteRuleSaving;
+}
+
+/**
+ * 发送保存规则消息
+ * @param {object} updates 要修改的字段
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+async function sendSiteRule(updates) {
+  try {
+    const rule = {
+      domain: siteDomain,
+      enabled: document.getElementById('siteEnabled').checked,
+      ...siteRule,
+      ...updates
+    };
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_SITE_RULE', rule });
+    if (!response.success) {
+      throw new Error(response.error || '保存失败');
+    }
+    siteRule = response.rule;
+    return true;
+  } catch (error) {
+    console.error('[Popup] Failed to save site rule:', error);
+    document.getElementById('siteHint').textContent = error.message;
+    return false;
+  }
+}
+
+/**
+ * 更新插件状态标记
+ * @param {boolean} enabled 是否在当前网站运行
+ */
+function updateExtensionStatus(enabled) {
+  const status = document.getElementById('extensionStatus');
+  status.textContent = enabled ? '已启用' : '此网站已停用';
+  status.classList.toggle('active', enabled);
+}
+
+/**
+ * 刷新生词本统计
+ */
+async function refreshVocabularyStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_VOCABULARY' });
+    const stats = response.stats || { total: 0, due: 0 };
+    document.getElementById('vocabTotal').textContent = stats.total;
+    document.getElementById('vocabDue').textContent = stats.due;
+    document.getElementById('startReview').disabled = stats.due === 0;
+  } catch (error) {
+    console.error('[Popup] Failed to load vocabulary:', error);
+  }
+}
+
+/**
+ * 开始复习
+ */
+async function startReview() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_DUE_WORDS' });
+  reviewQueue = response.words || [];
+  reviewIndex = 0;
+  
+  document.querySelector('.popup-content').hidden = true;
+  document.getElementById('reviewView').hidden = false;
+  showReviewCard();
+}
+
+/**
+ * 退出复习
+ */
+async function exitReview() {
+  document.getElementById('reviewView').hidden = true;
+  document.querySelector('.popup-content').hidden = false;
+  await refreshVocabularyStats();
+}
+
+/**
+ * 显示当前复习卡片
+ */
+function showReviewCard() {
+  const done = reviewIndex >= reviewQueue.length;
+  
+  document.getElementById('reviewCard').hidden = done;
+  document.getElementById('reviewReveal').hidden = done;
+  document.getElementById('reviewGrades').hidden = true;
+  document.getElementById('reviewDone').hidden = !done;
+  document.getElementById('reviewProgress').textContent = done 
+    ? '' 
+    : `${reviewIndex + 1} / ${reviewQueue.length}`;
+  
+  if (done) return;
+  
+  const entry = reviewQueue[reviewIndex];
+  document.getElementById('reviewWord').textContent = entry.word;
+  document.getElementById('reviewIpa').textContent = entry.ipa || '';
+  document.getElementById('reviewPos').textContent = entry.partOfSpeech || '';
+  document.getElementById('reviewDefinition').textContent = entry.definition || '（未保存释义）';
+  document.getElementById('reviewContext').textContent = entry.context || '';
+  
+  const source = document.getElementById('reviewSource');
+  source.textContent = entry.title || entry.url || '';
+  source.href = entry.url || '#';
+  source.hidden = !entry.url;
+  
+  document.getElementById('reviewAnswer').hidden = true;
+}
+
+/**
+ * 显示释义
+ */
+function revealAnswer() {
+  document.getElementById('reviewAnswer').hidden = false;
+  document.getElementById('reviewReveal').hidden = true;
+  document.getElementById('reviewGrades').hidden = false;
+}
+
+/**
+ * 提交复习评分
+ * @param {number} quality SM-2 评分
+ */
+async function gradeCurrentWord(quality) {
+  const entry = reviewQueue[reviewIndex];
+  if (!entry) return;
+  
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'REVIEW_WORD',
+      word: entry.word,
+      quality
+    });
+  } catch (error) {
+    console.error('[Popup] Failed to save review:', error);
+  }
+  
+  reviewIndex++;
+  showReviewCard();
+}
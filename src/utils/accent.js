@@ -0,0 +1,69 @@
+/**
+ * 口音设置（英音 / 美音 / 同时显示）
+ * 供音标标注、词典弹窗和语音朗读共享
+ */
+
+export const ACCENTS = {
+  UK: 'uk',
+  US: 'us',
+  BOTH: 'both'
+};
+
+export const DEFAULT_ACCENT = ACCENTS.UK;
+
+// 显示用标签
+export const ACCENT_LABELS = {
+  uk: '英',
+  us: '美'
+};
+
+// Web Speech API 语言代码
+const SPEECH_LANGS = {
+  uk: 'en-GB',
+  us: 'en-US'
+};
+
+let currentAccent = DEFAULT_ACCENT;
+
+/**
+ * 获取当前口音设置
+ * @returns {'uk'|'us'|'both'}
+ */
+export function getAccent() {
+  return currentAccent;
+}
+
+/**
+ * 更新当前口音设置
+ * @param {string} accent 'uk' | 'us' | 'both'
+ */
+export function setAccent(accent) {
+  currentAccent = Object.values(ACCENTS).includes(accent) ? accent : DEFAULT_ACCENT;
+}
+
+/**
+ * 获取需要显示的口音列表
+ * @param {string} accent 口音设置
+ * @returns {Array<'uk'|'us'>}
+ */
+export function getDisplayAccents(accent = currentAccent) {
+  return accent === ACCENTS.BOTH ? [ACCENTS.UK, ACCENTS.US] : [accent];
+}
+
+/**
+ * 获取朗读使用的口音（同时显示时以英音为主）
+ * @param {string} accent 口音设置
+ * @returns {'uk'|'us'}
+ */
+export function getPrimaryAccent(accent = currentAccent) {
+  return accent === ACCENTS.BOTH ? ACCENTS.UK : accent;
+}
+
+/**
+ * 获取口音对应的语音语言代码
+ * @param {string} accent 口音
+ * @returns {string}
+ */
+export function getSpeechLang(accent = currentAccent) {
+  return SPEECH_LANGS[getPrimaryAccent(accent)] || SPEECH_LANGS.uk;
+}
@@ -0,0 +1,169 @@
+/**
+ * ARPAbet → IPA converter
+ *
+ * Converts CMU Pronouncing Dictionary transcriptions (e.g. "W AO1 T ER0")
+ * to General American IPA (e.g. "/ˈwɔtɚ/").
+ * Stress marks are placed at the start of the stressed syllable,
+ * using the maximal onset principle to split consonant clusters.
+ */
+
+// Vowels (stress digit removed). AH and ER depend on stress, see vowelToIPA()
+const VOWELS = {
+  AA: 'ɑ',
+  AE: 'æ',
+  AH: 'ʌ',
+  AO: 'ɔ',
+  AW: 'aʊ',
+  AY: 'aɪ',
+  EH: 'ɛ',
+  ER: 'ɝ',
+  EY: 'eɪ',
+  IH: 'ɪ',
+  IY: 'i',
+  OW: 'oʊ',
+  OY: 'ɔɪ',
+  UH: 'ʊ',
+  UW: 'u'
+};
+
+const CONSONANTS = {
+  B: 'b',
+  CH: 'tʃ',
+  D: 'd',
+  DH: 'ð',
+  F: 'f',
+  G: 'ɡ',
+  HH: 'h',
+  JH: 'dʒ',
+  K: 'k',
+  L: 'l',
+  M: 'm',
+  N: 'n',
+  NG: 'ŋ',
+  P: 'p',
+  R: 'r',
+  S: 's',
+  SH: 'ʃ',
+  T: 't',
+  TH: 'θ',
+  V: 'v',
+  W: 'w',
+  Y: 'j',
+  Z: 'z',
+  ZH: 'ʒ'
+};
+
+// Consonant clusters allowed at the start of an English syllable
+const LEGAL_ONSETS = new Set([
+  'P R', 'P L', 'P Y', 'B R', 'B L', 'B Y', 'T R', 'T W', 'D R', 'D W',
+  'K R', 'K L', 'K W', 'K Y', 'G R', 'G L', 'G W', 'F R', 'F L', 'F Y',
+  'V Y', 'TH R', 'TH W', 'SH R', 'M Y', 'N Y', 'HH Y', 'S P', 'S T', 'S K',
+  'S M', 'S N', 'S L', 'S W', 'S F', 'S P R', 'S P L', 'S T R', 'S K R',
+  'S K W', 'S K L', 'S P Y', 'S K Y'
+]);
+
+const STRESS_MARKS = {
+  1: 'ˈ',
+  2: 'ˌ'
+};
+
+/**
+ * Parse an ARPAbet phoneme
+ * @param {string} phoneme - e.g. "AO1", "T"
+ * @returns {{symbol: string, stress: number|null}}
+ */
+function parsePhoneme(phoneme) {
+  const match = /^([A-Z]+)([012])?$/.exec(phoneme);
+  if (!match) {
+    throw new Error(`Invalid ARPAbet phoneme: ${phoneme}`);
+  }
+  return {
+    symbol: match[1],
+    stress: match[2] === undefined ? null : Number(match[2])
+  };
+}
+
+/**
+ * Convert a vowel to IPA, taking reduction into account
+ * @param {string} symbol - ARPAbet vowel without stress digit
+ * @param {number} stress - 0, 1 or 2
+ * @returns {string}
+ */
+function vowelToIPA(symbol, stress) {
+  if (symbol === 'AH' && stress === 0) return 'ə';
+  if (symbol === 'ER' && stress === 0) return 'ɚ';
+  return VOWELS[symbol];
+}
+
+/**
+ * Check whether a sequence of consonants can start a syllable
+ * @param {string[]} consonants - ARPAbet consonant symbols
+ * @returns {boolean}
+ */
+function isLegalOnset(consonants) {
+  if (consonants.length === 0) return true;
+  if (consonants.length === 1) return consonants[0] !== 'NG';
+  return LEGAL_ONSETS.has(consonants.join(' '));
+}
+
+/**
+ * Split an ARPAbet transcription into syllables
+ * @param {string} arpabet - e.g. "W AO1 T ER0"
+ * @returns {Array<{phonemes: Array<{symbol: string, stress: number|null}>, stress: number}>}
+ */
+export function syllabify(arpabet) {
+  const phonemes = arpabet.trim().split(/\s+/).filter(Boolean).map(parsePhoneme);
+  const vowelIndexes = phonemes
+    .map((phoneme, index) => (phoneme.stress !== null ? index : -1))
+    .filter(index => index >= 0);
+
+  if (vowelIndexes.length === 0) {
+    return [{ phonemes, stress: 0 }];
+  }
+
+  // Syllable boundaries: for each vowel after the first, take the longest legal
+  // onset from the consonants between it and the previous vowel
+  const starts = [0];
+  for (let i = 1; i < vowelIndexes.length; i++) {
+    const previous = vowelIndexes[i - 1];
+    const current = vowelIndexes[i];
+    const cluster = phonemes.slice(previous + 1, current).map(p => p.symbol);
+
+    let onsetLength = cluster.length;
+    while (onsetLength > 0 && !isLegalOnset(cluster.slice(cluster.length - onsetLength))) {
+      onsetLength--;
+    }
+    starts.push(current - onsetLength);
+  }
+
+  return starts.map((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1] : phonemes.length;
+    return {
+      phonemes: phonemes.slice(start, end),
+      stress: phonemes[vowelIndexes[i]].stress
+    };
+  });
+}
+
+/**
+ * Convert an ARPAbet transcription to IPA
+ * @param {string} arpabet - e.g. "P R AH0 N AH2 N S IY0 EY1 SH AH0 N"
+ * @param {object} options - {slashes: wrap result in /.../ (default true)}
+ * @returns {string} IPA, e.g. "/prəˌnʌnsiˈeɪʃən/"
+ */
+export function arpabetToIPA(arpabet, options = {}) {
+  const { slashes = true } = options;
+  const syllables = syllabify(arpabet);
+
+  // Monosyllables carry no stress mark
+  const markStress = syllables.length > 1;
+
+  const ipa = syllables.map(syllable => {
+    const body = syllable.phonemes
+      .map(({ symbol, stress }) => (stress === null ? CONSONANTS[symbol] : vowelToIPA(symbol, stress)))
+      .join('');
+    return (markStress && STRESS_MARKS[syllable.stress]) ? STRESS_MARKS[syllable.stress] + body : body;
+  }).join('');
+
+  return slashes ? `/${ipa}/` : ipa;
+}
@@ -0,0 +1,194 @@
+/**
+ * 正文提取
+ * 参考 Readability 的打分方式：按段落文字量给父元素加分，按 class/id 和链接密度调整，
+ * 得分最高的元素视为正文，用于把音标标注、双语阅读和朗读限制在正文范围内
+ */
+
+// 可能是正文的 class/id
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story|prose|markdown/i;
+
+// 可能不是正文的 class/id（导航、页脚、广告、Cookie 提示等）
+const NEGATIVE_PATTERN = /comment|footer|footnote|masthead|meta|nav|sidebar|sponsor|advert|\bads?\b|ad-|banner|cookie|consent|popup|modal|share|social|related|promo|widget|menu|breadcrumb|subscribe|newsletter/i;
+
+// 不参与打分的区域
+const EXCLUDED_TAGS = new Set(['NAV', 'FOOTER', 'ASIDE', 'HEADER', 'FORM', 'DIALOG']);
+
+// 打分的文本块
+const SCORED_SELECTOR = 'p, pre, td, blockquote, li, dd';
+
+// 文本块的最短长度
+const MIN_BLOCK_LENGTH = 25;
+
+// 正文的最低得分和最短文字长度（低于此值视为不是文章页）
+const MIN_ARTICLE_SCORE = 20;
+const MIN_ARTICLE_LENGTH = 500;
+
+// 兄弟元素得分达到最高分的该比例时，正文扩展到共同的父元素
+const SIBLING_SCORE_RATIO = 0.2;
+
+// 当前的内容范围（null 表示整个页面）
+let contentScope = null;
+
+/**
+ * 按标签给候选元素的初始分
+ * @param {Element} element 元素
+ * @returns {number}
+ */
+function getTagScore(element) {
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      return 10;
+    case 'DIV':
+    case 'SECTION':
+      return 5;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      return 3;
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'LI':
+    case 'FORM':
+      return -3;
+    case 'TH':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 按 class/id 给元素的加减分
+ * @param {Element} element 元素
+ * @returns {number}
+ */
+function getClassWeight(element) {
+  const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+  if (POSITIVE_PATTERN.test(names)) weight += 25;
+  return weight;
+}
+
+/**
+ * 元素是否位于导航、页脚、广告等区域
+ * @param {Element} element 元素
+ * @param {Element} root 查找范围
+ * @returns {boolean}
+ */
+function isUnlikelyCandidate(element, root) {
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    if (EXCLUDED_TAGS.has(node.tagName)) return true;
+    if (node.getAttribute('role') === 'navigation' || node.getAttribute('aria-hidden') === 'true') return true;
+    if (getClassWeight(node) < 0) return true;
+  }
+  return false;
+}
+
+/**
+ * 获取元素的可见文字（合并空白）
+ * @param {Element} element 元素
+ * @returns {string}
+ */
+function getInnerText(element) {
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 链接文字占全部文字的比例
+ * @param {Element} element 元素
+ * @returns {number} 0 - 1
+ */
+function getLinkDensity(element) {
+  const textLength = getInnerText(element).length;
+  if (textLength === 0) return 0;
+  
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += getInnerText(link).length;
+  });
+  return linkLength / textLength;
+}
+
+/**
+ * 查找页面的正文元素
+ * @param {Element} root 查找范围，默认 document.body
+ * @returns {Element|null} 正文元素，不像文章页时返回 null
+ */
+export function findArticleRoot(root = document.body) {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element === root.parentElement) return;
+    if (!scores.has(element)) {
+      scores.set(element, getTagScore(element) + getClassWeight(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+  
+  // 1. 每个文本块按文字量和逗号数给父元素加分，祖父元素加一半
+  root.querySelectorAll(SCORED_SELECTOR).forEach(block => {
+    const text = getInnerText(block);
+    if (text.length < MIN_BLOCK_LENGTH) return;
+    if (isUnlikelyCandidate(block, root)) return;
+    
+    const commas = text.split(/[,，]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(block.parentElement, score);
+    addScore(block.parentElement?.parentElement, score / 2);
+  });
+  
+  // 2. 链接密度高的元素（导航列表、相关文章）降分，取最高分
+  let topElement = null;
+  let topScore = 0;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > topScore) {
+      topScore = finalScore;
+      topElement = element;
+    }
+  });
+  
+  if (!topElement || topScore < MIN_ARTICLE_SCORE) return null;
+  
+  // 3. 正文被拆成多个兄弟块时（如每节一个 section），扩展到共同的父元素
+  let article = topElement;
+  while (article.parentElement && article !== root) {
+    const parent = article.parentElement;
+    const hasRelatedSibling = [...parent.children].some(child =>
+      child !== article && (scores.get(child) || 0) >= topScore * SIBLING_SCORE_RATIO
+    );
+    if (!hasRelatedSibling || getLinkDensity(parent) > 0.25) break;
+    article = parent;
+  }
+  
+  return getInnerText(article).length >= MIN_ARTICLE_LENGTH ? article : null;
+}
+
+/**
+ * 设置内容范围，音标标注、双语阅读和朗读只作用于该范围
+ * @param {Element|null} element 正文元素，null 表示整个页面
+ */
+export function setContentScope(element) {
+  contentScope = element;
+}
+
+/**
+ * 获取内容范围的根元素
+ * @returns {Element}
+ */
+export function getContentScope() {
+  return contentScope?.isConnected ? contentScope : document.body;
+}
+
+/**
+ * 节点是否在内容范围内
+ * @param {Node} node 节点
+ * @returns {boolean}
+ */
+export function isInContentScope(node) {
+  return getContentScope().contains(node);
+}
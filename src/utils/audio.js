@@ -124,7 +124,7 @@ export function playAudio(audioData) {
 /**
  * 使用 Web Speech API 朗读文本（备用方案）
  * @param {string} text 要朗读的文本
- * @param {object} options 选项
+ * @param {object} options 选项 {lang: 'en-GB' | 'en-US', rate, pitch, volume}
  * @returns {Promise<void>}
  */
 export function speakWithWebSpeech(text, options = {}) {
@@ -140,9 +140,11 @@ export function speakWithWebSpeech(text, options = {}) {
     utterance.pitch = options.pitch || 1.0;
     utterance.volume = options.volume || 1.0;
     
-    // 选择英语语音
+    // 优先选择与口音一致的语音（如 en-GB），否则退回任意英语语音
     const voices = speechSynthesis.getVoices();
-    const englishVoice = voices.find(v => v.lang.startsWith('en'));
+    const normalizeLang = lang => lang.replace('_', '-').toLowerCase();
+    const accentVoice = voices.find(v => normalizeLang(v.lang) === normalizeLang(utterance.lang));
+    const englishVoice = accentVoice || voices.find(v => v.lang.startsWith('en'));
     if (englishVoice) {
       utterance.voice = englishVoice;
     }
@@ -0,0 +1,111 @@
+/**
+ * Chunk index for lazily loaded IPA dictionary chunks
+ *
+ * Format (chunk-index.json, version 2):
+ *   {
+ *     "version": 2,
+ *     "chunks": [
+ *       { "id": "chunk-01", "start": "'bout", "end": "cytokinin", "file": "chunks/chunk-01.json", "count": 50000 },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Chunks are sorted by `start` and their ranges never overlap, so the chunk that
+ * may contain a word is found with a binary search. Words are compared with the
+ * default JavaScript string ordering (the same ordering Array.prototype.sort uses).
+ */
+
+export const CHUNK_INDEX_VERSION = 2;
+
+/**
+ * Normalize a parsed chunk-index.json into a sorted array of chunks
+ * Accepts the legacy `{ "chunk-01": { start, end, file, count } }` object format
+ * @param {Object} index - Parsed chunk-index.json
+ * @returns {Array<{id: string, start: string, end: string, file: string, count: number}>}
+ */
+export function normalizeChunkIndex(index) {
+  if (!index) return [];
+
+  const chunks = Array.isArray(index.chunks)
+    ? index.chunks
+    : Object.entries(index).map(([id, info]) => ({ id, ...info }));
+
+  return [...chunks].sort((a, b) => compareWords(a.start, b.start));
+}
+
+/**
+ * Find the chunk whose range contains a word (binary search)
+ * @param {Array} chunks - Sorted, non-overlapping chunks from normalizeChunkIndex()
+ * @param {string} word - Normalized word
+ * @returns {Object|null} Chunk entry or null
+ */
+export function findChunk(chunks, word) {
+  let low = 0;
+  let high = chunks.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const chunk = chunks[mid];
+
+    if (compareWords(word, chunk.start) < 0) {
+      high = mid - 1;
+    } else if (compareWords(word, chunk.end) > 0) {
+      low = mid + 1;
+    } else {
+      return chunk;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a chunk index
+ * @param {Array} chunks - Chunks from normalizeChunkIndex()
+ * @param {Object<string, Object>} chunkData - Optional chunk id -> parsed chunk, to check reachability
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateChunkIndex(chunks, chunkData = null) {
+  const errors = [];
+
+  chunks.forEach((chunk, i) => {
+    if (compareWords(chunk.start, chunk.end) > 0) {
+      errors.push(`${chunk.id}: start "${chunk.start}" is after end "${chunk.end}"`);
+    }
+
+    const previous = chunks[i - 1];
+    if (previous && compareWords(previous.end, chunk.start) >= 0) {
+      errors.push(`${chunk.id}: range overlaps ${previous.id} ("${previous.end}" >= "${chunk.start}")`);
+    }
+  });
+
+  if (!chunkData) return errors;
+
+  for (const chunk of chunks) {
+    const data = chunkData[chunk.id];
+    if (!data) {
+      errors.push(`${chunk.id}: chunk file ${chunk.file} is missing`);
+      continue;
+    }
+
+    const words = Object.keys(data);
+    if (typeof chunk.count === 'number' && chunk.count !== words.length) {
+      errors.push(`${chunk.id}: count is ${chunk.count} but the chunk has ${words.length} words`);
+    }
+
+    for (const word of words) {
+      const found = findChunk(chunks, word);
+      if (found !== chunk) {
+        errors.push(`${chunk.id}: "${word}" is unreachable (lookup resolves to ${found ? found.id : 'no chunk'})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function compareWords(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
@@ -0,0 +1,113 @@
+/**
+ * Compound IPA
+ *
+ * Builds transcriptions the dictionaries do not list from the transcriptions of
+ * their parts: hyphenated compounds ("well-known"), contractions and possessives
+ * ("John's", "could've"), prefixed names ("O'Brien") and spelled-out acronyms ("AI").
+ * Inputs and outputs are canonical IPA (see ipa-notation.js); British and
+ * General American letter names follow the conventions of their datasets.
+ */
+
+import { tokenizeIPA } from './ipa-parser.js';
+import { transformIPAForS } from './word-inflection.js';
+
+// Letter names, as spoken when spelling an acronym
+const LETTER_NAMES = {
+  uk: {
+    a: 'eɪ', b: 'biː', c: 'siː', d: 'diː', e: 'iː', f: 'ef', g: 'dʒiː', h: 'eɪtʃ', i: 'aɪ',
+    j: 'dʒeɪ', k: 'keɪ', l: 'el', m: 'em', n: 'en', o: 'əʊ', p: 'piː', q: 'kjuː', r: 'ɑː',
+    s: 'es', t: 'tiː', u: 'juː', v: 'viː', w: 'dʌbljuː', x: 'eks', y: 'waɪ', z: 'zed'
+  },
+  us: {
+    a: 'eɪ', b: 'bi', c: 'si', d: 'di', e: 'i', f: 'ɛf', g: 'dʒi', h: 'eɪtʃ', i: 'aɪ',
+    j: 'dʒeɪ', k: 'keɪ', l: 'ɛl', m: 'ɛm', n: 'ɛn', o: 'oʊ', p: 'pi', q: 'kju', r: 'ɑr',
+    s: 'ɛs', t: 'ti', u: 'ju', v: 'vi', w: 'dʌbəlju', x: 'ɛks', y: 'waɪ', z: 'zi'
+  }
+};
+
+// Clitic pronunciations; an array gives the forms after a vowel and after a consonant
+const CLITIC_IPA = {
+  uk: { "n't": 'nt', "'ll": 'l', "'re": 'ə', "'ve": ['v', 'əv'], "'d": ['d', 'əd'], "'m": 'm', "o'": 'əʊ', "d'": 'd' },
+  us: { "n't": 'nt', "'ll": 'l', "'re": 'ɚ', "'ve": ['v', 'əv'], "'d": ['d', 'əd'], "'m": 'm', "o'": 'oʊ', "d'": 'd' }
+};
+
+// Parts of a compound that stay unstressed ("mother-in-law", "up-to-date")
+const UNSTRESSED_PARTS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'or', 'the', 'to']);
+
+/**
+ * Strip the slashes of a canonical transcription
+ * @param {string} ipa - e.g. "/ˈwɔːtə/"
+ * @returns {string} e.g. "ˈwɔːtə"
+ */
+function unwrap(ipa) {
+  return ipa.replace(/^\/|\/$/g, '');
+}
+
+/**
+ * Transcribe letters as spelled out, stressing the last letter ("AI" /ˌeɪˈaɪ/)
+ * @param {string} letters - Letters, any case
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string|null} Canonical IPA, or null for non-letters
+ */
+export function spellLetters(letters, accent = 'uk') {
+  const names = Array.from(letters.toLowerCase()).map(letter => LETTER_NAMES[accent]?.[letter]);
+  if (names.length === 0 || names.some(name => !name)) return null;
+
+  if (names.length === 1) return `/ˈ${names[0]}/`;
+  const last = names.length - 1;
+  return `/ˌ${names.slice(0, last).join('')}ˈ${names[last]}/`;
+}
+
+/**
+ * Join the transcriptions of the parts of a hyphenated compound
+ * The last stressed part keeps the primary stress, earlier ones get secondary
+ * stress ("well-known" /ˌwelˈnəʊn/); function words stay unstressed.
+ * @param {Array<{word: string, ipa: string}>} parts - Parts with canonical IPA
+ * @returns {string} Canonical IPA
+ */
+export function joinCompoundIPA(parts) {
+  const stressed = parts.map(part => !UNSTRESSED_PARTS.has(part.word));
+  const lastStressed = stressed.lastIndexOf(true);
+
+  const body = parts.map((part, i) => {
+    const ipa = unwrap(part.ipa);
+    if (!stressed[i]) return ipa.replace(/[ˈˌ]/g, '');
+    if (i !== lastStressed) return /[ˈˌ]/.test(ipa) ? ipa.replace(/ˈ/g, 'ˌ') : `ˌ${ipa}`;
+    return ipa.includes('ˈ') ? ipa : `ˈ${ipa.replace(/ˌ/g, '')}`;
+  });
+
+  return `/${body.join('')}/`;
+}
+
+/**
+ * Attach a clitic to the transcription of its base
+ * @param {string} baseIPA - Canonical IPA of the base, e.g. "/dʒɒn/"
+ * @param {string} clitic - Clitic from splitClitic(), e.g. "'s", "o'"
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string|null} Canonical IPA, or null if the clitic is unknown
+ */
+export function attachClitic(baseIPA, clitic, accent = 'uk') {
+  if (!baseIPA) return null;
+  if (clitic === "'s") return transformIPAForS(baseIPA);
+
+  const form = CLITIC_IPA[accent]?.[clitic];
+  if (!form) return null;
+
+  const base = unwrap(baseIPA);
+  if (clitic === "o'" || clitic === "d'") {
+    // The name keeps the stress: "O'Brien" /əʊˈbraɪən/; d' joins a stressed
+    // first syllable: "D'Angelo" /ˈdændʒɪləʊ/
+    const stressed = base.includes('ˈ') ? base : `ˈ${base}`;
+    if (clitic === "d'" && stressed.startsWith('ˈ')) {
+      return `/ˈ${form}${stressed.slice(1)}/`;
+    }
+    return `/${form}${stressed}/`;
+  }
+
+  if (Array.isArray(form)) {
+    const tokens = tokenizeIPA(base);
+    const endsInVowel = tokens[tokens.length - 1]?.type === 'vowel';
+    return `/${base}${endsInVowel ? form[0] : form[1]}/`;
+  }
+  return `/${base}${form}/`;
+}
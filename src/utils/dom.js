@@ -13,6 +13,44 @@ const SKIP_TAGS = new Set([
 // 插件生成的元素类名前缀
 const PLUGIN_PREFIX = 'elh-';
 
+// 段落级元素（查词上下文和双语阅读共用）
+const PARAGRAPH_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'LI', 'BLOCKQUOTE', 'TD', 'DD'
+]);
+
+// 按网站规则限定/排除的标注区域（CSS 选择器，空字符串表示不限制）
+let includeSelector = '';
+let excludeSelector = '';
+
+/**
+ * 检查 CSS 选择器是否有效
+ * @param {string} selector 选择器
+ * @returns {boolean}
+ */
+export function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 设置标注区域的选择器（来自网站规则），无效的选择器会被忽略
+ * @param {{include?: string[], exclude?: string[]}} selectors 限定和排除的选择器
+ */
+export function setAnnotationSelectors({ include = [], exclude = [] } = {}) {
+  const combine = (list) => list.filter(selector => {
+    if (isValidSelector(selector)) return true;
+    console.warn('[DOM] Invalid selector ignored:', selector);
+    return false;
+  }).join(', ');
+  
+  includeSelector = combine(include);
+  excludeSelector = combine(exclude);
+}
+
 /**
  * 创建带有插件前缀的元素
  * @param {string} tag 标签名
@@ -45,9 +83,10 @@ export function createElement(tag, className = '', attributes = {}) {
 /**
  * 检查元素是否应该被跳过
  * @param {Node} node 节点
+ * @param {object} options {allowEditable: 不跳过可编辑区域（浮层标注不改动 DOM，不影响编辑器）}
  * @returns {boolean}
  */
-export function shouldSkipNode(node) {
+export function shouldSkipNode(node, { allowEditable = false } = {}) {
   if (!node) return true;
   
   // 跳过插件生成的元素
@@ -61,9 +100,9 @@ export function shouldSkipNode(node) {
     }
   }
   
-  // 检查父元素
+  // 检查父元素（body 上的 elh- 类名是页面级开关，不代表插件生成的元素）
   let parent = node.parentElement;
-  while (parent) {
+  while (parent && parent !== document.body) {
     if (parent.className && typeof parent.className === 'string' && 
         parent.className.includes(PLUGIN_PREFIX)) {
       return true;
@@ -72,27 +111,53 @@ export function shouldSkipNode(node) {
       return true;
     }
     // 检查 contenteditable
-    if (parent.isContentEditable) {
+    if (parent.isContentEditable && !allowEditable) {
       return true;
     }
     parent = parent.parentElement;
   }
   
-  return false;
+  // 网站规则限定或排除的区域
+  return isOutsideAnnotationArea(node);
+}
+
+/**
+ * 节点是否在网站规则排除的区域内，或不在限定的区域内
+ * @param {Node} node 节点
+ * @returns {boolean}
+ */
+export function isOutsideAnnotationArea(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!element) return false;
+  
+  if (excludeSelector && element.closest(excludeSelector)) {
+    return true;
+  }
+  return Boolean(includeSelector) && !element.closest(includeSelector);
+}
+
+/**
+ * 检查元素是否为段落级元素
+ * @param {Element} element 元素
+ * @returns {boolean}
+ */
+export function isParagraphElement(element) {
+  return Boolean(element) && PARAGRAPH_TAGS.has(element.tagName);
 }
 
 /**
  * 遍历文档中的文本节点
  * @param {Node} root 根节点
  * @param {function} callback 回调函数
+ * @param {object} options 传给 shouldSkipNode() 的选项
  */
-export function walkTextNodes(root, callback) {
+export function walkTextNodes(root, callback, options = {}) {
   const walker = document.createTreeWalker(
     root,
     NodeFilter.SHOW_TEXT,
     {
       acceptNode: (node) => {
-        if (shouldSkipNode(node)) {
+        if (shouldSkipNode(node, options)) {
           return NodeFilter.FILTER_REJECT;
         }
         // 跳过纯空白文本节点
@@ -169,4 +234,4 @@ export function detectTheme() {
   return 'light';
 }
 
-export { PLUGIN_PREFIX, SKIP_TAGS };
+export { PLUGIN_PREFIX, SKIP_TAGS, PARAGRAPH_TAGS };
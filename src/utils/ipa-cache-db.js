@@ -0,0 +1,146 @@
+/**
+ * IndexedDB 音标缓存
+ * 在 Service Worker 中持久化已解析的单词音标和词频排名，
+ * Service Worker 重启或浏览器重开后无需重新解析词典 JSON
+ * 只保存已找到的口音（未找到的口音不缓存，下次重新查询），条目数超出上限时淘汰最早写入的条目
+ */
+
+const DB_NAME = 'elh-ipa-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'entries';
+const UPDATED_INDEX = 'updatedAt';
+
+// 缓存条目上限
+const MAX_ENTRIES = 50000;
+
+let dbPromise = null;
+
+/**
+ * 打开数据库（多次调用共享同一连接）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // 旧版本的条目没有写入时间且含未找到的口音，直接重建
+        if (db.objectStoreNames.contains(STORE_NAME)) {
+          db.deleteObjectStore(STORE_NAME);
+        }
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'word' });
+        store.createIndex(UPDATED_INDEX, 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * 将 IDBRequest / IDBTransaction 包装为 Promise
+ * @param {IDBRequest|IDBTransaction} target
+ * @returns {Promise<*>}
+ */
+function promisify(target) {
+  return new Promise((resolve, reject) => {
+    if ('oncomplete' in target) {
+      target.oncomplete = () => resolve();
+      target.onabort = target.onerror = () => reject(target.error);
+    } else {
+      target.onsuccess = () => resolve(target.result);
+      target.onerror = () => reject(target.error);
+    }
+  });
+}
+
+/**
+ * 批量读取缓存条目
+ * @param {string[]} words 小写单词
+ * @returns {Promise<object[]>} 命中的条目 {word, rank, ipa: {uk, us}}
+ */
+export async function getCachedEntries(words) {
+  if (words.length === 0) return [];
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await Promise.all(words.map(word => promisify(store.get(word))));
+    return entries.filter(Boolean);
+  } catch (error) {
+    console.error('[IPA Cache] Read error:', error);
+    return [];
+  }
+}
+
+/**
+ * 批量写入缓存条目（值为 null 的口音不写入，没有找到任何口音的条目跳过）
+ * @param {object[]} entries 条目 {word, rank, ipa: {uk, us}}
+ * @returns {Promise<void>}
+ */
+export async function putCachedEntries(entries) {
+  const updatedAt = Date.now();
+  const records = entries
+    .map(entry => ({
+      word: entry.word,
+      rank: entry.rank,
+      ipa: Object.fromEntries(Object.entries(entry.ipa).filter(([, ipa]) => ipa)),
+      updatedAt
+    }))
+    .filter(record => Object.keys(record.ipa).length > 0);
+  if (records.length === 0) return;
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    records.forEach(record => store.put(record));
+    pruneOldest(store);
+    await promisify(transaction);
+  } catch (error) {
+    console.error('[IPA Cache] Write error:', error);
+  }
+}
+
+/**
+ * 条目数超出上限时按写入时间从早到晚删除多出的条目（在写入的事务中执行）
+ * @param {IDBObjectStore} store 可写的对象仓库
+ */
+function pruneOldest(store) {
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    let excess = countRequest.result - MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    const cursorRequest = store.index(UPDATED_INDEX).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
+}
+
+/**
+ * 清空缓存（扩展更新后词典数据可能变化）
+ * @returns {Promise<void>}
+ */
+export async function clearIPACache() {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    await promisify(transaction);
+  } catch (error) {
+    console.error('[IPA Cache] Clear error:', error);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * 音标查询客户端（内容脚本使用）
+ * 通过 GET_PHONETICS 消息向 Service Worker 批量请求音标，词典数据只在后台加载一次
+ */
+
+import { getLookupKey } from './word-tokenizer.js';
+
+/**
+ * 批量请求单词音标
+ * @param {string[]} words 单词列表
+ * @param {string[]} accents 口音列表 ('uk' | 'us')
+ * @returns {Promise<object>} 查询键（见 getLookupKey()）-> {rank, ipa: {accent: string|null}, estimated: boolean}
+ */
+export async function requestPhonetics(words, accents = ['uk']) {
+  if (words.length === 0) return {};
+
+  const response = await chrome.runtime.sendMessage({ type: 'GET_PHONETICS', words, accents });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to get phonetics');
+  }
+  return response.results;
+}
+
+/**
+ * 请求单个单词的音标（包括按拼写推测的读音）
+ * 短语逐词查询后拼接，如 "give up" → /ɡɪv ʌp/，任一单词没有音标时返回 null
+ * @param {string} word 单词或短语
+ * @param {string} accent 'uk' | 'us'
+ * @returns {Promise<{ipa: string|null, estimated: boolean}>}
+ */
+export async function requestWordPhonetic(word, accent = 'uk') {
+  try {
+    const parts = word.trim().split(/\s+/);
+    const results = await requestPhonetics(parts, [accent]);
+
+    if (parts.length > 1) {
+      const found = parts.map(part => results[getLookupKey(part)]);
+      if (found.some(result => !result?.ipa[accent])) return { ipa: null, estimated: false };
+      const ipa = found.map(result => result.ipa[accent].replace(/^\/|\/$/g, '')).join(' ');
+      return { ipa: `/${ipa}/`, estimated: found.some(result => result.estimated) };
+    }
+
+    const result = results[getLookupKey(word)];
+    return { ipa: result?.ipa[accent] || null, estimated: Boolean(result?.estimated) };
+  } catch (error) {
+    console.warn(`[IPA Client] Failed to get phonetic for "${word}":`, error);
+    return { ipa: null, estimated: false };
+  }
+}
+
+/**
+ * 请求单个单词的词典音标（推测的读音返回 null）
+ * @param {string} word 单词
+ * @param {string} accent 'uk' | 'us'
+ * @returns {Promise<string|null>}
+ */
+export async function requestWordIPA(word, accent = 'uk') {
+  const { ipa, estimated } = await requestWordPhonetic(word, accent);
+  return estimated ? null : ipa;
+}
@@ -1,77 +1,276 @@
 /**
  * IPA Converter for Browser Extension
  * Uses mass-ipa library with full dictionary support (core + lazy-loaded chunks)
+ * Supports British ('uk', mass-ipa) and General American ('us', CMUdict) transcriptions
+ *
+ * Runs in the service worker behind ipa-store.js; content scripts request
+ * phonetics via the GET_PHONETICS message (see ipa-client.js).
+ * Dictionary data is loaded lazily on the first lookup that needs it.
+ * Results are canonical modern IPA (see ipa-notation.js); the content scripts
+ * render them in the user's notation style.
+ * User-defined overrides (phonetic-overrides.js) are applied by ipa-store.js
+ * before any lookup here, so they take precedence over COMMON_PHONETICS.
  */
 
 import { COMMON_PHONETICS } from '../data/common-phonetics.js';
-import { getIPA, getIPASync, hasWord as hasWordCore, hasWordFull, getIPABatch, initMassIPA, getStats } from './mass-ipa-adapter.js';
-import { getInflectedIPA } from './word-inflection.js';
+import { getIPASync, hasWord as hasWordCore, hasWordFull, getIPABatch, initMassIPA, getStats, getWordRank, isDatasetLoaded } from './mass-ipa-adapter.js';
+import { getInflectedIPA, getInflectionBases, getIrregularFormIPAMap, transformIPAForS } from './word-inflection.js';
+import { getDerivedIPA, getDerivationBases } from './morphology.js';
+import { isAcronymKey, splitAcronym, splitClitic, splitCompound } from './word-tokenizer.js';
+import { spellLetters, joinCompoundIPA, attachClitic } from './compound-ipa.js';
 import { queryFreeDictionary } from './free-dictionary-api.js';
+import { canonicalizeIPA } from './ipa-notation.js';
+
+// British overrides: common phonetics, with irregular forms ("went", "children")
+// taken from the curated irregular-forms table
+const BRITISH_OVERRIDES = { ...COMMON_PHONETICS, ...getIrregularFormIPAMap() };
 
 /**
  * Convert English word to IPA (synchronous - core dictionary only)
  * Fast lookup for common words (50k most frequent)
  * @param {string} word - English word
+ * @param {'uk'|'us'} accent - Accent of the transcription
  * @returns {string|null} IPA notation or null
  */
-export function wordToIPASync(word) {
+export function wordToIPASync(word, accent = 'uk') {
   const normalized = word.toLowerCase().replace(/[^a-z'-]/g, '');
   if (!normalized) return null;
   
-  // Check common phonetics first (for user-specific overrides)
-  if (COMMON_PHONETICS[normalized]) {
-    return COMMON_PHONETICS[normalized];
+  // General American: CMUdict core only (common phonetics are British)
+  if (accent === 'us') {
+    return isDatasetLoaded('us') ? canonicalizeIPA(getIPASync(normalized, 'us')) : null;
+  }
+  
+  // Check common phonetics and irregular forms first
+  if (BRITISH_OVERRIDES[normalized]) {
+    return canonicalizeIPA(BRITISH_OVERRIDES[normalized]);
   }
   
   // Use mass-ipa core dictionary
-  return getIPASync(normalized);
+  return canonicalizeIPA(getIPASync(normalized), { legacy: true });
 }
 
 /**
  * Convert English word to IPA (async - full dictionary)
  * Includes rare words via lazy-loaded chunks
- * Also handles inflected forms (plurals, past tense, gerunds)
+ * Also handles inflected forms (plurals, past tense, gerunds) and derived
+ * words ("unfollowable", "photography", see morphology.js)
  * Falls back to Free Dictionary API if not found locally
  * @param {string} word - English word
+ * @param {'uk'|'us'} accent - Accent of the transcription
  * @returns {Promise<string|null>} IPA notation or null
  */
-export async function wordToIPA(word) {
-  const normalized = word.toLowerCase().replace(/[^a-z'-]/g, '');
-  if (!normalized) return null;
+export async function wordToIPA(word, accent = 'uk') {
+  const results = await wordsToIPA([word], accent);
+  return results.get(word) || null;
+}
+
+/**
+ * Convert many English words to IPA in one pass (async - full dictionary)
+ * Same priorities as wordToIPA(), but each chunk is loaded once, the base forms
+ * of all inflected words are looked up together and API fallbacks run concurrently.
+ * General American uses CMUdict first and the British pipeline for words it lacks.
+ * Compounds, contractions and possessives missing from the dictionaries are
+ * composed from their parts; acronym keys ("AI", see word-tokenizer.js) are
+ * read as words when the dictionary has them ("NASA"), otherwise spelled out.
+ * With `online: false` the throttled Free Dictionary API is skipped so local
+ * results return immediately; look the misses up later with lookupOnline().
+ * @param {string[]} words - English words
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @param {{online?: boolean}} options - online: query the API for words missing locally
+ * @returns {Promise<Map<string, string|null>>} Map of input word -> IPA
+ */
+export async function wordsToIPA(words, accent = 'uk', { online = true } = {}) {
+  const normalizedWords = new Map(words.map(word => [word, normalizeWord(word)]));
+  const unique = [...new Set(normalizedWords.values())].filter(Boolean);
+  const plain = unique.filter(word => !isAcronymKey(word));
+  
+  const found = await resolveAcronyms(unique.filter(isAcronymKey), accent);
+  if (accent === 'us') {
+    (await lookupDictionaryBatch(plain, 'us', {})).forEach((ipa, word) => found.set(word, ipa));
+    await composeMissing(plain, found, 'us', online);
+    
+    const missing = plain.filter(word => !found.get(word));
+    if (missing.length > 0) {
+      const british = await wordsToIPA(missing, 'uk', { online });
+      british.forEach((ipa, word) => found.set(word, ipa));
+    }
+  } else {
+    (await lookupDictionaryBatch(plain, 'uk', BRITISH_OVERRIDES)).forEach((ipa, word) => found.set(word, ipa));
+    await composeMissing(plain, found, 'uk', online);
+    
+    // Priority 5: Fallback to Free Dictionary API
+    // Only query API if all local methods failed
+    if (online) {
+      const missing = plain.filter(word => !found.get(word));
+      (await lookupOnline(missing)).forEach((ipa, word) => found.set(word, ipa));
+    }
+  }
+  
+  const results = new Map();
+  normalizedWords.forEach((normalized, word) => {
+    results.set(word, (normalized && found.get(normalized)) || null);
+  });
+  return results;
+}
+
+/**
+ * Priority 4: Compose compounds, contractions and possessives from their parts
+ * ("well-known", "John's", "O'Brien"); parts are looked up with wordsToIPA()
+ * @param {string[]} words - Normalized words
+ * @param {Map<string, string|null>} found - Results so far, updated in place
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @param {boolean} online - Query the API for parts missing locally
+ */
+async function composeMissing(words, found, accent, online) {
+  const subwords = new Set();
+  const plans = [];
+  
+  for (const word of words) {
+    if (found.get(word) || !/['-]/.test(word)) continue;
+    
+    const clitic = splitClitic(word);
+    const parts = clitic ? [] : splitCompound(word);
+    if (clitic) {
+      subwords.add(clitic.base);
+      plans.push({ word, clitic });
+    } else if (parts.length > 1) {
+      // Single letters are spelled out ("e-book")
+      parts.filter(part => part.length > 1).forEach(part => subwords.add(part));
+      plans.push({ word, parts });
+    }
+  }
+  if (plans.length === 0) return;
+  
+  const ipas = await wordsToIPA([...subwords], accent, { online });
+  for (const { word, clitic, parts } of plans) {
+    if (clitic) {
+      found.set(word, attachClitic(ipas.get(clitic.base), clitic.clitic, accent));
+      continue;
+    }
+    
+    const transcribed = parts.map(part => ({
+      word: part,
+      ipa: part.length > 1 ? ipas.get(part) : spellLetters(part, accent)
+    }));
+    found.set(word, transcribed.every(part => part.ipa) ? joinCompoundIPA(transcribed) : null);
+  }
+}
+
+/**
+ * Transcribe acronym keys: read as a word when the dictionary has one
+ * ("NASA" /ˈnæsə/), otherwise spelled out ("AI" /ˌeɪˈaɪ/, "APIs" /ˌeɪpiːˈaɪz/)
+ * @param {string[]} keys - Acronym keys
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {Promise<Map<string, string|null>>} Map of key -> IPA
+ */
+async function resolveAcronyms(keys, accent) {
+  const results = new Map();
+  if (keys.length === 0) return results;
+  
+  // Only longer acronyms with a vowel are read as words; "IT" and "US" are always spelled
+  const acronyms = keys.map(key => ({ key, ...splitAcronym(key) }));
+  const readable = acronyms
+    .filter(({ letters }) => letters.length >= 4 && /[AEIOU]/.test(letters))
+    .map(({ letters }) => letters.toLowerCase());
+  const words = await lookupDictionaryBatch([...new Set(readable)], accent, accent === 'uk' ? BRITISH_OVERRIDES : {});
+  
+  for (const { key, letters, suffix } of acronyms) {
+    const ipa = words.get(letters.toLowerCase()) || spellLetters(letters, accent);
+    results.set(key, suffix ? transformIPAForS(ipa) : ipa);
+  }
+  return results;
+}
+
+/**
+ * Look up normalized words in a local dataset: overrides, full dictionary, inflections, then derivations
+ * @param {string[]} words - Normalized, unique words
+ * @param {'uk'|'us'} datasetName - Dataset name
+ * @param {Object} overrides - word -> IPA taking precedence over the dataset
+ * @returns {Promise<Map<string, string|null>>} Map of word -> IPA
+ */
+async function lookupDictionaryBatch(words, datasetName, overrides) {
+  const results = new Map();
+  // The British mass-ipa data uses older ECDICT conventions
+  const legacy = datasetName === 'uk';
   
   // Priority 1: Check common phonetics first (highest priority)
-  if (COMMON_PHONETICS[normalized]) {
-    return COMMON_PHONETICS[normalized];
+  const remaining = [];
+  for (const word of words) {
+    if (overrides[word]) {
+      results.set(word, canonicalizeIPA(overrides[word]));
+    } else {
+      remaining.push(word);
+    }
   }
   
   // Priority 2: Try mass-ipa full dictionary (with chunk loading)
-  const directIPA = await getIPA(normalized);
-  if (directIPA) {
-    return directIPA;
-  }
+  const direct = await getIPABatch(remaining, datasetName);
+  direct.forEach((ipa, word) => results.set(word, canonicalizeIPA(ipa, { legacy })));
   
   // Priority 3: Try inflection handling
   // This will detect -ed, -s, -ing, -ly, -er, -est, -ity, -y and transform base form IPA
-  const inflectedIPA = await getInflectedIPA(normalized, async (baseWord) => {
-    // Check common phonetics for base form
-    if (COMMON_PHONETICS[baseWord]) {
-      return COMMON_PHONETICS[baseWord];
-    }
-    // Check mass-ipa for base form
-    return await getIPA(baseWord);
-  });
+  const inflected = remaining.filter(word => !results.get(word));
+  if (inflected.length === 0) return results;
+  
+  const bases = [...new Set(inflected.flatMap(getInflectionBases))];
+  const baseIPAs = await getIPABatch(bases.filter(base => !overrides[base]), datasetName);
+  
+  // Suffixes are appended to the canonical form of the base
+  const getBaseIPA = (baseWord) => overrides[baseWord]
+    ? canonicalizeIPA(overrides[baseWord])
+    : canonicalizeIPA(baseIPAs.get(baseWord), { legacy }) || null;
   
-  if (inflectedIPA) {
-    return inflectedIPA;
+  for (const word of inflected) {
+    const inflectedIPA = await getInflectedIPA(word, getBaseIPA);
+    results.set(word, inflectedIPA || null);
   }
   
-  // Priority 4: Fallback to Free Dictionary API
-  // Only query API if all local methods failed
+  // Priority 3b: Derivational morphology (prefixes, -ness, -ation, -ity, ...)
+  const derived = inflected.filter(word => !results.get(word));
+  if (derived.length === 0) return results;
+  
+  const stems = [...new Set(derived.flatMap(getDerivationBases))];
+  const stemIPAs = await getIPABatch(stems.filter(stem => !overrides[stem]), datasetName);
+  
+  const getStemIPA = (stem) => overrides[stem]
+    ? canonicalizeIPA(overrides[stem])
+    : canonicalizeIPA(stemIPAs.get(stem), { legacy }) || null;
+  
+  for (const word of derived) {
+    results.set(word, await getDerivedIPA(word, getStemIPA, datasetName) || null);
+  }
+  
+  return results;
+}
+
+/**
+ * Look words up in the Free Dictionary API (throttled, see free-dictionary-api.js)
+ * Used for words the local dictionaries lack; acronym keys are never queried
+ * @param {string[]} words - English words
+ * @returns {Promise<Map<string, string|null>>} Map of input word -> IPA
+ */
+export async function lookupOnline(words) {
+  const results = new Map();
+  await Promise.all(words.map(async (word) => {
+    const normalized = normalizeWord(word);
+    const ipa = normalized && !isAcronymKey(normalized) ? await queryAPIFallback(normalized) : null;
+    results.set(word, ipa);
+  }));
+  return results;
+}
+
+/**
+ * Query the Free Dictionary API for a word
+ * @param {string} normalized - Normalized word
+ * @returns {Promise<string|null>} IPA notation or null
+ */
+async function queryAPIFallback(normalized) {
   try {
     const apiIPA = await queryFreeDictionary(normalized);
     if (apiIPA) {
       console.log(`[IPA Converter] Found via API: "${normalized}" -> ${apiIPA}`);
-      return apiIPA;
+      return canonicalizeIPA(apiIPA);
     }
   } catch (error) {
     console.warn(`[IPA Converter] API fallback failed for "${normalized}":`, error);
@@ -81,6 +280,17 @@ export async function wordToIPA(word) {
   return null;
 }
 
+/**
+ * Normalize a word for dictionary lookup
+ * @param {string} word - English word
+ * @returns {string} Lowercase word with only letters, apostrophes and hyphens; acronym keys keep their case
+ */
+function normalizeWord(word) {
+  const normalized = String(word).trim().replace(/’/g, "'");
+  if (isAcronymKey(normalized)) return normalized;
+  return normalized.toLowerCase().replace(/[^a-z'-]/g, '');
+}
+
 /**
  * Convert English text to IPA
  * Processes multiple words efficiently
@@ -92,20 +302,13 @@ export async function textToIPA(text) {
   const uniqueWords = [...new Set(words.map(w => w.toLowerCase()))];
   const results = new Map();
   
-  // Process words in batch
+  // Local dictionaries only, in one batch
+  const normalized = [...new Set(uniqueWords.map(normalizeWord).filter(Boolean))];
+  const found = await lookupDictionaryBatch(normalized, 'uk', BRITISH_OVERRIDES);
   for (const word of uniqueWords) {
-    const normalized = word.replace(/[^a-z'-]/g, '');
-    if (!normalized) continue;
-    
-    // Check override dictionary first
-    if (COMMON_PHONETICS[normalized]) {
-      results.set(word, COMMON_PHONETICS[normalized]);
-    } else {
-      // Use async lookup for full coverage
-      const ipa = await getIPA(normalized);
-      if (ipa) {
-        results.set(word, ipa);
-      }
+    const ipa = found.get(normalizeWord(word));
+    if (ipa) {
+      results.set(word, ipa);
     }
   }
   
@@ -121,7 +324,7 @@ export function hasWordSync(word) {
   const normalized = word.toLowerCase().replace(/[^a-z'-]/g, '');
   if (!normalized) return false;
   
-  if (COMMON_PHONETICS[normalized]) {
+  if (BRITISH_OVERRIDES[normalized]) {
     return true;
   }
   
@@ -137,13 +340,38 @@ export async function hasWordInDictionary(word) {
   const normalized = word.toLowerCase().replace(/[^a-z'-]/g, '');
   if (!normalized) return false;
   
-  if (COMMON_PHONETICS[normalized]) {
+  if (BRITISH_OVERRIDES[normalized]) {
     return true;
   }
   
   return await hasWordFull(normalized);
 }
 
+/**
+ * Get word frequency rank from the core dictionary ordering
+ * @param {string} word - English word
+ * @returns {number|null} Rank (1 = most frequent), or null if unknown
+ */
+export function getWordFrequencyRank(word) {
+  // Acronyms are not ranked ("IT" is not the common word "it")
+  if (isAcronymKey(String(word).trim())) return null;
+  
+  const normalized = String(word).toLowerCase().replace(/’/g, "'").replace(/[^a-z'-]/g, '');
+  
+  // Contractions and possessives rank as their base, compounds as their rarest part
+  const clitic = splitClitic(normalized);
+  if (clitic) return getWordFrequencyRank(clitic.base);
+  
+  const parts = splitCompound(normalized);
+  if (parts.length > 1) {
+    const ranks = parts.map(getWordFrequencyRank);
+    return ranks.includes(null) ? null : Math.max(...ranks);
+  }
+  
+  const letters = normalized.replace(/[^a-z]/g, '');
+  return letters ? getWordRank(letters) : null;
+}
+
 /**
  * Get dictionary statistics
  * @returns {Object} Statistics about loaded dictionaries
@@ -158,6 +386,16 @@ export function getDictionaryStats() {
   };
 }
 
+/**
+ * Pre-load the dictionary data of an accent
+ * Lookups load data on demand; getWordFrequencyRank() needs 'uk' loaded first
+ * @param {'uk'|'us'} accent - Accent
+ * @returns {Promise<void>}
+ */
+export async function loadAccentData(accent) {
+  await initMassIPA(accent);
+}
+
 /**
  * Initialize the IPA converter
  * Pre-loads core dictionary for better performance
@@ -171,8 +409,3 @@ export async function initIPAConverter() {
 // Legacy export for backward compatibility
 export const hasWord = hasWordInDictionary;
 
-// Auto-initialize when module loads
-initIPAConverter().catch(err => {
-  console.error('[IPA Converter] Initialization failed:', err);
-});
-
@@ -0,0 +1,298 @@
+/**
+ * IPA notation
+ *
+ * Canonicalises the transcriptions of the bundled data and renders them in the
+ * notation style a learner was taught.
+ * Lookups (ipa-converter.js) return canonical, modern broad IPA; the content
+ * scripts convert it to the selected style just before it reaches the DOM.
+ *
+ * Styles:
+ * - ipa:        modern broad IPA (Gimson/Oxford), as used in mainland Chinese textbooks
+ * - dj:         Daniel Jones / older British dictionaries (i, u, ɔ, əː, ei, əu)
+ * - kk:         Kenyon-Knott, the American notation of Taiwanese textbooks ([ˋwɔtɚ])
+ * - respelling: simplified English respelling ("bye-oh-dye-VUR-suh-tee")
+ * - pinyin:     pinyin-style hint for Chinese beginners ("bai-ou-dai-WO-se-ti")
+ * - hanzi:      Chinese-character hint ("拜欧代沃瑟蒂")
+ * The three beginner hints are built in pronunciation-hints.js.
+ */
+
+import { syllabifyIPA, stripDelimiters } from './ipa-parser.js';
+import { respellSyllables, pinyinSyllables, hanziSyllables } from './pronunciation-hints.js';
+
+export const NOTATION_STYLES = {
+  IPA: 'ipa',
+  DJ: 'dj',
+  KK: 'kk',
+  RESPELLING: 'respelling',
+  PINYIN: 'pinyin',
+  HANZI: 'hanzi'
+};
+
+export const DEFAULT_NOTATION_STYLE = NOTATION_STYLES.IPA;
+
+// Delimiters, stress marks and syllable separator of each style
+const NOTATION_FORMATS = {
+  ipa: { open: '/', close: '/', primary: 'ˈ', secondary: 'ˌ', separator: '' },
+  dj: { open: '/', close: '/', primary: 'ˈ', secondary: 'ˌ', separator: '' },
+  kk: { open: '[', close: ']', primary: 'ˋ', secondary: 'ˏ', separator: '' },
+  respelling: { open: '', close: '', primary: '', secondary: '', separator: '-' },
+  pinyin: { open: '', close: '', primary: '', secondary: '', separator: '-' },
+  hanzi: { open: '', close: '', primary: '', secondary: '', separator: '' }
+};
+
+// Styles rendered by pronunciation-hints.js
+const HINT_CONVERTERS = {
+  respelling: respellSyllables,
+  pinyin: pinyinSyllables,
+  hanzi: hanziSyllables
+};
+
+// Symbol fixes safe for every source
+const SYMBOL_REPLACEMENTS = [
+  [/ә/g, 'ə'],              // Cyrillic schwa
+  [/[єε]/g, 'ɛ'],           // Cyrillic/Greek epsilon
+  [/:/g, 'ː'],              // ASCII length mark
+  [/['ˊ]/g, 'ˈ'],           // ASCII/acute primary stress
+  [/,(?=[^\s,;/ˈˌ-])/g, 'ˌ'], // Comma as secondary stress (", " or ",ˌ" separates variants)
+  [/g/g, 'ɡ']               // Latin g -> IPA script g
+];
+
+// Encoding glitches of the ECDICT-derived mass-ipa data
+const LEGACY_SYMBOL_REPLACEMENTS = [
+  [/\\+/g, 'ɜ'],            // "/'kw\\\\:ki/" quirky
+  [/\^/g, 'ɡ'],             // "/^ɔd/" god
+  [/^(\/?)\./, '$1ˌ'],      // "/.edju'keiʃәn/" education
+  [/\(r\)/g, '']            // Linking r of Oxford-style entries, "/ˈfaɪəfaɪtə(r)/"
+];
+
+// Older vowel conventions of the mass-ipa data, applied after SYMBOL_REPLACEMENTS
+const LEGACY_VOWEL_REPLACEMENTS = [
+  [/ɛə/g, 'eə'],            // "/ðєә/" there
+  [/ɛ/g, 'e'],              // British DRESS vowel
+  [/əː/g, 'ɜː'],            // "/bә:d/" bird
+  [/ɒː/g, 'ɔː'],            // "/ɒ:l/" all
+  [/ɔ(?![ːɪi])/g, 'ɒ'],     // "/lɔts/" lots
+  [/ɒi/g, 'ɔɪ'],            // "/bɒi/" boy
+  [/ɔi/g, 'ɔɪ'],
+  [/ai(?!ː)/g, 'aɪ'],
+  [/ei(?!ː)/g, 'eɪ'],
+  [/au(?!ː)/g, 'aʊ'],
+  [/əu(?!ː)/g, 'əʊ'],
+  [/ou(?!ː)/g, 'əʊ'],       // "/gou/" go
+  [/oʊ/g, 'əʊ']
+];
+
+const VOWEL_CHARS = new Set(['a', 'e', 'i', 'o', 'u', 'æ', 'ɑ', 'ɒ', 'ɔ', 'ə', 'ɜ', 'ʌ', 'ɪ', 'ʊ']);
+
+// Characters ending a word or a variant within a transcription
+const WORD_END = /[\s/;,.()-]/;
+
+// Phoneme maps of the styles; phonemes not listed are kept as they are
+const DJ_SYMBOLS = {
+  'ɪ': 'i', 'ʊ': 'u', 'ɒ': 'ɔ', 'ɜː': 'əː', 'ɜ': 'əː', 'ɛ': 'e',
+  'eɪ': 'ei', 'aɪ': 'ai', 'ɔɪ': 'ɔi', 'əʊ': 'əu', 'oʊ': 'əu', 'aʊ': 'au',
+  'ɪə': 'iə', 'eə': 'ɛə', 'ʊə': 'uə', 'ɡ': 'g'
+};
+
+const KK_SYMBOLS = {
+  'iː': 'i', 'i': 'ɪ', 'uː': 'u', 'e': 'ɛ', 'eɪ': 'e', 'əʊ': 'o', 'oʊ': 'o',
+  'ɑː': 'ɑ', 'ɒ': 'ɑ', 'ɔː': 'ɔ', 'ɜː': 'ɝ', 'ɜ': 'ɝ',
+  'ɪə': 'ɪr', 'eə': 'ɛr', 'ɛə': 'ɛr', 'ʊə': 'ʊr', 'ɡ': 'g'
+};
+
+let currentStyle = DEFAULT_NOTATION_STYLE;
+
+/**
+ * Get the current notation style
+ * @returns {string}
+ */
+export function getNotationStyle() {
+  return currentStyle;
+}
+
+/**
+ * Update the current notation style
+ * @param {string} style - One of NOTATION_STYLES
+ */
+export function setNotationStyle(style) {
+  currentStyle = Object.values(NOTATION_STYLES).includes(style) ? style : DEFAULT_NOTATION_STYLE;
+}
+
+/**
+ * Get the delimiters, stress marks and syllable separator of a style
+ * @param {string} style - Notation style
+ * @returns {{open: string, close: string, primary: string, secondary: string, separator: string}}
+ */
+export function getNotationFormat(style = currentStyle) {
+  return NOTATION_FORMATS[style] || NOTATION_FORMATS[DEFAULT_NOTATION_STYLE];
+}
+
+/**
+ * Canonicalise a transcription to modern broad IPA
+ * Symbol fixes (ә, :, ', g) apply to every source; `legacy` also rewrites the
+ * older ECDICT conventions of the British mass-ipa data (ɒ: for ɔː, ɔ for ɒ,
+ * i/u for ɪ/ʊ, ai/әu diphthongs), which must not be applied to CMUdict or API results.
+ * @param {string|null} ipa - Transcription, e.g. "/'ɒ:lsәu/"
+ * @param {{legacy?: boolean}} options
+ * @returns {string|null} e.g. "/ˈɔːlsəʊ/"
+ */
+export function canonicalizeIPA(ipa, { legacy = false } = {}) {
+  if (!ipa) return ipa;
+
+  let text = String(ipa).trim();
+  if (legacy) {
+    text = applyReplacements(text, LEGACY_SYMBOL_REPLACEMENTS);
+  }
+  text = applyReplacements(text, SYMBOL_REPLACEMENTS);
+  if (legacy) {
+    text = canonicalizeShortVowels(applyReplacements(text, LEGACY_VOWEL_REPLACEMENTS));
+  }
+  return text;
+}
+
+/**
+ * Apply a list of [pattern, replacement] pairs in order
+ * @param {string} text - Input
+ * @param {Array} replacements - [RegExp, string] pairs
+ * @returns {string}
+ */
+function applyReplacements(text, replacements) {
+  return replacements.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Rewrite the short i/u of the legacy data as ɪ/ʊ
+ * Kept as i/u before another vowel and at the end of a word ("happy" /ˈhæpi/).
+ * iə/uə in a stressed or single syllable, at the end of a word or before r,
+ * are the centring diphthongs ɪə/ʊə ("here", "experience", but "area" /ˈeəriə/)
+ * @param {string} text - Transcription after LEGACY_VOWEL_REPLACEMENTS
+ * @returns {string}
+ */
+function canonicalizeShortVowels(text) {
+  const chars = Array.from(text);
+  const isWordEnd = char => char === undefined || WORD_END.test(char);
+
+  return chars.map((char, i) => {
+    if ((char !== 'i' && char !== 'u') || chars[i + 1] === 'ː') return char;
+
+    const next = chars[i + 1];
+    const short = char === 'i' ? 'ɪ' : 'ʊ';
+    if (next === 'ə' && (chars[i + 2] === 'r' || isWordEnd(chars[i + 2]))) {
+      return isStressedNucleus(chars, i) ? short : char;
+    }
+    if (isWordEnd(next) || VOWEL_CHARS.has(next)) return char;
+    return short;
+  }).join('');
+}
+
+/**
+ * Check whether the vowel at an index starts a stressed or word-initial syllable
+ * (no other vowel between it and the preceding stress mark or word start)
+ * @param {string[]} chars - Transcription characters
+ * @param {number} index - Index of the vowel
+ * @returns {boolean}
+ */
+function isStressedNucleus(chars, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (chars[i] === 'ˈ' || chars[i] === 'ˌ' || WORD_END.test(chars[i])) return true;
+    if (VOWEL_CHARS.has(chars[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Render a canonical transcription in a notation style
+ * Only the first variant is converted for styles other than modern IPA.
+ * @param {string|null} ipa - Transcription, e.g. "/ˈwɔːtə/"
+ * @param {string} style - Notation style (defaults to the current style)
+ * @returns {string} e.g. "[ˋwɔtə]" for kk, "" for an empty input
+ */
+export function convertNotation(ipa, style = currentStyle) {
+  if (!ipa) return '';
+
+  const canonical = canonicalizeIPA(ipa);
+  if (style === NOTATION_STYLES.IPA) return canonical;
+
+  const text = convertWordText(canonical, style);
+  if (text === null) return canonical;
+
+  const format = getNotationFormat(style);
+  return format.open + text + format.close;
+}
+
+/**
+ * Render a phrase transcription in a notation style
+ * Phrases join the transcriptions of their words with a space ("give up" /ˈɡɪv ʌp/),
+ * which convertNotation() would read as a variant separator, so each word is converted on its own
+ * @param {string|null} ipa - Transcription, e.g. "/ˈɡɪv ʌp/"
+ * @param {string} style - Notation style (defaults to the current style)
+ * @returns {string} e.g. "[ˋgɪv ʌp]" for kk
+ */
+export function convertPhraseNotation(ipa, style = currentStyle) {
+  if (!ipa) return '';
+
+  const canonical = canonicalizeIPA(ipa);
+  const words = stripDelimiters(canonical).split(/\s+/).filter(Boolean);
+  if (style === NOTATION_STYLES.IPA || words.length < 2) return convertNotation(ipa, style);
+
+  const format = getNotationFormat(style);
+  const texts = words.map(word => convertWordText(`/${word}/`, style) ?? word);
+  return format.open + texts.join(' ') + format.close;
+}
+
+/**
+ * Convert the first variant of a canonical transcription, without delimiters
+ * @param {string} canonical - Canonical transcription
+ * @param {string} style - Notation style other than modern IPA
+ * @returns {string|null} null when the transcription has no syllables
+ */
+function convertWordText(canonical, style) {
+  const syllables = convertSyllables(syllabifyIPA(canonical), style);
+  if (syllables.length === 0) return null;
+
+  return syllables.map(syllable => syllable.text).join(getNotationFormat(style).separator);
+}
+
+/**
+ * Render syllables from ipa-parser.js in a notation style
+ * @param {Array<{text: string, phonemes: string[], stress: number}>} syllables - Syllables of a canonical transcription
+ * @param {string} style - Notation style (defaults to the current style)
+ * @returns {Array<{text: string, phonemes: string[], stress: number}>} Syllables with `text` in the style
+ */
+export function convertSyllables(syllables, style = currentStyle) {
+  if (style === NOTATION_STYLES.IPA) return syllables;
+
+  if (HINT_CONVERTERS[style]) {
+    const texts = HINT_CONVERTERS[style](syllables);
+    return syllables.map((syllable, n) => ({ ...syllable, text: texts[n] }));
+  }
+
+  const format = getNotationFormat(style);
+  const symbols = style === NOTATION_STYLES.KK ? KK_SYMBOLS : DJ_SYMBOLS;
+  return syllables.map((syllable, n) => {
+    const mark = syllable.stress === 1 ? format.primary : syllable.stress === 2 ? format.secondary : '';
+    const text = mark + syllable.phonemes.map((phoneme, i) => {
+      const converted = convertPhoneme(phoneme, symbols, style);
+      const next = i + 1 < syllable.phonemes.length ? syllable.phonemes[i + 1] : syllables[n + 1]?.phonemes[0];
+      // Avoid a doubled r before an r ("experience" [ɪkˋspɪrɪəns])
+      return next === 'r' && converted.length > 1 && converted.endsWith('r') ? converted.slice(0, -1) : converted;
+    }).join('');
+    return { ...syllable, text };
+  });
+}
+
+/**
+ * Convert one phoneme with a symbol map
+ * @param {string} phoneme - Phoneme, possibly with a length mark
+ * @param {Object} symbols - Phoneme map of the style
+ * @param {string} style - Notation style
+ * @returns {string}
+ */
+function convertPhoneme(phoneme, symbols, style) {
+  if (symbols[phoneme]) return symbols[phoneme];
+
+  // KK marks vowel quality only
+  const plain = phoneme.replace(/ː/g, '');
+  if (symbols[plain]) return symbols[plain];
+  return style === NOTATION_STYLES.KK ? plain : phoneme;
+}
@@ -0,0 +1,287 @@
+/**
+ * IPA parser
+ *
+ * Tokenises IPA transcriptions into phonemes and splits them into syllables,
+ * so that stress and syllable boundaries can be rendered.
+ * Accepts the conventions found in the bundled data: ˈ/ˌ or '/, stress marks,
+ * ː or : length marks, and the Cyrillic schwa (ә) used by mass-ipa.
+ * Syllable boundaries follow the stress marks where present, and the maximal
+ * onset principle elsewhere.
+ */
+
+// Vowel letters (monophthongs; diphthongs are matched as pairs below)
+const VOWELS = new Set([
+  'a', 'e', 'i', 'o', 'u', 'y', 'æ', 'ɑ', 'ɒ', 'ɔ', 'ə', 'ә', 'ɚ', 'ɜ', 'ɝ',
+  'ɛ', 'є', 'ε', 'ɪ', 'ʊ', 'ʌ', 'ɐ', 'ɘ', 'ɵ', 'ø', 'œ', 'ɨ', 'ʉ', 'ɯ', 'ɤ', '^'
+]);
+
+// Closing diphthongs (always one nucleus)
+const DIPHTHONGS = new Set([
+  'aɪ', 'ai', 'aʊ', 'au', 'eɪ', 'ei', 'oʊ', 'ou', 'əʊ', 'əu', 'әʊ', 'әu', 'ɔɪ', 'ɔi'
+]);
+
+// Centring diphthongs (ɪə, ʊə, eə) are one nucleus only at the end of the
+// transcription or before r: "here" /hɪə/, "period" /ˈpɪəriəd/, but "museum" /mjuːˈziːəm/.
+// Canonical IPA (ipa-notation.js) keeps iə/uə for two syllables: "area" /ˈeəriə/
+const CENTRING_DIPHTHONGS = new Set([
+  'ɪə', 'ɪә', 'iә', 'ʊə', 'ʊә', 'uә', 'eə', 'eә', 'ɛə', 'ɛә', 'єә', 'εә'
+]);
+
+// Vowel letter pairs that can be read as two syllables ("bi|o", "ma|te|ri|al", "cre|ate")
+const HIATUS_PAIRS = new Set(['ia', 'io', 'iu', 'ie', 'ea', 'eo', 'oa', 'oe', 'ua', 'ue', 'ui', 'uo']);
+
+// Two-letter consonants
+const AFFRICATES = new Set(['tʃ', 'dʒ', 'ts', 'dz']);
+
+const STRESS_MARKS = {
+  'ˈ': 1,
+  "'": 1,
+  'ˊ': 1,
+  'ˌ': 2,
+  ',': 2
+};
+
+const LENGTH_MARKS = new Set(['ː', ':', 'ˑ']);
+
+// Combining mark for syllabic consonants (n̩, l̩)
+const SYLLABIC_MARK = '̩';
+
+// Consonants that can be syllabic after an obstruent ("little" /ˈlɪtl/, "prism" /ˈprɪzm/)
+const SYLLABIC_CONSONANTS = new Set(['l', 'n', 'm']);
+
+const OBSTRUENTS = new Set([
+  'p', 'b', 't', 'd', 'k', 'g', 'ɡ', 'f', 'v', 'θ', 'ð', 's', 'z', 'ʃ', 'ʒ', 'tʃ', 'dʒ'
+]);
+
+// Consonant clusters allowed at the start of an English syllable
+const LEGAL_ONSETS = new Set([
+  'pr', 'pl', 'pj', 'br', 'bl', 'bj', 'tr', 'tw', 'tj', 'dr', 'dw', 'dj', 'kr', 'kl',
+  'kw', 'kj', 'gr', 'gl', 'gw', 'ɡr', 'ɡl', 'ɡw', 'fr', 'fl', 'fj', 'vj', 'θr', 'θw',
+  'ʃr', 'mj', 'nj', 'hj', 'lj', 'sp', 'st', 'sk', 'sm', 'sn', 'sl', 'sw', 'sf', 'sj',
+  'spr', 'spl', 'str', 'skr', 'skw', 'skl', 'spj', 'skj', 'stj'
+]);
+
+/**
+ * Strip the surrounding slashes or brackets of a transcription
+ * @param {string} ipa - e.g. "/ˈwɔːtə/"
+ * @returns {string} e.g. "ˈwɔːtə"
+ */
+export function stripDelimiters(ipa) {
+  return String(ipa || '').trim().replace(/^[/[]/, '').replace(/[/\]]$/, '');
+}
+
+/**
+ * Take the first pronunciation of a transcription listing variants
+ * ("/puә. pɒ:/", "/ˈdeɪtə; ˈdɑːtə/")
+ * @param {string} ipa - Transcription without delimiters
+ * @returns {string}
+ */
+function firstVariant(ipa) {
+  return ipa.split(/[;|]|[.,]\s+|\s+/)[0];
+}
+
+/**
+ * Tokenise an IPA transcription into phonemes
+ * @param {string} ipa - Transcription, with or without delimiters
+ * @returns {Array<{symbol: string, type: 'vowel'|'consonant'|'stress'|'boundary', stress?: number}>}
+ */
+export function tokenizeIPA(ipa) {
+  const text = firstVariant(stripDelimiters(ipa));
+  const chars = Array.from(text);
+  const tokens = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const pair = char + (chars[i + 1] || '');
+    const previous = tokens[tokens.length - 1];
+
+    if (STRESS_MARKS[char]) {
+      tokens.push({ symbol: char, type: 'stress', stress: STRESS_MARKS[char] });
+    } else if (char === '.') {
+      // Explicit syllable boundary ("/prәu.nʌnsi'eiʃәn/")
+      tokens.push({ symbol: '', type: 'boundary' });
+    } else if (LENGTH_MARKS.has(char) || char === SYLLABIC_MARK) {
+      // Length and syllabic marks belong to the previous phoneme
+      if (previous && previous.type !== 'stress') {
+        previous.symbol += char;
+        if (char === SYLLABIC_MARK) {
+          previous.type = 'vowel';
+          previous.syllabic = true;
+        }
+      }
+    } else if (VOWELS.has(char)) {
+      const isDiphthong = DIPHTHONGS.has(pair) ||
+        (CENTRING_DIPHTHONGS.has(pair) && (i + 2 >= chars.length || chars[i + 2] === 'r'));
+      if (isDiphthong) {
+        tokens.push({ symbol: pair, type: 'vowel' });
+        i++;
+      } else {
+        tokens.push({ symbol: char, type: 'vowel' });
+      }
+    } else if (AFFRICATES.has(pair)) {
+      tokens.push({ symbol: pair, type: 'consonant' });
+      i++;
+    } else if (/\S/.test(char) && !'()-\\'.includes(char)) {
+      tokens.push({ symbol: char, type: 'consonant' });
+    }
+  }
+
+  markSyllabicConsonants(tokens);
+  return tokens;
+}
+
+/**
+ * Mark l/n/m as syllabic when they follow an obstruent and no vowel follows
+ * @param {Array} tokens - Tokens from tokenizeIPA()
+ */
+function markSyllabicConsonants(tokens) {
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'consonant' || !SYLLABIC_CONSONANTS.has(token.symbol)) continue;
+    if (!OBSTRUENTS.has(tokens[i - 1].symbol)) continue;
+    if (tokens.slice(i + 1).some(next => next.type === 'vowel')) continue;
+
+    token.type = 'vowel';
+    token.syllabic = true;
+  }
+}
+
+/**
+ * Check whether a sequence of consonants can start a syllable
+ * @param {string[]} consonants - Consonant symbols
+ * @returns {boolean}
+ */
+function isLegalOnset(consonants) {
+  if (consonants.length === 0) return true;
+  if (consonants.length === 1) return consonants[0] !== 'ŋ' && consonants[0] !== 'ʒ';
+  return LEGAL_ONSETS.has(consonants.join(''));
+}
+
+/**
+ * Split an IPA transcription into syllables
+ * @param {string} ipa - Transcription, with or without delimiters
+ * @returns {Array<{text: string, phonemes: string[], stress: number}>} Empty if no vowel was found
+ */
+export function syllabifyIPA(ipa) {
+  const tokens = tokenizeIPA(ipa);
+  const nuclei = tokens.map((token, index) => (token.type === 'vowel' ? index : -1)).filter(index => index >= 0);
+  if (nuclei.length === 0) return [];
+
+  // Start index of each syllable: an explicit stress mark or boundary wins,
+  // otherwise the longest legal onset before the nucleus
+  const starts = nuclei.map((nucleus, n) => {
+    if (n === 0) return 0;
+
+    const previous = nuclei[n - 1];
+    let start = nucleus;
+
+    for (let i = nucleus - 1; i > previous; i--) {
+      if (tokens[i].type === 'stress' || tokens[i].type === 'boundary') return i;
+    }
+
+    while (start - 1 > previous && tokens[start - 1].type === 'consonant') {
+      const onset = tokens.slice(start - 1, nucleus).map(token => token.symbol.replace(/[ː:ˑ]/g, ''));
+      if (!isLegalOnset(onset)) break;
+      start--;
+    }
+    return start;
+  });
+
+  return starts.map((start, n) => {
+    const end = n + 1 < starts.length ? starts[n + 1] : tokens.length;
+    const syllableTokens = tokens.slice(start, end);
+    const mark = syllableTokens.find(token => token.type === 'stress');
+    return {
+      text: syllableTokens.map(token => token.symbol).join(''),
+      phonemes: syllableTokens.filter(token => token.type === 'vowel' || token.type === 'consonant').map(token => token.symbol),
+      stress: mark ? mark.stress : 0
+    };
+  });
+}
+
+/**
+ * Parse an IPA transcription
+ * @param {string} ipa - Transcription, e.g. "/ˌbaɪəʊdaɪˈvɜːsəti/"
+ * @returns {{syllables: Array, stressIndex: number}} stressIndex is the primary-stress syllable, or -1
+ */
+export function parseIPA(ipa) {
+  const syllables = syllabifyIPA(ipa);
+  return {
+    syllables,
+    stressIndex: syllables.findIndex(syllable => syllable.stress === 1)
+  };
+}
+
+/**
+ * Split the spelling of a word into a given number of syllables (heuristic)
+ * Used to align IPA syllables with the written word; returns null when the
+ * vowel groups of the spelling do not match the syllable count
+ * @param {string} word - Word as written, e.g. "diversity"
+ * @param {number} count - Number of syllables in the transcription
+ * @returns {string[]|null} e.g. ["di", "ver", "si", "ty"]
+ */
+export function splitSpelling(word, count) {
+  const lower = word.toLowerCase();
+  if (!/^[a-z]+$/.test(lower) || count < 1) return null;
+  if (count === 1) return [word];
+
+  // Vowel groups; y counts as a vowel except at the start of the word
+  const groups = [];
+  const vowelPattern = /[aeiou]+|(?<=.)y[aeiou]*/g;
+  let match;
+  while ((match = vowelPattern.exec(lower)) !== null) {
+    groups.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  // Silent final e ("make", "walked", "makes"), but not consonant + le ("little", "tables")
+  const last = groups[groups.length - 1];
+  if (groups.length > 1 && last && lower[last.start] === 'e' && last.end - last.start === 1) {
+    const ending = lower.slice(last.start);
+    const before = lower[last.start - 1];
+    const consonantLe = before === 'l' && !/[aeiouy]/.test(lower[last.start - 2]);
+    const silent = !consonantLe && (ending === 'e' ||
+      (ending === 'ed' && !/[td]/.test(before)) ||
+      (ending === 'es' && !/[sxzh]/.test(before)));
+    if (silent) groups.pop();
+  }
+
+  // Fewer vowel groups than syllables: split hiatus pairs from the left ("bio|di|ver|si|ty"
+  // -> "bi|o|di|ver|si|ty"), except u after q ("quiet")
+  for (let g = 0; g < groups.length && groups.length < count; g++) {
+    const { start, end } = groups[g];
+    for (let i = start; i < end - 1; i++) {
+      if (HIATUS_PAIRS.has(lower.slice(i, i + 2)) && !(lower[i] === 'u' && lower[i - 1] === 'q')) {
+        groups.splice(g, 1, { start, end: i + 1 }, { start: i + 1, end });
+        break;
+      }
+    }
+  }
+
+  if (groups.length !== count) return null;
+
+  const DIGRAPHS = ['ch', 'sh', 'th', 'ph', 'wh', 'gh', 'ck', 'ng', 'qu'];
+  const boundaries = [];
+  for (let i = 1; i < groups.length; i++) {
+    const from = groups[i - 1].end;
+    const to = groups[i].start;
+    const consonants = lower.slice(from, to);
+
+    let boundary;
+    const finalLe = i === groups.length - 1 && /^l(e|es|ed)$/.test(lower.slice(to - 1)) && consonants.length >= 2;
+    if (finalLe) {
+      // Consonant + le forms the last syllable ("ta|ble", "lit|tle")
+      boundary = to - 2;
+    } else if (consonants.length <= 1) {
+      // V|CV ("di|ver"), but x closes the syllable ("ex|it")
+      boundary = consonants === 'x' ? to : from;
+    } else if (consonants.length === 2 && DIGRAPHS.includes(consonants)) {
+      boundary = consonants === 'ck' ? to : from;
+    } else {
+      // VC|CV ("lit|tle"), keeping a leading digraph together ("ath|lete")
+      boundary = from + (DIGRAPHS.includes(consonants.slice(0, 2)) ? 2 : 1);
+    }
+    boundaries.push(boundary);
+  }
+
+  return [0, ...boundaries].map((start, i) => word.slice(start, boundaries[i] ?? word.length));
+}
@@ -0,0 +1,206 @@
+/**
+ * 音标存储（仅在 Service Worker 中使用）
+ * 所有标签页共享同一份词典数据：内存缓存 -> IndexedDB -> 词典查询 -> 按拼写推测（letter-to-sound.js）
+ * 内容脚本通过 GET_PHONETICS 消息批量获取音标，不再各自加载 core.json 和分块
+ * 用户自定义音标优先于一切词典结果，且不写入缓存（修改后立即生效）
+ * 在线词典（Free Dictionary API）限速较慢，不阻塞本地结果：先返回本地和推测的音标，查到后再通知内容脚本刷新
+ */
+
+import { wordsToIPA, lookupOnline, getWordFrequencyRank, loadAccentData } from './ipa-converter.js';
+import { getCachedEntries, putCachedEntries } from './ipa-cache-db.js';
+import { getPhoneticOverrides } from './phonetic-overrides.js';
+import { getLookupKey } from './word-tokenizer.js';
+import { estimateIPA } from './letter-to-sound.js';
+
+// 内存缓存上限（Service Worker 空闲被回收时自然清空）
+const MAX_SESSION_ENTRIES = 20000;
+
+// word -> {word, rank, ipa: {uk, us}}，ipa 中值为 null 表示该口音已查询但未找到
+// （IndexedDB 只保存找到的口音，Service Worker 重启后未找到的口音会重新查询）
+const sessionCache = new Map();
+
+// 英音核心词典加载（词频排名依赖它）
+let rankDataPromise = null;
+
+// 正在在线查询的单词 -> 查询结果（多个标签页同时请求时只查询一次）
+const pendingOnline = new Map();
+
+/**
+ * 条目是否已包含所有请求的口音
+ * @param {object|undefined} entry 缓存条目
+ * @param {string[]} accents 口音列表
+ * @returns {boolean}
+ */
+function isComplete(entry, accents) {
+  return Boolean(entry) && accents.every(accent => accent in entry.ipa);
+}
+
+/**
+ * 写入内存缓存，超出上限时淘汰最早的条目
+ * @param {object} entry 缓存条目
+ */
+function remember(entry) {
+  sessionCache.delete(entry.word);
+  sessionCache.set(entry.word, entry);
+
+  if (sessionCache.size > MAX_SESSION_ENTRIES) {
+    sessionCache.delete(sessionCache.keys().next().value);
+  }
+}
+
+/**
+ * 加载词频排名所需的英音核心词典（只加载一次）
+ * @returns {Promise<void>}
+ */
+function loadRankData() {
+  if (!rankDataPromise) {
+    rankDataPromise = loadAccentData('uk');
+  }
+  return rankDataPromise;
+}
+
+/**
+ * 批量查询单词缺失口音的音标和词频排名（每个口音只查询一次词典）
+ * @param {Map<string, object|undefined>} entries 小写单词 -> 已有条目
+ * @param {string[]} accents 口音列表
+ * @returns {Promise<object[]>} 更新后的条目
+ */
+async function resolveEntries(entries, accents) {
+  const resolved = [...entries].map(([word, cached]) =>
+    cached ? { ...cached, ipa: { ...cached.ipa } } : { word, rank: null, ipa: {} }
+  );
+
+  for (const accent of accents) {
+    const missing = resolved.filter(entry => !(accent in entry.ipa));
+    if (missing.length === 0) continue;
+
+    const results = await wordsToIPA(missing.map(entry => entry.word), accent, { online: false });
+    missing.forEach(entry => {
+      entry.ipa[accent] = results.get(entry.word) || null;
+    });
+  }
+
+  await loadRankData();
+  resolved.forEach(entry => {
+    entry.rank = getWordFrequencyRank(entry.word);
+  });
+
+  return resolved;
+}
+
+/**
+ * 在线查询本地词典中没有的单词，找到的音标写入缓存
+ * @param {object[]} entries 缺少音标的条目
+ * @returns {Promise<string[]>} 找到音标的单词（查询失败时为空）
+ */
+async function resolveOnline(entries) {
+  try {
+    const results = await lookupOnline(entries.map(entry => entry.word));
+    const updated = [];
+    for (const entry of entries) {
+      const ipa = results.get(entry.word);
+      if (!ipa) continue;
+
+      // 在线词典不区分口音，用于所有未找到的口音（与同步查询时英音流程的回退一致）
+      const current = sessionCache.get(entry.word) || entry;
+      const next = { ...current, ipa: { ...current.ipa } };
+      Object.keys(next.ipa).filter(accent => !next.ipa[accent]).forEach(accent => {
+        next.ipa[accent] = ipa;
+      });
+      remember(next);
+      updated.push(next);
+    }
+
+    await putCachedEntries(updated);
+    return updated.map(entry => entry.word);
+  } catch (error) {
+    console.error('[IPA Store] Online lookup failed:', error);
+    return [];
+  } finally {
+    entries.forEach(entry => pendingOnline.delete(entry.word));
+  }
+}
+
+/**
+ * 批量获取单词音标
+ * @param {string[]} words 单词列表
+ * @param {string[]} accents 口音列表 ('uk' | 'us')
+ * @param {object} options {onlineResolved: 在线查到音标后以单词列表调用}
+ * @returns {Promise<object>} word -> {rank, ipa: {accent: string|null}, estimated: boolean}
+ */
+export async function lookupPhonetics(words, accents = ['uk'], { onlineResolved } = {}) {
+  // 首字母缩略词保留大写（"IT" 逐个字母读，"it" 按单词读）
+  const unique = [...new Set(words.map(word => getLookupKey(word)).filter(Boolean))];
+  
+  // 0. 用户自定义音标（每次读取存储，编辑后无需清理缓存；首字母缩略词按小写匹配）
+  const overrides = await getPhoneticOverrides();
+  const getOverride = word => overrides[word.toLowerCase()];
+  const lookupWords = unique.filter(word => !getOverride(word));
+  const entries = new Map(lookupWords.map(word => [word, sessionCache.get(word)]));
+
+  // 1. 内存中没有的单词从 IndexedDB 读取
+  const uncached = lookupWords.filter(word => !entries.get(word));
+  for (const entry of await getCachedEntries(uncached)) {
+    entries.set(entry.word, entry);
+    remember(entry);
+  }
+
+  // 2. 仍缺少的口音查询词典，找到音标的条目持久化
+  const unresolved = lookupWords.filter(word => !isComplete(entries.get(word), accents));
+  if (unresolved.length > 0) {
+    const resolved = await resolveEntries(new Map(unresolved.map(word => [word, entries.get(word)])), accents);
+    for (const entry of resolved) {
+      entries.set(entry.word, entry);
+      remember(entry);
+    }
+    await putCachedEntries(resolved);
+
+    // 本地找不到的口音在后台在线查询，不阻塞本次结果
+    const offline = resolved.filter(entry => accents.some(accent => !entry.ipa[accent]) && !pendingOnline.has(entry.word));
+    if (offline.length > 0) {
+      const lookup = resolveOnline(offline);
+      offline.forEach(entry => pendingOnline.set(entry.word, lookup));
+    }
+  }
+
+  // 正在在线查询的单词（包括其他标签页发起的）查到后通知调用方
+  const waiting = lookupWords.filter(word => pendingOnline.has(word));
+  if (waiting.length > 0 && onlineResolved) {
+    const requested = new Set(waiting);
+    Promise.all([...new Set(waiting.map(word => pendingOnline.get(word)))]).then(lists => {
+      const found = lists.flat().filter(word => requested.has(word));
+      if (found.length > 0) onlineResolved(found);
+    });
+  }
+
+  // 3. 词典和在线查询都没有的口音按拼写推测读音（标记为推测，不写入缓存）
+  const results = {};
+  for (const [word, entry] of entries) {
+    const ipa = Object.fromEntries(accents.map(accent => [accent, entry.ipa[accent] ?? null]));
+    const guessed = accents.filter(accent => !ipa[accent]);
+    guessed.forEach(accent => {
+      ipa[accent] = estimateIPA(word, accent);
+    });
+    
+    results[word] = {
+      rank: entry.rank,
+      ipa,
+      estimated: guessed.some(accent => ipa[accent])
+    };
+  }
+
+  // 自定义音标同时用于所有口音
+  const overridden = unique.filter(getOverride);
+  if (overridden.length > 0) {
+    await loadRankData();
+    for (const word of overridden) {
+      results[word] = {
+        rank: getWordFrequencyRank(word),
+        ipa: Object.fromEntries(accents.map(accent => [accent, getOverride(word).ipa])),
+        estimated: false
+      };
+    }
+  }
+
+  return results;
+}
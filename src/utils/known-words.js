@@ -0,0 +1,184 @@
+/**
+ * 已掌握单词（熟词）管理
+ * 支持从纯文本、CSV 和 Anki 导出文件导入单词列表
+ * 修改单词列表的操作通过 withStorageLock 依次执行，导入和标记熟词同时进行时不会互相覆盖
+ */
+
+import { get, set, withStorageLock, STORAGE_KEYS } from './storage.js';
+
+/**
+ * 内置词频档位（基于 mass-ipa core.json 的词频排序）
+ * value 表示排名在前 N 的单词视为已掌握
+ */
+export const FREQUENCY_TIERS = [
+  { value: 0, label: '不使用' },
+  { value: 1000, label: '前 1000（基础）' },
+  { value: 3000, label: '前 3000（高中）' },
+  { value: 5000, label: '前 5000（CET-4）' },
+  { value: 8000, label: '前 8000（CET-6）' }
+];
+
+// 单词匹配（允许撇号和连字符）
+const WORD_PATTERN = /[a-zA-Z][a-zA-Z'-]*/g;
+
+// CSV 表头中常见的列名，不作为单词导入
+const HEADER_NAMES = new Set(['word', 'words', 'front', 'term', 'vocabulary']);
+
+/**
+ * 获取已掌握单词列表
+ * @returns {Promise<string[]>}
+ */
+export async function getKnownWords() {
+  return get(STORAGE_KEYS.KNOWN_WORDS, []);
+}
+
+/**
+ * 添加已掌握单词
+ * @param {string[]} words 单词列表
+ * @returns {Promise<number>} 新增的单词数
+ */
+export async function addKnownWords(words) {
+  return withStorageLock(STORAGE_KEYS.KNOWN_WORDS, async () => {
+    const known = new Set(await getKnownWords());
+    const before = known.size;
+
+    for (const word of words || []) {
+      const normalized = normalizeWord(word);
+      if (normalized) known.add(normalized);
+    }
+
+    await set(STORAGE_KEYS.KNOWN_WORDS, [...known]);
+    return known.size - before;
+  });
+}
+
+/**
+ * 移除已掌握单词
+ * @param {string[]} words 单词列表
+ * @returns {Promise<void>}
+ */
+export async function removeKnownWords(words) {
+  const remove = new Set((words || []).map(normalizeWord));
+
+  return withStorageLock(STORAGE_KEYS.KNOWN_WORDS, async () => {
+    const known = (await getKnownWords()).filter(word => !remove.has(word));
+    await set(STORAGE_KEYS.KNOWN_WORDS, known);
+  });
+}
+
+/**
+ * 清空已掌握单词
+ * @returns {Promise<void>}
+ */
+export async function clearKnownWords() {
+  return withStorageLock(STORAGE_KEYS.KNOWN_WORDS, () => set(STORAGE_KEYS.KNOWN_WORDS, []));
+}
+
+/**
+ * 根据文件名和内容判断单词表格式
+ * @param {string} text 文件内容
+ * @param {string} filename 文件名
+ * @returns {'anki'|'csv'|'text'}
+ */
+export function detectWordListFormat(text, filename = '') {
+  const lower = filename.toLowerCase();
+  if (/^#(separator|html|notetype|deck|columns):/m.test(text) || lower.endsWith('.tsv')) {
+    return 'anki';
+  }
+  if (lower.endsWith('.csv')) {
+    return 'csv';
+  }
+  // 大部分行都包含制表符时，按 Anki 纯文本导出处理
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length > 0 && lines.filter(line => line.includes('\t')).length >= lines.length / 2) {
+    return 'anki';
+  }
+  return 'text';
+}
+
+/**
+ * 解析单词表
+ * - text：每行一个单词（可带中文释义），或一行多个以空格/逗号分隔的单词
+ * - csv：取每行第一列
+ * - anki：Anki 纯文本导出（制表符分隔，可能带 # 文件头和 HTML），取第一个字段
+ * @param {string} text 文件内容
+ * @param {'anki'|'csv'|'text'} format 格式，默认自动判断
+ * @returns {string[]} 去重后的单词
+ */
+export function parseWordList(text, format = detectWordListFormat(text)) {
+  const words = new Set();
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    let candidates;
+    if (format === 'anki') {
+      candidates = firstWord(stripHtml(line.split('\t')[0]));
+    } else if (format === 'csv') {
+      candidates = firstWord(parseCSVLine(line)[0] || '')
+        .filter(word => !HEADER_NAMES.has(word.toLowerCase()));
+    } else if (/^[a-zA-Z'\s,;-]+$/.test(line)) {
+      // 纯英文行：可能是一行多个单词
+      candidates = line.match(WORD_PATTERN) || [];
+    } else {
+      candidates = firstWord(line);
+    }
+
+    for (const candidate of candidates) {
+      const normalized = normalizeWord(candidate);
+      if (normalized) words.add(normalized);
+    }
+  }
+
+  return [...words];
+}
+
+function firstWord(text) {
+  const match = text.match(WORD_PATTERN);
+  return match ? [match[0]] : [];
+}
+
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function stripHtml(text) {
+  return text
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function normalizeWord(word) {
+  if (typeof word !== 'string') return '';
+  const normalized = word.toLowerCase().trim().replace(/^['-]+|['-]+$/g, '');
+  return normalized.length >= 2 ? normalized : '';
+}
@@ -0,0 +1,415 @@
+/**
+ * Letter-to-sound rules
+ *
+ * Estimates the pronunciation of words no dictionary knows (neologisms, names,
+ * typos) without any network call. Spelling is mapped to phonemes by ordered
+ * context rules in the style of the NRL rules (Elovitz et al., 1976), then
+ * stress is placed from suffixes and syllable weight, unstressed vowels are
+ * reduced and the result is adapted to British or General American conventions.
+ * The output is a best guess: callers flag it as estimated.
+ */
+
+import { syllabifyIPA } from './ipa-parser.js';
+import { joinCompoundIPA } from './compound-ipa.js';
+
+const C = '[bcdfghjklmnpqrstvwxz]';
+
+// Endings after a single consonant that make the vowel before it long ("make", "baker", "table")
+const MAGIC_E = new RegExp(`^${C}(?:e|es|ed|er|ers|est|ely|eness|ement|ements|eless|eful|ing|ings|le|les|led|able)$`);
+
+// Function words whose initial th is voiced
+const VOICED_TH = /^(e|em|en|ere|ese|ey|eir|ose|ough|us|at|an|is|ither|ence)$/;
+
+/**
+ * Rules per letter, tried in order: [letters, right context, left context, phonemes]
+ * Contexts are matched against the rest of the word after / before the letters.
+ * Output uses rhotic British vowels; toAccent() adapts it afterwards.
+ */
+const RULES = {
+  a: [
+    ['augh', null, null, 'ɔː'],
+    ['au', null, null, 'ɔː'],
+    ['aw', null, null, 'ɔː'],
+    ['air', null, null, 'eər'],
+    ['ai', null, null, 'eɪ'],
+    ['ay', null, null, 'eɪ'],
+    ['are', /^s?$/, /./, 'eər'],
+    ['ar', /^[aeiouy]/, /[^w]$|^$/, 'ær'],
+    ['ar', null, /(w|qu)$/, 'ɔːr'],
+    ['ar', null, null, 'ɑːr'],
+    ['all', /^$|^s$|^[^aeiouy]/, null, 'ɔːl'],
+    ['alk', null, null, 'ɔːk'],
+    ['a', /^(tch|sh|t|nt|nd|s)/, /(w|qu)$/, 'ɒ'],
+    ['a', /^(tion|sion|tial)/, null, 'eɪ'],
+    ['a', /^nge/, null, 'eɪ'],
+    ['a', MAGIC_E, null, 'eɪ'],
+    ['a', /^$/, /./, 'ə'],
+    ['a', null, null, 'æ']
+  ],
+  e: [
+    ['eau', null, null, 'əʊ'],
+    ['ear', /^(th|n|ly|l)/, null, 'ɜːr'],
+    ['ear', /^$|^[^aeiouy]/, null, 'ɪər'],
+    ['eer', null, null, 'ɪər'],
+    ['ee', null, null, 'iː'],
+    ['ea', /^(d|th|lth|sure|ther|vy|dy)/, null, 'e'],
+    ['ea', null, null, 'iː'],
+    ['ei', null, /c$/, 'iː'],
+    ['ei', null, null, 'eɪ'],
+    ['ey', /^s?$/, /./, 'i'],
+    ['ey', null, null, 'eɪ'],
+    ['eu', null, null, 'juː'],
+    ['ew', null, null, 'juː'],
+    ['ere', /^$/, null, 'ɪər'],
+    ['er', /^[aeiouy]/, null, 'er'],
+    ['er', null, null, 'ɜːr'],
+    ['e', /^$/, /[aeiouy][^aeiouy]*$/, ''],
+    ['e', /^$/, null, 'iː'],
+    ['e', /^s$/, /(s|z|x|ch|sh|c|g)$/, 'ɪ'],
+    ['e', /^s$/, /[aeiouy].*[^aeiouy]$/, ''],
+    ['e', /^d$/, /[td]$/, 'ɪ'],
+    ['e', /^d$/, /[aeiouy].*[^aeiouy]$/, ''],
+    ['e', /^(ly|ment|ness|ful|less)$/, /[aeiouy][^aeiouy]$/, ''],
+    ['e', MAGIC_E, null, 'iː'],
+    ['e', /^[aeiou]/, null, 'i'],
+    ['e', null, null, 'e']
+  ],
+  i: [
+    ['igh', null, null, 'aɪ'],
+    ['ie', /^$/, /^[^aeiouy]+$/, 'aɪ'],
+    ['ie', /^s?$/, null, 'i'],
+    ['ie', null, null, 'iː'],
+    ['ire', /^s?$/, null, 'aɪər'],
+    ['ir', /^$|^[^aeiouy]/, null, 'ɜːr'],
+    ['i', /^(nd|ld|gn)/, null, 'aɪ'],
+    ['i', /^que$/, null, 'iː'],
+    ['i', MAGIC_E, null, 'aɪ'],
+    ['i', /^[aeiou]/, null, 'i'],
+    ['i', null, null, 'ɪ']
+  ],
+  o: [
+    ['ough', /^t/, null, 'ɔː'],
+    ['ough', null, null, 'əʊ'],
+    ['oor', null, null, 'ɔːr'],
+    ['oo', /^(k|d)/, null, 'ʊ'],
+    ['oo', null, null, 'uː'],
+    ['oar', null, null, 'ɔːr'],
+    ['oa', null, null, 'əʊ'],
+    ['oe', /^s?$/, null, 'əʊ'],
+    ['oi', null, null, 'ɔɪ'],
+    ['oy', null, null, 'ɔɪ'],
+    ['our', /^s?$/, null, 'aʊər'],
+    ['ous', /^$/, /./, 'əs'],
+    ['ou', null, null, 'aʊ'],
+    ['ow', /^s?$/, /[aeiouy].*[^aeiouy]$/, 'əʊ'],
+    ['ow', null, null, 'aʊ'],
+    ['or', /^$|^[^aeiouy]/, /w$/, 'ɜːr'],
+    ['or', /^$|^[^aeiouy]/, null, 'ɔːr'],
+    ['old', null, null, 'əʊld'],
+    ['o', /^(ther|ve|ney|nth)/, null, 'ʌ'],
+    ['o', /^$/, null, 'əʊ'],
+    ['o', MAGIC_E, null, 'əʊ'],
+    ['o', null, null, 'ɒ']
+  ],
+  u: [
+    ['ure', /^s?$/, /(s|t|d|z)$/, 'ər'],
+    ['ure', /^s?$/, null, 'jʊər'],
+    ['ur', /^$|^[^aeiouy]/, null, 'ɜːr'],
+    ['ue', /^s?$/, null, 'uː'],
+    ['ui', null, null, 'uː'],
+    ['uy', null, null, 'aɪ'],
+    ['u', MAGIC_E, /(r|l|j|ch|sh)$/, 'uː'],
+    ['u', MAGIC_E, null, 'juː'],
+    ['u', /^(sh|ll|t$)/, /^[bpf]$/, 'ʊ'],
+    ['u', /^[^aeiouy][aeiouy]/, /^$/, 'juː'],
+    ['u', /^[aeio]/, null, 'u'],
+    ['u', null, null, 'ʌ']
+  ],
+  y: [
+    ['y', /^[aeiou]/, /^$/, 'j'],
+    ['y', /^$/, /(pl|f)$/, 'aɪ'],
+    ['y', /^s?$/, /[aeiouy]/, 'i'],
+    ['y', /^s?$/, null, 'aɪ'],
+    ['y', MAGIC_E, null, 'aɪ'],
+    ['y', null, null, 'ɪ']
+  ],
+  b: [
+    ['b', /^s?$/, /m$/, ''],
+    ['b', null, null, 'b']
+  ],
+  c: [
+    ['ch', /^(r|aos|or|em|ara|ord|ro)/, null, 'k'],
+    ['ch', null, null, 'tʃ'],
+    ['ck', null, null, 'k'],
+    ['cc', /^[eiy]/, null, 'ks'],
+    ['cc', null, null, 'k'],
+    ['ci', /^(al|ous|an|ent)/, null, 'ʃ'],
+    ['c', /^[eiy]/, null, 's'],
+    ['c', null, null, 'k']
+  ],
+  d: [
+    ['dge', null, null, 'dʒ'],
+    ['d', /^$/, /(p|k|f|s|x|ch|sh|c)e$/, 't'],
+    ['d', null, null, 'd']
+  ],
+  f: [['f', null, null, 'f']],
+  g: [
+    ['gh', null, /^$/, 'ɡ'],
+    ['gh', null, null, ''],
+    ['gn', /^$/, null, 'n'],
+    ['gn', null, /^$/, 'n'],
+    ['ge', /^s?$/, /./, 'dʒ'],
+    ['g', /^(et|ive|ift|irl|ild|ear|ein$|in$)/, null, 'ɡ'],
+    ['g', /^[eiy]/, null, 'dʒ'],
+    ['g', null, null, 'ɡ']
+  ],
+  h: [
+    ['h', /^$|^[^aeiouy]/, /[aeiouy]$/, ''],
+    ['h', null, null, 'h']
+  ],
+  j: [['j', null, null, 'dʒ']],
+  k: [
+    ['kn', null, /^$/, 'n'],
+    ['k', null, null, 'k']
+  ],
+  l: [
+    ['le', /^[sd]?$/, /[^aeiouy]$/, 'əl'],
+    ['l', null, null, 'l']
+  ],
+  m: [
+    ['mb', /^s?$/, null, 'm'],
+    ['m', null, null, 'm']
+  ],
+  n: [
+    ['ng', /^(er|est)$/, null, 'ŋɡ'],
+    ['ng', null, null, 'ŋ'],
+    ['nk', null, null, 'ŋk'],
+    ['n', null, null, 'n']
+  ],
+  p: [
+    ['ph', null, null, 'f'],
+    ['ps', null, /^$/, 's'],
+    ['pn', null, /^$/, 'n'],
+    ['p', null, null, 'p']
+  ],
+  q: [
+    ['que', /^$/, null, 'k'],
+    ['qu', null, null, 'kw'],
+    ['q', null, null, 'k']
+  ],
+  r: [
+    ['rh', null, null, 'r'],
+    ['r', null, null, 'r']
+  ],
+  s: [
+    ['sch', null, null, 'sk'],
+    ['sh', null, null, 'ʃ'],
+    ['ssion', null, null, 'ʃən'],
+    ['sion', null, /[aeiouy]$/, 'ʒən'],
+    ['sion', null, null, 'ʃən'],
+    ['ssure', null, null, 'ʃər'],
+    ['sure', null, /^$/, 'ʃʊər'],
+    ['sure', null, /[aeiouy]$/, 'ʒər'],
+    ['sc', /^[eiy]/, null, 's'],
+    ['s', /^$/, /([bdgvlmnr]e?|[aeiou]e|ee|ay|oy|ey|ow|ew|aw|ng)$/, 'z'],
+    ['s', /^[aeiouy]/, /[aeiouy]$/, 'z'],
+    ['s', null, null, 's']
+  ],
+  t: [
+    ['th', VOICED_TH, /^$/, 'ð'],
+    ['th', /^er/, /[aeiouy]$/, 'ð'],
+    ['th', null, null, 'θ'],
+    ['tion', null, /s$/, 'tʃən'],
+    ['tion', null, null, 'ʃən'],
+    ['tial', null, null, 'ʃəl'],
+    ['tious', null, null, 'ʃəs'],
+    ['tient', null, null, 'ʃənt'],
+    ['ture', null, null, 'tʃər'],
+    ['tch', null, null, 'tʃ'],
+    ['t', /^le$/, /s$/, ''],
+    ['t', null, null, 't']
+  ],
+  v: [['v', null, null, 'v']],
+  w: [
+    ['wh', null, null, 'w'],
+    ['wr', null, /^$/, 'r'],
+    ['w', null, null, 'w']
+  ],
+  x: [
+    ['x', null, /^$/, 'z'],
+    ['x', null, null, 'ks']
+  ],
+  z: [['z', null, null, 'z']]
+};
+
+// Suffixes that fix the stress: syllables from the end of the word to the stressed one
+const STRESS_SUFFIXES = [
+  [/(ically)$/, 4],
+  [/(ical|ious|eous|ian|ient|ial|ia)$/, 3],
+  [/(ity|ify|ogy|ography|ology|ometer|onomy|itive)$/, 3],
+  [/(tion|sion|cian|cial|tial|cious|tious|ic|ics)$/, 2],
+  [/(ee|eer|ese|ique|esque|oon|ette)$/, 1]
+];
+
+// Suffixes that do not move the stress, with their syllable counts
+const NEUTRAL_SUFFIXES = [
+  [/(able)$/, 2],
+  [/(ism)$/, 2],
+  [/(ness|less|ment|ful|ly|er|ers|ing|ings|ist|ists|ship|hood|dom)$/, 1]
+];
+
+// Two-syllable words with these prefixes are stressed on the second syllable ("begin", "about")
+const UNSTRESSED_PREFIX = /^(a(?=[^aeiouy])|be|de|re|pre|un|dis|mis|ex)/;
+
+// Full vowels that reduce to schwa when unstressed
+const REDUCIBLE_VOWELS = { 'æ': 'ə', 'ɒ': 'ə', 'ʌ': 'ə', 'e': 'ə', 'ɜː': 'ə' };
+
+/**
+ * Map the letters of a word to phonemes
+ * @param {string} word - Lowercase letters
+ * @returns {string} Unstressed rhotic phoneme string
+ */
+function lettersToPhonemes(word) {
+  let result = '';
+
+  for (let i = 0; i < word.length;) {
+    const letter = word[i];
+
+    // Double consonants sound once ("little", "happy")
+    if (letter === word[i + 1] && !/[aeiouyc]/.test(letter)) {
+      i++;
+      continue;
+    }
+
+    const left = word.slice(0, i);
+    const rule = (RULES[letter] || []).find(([letters, right, before]) =>
+      word.startsWith(letters, i) &&
+      (!right || right.test(word.slice(i + letters.length))) &&
+      (!before || before.test(left))
+    );
+
+    if (rule) {
+      result += rule[3];
+      i += rule[0].length;
+    } else {
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Choose the stressed syllable
+ * @param {string} word - Lowercase letters
+ * @param {Array} syllables - Syllables from syllabifyIPA()
+ * @returns {number} Index of the primary-stress syllable
+ */
+function chooseStress(word, syllables) {
+  const count = syllables.length;
+
+  for (const [pattern, fromEnd] of STRESS_SUFFIXES) {
+    if (pattern.test(word) && count >= fromEnd) return count - fromEnd;
+  }
+
+  // Stress-neutral suffixes: place the stress on the stem
+  let stem = word;
+  let stemCount = count;
+  for (const [pattern, syllableCount] of NEUTRAL_SUFFIXES) {
+    if (pattern.test(stem) && stemCount - syllableCount >= 1) {
+      stem = stem.replace(pattern, '');
+      stemCount -= syllableCount;
+      break;
+    }
+  }
+
+  if (stemCount <= 1) return 0;
+  if (stemCount === 2) return UNSTRESSED_PREFIX.test(stem) ? 1 : 0;
+
+  // Latin stress rule: a heavy penultimate syllable takes the stress, otherwise the antepenultimate
+  return isHeavy(syllables[stemCount - 2]) ? stemCount - 2 : stemCount - 3;
+}
+
+/**
+ * Check whether a syllable is heavy: long vowel, diphthong or a closing consonant
+ * @param {object} syllable - Syllable from syllabifyIPA()
+ * @returns {boolean}
+ */
+function isHeavy(syllable) {
+  const { phonemes } = syllable;
+  const nucleus = phonemes.findIndex(phoneme => /[aeiouæɑɒɔəɛɜɪʊʌ]/.test(phoneme));
+  if (nucleus < 0) return false;
+
+  const vowel = phonemes[nucleus];
+  return vowel.includes('ː') || vowel.length > 1 || nucleus < phonemes.length - 1;
+}
+
+/**
+ * Reduce the vowel of an unstressed syllable
+ * @param {string} text - Syllable text
+ * @param {boolean} initial - First syllable of the word ("begin" /bɪˈɡɪn/)
+ * @returns {string}
+ */
+function reduceSyllable(text, initial) {
+  return text
+    .replace(/[ɔɑ]ːr$/, 'ər')
+    .replace(/ɜː|[æɒʌe](?![ɪəʊ])/, vowel => (initial && vowel === 'e' ? 'ɪ' : REDUCIBLE_VOWELS[vowel]));
+}
+
+/**
+ * Adapt the rhotic British phoneme string to an accent
+ * @param {string} ipa - Stressed phoneme string
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string}
+ */
+function toAccent(ipa, accent) {
+  if (accent === 'us') {
+    return ipa
+      .replace(/ɜːr/g, 'ɝ')
+      .replace(/ər(?![ˈˌ]?[aeiouæɑɒɔəɛɜɪʊʌ])/g, 'ɚ')
+      .replace(/eər/g, 'ɛr')
+      .replace(/ɪər/g, 'ɪr')
+      .replace(/ʊər/g, 'ʊr')
+      .replace(/əʊ/g, 'oʊ')
+      .replace(/ɒ/g, 'ɑ')
+      .replace(/e(?!ɪ)/g, 'ɛ')
+      .replace(/ː/g, '');
+  }
+
+  // Non-rhotic: r is only pronounced before a vowel
+  return ipa.replace(/r(?![ˈˌ]?[aeiouæɑɒɔəɛɜɪʊʌ])/g, '');
+}
+
+/**
+ * Estimate the pronunciation of a word from its spelling
+ * @param {string} word - English word; hyphenated parts are estimated separately
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string|null} Canonical IPA, or null if the word has no letters
+ */
+export function estimateIPA(word, accent = 'uk') {
+  const parts = String(word).toLowerCase().replace(/[’']/g, '').split('-')
+    .map(part => part.replace(/[^a-z]/g, ''))
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  if (parts.length > 1) {
+    const estimated = parts.map(part => ({ word: part, ipa: estimateIPA(part, accent) }));
+    return estimated.every(part => part.ipa) ? joinCompoundIPA(estimated) : null;
+  }
+
+  const [letters] = parts;
+  const phonemes = lettersToPhonemes(letters);
+  const syllables = syllabifyIPA(phonemes);
+  if (syllables.length === 0) return phonemes ? `/${toAccent(phonemes, accent)}/` : null;
+  if (syllables.length === 1) return `/${toAccent(phonemes, accent)}/`;
+
+  const stress = chooseStress(letters, syllables);
+  const secondary = stress >= 2 ? 0 : -1;
+  const stressed = syllables.map((syllable, i) => {
+    if (i === stress) return `ˈ${syllable.text}`;
+    if (i === secondary) return `ˌ${syllable.text}`;
+    return reduceSyllable(syllable.text, i === 0);
+  }).join('');
+
+  return `/${toAccent(stressed, accent)}/`;
+}
@@ -0,0 +1,108 @@
+/**
+ * 查词历史记录
+ * 记录每个单词的查询次数、首末次查询时间和最近一次的语境
+ * 修改历史的操作通过 withStorageLock 依次执行，连续查词时不会互相覆盖
+ */
+
+import { get, set, withStorageLock, STORAGE_KEYS } from './storage.js';
+
+// 最多保留的历史单词数
+const MAX_HISTORY_SIZE = 5000;
+
+/**
+ * 获取查词历史
+ * @returns {Promise<object>} word -> 历史条目
+ */
+export async function getLookupHistory() {
+  return get(STORAGE_KEYS.LOOKUP_HISTORY, {});
+}
+
+/**
+ * 记录一次查词
+ * @param {object} lookup {word, ipa, definition, context, url, title}
+ * @returns {Promise<object>} 更新后的历史条目
+ */
+export async function recordLookup(lookup) {
+  const word = typeof lookup?.word === 'string' ? lookup.word.toLowerCase().trim() : '';
+  if (!word) {
+    throw new Error('Invalid word');
+  }
+
+  return withStorageLock(STORAGE_KEYS.LOOKUP_HISTORY, async () => {
+    const history = await getLookupHistory();
+    const existing = history[word];
+    const now = Date.now();
+
+    // 重新插入以保持按最近查询排序，便于淘汰最久未查的单词
+    delete history[word];
+    history[word] = {
+      word,
+      ipa: lookup.ipa || existing?.ipa || '',
+      definition: lookup.definition || existing?.definition || '',
+      context: lookup.context || existing?.context || '',
+      url: lookup.url || existing?.url || '',
+      title: lookup.title || existing?.title || '',
+      count: (existing?.count || 0) + 1,
+      firstLookedUpAt: existing?.firstLookedUpAt || now,
+      lastLookedUpAt: now
+    };
+
+    pruneHistory(history);
+    await set(STORAGE_KEYS.LOOKUP_HISTORY, history);
+    return history[word];
+  });
+}
+
+/**
+ * 合并导入的历史记录（保留较大的查询次数和较早/较晚的时间，超出上限时删除最久未查的单词）
+ * @param {object[]} entries 历史条目数组
+ * @returns {Promise<number>} 合并的条目数
+ */
+export async function mergeLookupHistory(entries) {
+  return withStorageLock(STORAGE_KEYS.LOOKUP_HISTORY, async () => {
+    const history = await getLookupHistory();
+    let merged = 0;
+
+    for (const entry of entries || []) {
+      const word = typeof entry?.word === 'string' ? entry.word.toLowerCase().trim() : '';
+      if (!word) continue;
+
+      const existing = history[word];
+      history[word] = {
+        ...entry,
+        ...existing,
+        word,
+        count: Math.max(existing?.count || 0, entry.count || 1),
+        firstLookedUpAt: Math.min(existing?.firstLookedUpAt ?? Infinity, entry.firstLookedUpAt ?? Date.now()),
+        lastLookedUpAt: Math.max(existing?.lastLookedUpAt ?? 0, entry.lastLookedUpAt ?? 0)
+      };
+      merged++;
+    }
+
+    pruneHistory(history);
+    await set(STORAGE_KEYS.LOOKUP_HISTORY, history);
+    return merged;
+  });
+}
+
+/**
+ * 超出上限时删除最久未查的单词
+ * @param {object} history word -> 历史条目（修改原对象）
+ */
+function pruneHistory(history) {
+  const words = Object.keys(history);
+  if (words.length <= MAX_HISTORY_SIZE) return;
+
+  words
+    .sort((a, b) => (history[a].lastLookedUpAt ?? 0) - (history[b].lastLookedUpAt ?? 0))
+    .slice(0, words.length - MAX_HISTORY_SIZE)
+    .forEach(word => delete history[word]);
+}
+
+/**
+ * 清空查词历史
+ * @returns {Promise<void>}
+ */
+export async function clearLookupHistory() {
+  return withStorageLock(STORAGE_KEYS.LOOKUP_HISTORY, () => set(STORAGE_KEYS.LOOKUP_HISTORY, {}));
+}
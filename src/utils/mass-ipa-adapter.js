@@ -3,117 +3,169 @@
  * 
  * Provides a browser extension compatible wrapper for mass-ipa library.
  * Handles chunk loading using chrome.runtime.getURL() instead of regular fetch paths.
+ * 
+ * Two datasets share the same core.json + chunks/ + chunk-index.json layout:
+ * - uk: mass-ipa (ECDICT, British-leaning), auto-loaded
+ * - us: General American, generated from CMUdict by scripts/build-ipa-data.js, loaded on demand
+ *
+ * chunk-index.json lists sorted, non-overlapping chunk ranges (see chunk-index.js),
+ * so the chunk for a word is found with a binary search.
  */
 
-// Core dictionary data (will be loaded at initialization)
-let coreData = null;
-let chunkIndex = null;
-const chunkCache = new Map();
-const MAX_CACHED_CHUNKS = 2; // Keep only 2 most recent chunks to limit memory usage
+import { normalizeChunkIndex, findChunk } from './chunk-index.js';
+
+// Dataset locations inside the extension package
+const DATASET_PATHS = {
+  uk: 'mass-ipa-data',
+  us: 'us-ipa-data'
+};
+
+const DEFAULT_DATASET = 'uk';
+const MAX_CACHED_CHUNKS = 2; // Keep only 2 most recent chunks per dataset to limit memory usage
+
+// Loaded datasets: name -> { coreData, chunkIndex, chunkCache, corePromise, indexPromise }
+const datasets = new Map();
+
+let rankIndex = null; // word -> frequency rank (uk core.json is ordered by frequency)
+
+/**
+ * Get (or create) the state object of a dataset
+ * @param {string} name - Dataset name ('uk' | 'us')
+ * @returns {Object} Dataset state
+ */
+function getDataset(name = DEFAULT_DATASET) {
+  if (!DATASET_PATHS[name]) {
+    name = DEFAULT_DATASET;
+  }
+  
+  if (!datasets.has(name)) {
+    datasets.set(name, {
+      name,
+      path: DATASET_PATHS[name],
+      coreData: null,
+      chunkIndex: null,
+      chunkCache: new Map(),
+      corePromise: null,
+      indexPromise: null
+    });
+  }
+  
+  return datasets.get(name);
+}
 
 /**
  * Evict oldest chunk from cache if limit exceeded
+ * @param {Object} dataset - Dataset state
  */
-function evictOldestChunk() {
-  if (chunkCache.size >= MAX_CACHED_CHUNKS) {
+function evictOldestChunk(dataset) {
+  if (dataset.chunkCache.size >= MAX_CACHED_CHUNKS) {
     // Remove first (oldest) entry
-    const firstKey = chunkCache.keys().next().value;
-    chunkCache.delete(firstKey);
-    console.log(`[Mass-IPA] Evicted chunk ${firstKey} from cache to limit memory`);
+    const firstKey = dataset.chunkCache.keys().next().value;
+    dataset.chunkCache.delete(firstKey);
+    console.log(`[Mass-IPA] Evicted ${dataset.name} chunk ${firstKey} from cache to limit memory`);
   }
 }
 
 /**
  * Load core dictionary from extension resources
+ * @param {Object} dataset - Dataset state
  */
-async function loadCoreData() {
-  if (coreData) return coreData;
+async function loadCoreData(dataset) {
+  if (dataset.coreData) return dataset.coreData;
   
-  try {
-    const url = chrome.runtime.getURL('mass-ipa-data/core.json');
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to load core.json: ${response.status}`);
-    }
-    coreData = await response.json();
-    console.log(`[Mass-IPA] Loaded ${Object.keys(coreData).length} words from core dictionary`);
-    return coreData;
-  } catch (error) {
-    console.error('[Mass-IPA] Error loading core data:', error);
-    coreData = {};
-    return coreData;
+  // Share a single request between concurrent callers
+  if (!dataset.corePromise) {
+    dataset.corePromise = (async () => {
+      try {
+        const url = chrome.runtime.getURL(`${dataset.path}/core.json`);
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Failed to load core.json: ${response.status}`);
+        }
+        dataset.coreData = await response.json();
+        console.log(`[Mass-IPA] Loaded ${Object.keys(dataset.coreData).length} words from ${dataset.name} core dictionary`);
+      } catch (error) {
+        console.error(`[Mass-IPA] Error loading ${dataset.name} core data:`, error);
+        dataset.coreData = {};
+      }
+      return dataset.coreData;
+    })();
   }
+  
+  return dataset.corePromise;
 }
 
 /**
  * Load chunk index from extension resources
+ * @param {Object} dataset - Dataset state
+ * @returns {Promise<Array>} Sorted chunk entries
  */
-async function loadChunkIndex() {
-  if (chunkIndex) return chunkIndex;
+async function loadChunkIndex(dataset) {
+  if (dataset.chunkIndex) return dataset.chunkIndex;
   
-  try {
-    const url = chrome.runtime.getURL('mass-ipa-data/chunk-index.json');
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to load chunk-index.json: ${response.status}`);
-    }
-    chunkIndex = await response.json();
-    console.log(`[Mass-IPA] Loaded chunk index with ${Object.keys(chunkIndex).length} chunks`);
-    return chunkIndex;
-  } catch (error) {
-    console.error('[Mass-IPA] Error loading chunk index:', error);
-    chunkIndex = {};
-    return chunkIndex;
+  if (!dataset.indexPromise) {
+    dataset.indexPromise = (async () => {
+      try {
+        const url = chrome.runtime.getURL(`${dataset.path}/chunk-index.json`);
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Failed to load chunk-index.json: ${response.status}`);
+        }
+        dataset.chunkIndex = normalizeChunkIndex(await response.json());
+        console.log(`[Mass-IPA] Loaded ${dataset.name} chunk index with ${dataset.chunkIndex.length} chunks`);
+      } catch (error) {
+        console.error(`[Mass-IPA] Error loading ${dataset.name} chunk index:`, error);
+        dataset.chunkIndex = [];
+      }
+      return dataset.chunkIndex;
+    })();
   }
+  
+  return dataset.indexPromise;
 }
 
 /**
  * Find which chunk contains a given word
+ * @param {Object} dataset - Dataset state
  * @param {string} word - Normalized word to find
  * @returns {Promise<string|null>} Chunk ID or null
  */
-async function findChunkForWord(word) {
-  const index = await loadChunkIndex();
-  
-  // Search through chunks to find the right one
-  for (const [chunkId, info] of Object.entries(index)) {
-    if (word >= info.start && word <= info.end) {
-      return chunkId;
-    }
-  }
-  
-  return null;
+async function findChunkForWord(dataset, word) {
+  const chunks = await loadChunkIndex(dataset);
+  const chunk = findChunk(chunks, word);
+  return chunk ? chunk.id : null;
 }
 
 /**
  * Load a specific chunk by ID
+ * @param {Object} dataset - Dataset state
  * @param {string} chunkId - Chunk identifier (e.g., "chunk-01")
  * @returns {Promise<Object>} Chunk data
  */
-async function loadChunk(chunkId) {
+async function loadChunk(dataset, chunkId) {
   // Check cache first
-  if (chunkCache.has(chunkId)) {
-    return chunkCache.get(chunkId);
+  if (dataset.chunkCache.has(chunkId)) {
+    return dataset.chunkCache.get(chunkId);
   }
   
   try {
-    const url = chrome.runtime.getURL(`mass-ipa-data/chunks/${chunkId}.json`);
+    const url = chrome.runtime.getURL(`${dataset.path}/chunks/${chunkId}.json`);
     const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`Failed to load ${chunkId}: ${response.status}`);
     }
     const chunkData = await response.json();
-    
+  
     // Evict oldest chunk if cache is full
-    evictOldestChunk();
-    
+    evictOldestChunk(dataset);
+  
     // Cache it
-    chunkCache.set(chunkId, chunkData);
-    console.log(`[Mass-IPA] Loaded chunk ${chunkId} with ${Object.keys(chunkData).length} words`);
-    
+    dataset.chunkCache.set(chunkId, chunkData);
+    console.log(`[Mass-IPA] Loaded ${dataset.name} chunk ${chunkId} with ${Object.keys(chunkData).length} words`);
+  
     return chunkData;
   } catch (error) {
-    console.error(`[Mass-IPA] Error loading chunk ${chunkId}:`, error);
+    console.error(`[Mass-IPA] Error loading ${dataset.name} chunk ${chunkId}:`, error);
     return {};
   }
 }
@@ -121,15 +173,17 @@ async function loadChunk(chunkId) {
 /**
  * Get IPA pronunciation synchronously from core dictionary
  * @param {string} word - English word
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {string|null} IPA notation or null
  */
-export function getIPASync(word) {
+export function getIPASync(word, datasetName = DEFAULT_DATASET) {
   if (!word || typeof word !== 'string') {
     return null;
   }
   
+  const { coreData } = getDataset(datasetName);
   if (!coreData) {
-    console.warn('[Mass-IPA] Core data not loaded yet, call initMassIPA() first');
+    console.warn(`[Mass-IPA] ${datasetName} core data not loaded yet, call initMassIPA() first`);
     return null;
   }
   
@@ -140,29 +194,31 @@ export function getIPASync(word) {
 /**
  * Get IPA pronunciation from full dictionary (core + chunks)
  * @param {string} word - English word
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {Promise<string|null>} IPA notation or null
  */
-export async function getIPA(word) {
+export async function getIPA(word, datasetName = DEFAULT_DATASET) {
   if (!word || typeof word !== 'string') {
     return null;
   }
   
+  const dataset = getDataset(datasetName);
   const normalized = word.toLowerCase().trim();
   
   // 1. Try core dictionary first (synchronous, fastest)
-  await loadCoreData(); // Ensure core is loaded
-  if (coreData && coreData[normalized]) {
+  const coreData = await loadCoreData(dataset); // Ensure core is loaded
+  if (coreData[normalized]) {
     return coreData[normalized];
   }
   
   // 2. Find and load the appropriate chunk
-  const chunkId = await findChunkForWord(normalized);
+  const chunkId = await findChunkForWord(dataset, normalized);
   if (!chunkId) {
     return null; // Word not found in any chunk
   }
   
   try {
-    const chunkData = await loadChunk(chunkId);
+    const chunkData = await loadChunk(dataset, chunkId);
     return chunkData[normalized] || null;
   } catch (error) {
     console.error(`[Mass-IPA] Error loading chunk for word "${word}":`, error);
@@ -173,9 +229,11 @@ export async function getIPA(word) {
 /**
  * Check if a word exists in the core dictionary
  * @param {string} word - English word
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {boolean}
  */
-export function hasWord(word) {
+export function hasWord(word, datasetName = DEFAULT_DATASET) {
+  const { coreData } = getDataset(datasetName);
   if (!word || typeof word !== 'string' || !coreData) {
     return false;
   }
@@ -187,43 +245,98 @@ export function hasWord(word) {
 /**
  * Check if a word exists in the full dictionary (core + chunks)
  * @param {string} word - English word
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {Promise<boolean>}
  */
-export async function hasWordFull(word) {
+export async function hasWordFull(word, datasetName = DEFAULT_DATASET) {
   if (!word || typeof word !== 'string') {
     return false;
   }
   
+  const dataset = getDataset(datasetName);
   const normalized = word.toLowerCase().trim();
   
   // Check core first
-  await loadCoreData();
-  if (coreData && normalized in coreData) {
+  const coreData = await loadCoreData(dataset);
+  if (normalized in coreData) {
     return true;
   }
   
   // Check if chunk exists
-  const chunkId = await findChunkForWord(normalized);
+  const chunkId = await findChunkForWord(dataset, normalized);
   if (!chunkId) {
     return false;
   }
   
   // Load chunk and check
-  const chunkData = await loadChunk(chunkId);
+  const chunkData = await loadChunk(dataset, chunkId);
   return normalized in chunkData;
 }
 
+/**
+ * Get the frequency rank of a word (1 = most frequent)
+ * Ranks follow the key order of the uk core.json, counting only alphabetic entries
+ * @param {string} word - English word
+ * @returns {number|null} Rank, or null if the word is not in the core dictionary
+ */
+export function getWordRank(word) {
+  const { coreData } = getDataset(DEFAULT_DATASET);
+  if (!word || typeof word !== 'string' || !coreData) {
+    return null;
+  }
+  
+  if (!rankIndex) {
+    rankIndex = new Map();
+    for (const key of Object.keys(coreData)) {
+      if (/^[a-z]+$/.test(key)) {
+        rankIndex.set(key, rankIndex.size + 1);
+      }
+    }
+  }
+  
+  return rankIndex.get(word.toLowerCase().trim()) || null;
+}
+
 /**
  * Batch lookup multiple words efficiently
+ * Words missing from the core are grouped by chunk so that each chunk is
+ * loaded (and parsed) at most once per batch
  * @param {string[]} words - Array of words to look up
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {Promise<Map<string, string|null>>} Map of word -> IPA
  */
-export async function getIPABatch(words) {
+export async function getIPABatch(words, datasetName = DEFAULT_DATASET) {
+  const dataset = getDataset(datasetName);
   const results = new Map();
+  const [coreData, chunks] = await Promise.all([loadCoreData(dataset), loadChunkIndex(dataset)]);
+  
+  // chunk ID -> [word, normalized] pairs still to resolve
+  const wordsByChunk = new Map();
   
   for (const word of words) {
-    const ipa = await getIPA(word);
-    results.set(word, ipa);
+    results.set(word, null);
+    if (!word || typeof word !== 'string') continue;
+    
+    const normalized = word.toLowerCase().trim();
+    if (coreData[normalized]) {
+      results.set(word, coreData[normalized]);
+      continue;
+    }
+    
+    const chunk = findChunk(chunks, normalized);
+    if (!chunk) continue;
+    
+    if (!wordsByChunk.has(chunk.id)) {
+      wordsByChunk.set(chunk.id, []);
+    }
+    wordsByChunk.get(chunk.id).push([word, normalized]);
+  }
+  
+  for (const [chunkId, entries] of wordsByChunk) {
+    const chunkData = await loadChunk(dataset, chunkId);
+    for (const [word, normalized] of entries) {
+      results.set(word, chunkData[normalized] || null);
+    }
   }
   
   return results;
@@ -231,34 +344,49 @@ export async function getIPABatch(words) {
 
 /**
  * Get statistics about loaded data
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {Object} Stats object
  */
-export function getStats() {
+export function getStats(datasetName = DEFAULT_DATASET) {
+  const { coreData, chunkCache, chunkIndex } = getDataset(datasetName);
   return {
     coreSize: coreData ? Object.keys(coreData).length : 0,
     cachedChunks: chunkCache.size,
-    totalChunks: chunkIndex ? Object.keys(chunkIndex).length : 0
+    totalChunks: chunkIndex ? chunkIndex.length : 0
   };
 }
 
+/**
+ * Check whether a dataset's core dictionary has been loaded
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
+ * @returns {boolean}
+ */
+export function isDatasetLoaded(datasetName = DEFAULT_DATASET) {
+  return getDataset(datasetName).coreData !== null;
+}
+
 /**
  * Initialize mass-ipa by pre-loading core dictionary
  * Call this when the extension loads for better performance
+ * @param {string} datasetName - Dataset name ('uk' | 'us')
  * @returns {Promise<void>}
  */
-export async function initMassIPA() {
+export async function initMassIPA(datasetName = DEFAULT_DATASET) {
+  const dataset = getDataset(datasetName);
   await Promise.all([
-    loadCoreData(),
-    loadChunkIndex()
+    loadCoreData(dataset),
+    loadChunkIndex(dataset)
   ]);
-  console.log('[Mass-IPA] Initialization complete:', getStats());
+  console.log(`[Mass-IPA] ${dataset.name} initialization complete:`, getStats(dataset.name));
 }
 
 /**
  * Clear chunk cache to free memory
  */
 export function clearCache() {
-  chunkCache.clear();
+  for (const dataset of datasets.values()) {
+    dataset.chunkCache.clear();
+  }
   console.log('[Mass-IPA] Cache cleared');
 }
 
@@ -0,0 +1,561 @@
+/**
+ * Derivational morphology
+ *
+ * Decomposes words the dictionaries lack into prefix + stem + suffix chains
+ * ("un-follow-able", "photo-graphy", "national-ity") and composes their IPA
+ * from the stem's transcription, following the stress behaviour of each affix:
+ * - neutral suffixes leave the stress alone ("hopelessness")
+ * - pre-stressing suffixes move it to the syllable before them and shorten its
+ *   vowel ("phóto" -> "photógraphy", "sáne" -> "sánity")
+ * - self-stressed suffixes take it ("employée", "informátion")
+ * The stem that lost its stress keeps a secondary stress when it is at least
+ * two syllables away, otherwise its vowel is reduced to schwa.
+ * Used by ipa-converter.js after the inflection rules (word-inflection.js).
+ */
+
+import { syllabifyIPA, tokenizeIPA, splitSpelling } from './ipa-parser.js';
+
+// Shortest stem considered (shorter ones produce false analyses: "re-d", "un-it")
+const MIN_STEM_LENGTH = 3;
+
+// Affixes per analysis
+const MAX_SUFFIXES = 3;
+const MAX_PREFIXES = 2;
+
+/**
+ * Suffixes, longest first
+ * - ipa: British transcription (us: American, when symbols differ beyond forAccent());
+ *   self-stressed suffixes mark their stress
+ * - stress: 'neutral' | 'pre' (the syllable before) | 'self' (the marked syllable)
+ *   | 'self-first' (the first syllable of the suffix)
+ * - lax: the newly stressed vowel is shortened ("divine" -> "divinity"); 'aɪ' only
+ *   shortens /aɪ/ ("decide" -> "decision", but "explode" -> "explosion")
+ * - softens: a stem-final /k/ spelled c becomes /s/ ("electric" -> "electricity")
+ * - replaces: the suffix replaces the end of the stem ("classify" -> "classification")
+ * - mutates: the final consonant of the stem changes ("create" -> "creation")
+ */
+const SUFFIXES = [
+  { suffix: 'ification', ipa: 'ɪfɪˈkeɪʃən', stress: 'self', replaces: { spelling: 'ify', ipa: /ɪfaɪ$/ } },
+  { suffix: 'ization', ipa: 'aɪˈzeɪʃən', stress: 'self', replaces: { spelling: 'ize', ipa: /aɪz$/ } },
+  { suffix: 'isation', ipa: 'aɪˈzeɪʃən', stress: 'self', replaces: { spelling: 'ise', ipa: /aɪz$/ } },
+  { suffix: 'ability', ipa: 'əˈbɪlɪti', us: 'əˈbɪləti', stress: 'self', replaces: { spelling: 'able', ipa: /ə?bə?l$/ } },
+  { suffix: 'ibility', ipa: 'əˈbɪlɪti', us: 'əˈbɪləti', stress: 'self', replaces: { spelling: 'ible', ipa: /ə?bə?l$/ } },
+  { suffix: 'ography', ipa: 'ɒɡrəfi', stress: 'self-first', lax: true },
+  { suffix: 'ology', ipa: 'ɒlədʒi', stress: 'self-first', lax: true },
+  { suffix: 'graphy', ipa: 'ɡrəfi', stress: 'pre', lax: true },
+  { suffix: 'logy', ipa: 'lədʒi', stress: 'pre', lax: true },
+  { suffix: 'nomy', ipa: 'nəmi', stress: 'pre', lax: true },
+  { suffix: 'metry', ipa: 'mətri', stress: 'pre', lax: true },
+  { suffix: 'ation', ipa: 'ˈeɪʃən', stress: 'self' },
+  { suffix: 'ician', ipa: 'ɪʃən', stress: 'self-first', replaces: { spelling: 'ic', ipa: /ɪk$/ } },
+  { suffix: 'ical', ipa: 'ɪkəl', stress: 'pre', lax: true },
+  { suffix: 'esque', ipa: 'ˈesk', stress: 'self' },
+  { suffix: 'ness', ipa: 'nəs', stress: 'neutral' },
+  { suffix: 'less', ipa: 'ləs', stress: 'neutral' },
+  { suffix: 'ment', ipa: 'mənt', stress: 'neutral' },
+  { suffix: 'able', ipa: 'əbəl', stress: 'neutral' },
+  { suffix: 'ible', ipa: 'əbəl', stress: 'neutral' },
+  { suffix: 'ship', ipa: 'ʃɪp', stress: 'neutral' },
+  { suffix: 'hood', ipa: 'hʊd', stress: 'neutral' },
+  { suffix: 'ward', ipa: 'wəd', stress: 'neutral' },
+  { suffix: 'wise', ipa: 'waɪz', stress: 'neutral' },
+  { suffix: 'ette', ipa: 'ˈet', stress: 'self' },
+  { suffix: 'sion', ipa: 'ən', stress: 'pre', mutates: true, lax: 'aɪ' },
+  { suffix: 'tion', ipa: 'ən', stress: 'pre', mutates: true },
+  { suffix: 'ious', ipa: 'iəs', stress: 'pre' },
+  { suffix: 'ity', ipa: 'ɪti', us: 'əti', stress: 'pre', lax: true, softens: true },
+  { suffix: 'ify', ipa: 'ɪfaɪ', stress: 'pre', lax: true },
+  { suffix: 'ial', ipa: 'iəl', stress: 'pre' },
+  { suffix: 'ian', ipa: 'iən', stress: 'pre' },
+  { suffix: 'ion', ipa: 'ən', stress: 'pre', mutates: true },
+  { suffix: 'eer', ipa: 'ˈɪə', stress: 'self' },
+  { suffix: 'ese', ipa: 'ˈiːz', stress: 'self' },
+  { suffix: 'ism', ipa: 'ɪzəm', stress: 'neutral' },
+  { suffix: 'ist', ipa: 'ɪst', stress: 'neutral' },
+  { suffix: 'ize', ipa: 'aɪz', stress: 'neutral' },
+  { suffix: 'ise', ipa: 'aɪz', stress: 'neutral' },
+  { suffix: 'ful', ipa: 'fəl', stress: 'neutral' },
+  { suffix: 'ish', ipa: 'ɪʃ', stress: 'neutral' },
+  { suffix: 'ive', ipa: 'ɪv', stress: 'neutral' },
+  { suffix: 'ous', ipa: 'əs', stress: 'neutral' },
+  { suffix: 'ery', ipa: 'əri', stress: 'neutral' },
+  { suffix: 'dom', ipa: 'dəm', stress: 'neutral' },
+  { suffix: 'ic', ipa: 'ɪk', stress: 'pre', lax: true },
+  { suffix: 'al', ipa: 'əl', stress: 'neutral' },
+  { suffix: 'ee', ipa: 'ˈiː', stress: 'self' },
+  { suffix: 'er', ipa: 'ə', stress: 'neutral' },
+  { suffix: 'ly', ipa: 'li', stress: 'neutral' }
+];
+
+/**
+ * Prefixes, longest first; they take a secondary stress or none ("unhappy" /ʌnˈhæpi/)
+ */
+const PREFIXES = [
+  { prefix: 'counter', ipa: 'ˌkaʊntə' },
+  { prefix: 'hyper', ipa: 'ˌhaɪpə' },
+  { prefix: 'inter', ipa: 'ˌɪntə' },
+  { prefix: 'micro', ipa: 'ˌmaɪkrəʊ' },
+  { prefix: 'multi', ipa: 'ˌmʌlti' },
+  { prefix: 'over', ipa: 'ˌəʊvə' },
+  { prefix: 'under', ipa: 'ˌʌndə' },
+  { prefix: 'super', ipa: 'ˌsuːpə' },
+  { prefix: 'anti', ipa: 'ˌænti' },
+  { prefix: 'auto', ipa: 'ˌɔːtəʊ' },
+  { prefix: 'mega', ipa: 'ˌmeɡə' },
+  { prefix: 'semi', ipa: 'ˌsemi' },
+  { prefix: 'non', ipa: 'ˌnɒn' },
+  { prefix: 'pre', ipa: 'ˌpriː' },
+  { prefix: 'dis', ipa: 'dɪs' },
+  { prefix: 'mis', ipa: 'mɪs' },
+  { prefix: 'out', ipa: 'ˌaʊt' },
+  { prefix: 'sub', ipa: 'ˌsʌb' },
+  { prefix: 'un', ipa: 'ʌn' },
+  { prefix: 're', ipa: 'ˌriː' },
+  { prefix: 'de', ipa: 'ˌdiː' },
+  { prefix: 'co', ipa: 'ˌkəʊ' }
+];
+
+// Stem-final consonants before -ion: "create" -> "creation", "decide" -> "decision"
+const ION_MUTATIONS = { t: 'ʃ', s: 'ʃ', d: 'ʒ', z: 'ʒ' };
+
+// Vowel shortening under pre-stressing suffixes ("sane" -> "sanity", "divine" -> "divinity")
+const LAX_VOWELS = { 'eɪ': 'æ', 'iː': 'e', 'aɪ': 'ɪ', 'əʊ': 'ɒ', 'uː': 'ʌ', 'ɑː': 'æ' };
+
+// Short vowel of a stressed spelling vowel letter, used when the stem vowel was reduced ("atom" -> "atomic")
+const LETTER_VOWELS = { a: 'æ', e: 'e', i: 'ɪ', o: 'ɒ', u: 'ʌ', y: 'ɪ' };
+
+// British -> General American symbols, as in the us dataset
+const US_SYMBOLS = [
+  [/ɪə$/, 'ɪr'], [/ə$/, 'ɚ'], [/əʊ/g, 'oʊ'], [/ɒ/g, 'ɑ'], [/iː/g, 'i'], [/uː/g, 'u'],
+  [/ɔː/g, 'ɔ'], [/e(?!ɪ)/g, 'ɛ']
+];
+
+// A vowel nucleus: long vowel, diphthong or single vowel
+const NUCLEUS = /(juː|[aeiouæɑɒɔəɛɜɪʊʌɚɝ]ː?[ɪʊə]?)/;
+
+// Nuclei that keep their quality when they lose the stress ("employ" -> "employee")
+const UNREDUCED_NUCLEI = new Set(['aɪ', 'aʊ', 'ɔɪ', 'juː', 'ju']);
+
+// Front vowels reduce to /ɪ/ rather than schwa ("real" -> "reality" /rɪˈælɪti/)
+const FRONT_NUCLEI = new Set(['i', 'iː', 'ɪ', 'ɪə']);
+
+/**
+ * Adapt an affix transcription to the dataset's accent
+ * @param {string} ipa - British affix transcription
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string}
+ */
+function forAccent(ipa, accent) {
+  if (accent !== 'us') return ipa;
+  return US_SYMBOLS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), ipa);
+}
+
+/**
+ * Stems a suffix may have been attached to, with spelling changes undone
+ * @param {string} rest - Word without the suffix
+ * @param {object} rule - Suffix rule
+ * @returns {Array<{stem: string, dropFinal?: boolean, medialY?: boolean}>} dropFinal: the stem's final /i/
+ *   was dropped ("economy" -> "economic"); medialY: it is now inside the word ("beauty" -> "beautiful")
+ */
+function restoreStems(rest, rule) {
+  if (rule.replaces) {
+    return [{ stem: rest + rule.replaces.spelling }];
+  }
+
+  const stems = [{ stem: rest }];
+  const vowelInitial = /^[aeiouy]/.test(rule.suffix);
+
+  if (rest.endsWith('i')) {
+    // "happiness" -> "happy"
+    stems.push({ stem: `${rest.slice(0, -1)}y`, medialY: true });
+  }
+  if (vowelInitial && /[^aeiouy]$/.test(rest)) {
+    // "organize" -> "organization", "economy" -> "economic"
+    stems.push({ stem: `${rest}e` });
+    stems.push({ stem: `${rest}y`, dropFinal: true });
+  }
+  if (vowelInitial && /([^aeiouy])\1$/.test(rest)) {
+    // "forgettable" -> "forget"
+    stems.push({ stem: rest.slice(0, -1) });
+  }
+  if (rule.suffix === 'sion') {
+    // "decision" -> "decide", "revision" -> "revise"
+    stems.push({ stem: `${rest}de` }, { stem: `${rest}d` }, { stem: `${rest}se` });
+  }
+  if (rule.suffix === 'tion') {
+    // "creation" -> "create", "action" -> "act"
+    stems.push({ stem: `${rest}te` }, { stem: `${rest}t` });
+  }
+
+  return stems.filter(({ stem }) => stem.length >= MIN_STEM_LENGTH);
+}
+
+/**
+ * List suffix analyses of a word, inner suffix first
+ * @param {string} word - Lowercase word
+ * @param {number} depth - Suffixes removed so far
+ * @returns {Array<{stem: string, rest: string, suffixes: Array}>}
+ */
+function stripSuffixes(word, depth = 0) {
+  if (depth >= MAX_SUFFIXES) return [];
+
+  const analyses = [];
+  for (const rule of SUFFIXES) {
+    if (!word.endsWith(rule.suffix)) continue;
+    const rest = word.slice(0, -rule.suffix.length);
+    if (rest.length < MIN_STEM_LENGTH - 1) continue;
+
+    for (const { stem, dropFinal, medialY } of restoreStems(rest, rule)) {
+      const step = { rule, rest, dropFinal: Boolean(dropFinal), medialY: Boolean(medialY) };
+      analyses.push({ stem, suffixes: [step] });
+      for (const inner of stripSuffixes(stem, depth + 1)) {
+        analyses.push({ stem: inner.stem, suffixes: [...inner.suffixes, step] });
+      }
+    }
+  }
+  return analyses;
+}
+
+/**
+ * List prefix analyses of a stem, outer prefix first
+ * @param {string} stem - Lowercase stem
+ * @param {number} depth - Prefixes removed so far
+ * @returns {Array<{stem: string, prefixes: Array}>}
+ */
+function stripPrefixes(stem, depth = 0) {
+  const analyses = [{ stem, prefixes: [] }];
+  if (depth >= MAX_PREFIXES) return analyses;
+
+  for (const rule of PREFIXES) {
+    const rest = stem.slice(rule.prefix.length);
+    if (!stem.startsWith(rule.prefix) || rest.length < MIN_STEM_LENGTH) continue;
+
+    // "re-enter", "co-operate"
+    const inner = rest.startsWith('-') ? rest.slice(1) : rest;
+    for (const analysis of stripPrefixes(inner, depth + 1)) {
+      analyses.push({ stem: analysis.stem, prefixes: [rule, ...analysis.prefixes] });
+    }
+  }
+  return analyses;
+}
+
+/**
+ * List every decomposition of a word into prefixes + stem + suffixes
+ * Ordered from the fewest affixes, then the longest stem
+ * @param {string} word - Lowercase word
+ * @returns {Array<{prefixes: Array, stem: string, suffixes: Array}>}
+ */
+export function decomposeWord(word) {
+  const normalized = String(word || '').toLowerCase().trim();
+  if (!/^[a-z-]+$/.test(normalized)) return [];
+
+  const suffixed = [{ stem: normalized, suffixes: [] }, ...stripSuffixes(normalized)];
+  const analyses = suffixed.flatMap(({ stem, suffixes }) =>
+    stripPrefixes(stem).map(({ stem: root, prefixes }) => ({ prefixes, stem: root, suffixes }))
+  );
+
+  return analyses
+    .filter(analysis => analysis.prefixes.length + analysis.suffixes.length > 0)
+    .sort((a, b) =>
+      (a.prefixes.length + a.suffixes.length) - (b.prefixes.length + b.suffixes.length) ||
+      countDropped(a) - countDropped(b) ||
+      b.stem.length - a.stem.length
+    );
+}
+
+/**
+ * Count the suffixes that dropped a pronounced final -y of their stem
+ * Such analyses come last: "photographic" is "photograph-ic" before "photography-ic"
+ * @param {{suffixes: Array}} analysis - Decomposition
+ * @returns {number}
+ */
+function countDropped(analysis) {
+  return analysis.suffixes.filter(step => step.dropFinal).length;
+}
+
+/**
+ * List every stem getDerivedIPA() may look up for a word
+ * Used by batch lookups to fetch all stems in one pass
+ * @param {string} word - Derived word
+ * @returns {string[]} Candidate stems
+ */
+export function getDerivationBases(word) {
+  return [...new Set(decomposeWord(word).map(analysis => analysis.stem))];
+}
+
+/**
+ * Find the decomposition of a word whose stem is a known word
+ * @param {string} word - Derived word, e.g. "unfollowable"
+ * @param {(stem: string) => boolean} isKnown - Whether a stem is a dictionary word
+ * @returns {{prefixes: string[], stem: string, suffixes: string[]}|null} e.g. {prefixes: ["un"], stem: "follow", suffixes: ["able"]}
+ */
+export function analyzeWord(word, isKnown) {
+  const analysis = decomposeWord(word).find(candidate => isKnown(candidate.stem));
+  if (!analysis) return null;
+
+  return {
+    prefixes: analysis.prefixes.map(rule => rule.prefix),
+    stem: analysis.stem,
+    suffixes: analysis.suffixes.map(step => step.rule.suffix)
+  };
+}
+
+/**
+ * Compose the IPA of a derived word from the IPA of its stem
+ * Tries the decompositions in order and returns the first whose stem is known
+ * @param {string} word - Derived word
+ * @param {Function} getBaseIPA - Function to get canonical IPA for a stem (async)
+ * @param {'uk'|'us'} accent - Accent of the stem transcriptions
+ * @returns {Promise<string|null>} Canonical IPA or null
+ */
+export async function getDerivedIPA(word, getBaseIPA, accent = 'uk') {
+  for (const analysis of decomposeWord(word)) {
+    const baseIPA = await getBaseIPA(analysis.stem);
+    if (!baseIPA) continue;
+
+    const ipa = composeDerivedIPA(analysis, baseIPA, accent);
+    if (ipa) return ipa;
+  }
+  return null;
+}
+
+/**
+ * Compose the IPA of one decomposition
+ * @param {{prefixes: Array, stem: string, suffixes: Array}} analysis - From decomposeWord()
+ * @param {string} baseIPA - Canonical IPA of the stem
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {string|null} Canonical IPA, or null if the affixes do not fit the stem
+ */
+function composeDerivedIPA(analysis, baseIPA, accent) {
+  let form = toSyllableForm(baseIPA);
+  let spelling = analysis.stem;
+
+  for (const step of analysis.suffixes) {
+    form = addSuffix(form, step, spelling, accent);
+    if (!form) return null;
+    spelling = step.rest + step.rule.suffix;
+  }
+
+  for (const rule of [...analysis.prefixes].reverse()) {
+    form = addPrefix(form, rule, accent);
+  }
+
+  return fromSyllableForm(form);
+}
+
+/**
+ * Split a transcription into unmarked syllable texts and their stresses
+ * Syllabic consonants get an explicit schwa so that suffixes keep the count ("little" -> "little-ness")
+ * @param {string} ipa - Canonical IPA
+ * @returns {{texts: string[], stresses: number[]}}
+ */
+function toSyllableForm(ipa) {
+  const expanded = tokenizeIPA(ipa)
+    .map(token => (token.syllabic && !token.symbol.includes('̩') ? `ə${token.symbol}` : token.symbol.replace('̩', '')))
+    .join('');
+  const form = splitMarked(expanded);
+
+  // Monosyllables are transcribed without a mark
+  if (!form.stresses.includes(1)) {
+    form.stresses[Math.max(0, form.stresses.indexOf(0))] = 1;
+  }
+  return form;
+}
+
+/**
+ * Split a transcription into syllables, moving the stress marks into a separate list
+ * @param {string} ipa - IPA with stress marks
+ * @returns {{texts: string[], stresses: number[]}}
+ */
+function splitMarked(ipa) {
+  const syllables = syllabifyIPA(ipa);
+  return {
+    texts: syllables.map(syllable => syllable.text.replace(/[ˈˌ]/g, '')),
+    stresses: syllables.map(syllable => syllable.stress)
+  };
+}
+
+/**
+ * Join syllable texts back into a transcription with stress marks
+ * @param {{texts: string[], stresses: number[]}} form - Syllable form
+ * @returns {string} Canonical IPA
+ */
+function fromSyllableForm({ texts, stresses }) {
+  const marked = texts.length > 1 || stresses[0] !== 1;
+  return `/${texts.map((text, i) => {
+    if (stresses[i] === 1 && marked) return `ˈ${text}`;
+    if (stresses[i] === 2) return `ˌ${text}`;
+    return text;
+  }).join('')}/`;
+}
+
+/**
+ * Re-syllabify a phoneme string, keeping the stresses of each syllable position
+ * @param {string} phonemes - Unmarked phonemes
+ * @param {number[]} stresses - Expected stresses, one per syllable
+ * @returns {{texts: string[], stresses: number[]}|null} null if the syllable count changed
+ */
+function resyllabify(phonemes, stresses) {
+  const syllables = syllabifyIPA(phonemes);
+  if (syllables.length !== stresses.length) return null;
+  return { texts: syllables.map(syllable => syllable.text), stresses };
+}
+
+/**
+ * Attach a suffix to a syllable form, moving the stress as the suffix requires
+ * @param {{texts: string[], stresses: number[]}} form - Stem syllables
+ * @param {{rule: object, rest: string, dropFinal: boolean, medialY: boolean}} step - Suffix step from decomposeWord()
+ * @param {string} spelling - Spelling of the stem
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {{texts: string[], stresses: number[]}|null}
+ */
+function addSuffix(form, step, spelling, accent) {
+  const { rule } = step;
+  let stem = form.texts.join('');
+  let stemStresses = [...form.stresses];
+
+  if (rule.replaces) {
+    if (!rule.replaces.ipa.test(stem)) return null;
+    stem = stem.replace(rule.replaces.ipa, '');
+  } else if (step.dropFinal) {
+    if (!/i$/.test(stem)) return null;
+    stem = stem.slice(0, -1);
+  } else if (step.medialY) {
+    stem = stem.replace(/i$/, 'ɪ');
+  }
+
+  if (rule.mutates) {
+    const mutation = ION_MUTATIONS[stem.slice(-1)];
+    if (!mutation) return null;
+    stem = stem.slice(0, -1) + mutation;
+  }
+  if (rule.softens && step.rest.endsWith('c') && stem.endsWith('k')) {
+    stem = `${stem.slice(0, -1)}s`;
+  }
+
+  // Linking r: "explore" /ɪkˈsplɔː/ -> "exploration"
+  if (accent !== 'us' && /^[aeiouæɑɒɔəɛɜɪʊʌ]/.test(rule.ipa.replace(/^[ˈˌ]/, '')) &&
+      /r(e)?$/.test(spelling) && /(ː|ə)$/.test(stem)) {
+    stem += 'r';
+  }
+
+  const stemCount = syllabifyIPA(stem).length;
+  stemStresses = stemStresses.slice(0, stemCount);
+  while (stemStresses.length < stemCount) stemStresses.push(0);
+
+  const suffixIPA = accent === 'us' && rule.us ? rule.us : forAccent(rule.ipa, accent);
+  const suffix = splitMarked(suffixIPA);
+
+  const combined = resyllabify(stem + suffix.texts.join(''), [...stemStresses, ...suffix.stresses]);
+  if (!combined) return null;
+
+  let target = -1;
+  if (rule.stress === 'pre') target = stemCount - 1;
+  if (rule.stress === 'self') target = stemCount + suffix.stresses.indexOf(1);
+  if (rule.stress === 'self-first') target = stemCount;
+  if (target < 0) return combined;
+
+  // No shortening in hiatus: "hero" -> "heroic" /hɪˈrəʊɪk/
+  const hiatus = /[aeiouæɑɒɔəɛɜɪʊʌɚɝː]$/.test(stem) && /^[aeiouæɑɒɔəɛɜɪʊʌ]/.test(suffix.texts[0]);
+
+  return shiftStress(combined, target, {
+    lax: hiatus ? false : rule.lax,
+    spelling: step.rest,
+    stemCount
+  });
+}
+
+/**
+ * Move the primary stress to another syllable
+ * @param {{texts: string[], stresses: number[]}} form - Syllable form
+ * @param {number} target - Syllable that takes the primary stress
+ * @param {{lax: boolean|string, spelling: string, stemCount: number}} options - lax: shorten the new stressed vowel
+ * @returns {{texts: string[], stresses: number[]}}
+ */
+function shiftStress(form, target, { lax, spelling, stemCount }) {
+  const texts = [...form.texts];
+  const stresses = [...form.stresses];
+  const previous = stresses.indexOf(1);
+
+  if (previous >= 0 && previous !== target) {
+    if (target - previous >= 2) {
+      stresses[previous] = 2;
+    } else {
+      stresses[previous] = 0;
+      texts[previous] = reduceVowel(texts[previous]);
+    }
+  }
+  stresses[target] = 1;
+
+  if (lax && target < stemCount) {
+    texts[target] = laxVowel(texts[target], lax, spelling, target, stemCount);
+  }
+
+  // Long words keep a secondary stress near the start ("organization")
+  if (target >= 2 && !stresses.slice(0, target - 1).includes(2)) {
+    const first = texts.findIndex((text, i) => i <= target - 2 && !/ə/.test(text.match(NUCLEUS)?.[0] || 'ə'));
+    if (first >= 0) stresses[first] = 2;
+  }
+
+  return { texts, stresses };
+}
+
+/**
+ * Reduce the vowel of a syllable that lost its stress
+ * @param {string} text - Syllable text
+ * @returns {string}
+ */
+function reduceVowel(text) {
+  const nucleus = text.match(NUCLEUS)?.[0];
+  if (!nucleus || UNREDUCED_NUCLEI.has(nucleus)) return text;
+  return text.replace(NUCLEUS, FRONT_NUCLEI.has(nucleus) ? 'ɪ' : 'ə');
+}
+
+/**
+ * Shorten the vowel of a newly stressed syllable
+ * @param {string} text - Syllable text
+ * @param {boolean|string} lax - true, or the only vowel to shorten
+ * @param {string} spelling - Spelling of the stem as written in the derived word
+ * @param {number} index - Syllable index
+ * @param {number} count - Syllables of the stem
+ * @returns {string}
+ */
+function laxVowel(text, lax, spelling, index, count) {
+  const nucleus = text.match(NUCLEUS)?.[0];
+  if (!nucleus || (lax !== true && lax !== nucleus)) return text;
+
+  if (LAX_VOWELS[nucleus]) {
+    return text.replace(NUCLEUS, LAX_VOWELS[nucleus]);
+  }
+  if (nucleus === 'ə') {
+    // A reduced vowel gets the short vowel of its spelling ("atom" -> "atomic");
+    // the last vowel letter stands in when the spelling does not split ("real")
+    const syllable = splitSpelling(spelling, count)?.[index] ?? (index === count - 1 ? spelling : '');
+    const letter = syllable.match(/[aeiouy](?=[^aeiouy]*$)/)?.[0];
+    if (letter) return text.replace(NUCLEUS, LETTER_VOWELS[letter]);
+  }
+  return text;
+}
+
+/**
+ * Attach a prefix to a syllable form; the stem keeps its primary stress
+ * The syllables stay apart at the morpheme boundary ("dis-like", "over-estimate")
+ * @param {{texts: string[], stresses: number[]}} form - Stem syllables
+ * @param {object} rule - Prefix rule
+ * @param {'uk'|'us'} accent - Accent of the transcription
+ * @returns {{texts: string[], stresses: number[]}}
+ */
+function addPrefix(form, rule, accent) {
+  let prefixIPA = forAccent(rule.ipa, accent);
+
+  // Linking r: "over" + "estimate" -> /ˌəʊvərˈestɪmeɪt/
+  if (accent !== 'us' && rule.prefix.endsWith('r') && /ə$/.test(prefixIPA) && /^[aeiouæɑɒɔəɛɜɪʊʌ]/.test(form.texts[0])) {
+    prefixIPA += 'r';
+  }
+
+  const prefix = splitMarked(prefixIPA);
+  return {
+    texts: [...prefix.texts, ...form.texts],
+    stresses: [...prefix.stresses, ...form.stresses]
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * 用户自定义音标
+ * 优先于内置的 COMMON_PHONETICS 和 mass-ipa 词典，适合产品名、缩写等专业词汇
+ * 支持从 JSON、CSV、制表符分隔文本导入，导出为 JSON
+ * 修改操作通过 withStorageLock 依次执行，导入和编辑同时进行时不会互相覆盖
+ */
+
+import { get, set, withStorageLock, STORAGE_KEYS } from './storage.js';
+import { canonicalizeIPA } from './ipa-notation.js';
+
+// 单词：字母开头，允许撇号和连字符（与页面标注的分词一致）
+const WORD_PATTERN = /^[a-z][a-z'-]*$/;
+
+/**
+ * 规范化单词
+ * @param {string} word 单词
+ * @returns {string} 小写单词，不合法时为空字符串
+ */
+export function normalizeOverrideWord(word) {
+  const normalized = String(word || '').toLowerCase().trim();
+  return WORD_PATTERN.test(normalized) ? normalized : '';
+}
+
+/**
+ * 规范化音标：统一符号并补全两侧斜杠
+ * @param {string} ipa 音标，如 "ˈkuːbkənˌtrəʊl" 或 "/'ɡiːf/"
+ * @returns {string} 如 "/ˈkuːbkənˌtrəʊl/"，为空时为空字符串
+ */
+export function normalizeOverrideIPA(ipa) {
+  const text = String(ipa || '').trim().replace(/^[/[]+|[/\]]+$/g, '').trim();
+  return text ? canonicalizeIPA(`/${text}/`) : '';
+}
+
+/**
+ * 获取全部自定义音标
+ * @returns {Promise<object>} 单词 -> {word, ipa, updatedAt}
+ */
+export async function getPhoneticOverrides() {
+  return get(STORAGE_KEYS.PHONETIC_OVERRIDES, {});
+}
+
+/**
+ * 添加或修改自定义音标
+ * @param {string} word 单词
+ * @param {string} ipa 音标
+ * @param {string} previousWord 编辑时的原单词（单词被修改时删除旧条目）
+ * @returns {Promise<object>} 保存的条目
+ */
+export async function savePhoneticOverride(word, ipa, previousWord = '') {
+  const entry = createEntry(word, ipa);
+  if (!entry) {
+    throw new Error('单词或音标无效');
+  }
+
+  return withStorageLock(STORAGE_KEYS.PHONETIC_OVERRIDES, async () => {
+    const overrides = await getPhoneticOverrides();
+    const previous = normalizeOverrideWord(previousWord);
+    if (previous && previous !== entry.word) {
+      delete overrides[previous];
+    }
+    overrides[entry.word] = entry;
+
+    await set(STORAGE_KEYS.PHONETIC_OVERRIDES, overrides);
+    return entry;
+  });
+}
+
+/**
+ * 删除自定义音标
+ * @param {string[]} words 单词列表
+ * @returns {Promise<void>}
+ */
+export async function removePhoneticOverrides(words) {
+  return withStorageLock(STORAGE_KEYS.PHONETIC_OVERRIDES, async () => {
+    const overrides = await getPhoneticOverrides();
+    for (const word of words || []) {
+      delete overrides[normalizeOverrideWord(word)];
+    }
+    await set(STORAGE_KEYS.PHONETIC_OVERRIDES, overrides);
+  });
+}
+
+/**
+ * 批量导入自定义音标（同名单词以导入的为准）
+ * @param {Array<{word: string, ipa: string}>} entries 条目
+ * @returns {Promise<number>} 导入的条目数
+ */
+export async function importPhoneticOverrides(entries) {
+  return withStorageLock(STORAGE_KEYS.PHONETIC_OVERRIDES, async () => {
+    const overrides = await getPhoneticOverrides();
+    let count = 0;
+
+    for (const item of entries || []) {
+      const entry = createEntry(item?.word, item?.ipa);
+      if (entry) {
+        overrides[entry.word] = entry;
+        count++;
+      }
+    }
+
+    await set(STORAGE_KEYS.PHONETIC_OVERRIDES, overrides);
+    return count;
+  });
+}
+
+/**
+ * 清空自定义音标
+ * @returns {Promise<void>}
+ */
+export async function clearPhoneticOverrides() {
+  return withStorageLock(STORAGE_KEYS.PHONETIC_OVERRIDES, () => set(STORAGE_KEYS.PHONETIC_OVERRIDES, {}));
+}
+
+/**
+ * 创建条目
+ * @param {string} word 单词
+ * @param {string} ipa 音标
+ * @returns {object|null} {word, ipa, updatedAt}，无效时为 null
+ */
+function createEntry(word, ipa) {
+  const normalizedWord = normalizeOverrideWord(word);
+  const normalizedIPA = normalizeOverrideIPA(ipa);
+  if (!normalizedWord || !normalizedIPA) return null;
+
+  return { word: normalizedWord, ipa: normalizedIPA, updatedAt: Date.now() };
+}
+
+/**
+ * 解析导入文件
+ * - JSON：导出的文件、{word: ipa} 对象或 [{word, ipa}] 数组
+ * - 文本：每行「单词 音标」，以制表符、逗号或空格分隔
+ * @param {string} text 文件内容
+ * @returns {Array<{word: string, ipa: string}>}
+ */
+export function parseOverridesFile(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+
+  if (content.startsWith('{') || content.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error('JSON 格式无效');
+    }
+    const items = Array.isArray(data) ? data : data.overrides || data;
+    if (Array.isArray(items)) {
+      return items.map(item => ({ word: item?.word, ipa: item?.ipa }));
+    }
+    return Object.entries(items).map(([word, value]) => ({
+      word,
+      ipa: typeof value === 'string' ? value : value?.ipa
+    }));
+  }
+
+  const entries = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^"?([^\t,"\s]+)"?\s*[\t,]?\s*"?(.+?)"?$/);
+    if (match && match[1].toLowerCase() !== 'word') {
+      entries.push({ word: match[1], ipa: match[2] });
+    }
+  }
+  return entries;
+}
+
+/**
+ * 生成导出的 JSON
+ * @param {object} overrides 单词 -> 条目
+ * @returns {string}
+ */
+export function toOverridesJSON(overrides) {
+  const items = Object.values(overrides)
+    .sort((a, b) => a.word.localeCompare(b.word))
+    .map(({ word, ipa }) => ({ word, ipa }));
+
+  return JSON.stringify({
+    format: 'elh-phonetic-overrides',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    overrides: items
+  }, null, 2);
+}
@@ -0,0 +1,113 @@
+/**
+ * Multi-word Expression Detector
+ *
+ * Finds phrasal verbs and idioms around a clicked word:
+ * 1. The first word may be inflected ("gave up", "carrying out")
+ * 2. A two-word phrasal verb may be split by an object pronoun ("give it up")
+ * 3. Every other word must match exactly
+ */
+
+import { PHRASAL_VERBS, IDIOMS } from '../data/phrases.js';
+import { getLemmaCandidates } from './word-inflection.js';
+
+// Object pronouns allowed between a verb and its particle
+const OBJECT_PRONOUNS = new Set(['it', 'them', 'him', 'her', 'me', 'us', 'you', 'this', 'that']);
+
+/**
+ * Index bundled phrases by their first word
+ * @returns {{byFirstWord: Map<string, Array<{phrase: string, words: string[], type: string, definition: string}>>, maxLength: number}}
+ */
+function buildPhraseIndex() {
+  const byFirstWord = new Map();
+  let maxLength = 0;
+
+  const tables = [
+    [PHRASAL_VERBS, 'phrasal verb'],
+    [IDIOMS, 'idiom']
+  ];
+
+  for (const [table, type] of tables) {
+    for (const [phrase, definition] of Object.entries(table)) {
+      const words = phrase.split(' ');
+      if (!byFirstWord.has(words[0])) byFirstWord.set(words[0], []);
+      byFirstWord.get(words[0]).push({ phrase, words, type, definition });
+      // A split phrasal verb takes one extra word
+      maxLength = Math.max(maxLength, words.length + 1);
+    }
+  }
+
+  return { byFirstWord, maxLength };
+}
+
+const PHRASE_INDEX = buildPhraseIndex();
+
+/**
+ * Base forms a word may stand for, the word itself first
+ * @param {string} word - Lowercase word
+ * @returns {string[]}
+ */
+function getWordForms(word) {
+  return [...new Set([word, ...getLemmaCandidates(word).map(candidate => candidate.lemma)])];
+}
+
+/**
+ * Match one phrase against the words starting at a position
+ * @param {string[]} words - Lowercase words
+ * @param {number} start - Position of the phrase's first word
+ * @param {{words: string[], type: string}} entry - Phrase entry
+ * @returns {number} Number of words matched, or 0
+ */
+function matchPhraseAt(words, start, entry) {
+  let position = start + 1;
+
+  for (let i = 1; i < entry.words.length; i++) {
+    if (words[position] === entry.words[i]) {
+      position++;
+      continue;
+    }
+
+    const splitParticle = entry.type === 'phrasal verb' && entry.words.length === 2 &&
+      OBJECT_PRONOUNS.has(words[position]) && words[position + 1] === entry.words[i];
+    if (!splitParticle) return 0;
+    position += 2;
+  }
+
+  return position - start;
+}
+
+/**
+ * Find bundled phrases that include the word at a given position
+ * @param {string[]} words - Neighbouring words in reading order
+ * @param {number} index - Position of the clicked word
+ * @returns {Array<{phrase: string, text: string, type: string, definition: string, start: number, end: number}>} Matches, longest first
+ */
+export function findPhrasesAt(words, index) {
+  if (!Array.isArray(words) || index < 0 || index >= words.length) return [];
+
+  const normalized = words.map(word => String(word).toLowerCase());
+  const matches = [];
+  const firstStart = Math.max(0, index - PHRASE_INDEX.maxLength + 1);
+
+  for (let start = firstStart; start <= index; start++) {
+    for (const form of getWordForms(normalized[start])) {
+      for (const entry of PHRASE_INDEX.byFirstWord.get(form) || []) {
+        const length = matchPhraseAt(normalized, start, entry);
+        const end = start + length - 1;
+        if (length === 0 || end < index) continue;
+        if (matches.some(match => match.phrase === entry.phrase)) continue;
+
+        matches.push({
+          phrase: entry.phrase,
+          text: words.slice(start, end + 1).join(' '),
+          type: entry.type,
+          definition: entry.definition,
+          start,
+          end
+        });
+      }
+    }
+  }
+
+  // Prefer the longest phrase ("run out of" over "run out")
+  return matches.sort((a, b) => b.phrase.split(' ').length - a.phrase.split(' ').length);
+}
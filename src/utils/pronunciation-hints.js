@@ -0,0 +1,285 @@
+/**
+ * Pronunciation hints for beginners
+ *
+ * Turns the syllables of a canonical IPA transcription (ipa-parser.js) into
+ * hints that need no knowledge of IPA:
+ * - English respelling: "bye-oh-dye-VUR-suh-tee"
+ * - pinyin-style hint:  "bai-ou-dai-WO-se-ti"
+ * - Chinese characters: "拜欧代沃瑟蒂", after the transliteration tables of
+ *   Chinese dictionaries (consonant clusters get their own syllable, "street" -> 斯特利特)
+ * The stressed syllable is upper-cased in the Latin hints; ipa-notation.js
+ * exposes all three as notation styles.
+ */
+
+// Respelling of vowels: [open syllable, closed syllable]
+const RESPELLING_VOWELS = {
+  'æ': ['a', 'a'], 'ɑː': ['ah', 'ah'], 'ɑ': ['ah', 'ah'], 'aː': ['ah', 'ah'], 'a': ['ah', 'a'], 'ɒ': ['o', 'o'],
+  'ɔː': ['aw', 'aw'], 'ɔ': ['aw', 'aw'], 'e': ['eh', 'e'], 'ɛ': ['eh', 'e'],
+  'ɪ': ['ih', 'i'], 'i': ['ee', 'ee'], 'iː': ['ee', 'ee'], 'ʌ': ['uh', 'u'],
+  'ʊ': ['uu', 'uu'], 'u': ['oo', 'oo'], 'uː': ['oo', 'oo'], 'ə': ['uh', 'uh'],
+  'ɜː': ['ur', 'ur'], 'ɜ': ['ur', 'ur'], 'ɝ': ['ur', 'ur'], 'ɚ': ['er', 'er'],
+  'eɪ': ['ay', 'ay'], 'aɪ': ['ye', 'y'], 'ɔɪ': ['oy', 'oy'], 'əʊ': ['oh', 'oh'],
+  'oʊ': ['oh', 'oh'], 'o': ['oh', 'oh'], 'aʊ': ['ow', 'ow'],
+  'ɪə': ['eer', 'eer'], 'eə': ['air', 'air'], 'ɛə': ['air', 'air'], 'ʊə': ['oor', 'oor']
+};
+
+const RESPELLING_CONSONANTS = {
+  'θ': 'th', 'ð': 'th', 'ʃ': 'sh', 'ʒ': 'zh', 'tʃ': 'ch', 'dʒ': 'j', 'ŋ': 'ng',
+  'j': 'y', 'ɡ': 'g', 'x': 'kh'
+};
+
+// Pinyin finals of vowels; a second entry is an extra syllable ("here" -> xi-er)
+const PINYIN_FINALS = {
+  'æ': ['a'], 'ʌ': ['a'], 'ɑː': ['a'], 'ɑ': ['a'], 'aː': ['a'], 'a': ['a'], 'ɐ': ['a'],
+  'ɒ': ['o'], 'ɔː': ['o'], 'ɔ': ['o'], 'e': ['ei'], 'ɛ': ['ei'],
+  'ɪ': ['i'], 'i': ['i'], 'iː': ['i'], 'ʊ': ['u'], 'u': ['u'], 'uː': ['u'],
+  'ə': ['e'], 'ɜː': ['e'], 'ɜ': ['e'], 'ɝ': ['e', 'er'], 'ɚ': ['e', 'er'],
+  'eɪ': ['ei'], 'aɪ': ['ai'], 'ɔɪ': ['o', 'yi'], 'əʊ': ['ou'], 'oʊ': ['ou'], 'o': ['ou'],
+  'aʊ': ['ao'], 'ɪə': ['i', 'er'], 'eə': ['ai', 'er'], 'ɛə': ['ai', 'er'], 'ʊə': ['u', 'er']
+};
+
+// Pinyin initials of consonants (English r is transliterated with l)
+const PINYIN_INITIALS = {
+  'p': 'p', 'b': 'b', 't': 't', 'd': 'd', 'k': 'k', 'ɡ': 'g', 'g': 'g', 'f': 'f', 'v': 'w',
+  'θ': 's', 'ð': 'z', 's': 's', 'z': 'z', 'ʃ': 'sh', 'ʒ': 'r', 'tʃ': 'ch', 'dʒ': 'zh',
+  'h': 'h', 'm': 'm', 'n': 'n', 'l': 'l', 'r': 'l', 'j': 'y', 'w': 'w', 'ŋ': 'n',
+  'x': 'h', 'ts': 'c', 'dz': 'z'
+};
+
+// Consonants without a vowel, e.g. the s and t of "street"
+const PINYIN_CONSONANTS = {
+  'p': 'pu', 'b': 'bu', 't': 'te', 'd': 'de', 'k': 'ke', 'ɡ': 'ge', 'g': 'ge', 'f': 'fu',
+  'v': 'fu', 'θ': 'si', 'ð': 'ze', 's': 'si', 'z': 'zi', 'ʃ': 'shi', 'ʒ': 'ri', 'tʃ': 'qi',
+  'dʒ': 'ji', 'h': 'he', 'm': 'mu', 'n': 'en', 'l': 'er', 'r': 'er', 'j': 'yi', 'w': 'wu',
+  'ŋ': 'eng', 'x': 'he', 'ts': 'ci', 'dz': 'zi'
+};
+
+// Nasal finals: vowel + n / ŋ
+const NASAL_FINALS = {
+  'n': { a: 'an', e: 'en', ei: 'en', i: 'in', o: 'un', u: 'un' },
+  'ŋ': { a: 'ang', e: 'eng', ei: 'eng', i: 'ing', o: 'ong', u: 'ong' }
+};
+
+// Initials that change before i: "city" -> xi-ti, "keep" -> qi-pu
+const PALATAL_INITIALS = { g: 'j', k: 'q', h: 'x', s: 'x', z: 'j', sh: 'x', zh: 'j', ch: 'q' };
+
+// Spelling of finals without an initial, or after y/w
+const ZERO_INITIAL_SYLLABLES = {
+  '': { i: 'yi', in: 'yin', ing: 'ying', u: 'wu', un: 'wen', ong: 'weng', iu: 'you' },
+  y: { i: 'yi', in: 'yin', ing: 'ying', u: 'you', iu: 'you', ou: 'you', o: 'yo', e: 'ye', ei: 'ye', en: 'yin', eng: 'ying', un: 'yun', ong: 'yong' },
+  w: { i: 'wei', ei: 'wei', e: 'wo', o: 'wo', ou: 'wo', u: 'wu', in: 'wen', un: 'wen', ing: 'weng', ong: 'weng' }
+};
+
+// Closest finals to try when a syllable does not exist in pinyin ("fi" -> "fei")
+const FINAL_FALLBACKS = {
+  a: ['ai', 'e'], ai: ['a', 'ei'], ao: ['o', 'ou', 'a'], e: ['o', 'u', 'a'],
+  ei: ['e', 'ai', 'i'], er: ['e'], i: ['ei', 'e'], iu: ['ou', 'u'],
+  o: ['ou', 'u', 'e'], ou: ['o', 'u'], u: ['ou', 'o'],
+  an: ['ang', 'a'], ang: ['an', 'a'], en: ['eng', 'e'], eng: ['en', 'e'],
+  in: ['en', 'i'], ing: ['eng', 'in', 'i'], ong: ['eng', 'un', 'ou'], un: ['en', 'ong', 'u']
+};
+
+// Characters of the supported pinyin syllables, as used in transliterated names
+const PINYIN_HANZI = {
+  a: '阿', ai: '艾', an: '安', ang: '昂', ao: '奥', e: '厄', ei: '埃', en: '恩', eng: '恩', er: '尔', o: '奥', ou: '欧',
+  ya: '亚', yan: '延', yang: '扬', yao: '尧', ye: '耶', yi: '伊', yin: '因', ying: '英', yo: '约', yong: '永', you: '尤', yun: '云',
+  wa: '瓦', wai: '外', wan: '万', wang: '王', wei: '维', wen: '温', weng: '翁', wo: '沃', wu: '乌',
+  ba: '巴', bai: '拜', ban: '班', bang: '邦', bao: '鲍', bei: '贝', ben: '本', beng: '崩', bi: '比', bin: '宾', bing: '炳', bo: '博', bu: '布',
+  pa: '帕', pai: '派', pan: '潘', pang: '庞', pao: '泡', pei: '佩', pen: '喷', peng: '彭', pi: '皮', pin: '品', ping: '平', po: '珀', pu: '普',
+  ma: '马', mai: '迈', man: '曼', mang: '芒', mao: '毛', mei: '梅', men: '门', meng: '蒙', mi: '米', min: '敏', ming: '明', miu: '缪', mo: '莫', mou: '谋', mu: '穆',
+  fa: '法', fan: '凡', fang: '方', fei: '菲', fen: '芬', feng: '丰', fo: '佛', fou: '否', fu: '富',
+  da: '达', dai: '代', dan: '丹', dang: '当', dao: '道', de: '德', deng: '登', di: '迪', ding: '丁', diu: '丢', dong: '东', dou: '窦', du: '杜', dun: '敦',
+  ta: '塔', tai: '泰', tan: '坦', tang: '唐', tao: '陶', te: '特', teng: '滕', ti: '蒂', ting: '廷', tong: '通', tou: '透', tu: '图', tun: '屯',
+  na: '纳', nai: '奈', nan: '南', nang: '囊', nao: '瑙', ne: '讷', nei: '内', nen: '嫩', neng: '能', ni: '尼', nin: '宁', ning: '宁', niu: '纽', nong: '农', nu: '努',
+  la: '拉', lai: '莱', lan: '兰', lang: '朗', lao: '劳', le: '勒', lei: '雷', leng: '冷', li: '利', lin: '林', ling: '灵', liu: '刘', long: '隆', lou: '娄', lu: '卢', lun: '伦',
+  ga: '加', gai: '盖', gan: '甘', gang: '冈', gao: '高', ge: '格', gei: '给', gen: '根', geng: '耿', gong: '贡', gou: '苟', gu: '古', gun: '衮',
+  ka: '卡', kai: '凯', kan: '坎', kang: '康', kao: '考', ke: '克', ken: '肯', keng: '铿', kong: '孔', kou: '寇', ku: '库', kun: '昆',
+  ha: '哈', hai: '海', han: '汉', hang: '杭', hao: '豪', he: '赫', hei: '黑', hen: '亨', heng: '亨', hong: '洪', hou: '侯', hu: '胡', hun: '浑',
+  ji: '吉', jin: '金', jing: '京', jiu: '久', qi: '奇', qin: '钦', qing: '庆', qiu: '丘', xi: '西', xin: '辛', xing: '兴', xiu: '修',
+  zha: '扎', zhai: '宅', zhan: '詹', zhang: '章', zhao: '赵', zhe: '哲', zhen: '珍', zheng: '正', zhi: '芝', zhong: '忠', zhou: '周', zhu: '朱', zhun: '准',
+  cha: '查', chai: '柴', chan: '禅', chang: '昌', chao: '超', che: '彻', chen: '陈', cheng: '成', chi: '池', chong: '崇', chou: '丑', chu: '楚', chun: '春',
+  sha: '沙', shai: '晒', shan: '山', shang: '尚', shao: '绍', she: '舍', shen: '申', sheng: '圣', shi: '施', shou: '寿', shu: '舒', shun: '顺',
+  ran: '冉', rang: '让', rao: '饶', re: '热', ren: '仁', reng: '仍', ri: '日', rong: '荣', rou: '柔', ru: '茹', run: '润',
+  za: '扎', zai: '再', zan: '赞', zang: '藏', zao: '藻', ze: '泽', zei: '贼', zen: '怎', zeng: '曾', zi: '兹', zong: '宗', zou: '邹', zu: '祖', zun: '尊',
+  ca: '擦', cai: '蔡', can: '参', cang: '仓', cao: '曹', ce: '策', cen: '岑', ceng: '层', ci: '茨', cong: '丛', cou: '凑', cu: '粗', cun: '村',
+  sa: '萨', sai: '赛', san: '三', sang: '桑', sao: '骚', se: '瑟', sen: '森', seng: '僧', si: '斯', song: '宋', sou: '搜', su: '苏', sun: '孙'
+};
+
+/**
+ * Strip the syllabic and half-length marks kept by the parser
+ * @param {string[]} phonemes - Phonemes of a syllable
+ * @returns {string[]}
+ */
+function cleanPhonemes(phonemes) {
+  return phonemes.map(phoneme => phoneme.replace(/[̩ˑ]/g, ''));
+}
+
+/**
+ * Upper-case the primary-stressed syllable of a word with more than one syllable
+ * @param {string[]} texts - Hint of each syllable
+ * @param {Array<{stress: number}>} syllables - Syllables from ipa-parser.js
+ * @returns {string[]}
+ */
+function markStress(texts, syllables) {
+  if (syllables.length < 2) return texts;
+  return texts.map((text, n) => (syllables[n].stress === 1 ? text.toUpperCase() : text));
+}
+
+/**
+ * English respelling of each syllable
+ * @param {Array<{phonemes: string[], stress: number}>} syllables - Syllables of a canonical transcription
+ * @returns {string[]} e.g. ["bye", "oh", "dye", "VUR", "suh", "tee"]
+ */
+export function respellSyllables(syllables) {
+  let previous = '';
+  const texts = syllables.map(syllable => {
+    // An r-coloured vowel already spells the following r ("experience" -> "ik-SPEER-ee-uhns")
+    const phonemes = previous.endsWith('r') && syllable.phonemes[0] === 'r'
+      ? syllable.phonemes.slice(1)
+      : syllable.phonemes;
+    previous = respellSyllable(cleanPhonemes(phonemes));
+    return previous;
+  });
+  return markStress(texts, syllables);
+}
+
+/**
+ * Respell the phonemes of one syllable
+ * @param {string[]} symbols - Phonemes of the syllable
+ * @returns {string} e.g. "vur"
+ */
+function respellSyllable(symbols) {
+  const nucleus = symbols.findIndex(symbol => RESPELLING_VOWELS[symbol]);
+
+  // No vowel: syllabic consonant ("little" -> "lit-ul")
+  if (nucleus === -1) {
+    return symbols.map((symbol, i) =>
+      (i === symbols.length - 1 && /^[lnm]$/.test(symbol) ? 'u' : '') + respellConsonant(symbol)
+    ).join('');
+  }
+
+  const closed = nucleus < symbols.length - 1;
+  return symbols.map((symbol, i) => {
+    if (i !== nucleus) return respellConsonant(symbol);
+    // Onsetless open aɪ is "eye" ("i-DEE-uh")
+    if (symbol === 'aɪ' && nucleus === 0 && !closed) return 'eye';
+    return RESPELLING_VOWELS[symbol][closed ? 1 : 0];
+  }).join('');
+}
+
+/**
+ * Respell a consonant
+ * @param {string} symbol - Consonant phoneme
+ * @returns {string}
+ */
+function respellConsonant(symbol) {
+  const plain = symbol.replace(/ː/g, '');
+  return RESPELLING_CONSONANTS[plain] || (RESPELLING_VOWELS[plain] ? RESPELLING_VOWELS[plain][0] : plain);
+}
+
+/**
+ * Pinyin-style hint of each syllable; consonant clusters become extra pinyin syllables
+ * @param {Array<{phonemes: string[], stress: number}>} syllables - Syllables of a canonical transcription
+ * @returns {string[]} e.g. ["bai", "ou", "dai", "WO", "se", "ti"]
+ */
+export function pinyinSyllables(syllables) {
+  const texts = toPinyinSyllables(syllables).map(units => units.join('-'));
+  return markStress(texts, syllables);
+}
+
+/**
+ * Chinese-character hint of each syllable
+ * @param {Array<{phonemes: string[], stress: number}>} syllables - Syllables of a canonical transcription
+ * @returns {string[]} e.g. ["拜", "欧", "代", "沃", "瑟", "蒂"]
+ */
+export function hanziSyllables(syllables) {
+  return toPinyinSyllables(syllables).map(units => units.map(pinyin => PINYIN_HANZI[pinyin]).join(''));
+}
+
+/**
+ * Convert every syllable of a word to pinyin syllables
+ * @param {Array<{phonemes: string[]}>} syllables - Syllables of a canonical transcription
+ * @returns {string[][]}
+ */
+function toPinyinSyllables(syllables) {
+  return syllables.map((syllable, n) => {
+    const units = toPinyin(cleanPhonemes(syllable.phonemes));
+    // The er of an r-coloured vowel already stands for the following r ("area" -> ai-li-e)
+    if (units[units.length - 1] === 'er' && syllables[n + 1]?.phonemes[0] === 'r' && units.length > 1) {
+      units.pop();
+    }
+    return units;
+  });
+}
+
+/**
+ * Convert the phonemes of one syllable to pinyin syllables
+ * Every result is a key of PINYIN_HANZI.
+ * @param {string[]} symbols - Phonemes of the syllable
+ * @returns {string[]} e.g. ["si", "te", "li", "te"] for "street"
+ */
+function toPinyin(symbols) {
+  const nucleus = symbols.findIndex(symbol => PINYIN_FINALS[symbol]);
+  if (nucleus === -1) {
+    return symbols.map(symbol => PINYIN_CONSONANTS[symbol]).filter(Boolean);
+  }
+
+  const onset = symbols.slice(0, nucleus);
+  const coda = symbols.slice(nucleus + 1);
+  const [final, extra] = PINYIN_FINALS[symbols[nucleus]];
+  const result = [];
+
+  // Onset clusters: all but the last consonant stand alone; a consonant + j glides into the vowel ("cute" -> qiu-te)
+  let glide = false;
+  if (onset.length > 1 && onset[onset.length - 1] === 'j') {
+    glide = true;
+    onset.pop();
+  }
+  const initial = onset.pop();
+  onset.forEach(symbol => result.push(PINYIN_CONSONANTS[symbol]));
+
+  // Nasal coda joins the final ("tin" -> ting, not ti-en)
+  let spelledFinal = glide && (final === 'u' || final === 'ou') ? 'iu' : final;
+  if (!extra && coda.length > 0 && NASAL_FINALS[coda[0]]?.[spelledFinal]) {
+    spelledFinal = NASAL_FINALS[coda.shift()][spelledFinal];
+  }
+
+  result.push(...composeSyllable(PINYIN_INITIALS[initial] ?? '', spelledFinal, initial));
+  if (extra) result.push(extra);
+  coda.forEach(symbol => result.push(PINYIN_CONSONANTS[symbol]));
+
+  return result.filter(Boolean);
+}
+
+/**
+ * Spell an initial and a final as an existing pinyin syllable, trying similar finals
+ * @param {string} initial - Pinyin initial ('' for none)
+ * @param {string} final - Pinyin final
+ * @param {string} consonant - Original consonant phoneme (for the stand-alone fallback)
+ * @returns {string[]} One syllable, or two when the pair cannot be spelled
+ */
+function composeSyllable(initial, final, consonant) {
+  for (const candidate of [final, ...(FINAL_FALLBACKS[final] || [])]) {
+    const syllable = spellSyllable(initial, candidate);
+    if (PINYIN_HANZI[syllable]) return [syllable];
+  }
+
+  // e.g. a consonant that never combines with the vowel: spell both on their own
+  return [PINYIN_CONSONANTS[consonant], spellSyllable('', final)].filter(syllable => PINYIN_HANZI[syllable]);
+}
+
+/**
+ * Apply pinyin spelling rules to an initial + final pair
+ * @param {string} initial - Pinyin initial
+ * @param {string} final - Pinyin final
+ * @returns {string}
+ */
+function spellSyllable(initial, final) {
+  if (ZERO_INITIAL_SYLLABLES[initial]?.[final]) {
+    return ZERO_INITIAL_SYLLABLES[initial][final];
+  }
+  if (final.startsWith('i') && PALATAL_INITIALS[initial]) {
+    return PALATAL_INITIALS[initial] + final;
+  }
+  return initial + final;
+}
@@ -0,0 +1,156 @@
+/**
+ * 按网站配置的规则
+ * 每个域名可单独开启/关闭插件、限定或排除标注区域（CSS 选择器）、指定词典
+ * 规则对该域名及其子域名生效，多条规则匹配时取最具体的域名
+ * 修改规则的操作通过 withStorageLock 依次执行，弹窗中连续修改多项设置时不会互相覆盖
+ */
+
+import { get, set, withStorageLock, STORAGE_KEYS } from './storage.js';
+
+/**
+ * 网站名单模式
+ * blocklist：默认在所有网站运行，规则中关闭的网站除外
+ * allowlist：只在规则中开启的网站运行
+ */
+export const SITE_MODES = {
+  BLOCKLIST: 'blocklist',
+  ALLOWLIST: 'allowlist'
+};
+
+// 单个网站可选的词典（空字符串表示使用全局设置）
+export const SITE_DICTIONARY_APIS = ['', 'freedict', 'baidu'];
+
+/**
+ * 音标标注方式
+ * inline：在单词后插入音标元素（默认）
+ * overlay：不改动页面，把音标绘制在浮层中，适用于 React/Vue 页面和富文本编辑器
+ */
+export const RENDER_MODES = ['inline', 'overlay'];
+
+// 域名：字母、数字、连字符，以点分隔（允许 localhost 等单段名称）
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * 规范化域名
+ * @param {string} input 域名或网址，如 "https://www.GitHub.com/pulls"
+ * @returns {string} 如 "github.com"，无效时为空字符串
+ */
+export function normalizeDomain(input) {
+  const domain = String(input || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^\*\./, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+  return DOMAIN_PATTERN.test(domain) ? domain : '';
+}
+
+/**
+ * 解析选择器列表（每行一个，选择器本身可以包含逗号）
+ * @param {string|string[]} input 文本或数组
+ * @returns {string[]} 去重后的选择器
+ */
+export function parseSelectorList(input) {
+  const lines = Array.isArray(input) ? input : String(input || '').split('\n');
+  return [...new Set(lines.map(line => String(line).trim()).filter(Boolean))];
+}
+
+/**
+ * 规范化规则
+ * @param {object} rule 规则
+ * @returns {object|null} {domain, enabled, include, exclude, dictionaryAPI, renderMode, updatedAt}，域名无效时为 null
+ */
+export function normalizeSiteRule(rule) {
+  const domain = normalizeDomain(rule?.domain);
+  if (!domain) return null;
+
+  return {
+    domain,
+    enabled: rule.enabled !== false,
+    include: parseSelectorList(rule.include),
+    exclude: parseSelectorList(rule.exclude),
+    dictionaryAPI: SITE_DICTIONARY_APIS.includes(rule.dictionaryAPI) ? rule.dictionaryAPI : '',
+    renderMode: RENDER_MODES.includes(rule.renderMode) ? rule.renderMode : RENDER_MODES[0],
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * 查找适用于某个网站的规则
+ * @param {object} rules 域名 -> 规则
+ * @param {string} hostname 当前网站的主机名
+ * @returns {object|null} 域名最长的匹配规则
+ */
+export function findSiteRule(rules, hostname) {
+  const host = normalizeDomain(hostname);
+  if (!host) return null;
+
+  let match = null;
+  for (const rule of Object.values(rules || {})) {
+    const matches = host === rule.domain || host.endsWith(`.${rule.domain}`);
+    if (matches && (!match || rule.domain.length > match.domain.length)) {
+      match = rule;
+    }
+  }
+  return match;
+}
+
+/**
+ * 插件是否在该网站运行
+ * @param {object|null} rule 网站规则
+ * @param {string} mode 名单模式
+ * @returns {boolean}
+ */
+export function isSiteEnabled(rule, mode = SITE_MODES.BLOCKLIST) {
+  if (mode === SITE_MODES.ALLOWLIST) {
+    return rule?.enabled === true;
+  }
+  return rule?.enabled !== false;
+}
+
+/**
+ * 获取全部网站规则
+ * @returns {Promise<object>} 域名 -> 规则
+ */
+export async function getSiteRules() {
+  return get(STORAGE_KEYS.SITE_RULES, {});
+}
+
+/**
+ * 添加或修改网站规则
+ * @param {object} rule 规则
+ * @param {string} previousDomain 编辑时的原域名（域名被修改时删除旧规则）
+ * @returns {Promise<object>} 保存的规则
+ */
+export async function saveSiteRule(rule, previousDomain = '') {
+  const normalized = normalizeSiteRule(rule);
+  if (!normalized) {
+    throw new Error('域名无效');
+  }
+
+  return withStorageLock(STORAGE_KEYS.SITE_RULES, async () => {
+    const rules = await getSiteRules();
+    const previous = normalizeDomain(previousDomain);
+    if (previous && previous !== normalized.domain) {
+      delete rules[previous];
+    }
+    rules[normalized.domain] = normalized;
+
+    await set(STORAGE_KEYS.SITE_RULES, rules);
+    return normalized;
+  });
+}
+
+/**
+ * 删除网站规则
+ * @param {string} domain 域名
+ * @returns {Promise<void>}
+ */
+export async function removeSiteRule(domain) {
+  return withStorageLock(STORAGE_KEYS.SITE_RULES, async () => {
+    const rules = await getSiteRules();
+    delete rules[normalizeDomain(domain)];
+    await set(STORAGE_KEYS.SITE_RULES, rules);
+  });
+}
@@ -7,6 +7,12 @@ const STORAGE_KEYS = {
   API_KEY: "gemini_api_key",
   SETTINGS: "settings",
   PHONETICS_CACHE: "phonetics_cache",
+  VOCABULARY: "vocabulary",
+  LOOKUP_HISTORY: "lookup_history",
+  KNOWN_WORDS: "known_words",
+  PHONETIC_OVERRIDES: "phonetic_overrides",
+  READER_PREFS: "reader_prefs",
+  SITE_RULES: "site_rules",
 };
 
 const DEFAULT_SETTINGS = {
@@ -17,8 +23,21 @@ const DEFAULT_SETTINGS = {
   fontSize: "medium", // 'small', 'medium', 'large'
   ttsSpeed: 1.0,
   maxCacheSize: 1000,
+  knownWordsTier: 0, // 词频档位：排名前 N 的单词视为已掌握，0 表示不使用
+  knownWordsDisplay: "hide", // 已掌握单词的音标：'hide' 隐藏, 'dim' 淡化
+  annotationMode: "all", // 'all' 标注全部, 'difficulty' 只标注难词
+  difficultyThreshold: 5000, // 难度模式下词频排名超过该值的单词才标注
+  accent: "uk", // 音标与朗读口音：'uk' 英音, 'us' 美音, 'both' 同时显示
+  phoneticRendering: "plain", // 音标呈现：'plain' 原样, 'syllables' 音节与重读, 'aligned' 音节对齐拼写
+  ipaNotation: "ipa", // 音标体系：'ipa' 现代国际音标, 'dj' DJ 音标, 'kk' KK 音标, 'respelling' 拼读, 'pinyin' 拼音, 'hanzi' 汉字谐音
+  bilingualReading: false, // 双语阅读：段落进入视口时翻译并显示译文
+  articleMode: false, // 正文模式：只标注和翻译页面正文
+  siteMode: "blocklist", // 网站名单：'blocklist' 默认运行，'allowlist' 只在规则中开启的网站运行
 };
 
+// 每个存储键正在执行的读-改-写操作（同一键的操作依次执行）
+const storageLocks = new Map();
+
 /**
  * 获取存储的值
  * @param {string} key 存储键
@@ -50,6 +69,28 @@ export async function set(key, value) {
   }
 }
 
+/**
+ * 依次执行同一存储键的读-改-写操作
+ * 多个标签页同时保存时，后一个操作在前一个写入完成后才读取，不会覆盖前者的修改
+ * @param {string} key 存储键
+ * @param {function(): Promise<*>} task 读取、修改并写回该键的操作
+ * @returns {Promise<*>} task 的结果
+ */
+export function withStorageLock(key, task) {
+  const previous = storageLocks.get(key) || Promise.resolve();
+  const result = previous.then(task);
+  const done = result.catch(() => {});
+
+  storageLocks.set(key, done);
+  done.then(() => {
+    if (storageLocks.get(key) === done) {
+      storageLocks.delete(key);
+    }
+  });
+
+  return result;
+}
+
 /**
  * 删除存储值
  * @param {string} key 存储键
@@ -0,0 +1,219 @@
+/**
+ * 生词本与查词历史导出
+ * 支持 Anki 可导入的 TSV、CSV 和带版本号的 JSON 格式
+ */
+
+// JSON 导出格式标识与版本
+export const EXPORT_FORMAT = 'english-learning-helper/vocabulary';
+export const EXPORT_VERSION = 1;
+
+// Anki 默认牌组名
+const DEFAULT_DECK = 'English Learning Helper';
+
+// CSV 列定义
+const CSV_COLUMNS = [
+  ['type', '类型'],
+  ['word', '单词'],
+  ['ipa', '音标'],
+  ['partOfSpeech', '词性'],
+  ['definition', '释义'],
+  ['definitions', '全部释义'],
+  ['chinese', 'AI 中文释义'],
+  ['english', 'AI 英文释义'],
+  ['mnemonic', '助记'],
+  ['examples', '例句'],
+  ['context', '来源句子'],
+  ['url', '来源网址'],
+  ['lookupCount', '查询次数'],
+  ['createdAt', '加入时间'],
+  ['dueAt', '下次复习']
+];
+
+/**
+ * 将生词本词条和历史条目统一为导出行
+ * @param {object[]} vocabulary 生词本词条
+ * @param {object[]} history 查词历史条目
+ * @returns {object[]}
+ */
+export function toExportRows(vocabulary = [], history = []) {
+  const rows = vocabulary.map(entry => ({
+    type: 'vocabulary',
+    word: entry.word,
+    ipa: entry.ipa || '',
+    partOfSpeech: entry.partOfSpeech || '',
+    definition: entry.definition || '',
+    definitions: formatDefinitions(entry.definitions),
+    chinese: entry.ai?.detailedMeaning?.chinese || '',
+    english: entry.ai?.detailedMeaning?.english || '',
+    mnemonic: formatMnemonic(entry.ai?.mnemonicTechniques),
+    examples: (entry.ai?.examples || []).join('\n'),
+    context: entry.context || '',
+    url: entry.url || '',
+    title: entry.title || '',
+    lookupCount: '',
+    createdAt: formatDate(entry.createdAt),
+    dueAt: formatDate(entry.review?.dueAt)
+  }));
+
+  const saved = new Set(vocabulary.map(entry => entry.word));
+  for (const entry of history) {
+    if (saved.has(entry.word)) continue;
+    rows.push({
+      type: 'history',
+      word: entry.word,
+      ipa: entry.ipa || '',
+      partOfSpeech: '',
+      definition: entry.definition || '',
+      definitions: '',
+      chinese: '',
+      english: '',
+      mnemonic: '',
+      examples: '',
+      context: entry.context || '',
+      url: entry.url || '',
+      title: entry.title || '',
+      lookupCount: entry.count || 1,
+      createdAt: formatDate(entry.firstLookedUpAt),
+      dueAt: ''
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * 生成 Anki 可导入的 TSV 文本（含文件头，Anki 2.1.54+ 可自动识别）
+ * 字段：正面（单词 + 音标）、背面（释义、AI 分析、例句、来源）、标签
+ * @param {object[]} rows 导出行
+ * @param {object} options {deck}
+ * @returns {string}
+ */
+export function toAnkiTSV(rows, options = {}) {
+  const deck = options.deck || DEFAULT_DECK;
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${deck}`,
+    '#tags column:3'
+  ];
+
+  for (const row of rows) {
+    const front = `${escapeHtml(row.word)}` +
+      (row.ipa ? `<br><span style="color:#888">${escapeHtml(row.ipa)}</span>` : '');
+
+    const back = [];
+    if (row.definition) {
+      back.push(`${row.partOfSpeech ? `<i>${escapeHtml(row.partOfSpeech)}</i> ` : ''}${escapeHtml(row.definition)}`);
+    }
+    if (row.chinese) back.push(`<b>${escapeHtml(row.chinese)}</b>`);
+    if (row.english) back.push(escapeHtml(row.english));
+    if (row.mnemonic) back.push(`💡 ${escapeHtml(row.mnemonic)}`);
+    if (row.examples) back.push(row.examples.split('\n').map(ex => `• ${escapeHtml(ex)}`).join('<br>'));
+    if (row.context) back.push(`<blockquote>${highlightWord(row.context, row.word)}</blockquote>`);
+    if (row.url) back.push(`<a href="${escapeHtml(row.url)}">${escapeHtml(row.title || row.url)}</a>`);
+
+    const tags = ['elh', row.type].join(' ');
+    lines.push([front, back.join('<br>'), tags].map(toTSVField).join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 生成 CSV 文本（带 BOM，便于 Excel 正确识别中文）
+ * @param {object[]} rows 导出行
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  const header = CSV_COLUMNS.map(([, label]) => toCSVField(label)).join(',');
+  const body = rows.map(row => CSV_COLUMNS.map(([key]) => toCSVField(row[key])).join(','));
+  return '\uFEFF' + [header, ...body].join('\r\n') + '\r\n';
+}
+
+/**
+ * 生成带版本号的 JSON 导出数据（可在其他浏览器中导入）
+ * @param {object[]} vocabulary 生词本词条
+ * @param {object[]} history 查词历史条目
+ * @returns {string}
+ */
+export function toExportJSON(vocabulary = [], history = []) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    vocabulary,
+    history
+  }, null, 2);
+}
+
+/**
+ * 解析 JSON 导出文件
+ * @param {string} text 文件内容
+ * @returns {{vocabulary: object[], history: object[]}}
+ */
+export function parseExportJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('文件不是有效的 JSON');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('不是 English Learning Helper 导出的文件');
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(`不支持的导出版本：${data.version}`);
+  }
+
+  return {
+    vocabulary: Array.isArray(data.vocabulary) ? data.vocabulary : [],
+    history: Array.isArray(data.history) ? data.history : []
+  };
+}
+
+function formatDefinitions(definitions) {
+  if (!Array.isArray(definitions)) return '';
+  return definitions
+    .map(d => `${d.partOfSpeech ? `(${d.partOfSpeech}) ` : ''}${d.definition}`)
+    .join('\n');
+}
+
+function formatMnemonic(mnemonic) {
+  if (!mnemonic) return '';
+  return [mnemonic.visualization, mnemonic.association, mnemonic.story]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function toCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toTSVField(value) {
+  // Anki 的 TSV 不允许字段内出现制表符和换行
+  return String(value).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+// 先在原文中匹配再逐段转义，避免单词命中转义后的实体（如 "amp" 命中 &amp;）
+function highlightWord(text, word) {
+  if (!word) return escapeHtml(text);
+  const pattern = new RegExp(`\\b(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\w*)`, 'gi');
+  return String(text).split(pattern)
+    .map((part, i) => i % 2 === 1 ? `<b>${escapeHtml(part)}</b>` : escapeHtml(part))
+    .join('');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,252 @@
+/**
+ * 生词本存储与间隔复习调度
+ * 使用 SM-2 算法安排复习时间
+ * 修改生词本的操作通过 withStorageLock 依次执行，多个标签页同时保存时不会互相覆盖
+ */
+
+import { get, set, withStorageLock, STORAGE_KEYS } from './storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 初始难度系数与下限
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * 复习评分（SM-2 的 0-5 分制）
+ */
+export const REVIEW_GRADES = {
+  AGAIN: 1, // 忘记
+  HARD: 3,  // 困难
+  GOOD: 4,  // 良好
+  EASY: 5   // 简单
+};
+
+/**
+ * 创建新词条的初始复习状态
+ * @param {number} now 当前时间戳
+ * @returns {object}
+ */
+export function createReviewState(now = Date.now()) {
+  return {
+    repetitions: 0,
+    interval: 0,
+    easeFactor: DEFAULT_EASE_FACTOR,
+    lapses: 0,
+    dueAt: now,
+    lastReviewedAt: null
+  };
+}
+
+/**
+ * 根据 SM-2 算法计算下一次复习状态
+ * @param {object} review 当前复习状态
+ * @param {number} quality 评分 (0-5)
+ * @param {number} now 当前时间戳
+ * @returns {object} 新的复习状态
+ */
+export function scheduleReview(review, quality, now = Date.now()) {
+  const state = { ...createReviewState(now), ...review };
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+  let { repetitions, interval, easeFactor, lapses } = state;
+
+  if (q < 3) {
+    // 回答错误：重新开始学习
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  }
+
+  // EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  easeFactor = easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  if (easeFactor < MIN_EASE_FACTOR) {
+    easeFactor = MIN_EASE_FACTOR;
+  }
+
+  return {
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    lapses,
+    dueAt: now + interval * DAY_MS,
+    lastReviewedAt: now
+  };
+}
+
+/**
+ * 获取整个生词本
+ * @returns {Promise<object>} word -> 词条
+ */
+export async function getVocabulary() {
+  return get(STORAGE_KEYS.VOCABULARY, {});
+}
+
+/**
+ * 获取单个词条
+ * @param {string} word 单词
+ * @returns {Promise<object|null>}
+ */
+export async function getVocabularyEntry(word) {
+  const vocabulary = await getVocabulary();
+  return vocabulary[normalizeWord(word)] || null;
+}
+
+/**
+ * 保存单词到生词本（已存在则更新内容，保留复习进度）
+ * @param {object} entry 词条 {word, ipa, definition, partOfSpeech, definitions, ai, context, url, title}
+ * @returns {Promise<object>} 保存后的词条
+ */
+export async function saveWord(entry) {
+  const word = normalizeWord(entry?.word);
+  if (!word) {
+    throw new Error('Invalid word');
+  }
+
+  return withStorageLock(STORAGE_KEYS.VOCABULARY, async () => {
+    const vocabulary = await getVocabulary();
+    const existing = vocabulary[word];
+    const now = Date.now();
+
+    const saved = {
+      word,
+      ipa: entry.ipa || existing?.ipa || '',
+      definition: entry.definition || existing?.definition || '',
+      partOfSpeech: entry.partOfSpeech || existing?.partOfSpeech || '',
+      definitions: entry.definitions || existing?.definitions || [],
+      ai: pickAIFields(entry.ai) || existing?.ai || null,
+      context: entry.context || existing?.context || '',
+      url: entry.url || existing?.url || '',
+      title: entry.title || existing?.title || '',
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      review: existing?.review || createReviewState(now)
+    };
+
+    vocabulary[word] = saved;
+    await set(STORAGE_KEYS.VOCABULARY, vocabulary);
+    return saved;
+  });
+}
+
+/**
+ * 合并导入的词条（同一单词保留复习进度较新的一方）
+ * @param {object[]} entries 词条数组
+ * @returns {Promise<number>} 合并的词条数
+ */
+export async function mergeVocabulary(entries) {
+  return withStorageLock(STORAGE_KEYS.VOCABULARY, async () => {
+    const vocabulary = await getVocabulary();
+    const now = Date.now();
+    let merged = 0;
+
+    for (const entry of entries || []) {
+      const word = normalizeWord(entry?.word);
+      if (!word) continue;
+
+      const existing = vocabulary[word];
+      const incomingReview = { ...createReviewState(now), ...entry.review };
+      const keepExisting = existing &&
+        (existing.review?.lastReviewedAt ?? 0) >= (incomingReview.lastReviewedAt ?? 0);
+
+      vocabulary[word] = {
+        ...entry,
+        ...(keepExisting ? existing : {}),
+        word,
+        ai: pickAIFields(keepExisting ? existing.ai : entry.ai),
+        definitions: (keepExisting ? existing.definitions : entry.definitions) || [],
+        createdAt: Math.min(existing?.createdAt ?? Infinity, entry.createdAt ?? now),
+        updatedAt: now,
+        review: keepExisting ? existing.review : incomingReview
+      };
+      merged++;
+    }
+
+    await set(STORAGE_KEYS.VOCABULARY, vocabulary);
+    return merged;
+  });
+}
+
+/**
+ * 从生词本移除单词
+ * @param {string} word 单词
+ * @returns {Promise<void>}
+ */
+export async function removeWord(word) {
+  return withStorageLock(STORAGE_KEYS.VOCABULARY, async () => {
+    const vocabulary = await getVocabulary();
+    delete vocabulary[normalizeWord(word)];
+    await set(STORAGE_KEYS.VOCABULARY, vocabulary);
+  });
+}
+
+/**
+ * 获取到期需要复习的单词（按到期时间排序）
+ * @param {number} now 当前时间戳
+ * @returns {Promise<object[]>}
+ */
+export async function getDueWords(now = Date.now()) {
+  const vocabulary = await getVocabulary();
+  return Object.values(vocabulary)
+    .filter(entry => (entry.review?.dueAt ?? 0) <= now)
+    .sort((a, b) => (a.review?.dueAt ?? 0) - (b.review?.dueAt ?? 0));
+}
+
+/**
+ * 记录一次复习结果
+ * @param {string} word 单词
+ * @param {number} quality 评分 (0-5)
+ * @returns {Promise<object|null>} 更新后的词条
+ */
+export async function reviewWord(word, quality) {
+  return withStorageLock(STORAGE_KEYS.VOCABULARY, async () => {
+    const vocabulary = await getVocabulary();
+    const entry = vocabulary[normalizeWord(word)];
+    if (!entry) return null;
+
+    entry.review = scheduleReview(entry.review, quality);
+    vocabulary[entry.word] = entry;
+    await set(STORAGE_KEYS.VOCABULARY, vocabulary);
+    return entry;
+  });
+}
+
+/**
+ * 生词本统计
+ * @param {number} now 当前时间戳
+ * @returns {Promise<{total: number, due: number}>}
+ */
+export async function getVocabularyStats(now = Date.now()) {
+  const entries = Object.values(await getVocabulary());
+  return {
+    total: entries.length,
+    due: entries.filter(entry => (entry.review?.dueAt ?? 0) <= now).length
+  };
+}
+
+/**
+ * 只保留需要持久化的 AI 分析字段
+ * @param {object} ai AI 分析结果
+ * @returns {object|null}
+ */
+function pickAIFields(ai) {
+  if (!ai || ai.parseError) return null;
+  return {
+    detailedMeaning: ai.detailedMeaning || null,
+    mnemonicTechniques: ai.mnemonicTechniques || null,
+    examples: Array.isArray(ai.examples) ? ai.examples : []
+  };
+}
+
+function normalizeWord(word) {
+  return typeof word === 'string' ? word.toLowerCase().trim() : '';
+}
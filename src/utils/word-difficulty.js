@@ -0,0 +1,54 @@
+/**
+ * 单词难度评估
+ * 综合词频排名、查词历史和已掌握单词，决定难度模式下是否标注音标
+ */
+
+/**
+ * 标注模式
+ */
+export const ANNOTATION_MODES = {
+  ALL: 'all',              // 标注所有单词
+  DIFFICULTY: 'difficulty' // 只标注超过难度阈值的单词
+};
+
+/**
+ * 难度阈值（基于 mass-ipa core.json 的词频排序）
+ * 词频排名在阈值之后的单词视为难词
+ */
+export const DIFFICULTY_LEVELS = [
+  { value: 1000, label: '排名 1000 之后（基础以上）' },
+  { value: 3000, label: '排名 3000 之后（高中以上）' },
+  { value: 5000, label: '排名 5000 之后（CET-4 以上）' },
+  { value: 8000, label: '排名 8000 之后（CET-6 以上）' },
+  { value: 15000, label: '排名 15000 之后（考研/雅思以上）' }
+];
+
+export const DEFAULT_DIFFICULTY_THRESHOLD = 5000;
+
+/**
+ * 计算单词的难度值（越大越难，可直接与阈值比较）
+ * - 已掌握的单词：0
+ * - 查询过的单词：Infinity（查过说明不熟，始终标注）
+ * - 不在词频表中的单词：Infinity（生僻词）
+ * - 其他：词频排名
+ * @param {number|null} rank 词频排名（1 为最常见）
+ * @param {object} options {known, lookupCount}
+ * @returns {number}
+ */
+export function getWordDifficulty(rank, { known = false, lookupCount = 0 } = {}) {
+  if (known) return 0;
+  if (lookupCount > 0) return Infinity;
+  if (!rank) return Infinity;
+  return rank;
+}
+
+/**
+ * 判断单词是否需要在难度模式下标注
+ * @param {number|null} rank 词频排名
+ * @param {number} threshold 难度阈值
+ * @param {object} options {known, lookupCount}
+ * @returns {boolean}
+ */
+export function isDifficultWord(rank, threshold = DEFAULT_DIFFICULTY_THRESHOLD, options = {}) {
+  return getWordDifficulty(rank, options) > threshold;
+}
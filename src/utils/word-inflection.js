@@ -7,28 +7,110 @@
  * 3. Transforming the base IPA to inflected IPA
  */
 
+import { IRREGULAR_VERBS, IRREGULAR_NOUNS, IRREGULAR_COMPARISONS, HETERONYMS } from '../data/irregular-forms.js';
+
+/**
+ * Parse a cell of the irregular-forms table
+ * @param {string} cell - e.g. "burnt /bɜːnt/, burned /bɜːnd/"
+ * @returns {Array<{word: string, ipa: string}>}
+ */
+function parseFormCell(cell) {
+  return cell.split(',').map(item => {
+    const [word, ipa] = item.trim().split(/\s+(?=\/)/);
+    return { word, ipa };
+  });
+}
+
+/**
+ * Index the irregular-forms table
+ * @returns {{lemmas: Map<string, Array<{lemma: string, relation: string}>>, ipa: Map<string, string>, bases: Set<string>}}
+ */
+function buildIrregularIndex() {
+  const lemmas = new Map();
+  const ipa = new Map();
+  const bases = new Set();
+  
+  const tables = [
+    [IRREGULAR_VERBS, ['past', 'past-participle']],
+    [IRREGULAR_NOUNS, ['plural']],
+    [IRREGULAR_COMPARISONS, ['comparative', 'superlative']]
+  ];
+  
+  for (const [rows, relations] of tables) {
+    for (const [baseCell, ...formCells] of rows) {
+      const [base] = parseFormCell(baseCell);
+      bases.add(base.word);
+      if (!ipa.has(base.word)) ipa.set(base.word, base.ipa);
+      
+      formCells.forEach((cell, i) => {
+        for (const form of parseFormCell(cell)) {
+          // Forms spelled like their base ("put", "read" /red/) keep the base's reading
+          // (see getIrregularFormIPA()) but are still listed as forms of it
+          if (!ipa.has(form.word)) ipa.set(form.word, form.ipa);
+          
+          const entries = lemmas.get(form.word) || [];
+          if (!entries.some(entry => entry.lemma === base.word && entry.relation === relations[i])) {
+            entries.push({ lemma: base.word, relation: relations[i] });
+          }
+          lemmas.set(form.word, entries);
+        }
+      });
+    }
+  }
+  
+  return { lemmas, ipa, bases };
+}
+
+const IRREGULAR_INDEX = buildIrregularIndex();
+
+/**
+ * Irregular past tense and participle forms that should NOT be lemmatized
+ */
+const IRREGULAR_PAST_TENSE = new Set(
+  [...IRREGULAR_INDEX.lemmas].filter(([, entries]) => entries.some(entry => entry.relation.startsWith('past'))).map(([form]) => form)
+);
+
+/**
+ * Irregular plural forms
+ */
+const IRREGULAR_PLURALS = new Set(
+  [...IRREGULAR_INDEX.lemmas].filter(([, entries]) => entries.some(entry => entry.relation === 'plural')).map(([form]) => form)
+);
+
+/**
+ * Find the lemmas of an irregular form
+ * @param {string} word - Lowercase word, e.g. "went", "better"
+ * @returns {Array<{lemma: string, relation: 'past'|'past-participle'|'plural'|'comparative'|'superlative'}>}
+ *   e.g. [{lemma: "go", relation: "past"}]; forms spelled like their base list the base itself
+ *   ("put" -> [{lemma: "put", relation: "past"}, ...]); empty if the word is not an irregular form
+ */
+export function getIrregularLemmas(word) {
+  return (IRREGULAR_INDEX.lemmas.get(word) || []).map(entry => ({ ...entry }));
+}
+
 /**
- * Common irregular past tense forms that should NOT be lemmatized
+ * British IPA of an irregular form from the irregular-forms table
+ * Base forms and heteronyms are left to the dictionary ("read" /riːd/ or /red/)
+ * @param {string} word - Lowercase word
+ * @returns {string|null} IPA or null
  */
-const IRREGULAR_PAST_TENSE = new Set([
-  'went', 'came', 'saw', 'made', 'took', 'got', 'gave', 'found', 'thought',
-  'told', 'left', 'kept', 'felt', 'brought', 'began', 'ran', 'sat', 'stood',
-  'heard', 'met', 'read', 'lost', 'paid', 'sent', 'built', 'spent', 'caught',
-  'taught', 'bought', 'fought', 'sold', 'wore', 'won', 'understood', 'said',
-  'ate', 'wrote', 'drove', 'broke', 'spoke', 'chose', 'fell', 'knew', 'grew',
-  'threw', 'drew', 'flew', 'sang', 'rang', 'swam', 'began', 'drank', 'sank'
-]);
+export function getIrregularFormIPA(word) {
+  if (IRREGULAR_INDEX.bases.has(word) || HETERONYMS.has(word)) return null;
+  return IRREGULAR_INDEX.ipa.get(word) || null;
+}
 
 /**
- * Common irregular plural forms
+ * British IPA of every irregular form getIrregularFormIPA() answers for
+ * @returns {Object} word -> IPA
  */
-const IRREGULAR_PLURALS = new Set([
-  'men', 'women', 'children', 'teeth', 'feet', 'geese', 'mice', 'lice',
-  'people', 'oxen', 'analyses', 'bases', 'crises', 'diagnoses', 'hypotheses',
-  'oases', 'parentheses', 'syntheses', 'theses', 'criteria', 'phenomena',
-  'data', 'media', 'bacteria', 'alumni', 'cacti', 'foci', 'fungi', 'nuclei',
-  'radii', 'stimuli', 'syllabi', 'axes', 'appendices', 'indices', 'matrices'
-]);
+export function getIrregularFormIPAMap() {
+  const map = {};
+  for (const word of IRREGULAR_INDEX.ipa.keys()) {
+    const ipa = getIrregularFormIPA(word);
+    if (ipa) map[word] = ipa;
+  }
+  return map;
+}
 
 /**
  * Detect if word ends with -ed and find base form
@@ -564,6 +646,76 @@ function isVoicedConsonant(sound) {
   return voiced.includes(sound);
 }
 
+/**
+ * List the possible lemmas of an inflected word, most likely first
+ * Irregular forms come from the irregular-forms table; regular ones are
+ * guesses from the suffix rules and must be checked against a dictionary
+ * ("maintaining" -> "maintain" or "maintaine")
+ * @param {string} word - Lowercase word
+ * @returns {Array<{lemma: string, relation: string, irregular: boolean}>} relation: 'past' | 'past-participle' |
+ *   'present-participle' | 'plural' | 'comparative' | 'superlative'; -s forms are listed as 'plural'
+ */
+export function getLemmaCandidates(word) {
+  if (!word) return [];
+  
+  const irregular = getIrregularLemmas(word);
+  if (irregular.length > 0) {
+    return irregular.map(entry => ({ ...entry, irregular: true }));
+  }
+  
+  const candidates = [];
+  const add = (result, relation) => {
+    if (!result) return;
+    // Simple -ed/-er/-est rules keep the stem as is; a dropped e is tried as well ("baked" -> "bake")
+    const dropsE = /^(ed|er|est)-simple$/.test(result.type);
+    const lemmas = [result.base, result.alternativeBase, dropsE ? `${result.base}e` : null];
+    for (const lemma of lemmas) {
+      if (lemma && lemma.length >= 2 && lemma !== word && !candidates.some(candidate => candidate.lemma === lemma)) {
+        candidates.push({ lemma, relation, irregular: false });
+      }
+    }
+  };
+  
+  add(tryRemoveIngSuffix(word), 'present-participle');
+  add(tryRemoveEdSuffix(word), 'past');
+  add(tryRemoveEstSuffix(word), 'superlative');
+  add(tryRemoveErSuffix(word), 'comparative');
+  add(tryRemoveSuffix(word), 'plural');
+  
+  return candidates;
+}
+
+/**
+ * List every base form getInflectedIPA() may look up for a word
+ * Used by batch lookups to fetch all base forms in one pass
+ * @param {string} word - Inflected word
+ * @returns {string[]} Candidate base forms
+ */
+export function getInflectionBases(word) {
+  if (!word || word.length < 3) return [];
+  
+  const candidates = [
+    tryRemoveItySuffix(word),
+    tryRemoveLySuffix(word),
+    tryRemoveEstSuffix(word),
+    tryRemoveErSuffix(word),
+    tryRemoveIngSuffix(word),
+    tryRemoveEdSuffix(word),
+    tryRemoveYSuffix(word),
+    tryRemoveSuffix(word)
+  ];
+  
+  const bases = new Set();
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    bases.add(candidate.base);
+    if (candidate.alternativeBase) {
+      bases.add(candidate.alternativeBase);
+    }
+  }
+  return [...bases];
+}
+
 /**
  * Main function: Try to get IPA for inflected form
  * @param {string} word - Inflected word
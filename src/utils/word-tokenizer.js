@@ -0,0 +1,118 @@
+/**
+ * Word tokenizer
+ *
+ * Splits page text into the units that get a transcription: plain words,
+ * contractions and possessives ("don't", "John's"), names with an apostrophe
+ * ("O'Brien"), hyphenated compounds ("well-known", "e-mail") and acronyms ("AI").
+ * Each token carries the lookup key sent to the service worker: lowercase with
+ * a straight apostrophe, except acronyms, which keep their capitals so that
+ * "IT" is spelled out while "it" is looked up as a word.
+ */
+
+// Letters joined by apostrophes (don't, O'Brien) and hyphens (well-known, e-mail)
+const WORD_PATTERN = /[A-Za-z]+(?:['’][A-Za-z]+)*(?:-[A-Za-z]+(?:['’][A-Za-z]+)*)*/g;
+
+// Acronyms and their plurals or possessives: "AI", "NASA", "APIs", "FBI's"
+const ACRONYM_PATTERN = /^[A-Z]{2,5}(?:'?s)?$/;
+
+// Clitics attached to the end of a word, longest first
+const SUFFIX_CLITICS = ["n't", "'ll", "'re", "'ve", "'s", "'d", "'m"];
+
+// Name prefixes: "O'Brien", "D'Angelo"
+const PREFIX_CLITICS = ["o'", "d'"];
+
+// Negative contractions whose base is not the spelling before n't
+const IRREGULAR_NEGATIVES = {
+  "can't": 'can',
+  "won't": 'will',
+  "shan't": 'shall'
+};
+
+// An all-caps text with this many words is shouting or a heading, not acronyms
+const SHOUTING_MIN_WORDS = 3;
+
+/**
+ * Find the words of a text
+ * @param {string} text - Text content of a node
+ * @returns {Array<{text: string, index: number, key: string}>} Words with at least two letters
+ */
+export function tokenizeWords(text) {
+  const matches = Array.from(text.matchAll(WORD_PATTERN))
+    .filter(match => match[0].replace(/[^A-Za-z]/g, '').length >= 2);
+  const shouting = !/[a-z]/.test(text) && matches.length >= SHOUTING_MIN_WORDS;
+
+  return matches.map(match => ({
+    text: match[0],
+    index: match.index,
+    key: getLookupKey(match[0], { shouting })
+  }));
+}
+
+/**
+ * Get the lookup key of a word
+ * @param {string} word - Word as written
+ * @param {{shouting?: boolean}} options - shouting: the text is all caps, so capitals do not mark acronyms
+ * @returns {string} e.g. "don't", "well-known", "NASA"
+ */
+export function getLookupKey(word, { shouting = false } = {}) {
+  const normalized = String(word).trim().replace(/’/g, "'");
+  if (!shouting && ACRONYM_PATTERN.test(normalized)) {
+    return normalized;
+  }
+  return normalized.toLowerCase();
+}
+
+/**
+ * Check whether a lookup key is an acronym
+ * @param {string} key - Lookup key from getLookupKey()
+ * @returns {boolean}
+ */
+export function isAcronymKey(key) {
+  return ACRONYM_PATTERN.test(key);
+}
+
+/**
+ * Split an acronym key into its letters and plural/possessive ending
+ * @param {string} key - e.g. "APIs"
+ * @returns {{letters: string, suffix: string}} e.g. {letters: "API", suffix: "s"}
+ */
+export function splitAcronym(key) {
+  const [, letters, suffix] = key.match(/^([A-Z]+)('?s)?$/) || [null, key, ''];
+  return { letters, suffix: suffix || '' };
+}
+
+/**
+ * Split a contraction, possessive or prefixed name into its base and clitic
+ * @param {string} word - Lowercase word, e.g. "john's", "didn't", "o'brien"
+ * @returns {{base: string, clitic: string, prefix: boolean}|null} null if the word has no clitic
+ */
+export function splitClitic(word) {
+  if (IRREGULAR_NEGATIVES[word]) {
+    return { base: IRREGULAR_NEGATIVES[word], clitic: "n't", prefix: false };
+  }
+
+  for (const clitic of SUFFIX_CLITICS) {
+    const base = word.slice(0, -clitic.length);
+    if (word.endsWith(clitic) && /^[a-z][a-z'-]*$/.test(base)) {
+      return { base, clitic, prefix: false };
+    }
+  }
+
+  for (const clitic of PREFIX_CLITICS) {
+    const base = word.slice(clitic.length);
+    if (word.startsWith(clitic) && /^[a-z]{2,}[a-z'-]*$/.test(base)) {
+      return { base, clitic, prefix: true };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a hyphenated compound into its parts
+ * @param {string} word - Lowercase word, e.g. "mother-in-law"
+ * @returns {string[]} Parts, e.g. ["mother", "in", "law"]; one part if the word has no hyphen
+ */
+export function splitCompound(word) {
+  return word.split('-').filter(Boolean);
+}
@@ -0,0 +1,32 @@
+import { syllabifyIPA, splitSpelling } from './src/utils/ipa-parser.js';
+
+// [word, IPA, expected spelling syllables (null = cannot be aligned)]
+const tests = [
+  ['diversity', '/daɪˈvɜːsəti/', ['di', 'ver', 'si', 'ty']],
+  ['biodiversity', '/ˌbaɪəʊdaɪˈvɜːsəti/', ['bi', 'o', 'di', 'ver', 'si', 'ty']],
+  ['material', '/məˈtɪəriəl/', ['ma', 'te', 'ri', 'al']],
+  ['create', '/kriˈeɪt/', ['cre', 'ate']],
+  ['ratio', '/ˈreɪʃiəʊ/', ['ra', 'ti', 'o']],
+  ['quiet', '/ˈkwaɪət/', ['qui', 'et']],
+  ['nation', '/ˈneɪʃn/', ['na', 'tion']],
+  ['table', '/ˈteɪbl/', ['ta', 'ble']],
+  ['little', '/ˈlɪtl/', ['lit', 'tle']],
+  ['make', '/meɪk/', ['make']],
+  ['rhythm', '/ˈrɪðəm/', null],
+];
+
+console.log('Testing spelling alignment:\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const [word, ipa, expected] of tests) {
+  const count = syllabifyIPA(ipa).length;
+  const actual = splitSpelling(word, count);
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: ${word.padEnd(14)} ${ipa.padEnd(22)} ${actual ? actual.join('|') : 'null'}${ok ? '' : `  (expected ${expected ? expected.join('|') : 'null'})`}`);
+}
+
+console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,89 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { analyzeWord, getDerivedIPA } from './src/utils/morphology.js';
+import { canonicalizeIPA } from './src/utils/ipa-notation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Bundled British data (built by scripts/build-ipa-data.js)
+const coreDataPath = join(__dirname, 'data', 'mass-ipa', 'core.json');
+const coreData = JSON.parse(readFileSync(coreDataPath, 'utf-8'));
+
+function getIPA(word) {
+  const ipa = coreData[word.toLowerCase().trim()];
+  return ipa ? canonicalizeIPA(ipa, { legacy: true }) : null;
+}
+
+// Each derived word is composed from its stem only, never from its own entry
+const corpus = [
+  { group: 'Neutral suffixes (stress unchanged)', tests: [
+    { word: 'kindness', parts: 'kind+ness', expected: '/ˈkaɪndnəs/' },
+    { word: 'happiness', parts: 'happy+ness', expected: '/ˈhæpɪnəs/' },
+    { word: 'pitiless', parts: 'pity+less', expected: '/ˈpɪtɪləs/' },
+    { word: 'merriment', parts: 'merry+ment', expected: '/ˈmerɪmənt/' },
+    { word: 'beautiful', parts: 'beauty+ful', expected: '/ˈbjuːtɪfəl/' },
+    { word: 'forgettable', parts: 'forget+able', expected: '/fəˈɡetəbəl/' },
+    { word: 'journalism', parts: 'journal+ism', expected: '/ˈdʒɜːnəlɪzəm/' },
+    { word: 'journalist', parts: 'journal+ist', expected: '/ˈdʒɜːnəlɪst/' },
+    { word: 'modernize', parts: 'modern+ize', expected: '/ˈmɒdənaɪz/' },
+    { word: 'nationalize', parts: 'national+ize', expected: '/ˈnæʃənəlaɪz/' },
+  ]},
+  { group: 'Pre-stressing suffixes (stress moves to the syllable before)', tests: [
+    { word: 'photography', parts: 'photo+graphy', expected: '/fəˈtɒɡrəfi/' },
+    { word: 'photographic', parts: 'photograph+ic', expected: '/ˌfəʊtəˈɡræfɪk/' },
+    { word: 'atomic', parts: 'atom+ic', expected: '/əˈtɒmɪk/' },
+    { word: 'heroic', parts: 'hero+ic', expected: '/hɪˈrəʊɪk/' },
+    { word: 'sanity', parts: 'sane+ity', expected: '/ˈsænɪti/' },
+    { word: 'divinity', parts: 'divine+ity', expected: '/dɪˈvɪnɪti/' },
+    { word: 'serenity', parts: 'serene+ity', expected: '/sɪˈrenɪti/' },
+    { word: 'reality', parts: 'real+ity', expected: '/rɪˈælɪti/' },
+    { word: 'nationality', parts: 'national+ity', expected: '/ˌnæʃəˈnælɪti/' },
+    { word: 'solidify', parts: 'solid+ify', expected: '/səˈlɪdɪfaɪ/' },
+    { word: 'creation', parts: 'create+tion', expected: '/kriːˈeɪʃən/' },
+    { word: 'decision', parts: 'decide+sion', expected: '/dɪˈsɪʒən/' },
+    { word: 'explosion', parts: 'explode+sion', expected: '/ɪkˈspləʊʒən/' },
+  ]},
+  { group: 'Self-stressed suffixes', tests: [
+    { word: 'information', parts: 'inform+ation', expected: '/ˌɪnfəˈmeɪʃən/' },
+    { word: 'organization', parts: 'organize+ization', expected: '/ˌɔːɡənaɪˈzeɪʃən/' },
+    { word: 'classification', parts: 'classify+ification', expected: '/ˌklæsɪfɪˈkeɪʃən/' },
+    { word: 'readability', parts: 'readable+ability', expected: '/ˌriːdəˈbɪlɪti/' },
+    { word: 'musician', parts: 'music+ician', expected: '/mjuːˈzɪʃən/' },
+    { word: 'mountaineer', parts: 'mountain+eer', expected: '/ˌmaʊntɪˈnɪə/' },
+  ]},
+  { group: 'Prefixes', tests: [
+    { word: 'dislike', parts: 'dis+like', expected: '/dɪsˈlaɪk/' },
+    { word: 'misread', parts: 'mis+read', expected: '/mɪsˈriːd/' },
+    { word: 'preorder', parts: 'pre+order', expected: '/ˌpriːˈɔːdə/' },
+    { word: 'overestimate', parts: 'over+estimate', expected: '/ˌəʊvərˈestɪmeɪt/' },
+  ]},
+  { group: 'Chains', tests: [
+    { word: 'unfollowable', parts: 'un+follow+able', expected: '/ʌnˈfɒləʊəbəl/' },
+    { word: 'rewatchable', parts: 're+watchable', expected: '/ˌriːˈwɒtʃəbəl/' },
+    { word: 'modernization', parts: 'modernize+ization', expected: '/ˌmɒdənaɪˈzeɪʃən/' },
+  ]},
+];
+
+console.log('Testing derivational morphology:\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { group, tests } of corpus) {
+  console.log(`${group}:`);
+  for (const { word, parts, expected } of tests) {
+    const analysis = analyzeWord(word, stem => Boolean(getIPA(stem)));
+    const actualParts = analysis ? [...analysis.prefixes, analysis.stem, ...analysis.suffixes].join('+') : '(none)';
+    const actual = await getDerivedIPA(word, getIPA, 'uk');
+
+    const ok = actualParts === parts && actual === expected;
+    if (ok) passed++; else failed++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}: ${word.padEnd(16)} ${actualParts.padEnd(22)} ${actual}${ok ? '' : `  (expected ${parts} ${expected})`}`);
+  }
+  console.log('');
+}
+
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;
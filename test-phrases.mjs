@@ -0,0 +1,50 @@
+import { findPhrasesAt } from './src/utils/phrase-detector.js';
+import { convertPhraseNotation, NOTATION_STYLES } from './src/utils/ipa-notation.js';
+
+// [sentence, clicked word position, expected phrase (null = none), expected text]
+const tests = [
+  ['She finally gave up smoking', 2, 'give up', 'gave up'],
+  ['She finally gave up smoking', 3, 'give up', 'gave up'],
+  ['they are carrying out tests', 3, 'carry out', 'carrying out'],
+  ['we carried out the experiment', 1, 'carry out', 'carried out'],
+  ['He gave it up', 3, 'give up', 'gave it up'],
+  ['we ran out of milk', 1, 'run out of', 'ran out of'],
+  ['I look forward to seeing you', 2, 'look forward to', 'look forward to'],
+  ['By and large the plan works', 1, 'by and large', 'By and large'],
+  ['it came out of the blue', 5, 'out of the blue', 'out of the blue'],
+  ['the cat sat on the mat', 2, null, ''],
+  ['He gave the book up', 1, null, ''],
+];
+
+// [phrase IPA (per-word transcriptions joined by a space), notation style, expected]
+const notationTests = [
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.IPA, '/ˈɡɪv ʌp/'],
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.DJ, '/ˈgiv ʌp/'],
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.KK, '[ˋgɪv ʌp]'],
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.RESPELLING, 'giv up'],
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.PINYIN, 'ji-fu a-pu'],
+  ['/ˈɡɪv ʌp/', NOTATION_STYLES.HANZI, '吉富 阿普'],
+];
+
+console.log('Testing phrase detection:\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const [sentence, index, expected, text] of tests) {
+  const [match] = findPhrasesAt(sentence.split(' '), index);
+  const actual = match ? `${match.phrase} (${match.text})` : '(none)';
+  const ok = expected ? match?.phrase === expected && match.text === text : !match;
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: ${`${sentence} [${index}]`.padEnd(36)} ${actual}${ok ? '' : `  (expected ${expected ? `${expected} (${text})` : '(none)'})`}`);
+}
+
+for (const [ipa, style, expected] of notationTests) {
+  const actual = convertPhraseNotation(ipa, style);
+  const ok = actual === expected;
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: ${`${ipa} [${style}]`.padEnd(36)} ${actual}${ok ? '' : `  (expected ${expected})`}`);
+}
+
+console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,66 @@
+import { normalizeDomain, normalizeSiteRule, findSiteRule, isSiteEnabled, SITE_MODES } from './src/utils/site-rules.js';
+
+const rules = {
+  'github.com': { domain: 'github.com', enabled: false, include: [], exclude: [], dictionaryAPI: '' },
+  'docs.github.com': { domain: 'docs.github.com', enabled: true, include: ['article'], exclude: [], dictionaryAPI: 'baidu' },
+  'localhost': { domain: 'localhost', enabled: false, include: [], exclude: [], dictionaryAPI: '' },
+};
+
+// [input, expected normalized domain]
+const domainTests = [
+  ['github.com', 'github.com'],
+  ['https://www.GitHub.com/pulls?q=1', 'github.com'],
+  ['*.example.org', 'example.org'],
+  ['localhost:3000', 'localhost'],
+  ['example.com.', 'example.com'],
+  ['not a domain', ''],
+  ['', ''],
+];
+
+// [hostname, expected rule domain (null = none), enabled in blocklist mode, enabled in allowlist mode]
+const matchTests = [
+  ['github.com', 'github.com', false, false],
+  ['gist.github.com', 'github.com', false, false],
+  ['docs.github.com', 'docs.github.com', true, true],
+  ['api.docs.github.com', 'docs.github.com', true, true],
+  ['notgithub.com', null, true, false],
+  ['localhost', 'localhost', false, false],
+  ['en.wikipedia.org', null, true, false],
+];
+
+// [renderMode in saved rule, expected normalized renderMode]
+const renderModeTests = [
+  [undefined, 'inline'],
+  ['overlay', 'overlay'],
+  ['unknown', 'inline'],
+];
+
+console.log('Testing site rules:\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const [input, expected] of domainTests) {
+  const actual = normalizeDomain(input);
+  const ok = actual === expected;
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: normalize ${JSON.stringify(input).padEnd(36)} ${JSON.stringify(actual)}${ok ? '' : `  (expected ${JSON.stringify(expected)})`}`);
+}
+
+for (const [hostname, expected, blocklist, allowlist] of matchTests) {
+  const rule = findSiteRule(rules, hostname);
+  const actual = [rule?.domain || null, isSiteEnabled(rule, SITE_MODES.BLOCKLIST), isSiteEnabled(rule, SITE_MODES.ALLOWLIST)];
+  const ok = actual[0] === expected && actual[1] === blocklist && actual[2] === allowlist;
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: match ${hostname.padEnd(39)} ${actual.join(' / ')}${ok ? '' : `  (expected ${expected} / ${blocklist} / ${allowlist})`}`);
+}
+
+for (const [renderMode, expected] of renderModeTests) {
+  const actual = normalizeSiteRule({ domain: 'example.com', renderMode }).renderMode;
+  const ok = actual === expected;
+  if (ok) passed++; else failed++;
+  console.log(`  ${ok ? 'PASS' : 'FAIL'}: render mode ${String(renderMode).padEnd(33)} ${actual}${ok ? '' : `  (expected ${expected})`}`);
+}
+
+console.log(`\nSummary: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;